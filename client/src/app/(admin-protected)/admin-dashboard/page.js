@@ -2,13 +2,23 @@
 
 import { useState } from 'react';
 import { useSession } from 'next-auth/react';
+import { useRouter } from 'next/navigation';
+import { requestStepUpToken } from '@/lib/stepUp';
 
 export default function AdminDashboardPage() {
-    const { data: session } = useSession();
+    const { data: session, update } = useSession();
+    const router = useRouter();
+    const [impersonateUserId, setImpersonateUserId] = useState('');
+    const [impersonateReason, setImpersonateReason] = useState('');
     const [data, setData] = useState(null);
     const [loading, setLoading] = useState(false);
     const [error, setError] = useState('');
     const [currentFetch, setCurrentFetch] = useState('');
+    const [approval, setApproval] = useState({ appliedUserId: '', newPlanId: '', paymentId: '' });
+    const [approveMessage, setApproveMessage] = useState('');
+    const [stepUpToken, setStepUpToken] = useState(null); // Reused until it expires (STEP_UP_TOKEN_EXPIRY)
+    const [stepUpCodeNeeded, setStepUpCodeNeeded] = useState(false);
+    const [stepUpCode, setStepUpCode] = useState('');
 
     const fetchData = async (endpoint, type) => {
         setLoading(true);
@@ -35,6 +45,83 @@ export default function AdminDashboardPage() {
         }
     };
 
+    // "Login as user": the backend returns a short-lived token of the user, which replaces the
+    // admin's token in the session until the impersonation is exited from the Header banner.
+    const startImpersonation = async (e) => {
+        e.preventDefault();
+        setError('');
+
+        try {
+            const res = await fetch(`${process.env.NEXT_PUBLIC_API_URL}/api/auth/impersonation/${impersonateUserId}`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Authorization': `Bearer ${session.accessToken}`,
+                },
+                body: JSON.stringify(impersonateReason ? { reason: impersonateReason } : {}),
+            });
+            const result = await res.json();
+            if (!res.ok) {
+                throw new Error(result.message || 'Failed to start impersonation');
+            }
+
+            const updated = await update({ impersonation: { accessToken: result.accessToken, user: result.user } });
+            if (!updated?.impersonator) {
+                throw new Error('Impersonation token was rejected.');
+            }
+            router.push('/user-info');
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    const sendApproval = (token) => fetch(`${process.env.NEXT_PUBLIC_API_URL}/api/plans/approve-plan`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${session.accessToken}`,
+            ...(token ? { 'X-Step-Up-Token': token } : {}),
+        },
+        body: JSON.stringify(approval),
+    });
+
+    // Activating a paid plan is a sensitive action: when the API asks for a step-up, confirm with
+    // a passkey (or the authenticator code entered below) and send the request again.
+    const approvePlan = async (e) => {
+        e.preventDefault();
+        setError('');
+        setApproveMessage('');
+
+        try {
+            let res = await sendApproval(stepUpToken);
+            let result = await res.json();
+            if (res.status === 403 && result.code === 'STEP_UP_REQUIRED') {
+                const token = await requestStepUpToken(session.accessToken, {
+                    factors: result.factors,
+                    code: stepUpCode || undefined,
+                });
+                if (!token) {
+                    setStepUpCodeNeeded(true);
+                    return;
+                }
+                setStepUpToken(token);
+                setStepUpCodeNeeded(false);
+                setStepUpCode('');
+                res = await sendApproval(token);
+                result = await res.json();
+            }
+            if (!res.ok) {
+                throw new Error(result.message || 'Failed to approve the plan');
+            }
+            setApproveMessage(result.message);
+        } catch (err) {
+            // NotAllowedError: the passkey prompt was cancelled
+            if (err.name !== 'NotAllowedError') {
+                setError(err.message);
+            }
+        }
+    };
+
     return (
         <div className="p-6 bg-white rounded-lg shadow-md">
             <h1 className="text-2xl font-bold mb-4">Admin Dashboard</h1>
@@ -55,6 +142,68 @@ export default function AdminDashboardPage() {
                 </button>
             </div>
 
+            <form onSubmit={startImpersonation} className="flex space-x-2 my-6">
+                <input
+                    type="text"
+                    placeholder="User ID"
+                    value={impersonateUserId}
+                    onChange={(e) => setImpersonateUserId(e.target.value)}
+                    className="px-3 py-2 border rounded-lg text-black"
+                    required
+                />
+                <input
+                    type="text"
+                    placeholder="Reason (e.g. ticket #)"
+                    value={impersonateReason}
+                    onChange={(e) => setImpersonateReason(e.target.value)}
+                    className="px-3 py-2 border rounded-lg text-black"
+                />
+                <button
+                    type="submit"
+                    className="bg-yellow-500 hover:bg-yellow-600 text-white font-bold py-2 px-4 rounded-lg"
+                >
+                    Login as User
+                </button>
+            </form>
+
+            <form onSubmit={approvePlan} className="my-6">
+                <div className="flex space-x-2">
+                    {[['appliedUserId', 'User ID'], ['newPlanId', 'Plan ID'], ['paymentId', 'Payment ID']].map(([field, label]) => (
+                        <input
+                            key={field}
+                            type="text"
+                            placeholder={label}
+                            value={approval[field]}
+                            onChange={(e) => setApproval({ ...approval, [field]: e.target.value })}
+                            className="px-3 py-2 border rounded-lg text-black"
+                            required
+                        />
+                    ))}
+                    <button
+                        type="submit"
+                        className="bg-green-500 hover:bg-green-600 text-white font-bold py-2 px-4 rounded-lg"
+                    >
+                        Approve Plan
+                    </button>
+                </div>
+                {stepUpCodeNeeded && (
+                    <div className="mt-2">
+                        <p className="text-gray-700">Enter the code from your authenticator app (or a recovery code) to confirm.</p>
+                        <input
+                            type="text"
+                            inputMode="numeric"
+                            autoComplete="one-time-code"
+                            value={stepUpCode}
+                            onChange={(e) => setStepUpCode(e.target.value)}
+                            className="mt-1 px-3 py-2 border rounded-lg text-black"
+                            required
+                            autoFocus
+                        />
+                    </div>
+                )}
+                {approveMessage && <p className="mt-2 text-green-600">{approveMessage}</p>}
+            </form>
+
             <div className="mt-6 min-h-[200px] p-4 border rounded-lg bg-gray-50">
                 {loading && <p className="text-center">Loading...</p>}
                 {error && <p className="text-center text-red-500">Error: {error}</p>}
@@ -1,5 +1,6 @@
 import { auth } from '@/lib/auth';
 import { redirect } from 'next/navigation';
+import PlanFeatures from '@/components/PlanFeatures';
 
 async function getPlanData(accessToken) {
     try {
@@ -48,6 +49,11 @@ export default async function UserPlanPage() {
             ) : (
                 <p className="mt-6 text-red-500">Could not load plan data. The session might be invalid or the server is down.</p>
             )}
+
+            <div className="mt-6 p-4 border rounded-lg">
+                <h2 className="text-xl font-semibold mb-2">Features included in your plan</h2>
+                <PlanFeatures />
+            </div>
         </div>
     );
 }
\ No newline at end of file
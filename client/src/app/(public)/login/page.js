@@ -3,11 +3,28 @@
 import { useState, useEffect } from 'react';
 import { signIn } from 'next-auth/react';
 import { useRouter, useSearchParams } from 'next/navigation';
+import Link from 'next/link';
+import { startAuthentication, browserSupportsWebAuthn } from '@simplewebauthn/browser';
+
+const SOCIAL_PROVIDERS = [
+    { id: 'google', label: 'Google' },
+    { id: 'github', label: 'GitHub' },
+    { id: 'facebook', label: 'Facebook' },
+];
+
+// The backend runs the OAuth flow and returns to /oauth/callback with a one-time code.
+const startSocialLogin = (provider) => {
+    const redirectUri = encodeURIComponent(`${window.location.origin}/oauth/callback`);
+    window.location.href = `${process.env.NEXT_PUBLIC_API_URL}/api/users/oauth/${provider}/start?redirectUri=${redirectUri}`;
+};
 
 export default function LoginPage() {
     const [identifier, setIdentifier] = useState('');
     const [password, setPassword] = useState('');
+    const [otp, setOtp] = useState('');
+    const [mfaStep, setMfaStep] = useState(false); // True once the backend asked for a second factor
     const [error, setError] = useState('');
+    const [passkeysSupported, setPasskeysSupported] = useState(false);
     const router = useRouter();
     const searchParams = useSearchParams();
 
@@ -19,6 +36,43 @@ export default function LoginPage() {
         // Note: This message will be replaced by "Invalid credentials" if a login attempt fails.
     }, [searchParams]);
 
+    useEffect(() => {
+        setPasskeysSupported(browserSupportsWebAuthn());
+    }, []);
+
+    // Passkey login: get a challenge, let the browser sign it, then verify it through NextAuth.
+    const handlePasskeyLogin = async () => {
+        setError('');
+
+        try {
+            const res = await fetch(`${process.env.NEXT_PUBLIC_API_URL}/api/users/passkeys/login/options`, { method: 'POST' });
+            const { options, challengeId, message } = await res.json();
+            if (!res.ok) {
+                throw new Error(message || 'Could not start passkey login.');
+            }
+
+            const response = await startAuthentication({ optionsJSON: options });
+
+            const result = await signIn('passkey', {
+                redirect: false,
+                challengeId,
+                response: JSON.stringify(response),
+            });
+
+            if (result.error) {
+                setError('Passkey login failed. Please try again or use your password.');
+            } else if (result.ok) {
+                router.push('/user-info');
+            }
+        } catch (err) {
+            // NotAllowedError: the user cancelled the browser prompt
+            if (err.name !== 'NotAllowedError') {
+                setError(err.message || 'Passkey login failed.');
+            }
+            console.error('Caught exception during passkey sign-in:', err);
+        }
+    };
+
     const handleSubmit = async (e) => {
         e.preventDefault();
         setError('');
@@ -28,9 +82,18 @@ export default function LoginPage() {
                 redirect: false, // Do not redirect automatically
                 identifier,
                 password,
+                ...(mfaStep ? { otp } : {}),
             });
 
-            if (result.error) {
+            if (result.code === 'mfa_required') {
+                // Password accepted; ask for the authenticator (or recovery) code
+                setMfaStep(true);
+            } else if (result.code === 'invalid_mfa_code') {
+                setOtp('');
+                setError('Invalid authentication code. Please try again.');
+            } else if (result.code === 'account_locked') {
+                setError('Your account is temporarily locked after too many failed attempts. Check your email to unlock it.');
+            } else if (result.error) {
                 // The error message comes from the `authorize` function's thrown error
                 setError('Invalid credentials. Please try again.');
                 console.error('Sign-in error:', result.error);
@@ -69,13 +132,57 @@ export default function LoginPage() {
                         required
                     />
                 </div>
+                {mfaStep && (
+                    <div className="mb-6">
+                        <label className="block text-gray-700">Authentication code</label>
+                        <input
+                            type="text"
+                            inputMode="numeric"
+                            autoComplete="one-time-code"
+                            value={otp}
+                            onChange={(e) => setOtp(e.target.value)}
+                            className="w-full px-3 py-2 border rounded-lg text-black"
+                            required
+                            autoFocus
+                        />
+                        <p className="mt-1 text-sm text-gray-500">Enter the 6-digit code from your authenticator app, or a recovery code.</p>
+                    </div>
+                )}
                 <button
                     type="submit"
                     className="w-full bg-green-500 hover:bg-green-600 text-white font-bold py-2 px-4 rounded-lg"
                 >
-                    Login
+                    {mfaStep ? 'Verify' : 'Login'}
                 </button>
             </form>
+            {!mfaStep && (
+                <div className="mt-6 space-y-2">
+                    <button
+                        type="button"
+                        onClick={handlePasskeyLogin}
+                        disabled={!passkeysSupported}
+                        className="w-full border border-gray-300 hover:bg-gray-100 text-gray-700 font-bold py-2 px-4 rounded-lg disabled:opacity-50"
+                    >
+                        Sign in with a passkey
+                    </button>
+                    <Link
+                        href="/passwordless"
+                        className="block w-full text-center border border-gray-300 hover:bg-gray-100 text-gray-700 font-bold py-2 px-4 rounded-lg"
+                    >
+                        Email me a login code
+                    </Link>
+                    {SOCIAL_PROVIDERS.map(({ id, label }) => (
+                        <button
+                            key={id}
+                            type="button"
+                            onClick={() => startSocialLogin(id)}
+                            className="w-full border border-gray-300 hover:bg-gray-100 text-gray-700 font-bold py-2 px-4 rounded-lg"
+                        >
+                            Continue with {label}
+                        </button>
+                    ))}
+                </div>
+            )}
         </div>
     );
 }
\ No newline at end of file
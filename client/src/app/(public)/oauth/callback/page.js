@@ -0,0 +1,138 @@
+'use client';
+
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { signIn } from 'next-auth/react';
+import { useRouter, useSearchParams } from 'next/navigation';
+
+const ERROR_MESSAGES = {
+    access_denied: 'Social login was cancelled.',
+    account_exists: 'An account with this email already exists. Please log in with your password.',
+    oauth_failed: 'Social login failed. Please try again.',
+};
+
+/**
+ * Landing page of the backend OAuth flow. The backend redirects here with either
+ * `code` (one-time login code) or `linkToken` (existing account, password required to link).
+ */
+export default function OAuthCallbackPage() {
+    const searchParams = useSearchParams();
+    const router = useRouter();
+    const code = searchParams.get('code');
+    const linkToken = searchParams.get('linkToken');
+    const provider = searchParams.get('provider');
+    const email = searchParams.get('email');
+
+    const [password, setPassword] = useState('');
+    const [otp, setOtp] = useState('');
+    const [mfaStep, setMfaStep] = useState(false);
+    const [error, setError] = useState(ERROR_MESSAGES[searchParams.get('error')] || '');
+    const [loading, setLoading] = useState(false);
+    const exchanged = useRef(false); // The one-time code must only be sent once
+
+    const completeSignIn = useCallback(async (providerId, credentials) => {
+        setLoading(true);
+        setError('');
+        try {
+            const result = await signIn(providerId, { redirect: false, ...credentials });
+
+            if (result.code === 'mfa_required') {
+                setMfaStep(true);
+            } else if (result.code === 'invalid_mfa_code') {
+                setOtp('');
+                setError('Invalid authentication code. Please try again.');
+            } else if (result.code === 'account_locked') {
+                setError('Your account is temporarily locked after too many failed attempts. Check your email to unlock it.');
+            } else if (result.error) {
+                setError(linkToken ? 'Invalid credentials. Please try again.' : 'Social login failed. Please try again.');
+            } else if (result.ok) {
+                router.push('/user-info');
+            }
+        } catch (err) {
+            setError('An unexpected error occurred.');
+            console.error('Caught exception during social sign-in:', err);
+        } finally {
+            setLoading(false);
+        }
+    }, [linkToken, router]);
+
+    useEffect(() => {
+        if (code && !exchanged.current) {
+            exchanged.current = true;
+            completeSignIn('oauth', { code });
+        }
+    }, [code, completeSignIn]);
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        if (linkToken) {
+            await completeSignIn('oauth-link', { linkToken, password, ...(mfaStep ? { otp } : {}) });
+        } else {
+            await completeSignIn('oauth', { code, otp });
+        }
+    };
+
+    const otpField = (
+        <div className="mb-6">
+            <label className="block text-gray-700">Authentication code</label>
+            <input
+                type="text"
+                inputMode="numeric"
+                autoComplete="one-time-code"
+                value={otp}
+                onChange={(e) => setOtp(e.target.value)}
+                className="w-full px-3 py-2 border rounded-lg text-black"
+                required
+                autoFocus
+            />
+            <p className="mt-1 text-sm text-gray-500">Enter the 6-digit code from your authenticator app, or a recovery code.</p>
+        </div>
+    );
+
+    return (
+        <div className="max-w-md mx-auto mt-10 p-6 bg-white rounded-lg shadow-md">
+            <h1 className="text-2xl font-bold mb-4 text-center">
+                {linkToken ? 'Link your account' : 'Social Login'}
+            </h1>
+            {error && <p className="mb-4 text-center text-red-500">{error}</p>}
+
+            {linkToken ? (
+                <form onSubmit={handleSubmit}>
+                    <p className="mb-4 text-gray-700">
+                        An account with <b>{email}</b> already exists. Enter its password to link your {provider} login.
+                    </p>
+                    <div className="mb-4">
+                        <label className="block text-gray-700">Password</label>
+                        <input
+                            type="password"
+                            value={password}
+                            onChange={(e) => setPassword(e.target.value)}
+                            className="w-full px-3 py-2 border rounded-lg text-black"
+                            required
+                        />
+                    </div>
+                    {mfaStep && otpField}
+                    <button
+                        type="submit"
+                        disabled={loading}
+                        className="w-full bg-green-500 hover:bg-green-600 text-white font-bold py-2 px-4 rounded-lg disabled:bg-green-300"
+                    >
+                        Link and Login
+                    </button>
+                </form>
+            ) : mfaStep ? (
+                <form onSubmit={handleSubmit}>
+                    {otpField}
+                    <button
+                        type="submit"
+                        disabled={loading}
+                        className="w-full bg-green-500 hover:bg-green-600 text-white font-bold py-2 px-4 rounded-lg disabled:bg-green-300"
+                    >
+                        Verify
+                    </button>
+                </form>
+            ) : (
+                code && !error && <p className="text-center">Signing you in...</p>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,162 @@
+'use client';
+
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { signIn } from 'next-auth/react';
+import { useRouter, useSearchParams } from 'next/navigation';
+
+/**
+ * Passwordless login: request a code by email, then enter it here.
+ * The magic link in the email opens this page with `email` and `code` and logs in directly.
+ */
+export default function PasswordlessLoginPage() {
+    const searchParams = useSearchParams();
+    const router = useRouter();
+    const linkEmail = searchParams.get('email');
+    const linkCode = searchParams.get('code');
+
+    const [email, setEmail] = useState(linkEmail || '');
+    const [code, setCode] = useState(linkCode || '');
+    const [otp, setOtp] = useState('');
+    const [codeSent, setCodeSent] = useState(Boolean(linkEmail && linkCode));
+    const [mfaStep, setMfaStep] = useState(false);
+    const [message, setMessage] = useState('');
+    const [error, setError] = useState('');
+    const [loading, setLoading] = useState(false);
+    const linkUsed = useRef(false); // Submit the magic link only once
+
+    const requestCode = async (e) => {
+        e.preventDefault();
+        setLoading(true);
+        setError('');
+        try {
+            const res = await fetch(`${process.env.NEXT_PUBLIC_API_URL}/api/auth/passwordless/request`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ email }),
+            });
+            const data = await res.json();
+            if (!res.ok) {
+                throw new Error(data.message || data.error || 'Could not send the login code.');
+            }
+            setMessage(data.message);
+            setCodeSent(true);
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const completeSignIn = useCallback(async (credentials) => {
+        setLoading(true);
+        setError('');
+        try {
+            const result = await signIn('passwordless', { redirect: false, ...credentials });
+
+            if (result.code === 'mfa_required') {
+                setMfaStep(true);
+            } else if (result.code === 'invalid_mfa_code') {
+                setOtp('');
+                setError('Invalid authentication code. Please try again.');
+            } else if (result.code === 'account_locked') {
+                setError('Your account is temporarily locked after too many failed attempts. Check your email to unlock it.');
+            } else if (result.error) {
+                setError('Invalid or expired login code. Please request a new one.');
+            } else if (result.ok) {
+                router.push('/user-info');
+            }
+        } catch (err) {
+            setError('An unexpected error occurred.');
+            console.error('Caught exception during passwordless sign-in:', err);
+        } finally {
+            setLoading(false);
+        }
+    }, [router]);
+
+    useEffect(() => {
+        if (linkEmail && linkCode && !linkUsed.current) {
+            linkUsed.current = true;
+            completeSignIn({ email: linkEmail, code: linkCode });
+        }
+    }, [linkEmail, linkCode, completeSignIn]);
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        await completeSignIn({ email, code, ...(mfaStep ? { otp } : {}) });
+    };
+
+    return (
+        <div className="max-w-md mx-auto mt-10 p-6 bg-white rounded-lg shadow-md">
+            <h1 className="text-2xl font-bold mb-4 text-center">Login with Email Code</h1>
+            {message && !error && <p className="mb-4 text-center text-green-600">{message}</p>}
+            {error && <p className="mb-4 text-center text-red-500">{error}</p>}
+
+            {!codeSent ? (
+                <form onSubmit={requestCode}>
+                    <div className="mb-6">
+                        <label className="block text-gray-700">Email</label>
+                        <input
+                            type="email"
+                            value={email}
+                            onChange={(e) => setEmail(e.target.value)}
+                            className="w-full px-3 py-2 border rounded-lg text-black"
+                            required
+                        />
+                    </div>
+                    <button
+                        type="submit"
+                        disabled={loading}
+                        className="w-full bg-green-500 hover:bg-green-600 text-white font-bold py-2 px-4 rounded-lg disabled:bg-green-300"
+                    >
+                        Email me a login code
+                    </button>
+                </form>
+            ) : (
+                <form onSubmit={handleSubmit}>
+                    <div className="mb-4">
+                        <label className="block text-gray-700">Login code</label>
+                        <input
+                            type="text"
+                            inputMode="numeric"
+                            autoComplete="one-time-code"
+                            value={code}
+                            onChange={(e) => setCode(e.target.value)}
+                            className="w-full px-3 py-2 border rounded-lg text-black"
+                            required
+                        />
+                        <p className="mt-1 text-sm text-gray-500">Enter the 6-digit code we sent to {email}.</p>
+                    </div>
+                    {mfaStep && (
+                        <div className="mb-6">
+                            <label className="block text-gray-700">Authentication code</label>
+                            <input
+                                type="text"
+                                inputMode="numeric"
+                                value={otp}
+                                onChange={(e) => setOtp(e.target.value)}
+                                className="w-full px-3 py-2 border rounded-lg text-black"
+                                required
+                                autoFocus
+                            />
+                            <p className="mt-1 text-sm text-gray-500">Enter the 6-digit code from your authenticator app, or a recovery code.</p>
+                        </div>
+                    )}
+                    <button
+                        type="submit"
+                        disabled={loading}
+                        className="w-full bg-green-500 hover:bg-green-600 text-white font-bold py-2 px-4 rounded-lg disabled:bg-green-300"
+                    >
+                        {mfaStep ? 'Verify' : 'Login'}
+                    </button>
+                    <button
+                        type="button"
+                        onClick={() => { setCodeSent(false); setCode(''); setMfaStep(false); setMessage(''); }}
+                        className="w-full mt-2 text-sm text-gray-600 hover:underline"
+                    >
+                        Send a new code
+                    </button>
+                </form>
+            )}
+        </div>
+    );
+}
@@ -34,7 +34,8 @@ export default function RegisterPage() {
                 }, 2000);
             } else {
                 setIsError(true);
-                setMessage(data.message || 'An error occurred during registration.');
+                // Validation errors (e.g. the password policy) come as `errors: [{ msg }]`
+                setMessage(data.message || data.errors?.map(e => e.msg).join(' ') || 'An error occurred during registration.');
             }
         } catch (error) {
             setIsError(true);
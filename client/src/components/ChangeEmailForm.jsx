@@ -0,0 +1,158 @@
+"use client";
+
+import { useState } from "react";
+
+// Validation errors come as `errors: [{ msg }]`
+const errorMessage = (data, fallback) =>
+  data.message || data.errors?.map((e) => e.msg).join(" ") || fallback;
+
+/**
+ * Two steps: request the change (new address + current password), then enter the
+ * OTP sent to the new address. The old address is notified once the change is done.
+ */
+export default function ChangeEmailForm({ accessToken, currentEmail, onChanged }) {
+  const [newEmail, setNewEmail] = useState("");
+  const [currentPassword, setCurrentPassword] = useState("");
+  const [otp, setOtp] = useState("");
+  const [otpStep, setOtpStep] = useState(false);
+  const [message, setMessage] = useState("");
+  const [error, setError] = useState("");
+  const [loading, setLoading] = useState(false);
+
+  const post = async (path, body, fallback) => {
+    const res = await fetch(`${process.env.NEXT_PUBLIC_API_URL}${path}`, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        Authorization: `Bearer ${accessToken}`,
+      },
+      body: JSON.stringify(body),
+    });
+    const data = await res.json();
+    if (!res.ok) {
+      throw new Error(errorMessage(data, fallback));
+    }
+    return data;
+  };
+
+  const requestChange = async (e) => {
+    e.preventDefault();
+    setMessage("");
+    setError("");
+    setLoading(true);
+    try {
+      const data = await post(
+        "/api/users/change-email",
+        { newEmail, currentPassword },
+        "Could not start the email change."
+      );
+      setMessage(data.message);
+      setCurrentPassword("");
+      setOtpStep(true);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const confirmChange = async (e) => {
+    e.preventDefault();
+    setMessage("");
+    setError("");
+    setLoading(true);
+    try {
+      const data = await post(
+        "/api/users/change-email/confirm",
+        { otp },
+        "Could not confirm the email change."
+      );
+      setMessage(data.message);
+      setOtpStep(false);
+      setNewEmail("");
+      setOtp("");
+      onChanged?.(data.email);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="p-4 border rounded-lg">
+      <h2 className="text-xl font-semibold mb-4">Change Email</h2>
+      {currentEmail && (
+        <p className="mb-4 text-gray-600">Current email: {currentEmail}</p>
+      )}
+      {message && <p className="mb-4 text-green-600">{message}</p>}
+      {error && <p className="mb-4 text-red-500">{error}</p>}
+
+      {!otpStep ? (
+        <form onSubmit={requestChange}>
+          <div className="mb-4">
+            <label className="block text-gray-700">New email</label>
+            <input
+              type="email"
+              value={newEmail}
+              onChange={(e) => setNewEmail(e.target.value)}
+              className="w-full px-3 py-2 border rounded-lg text-black"
+              required
+            />
+          </div>
+          <div className="mb-4">
+            <label className="block text-gray-700">Current password</label>
+            <input
+              type="password"
+              autoComplete="current-password"
+              value={currentPassword}
+              onChange={(e) => setCurrentPassword(e.target.value)}
+              className="w-full px-3 py-2 border rounded-lg text-black"
+              required
+            />
+          </div>
+          <button
+            type="submit"
+            disabled={loading}
+            className="bg-blue-500 hover:bg-blue-700 text-white font-bold py-2 px-4 rounded disabled:bg-blue-300"
+          >
+            {loading ? "Sending..." : "Send confirmation code"}
+          </button>
+        </form>
+      ) : (
+        <form onSubmit={confirmChange}>
+          <div className="mb-4">
+            <label className="block text-gray-700">Confirmation code</label>
+            <input
+              type="text"
+              inputMode="numeric"
+              autoComplete="one-time-code"
+              value={otp}
+              onChange={(e) => setOtp(e.target.value)}
+              className="w-full px-3 py-2 border rounded-lg text-black"
+              required
+              autoFocus
+            />
+            <p className="mt-1 text-sm text-gray-500">
+              Enter the 6-digit code we sent to {newEmail}.
+            </p>
+          </div>
+          <button
+            type="submit"
+            disabled={loading}
+            className="bg-blue-500 hover:bg-blue-700 text-white font-bold py-2 px-4 rounded disabled:bg-blue-300"
+          >
+            {loading ? "Confirming..." : "Confirm new email"}
+          </button>
+          <button
+            type="button"
+            onClick={() => { setOtpStep(false); setOtp(""); setMessage(""); }}
+            className="ml-4 text-sm text-gray-600 hover:underline"
+          >
+            Start over
+          </button>
+        </form>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,109 @@
+"use client";
+
+import { useState } from "react";
+
+// Validation errors (e.g. the password policy) come as `errors: [{ msg }]`
+const errorMessage = (data, fallback) =>
+  data.message || data.errors?.map((e) => e.msg).join(" ") || fallback;
+
+export default function ChangePasswordForm({ accessToken, onChanged }) {
+  const [currentPassword, setCurrentPassword] = useState("");
+  const [newPassword, setNewPassword] = useState("");
+  const [confirmPassword, setConfirmPassword] = useState("");
+  const [message, setMessage] = useState("");
+  const [error, setError] = useState("");
+  const [loading, setLoading] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setMessage("");
+    setError("");
+
+    if (newPassword !== confirmPassword) {
+      setError("The new passwords do not match.");
+      return;
+    }
+
+    setLoading(true);
+    try {
+      const res = await fetch(
+        `${process.env.NEXT_PUBLIC_API_URL}/api/users/change-password`,
+        {
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+            Authorization: `Bearer ${accessToken}`,
+          },
+          body: JSON.stringify({ currentPassword, newPassword }),
+        }
+      );
+      const data = await res.json();
+      if (!res.ok) {
+        throw new Error(errorMessage(data, "Could not change the password."));
+      }
+      // The old access tokens were revoked; keep this session on the new pair
+      if (data.accessToken && data.refreshToken) {
+        await onChanged?.({ accessToken: data.accessToken, refreshToken: data.refreshToken });
+      }
+      setMessage(data.message);
+      setCurrentPassword("");
+      setNewPassword("");
+      setConfirmPassword("");
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="p-4 border rounded-lg">
+      <h2 className="text-xl font-semibold mb-4">Change Password</h2>
+      {message && <p className="mb-4 text-green-600">{message}</p>}
+      {error && <p className="mb-4 text-red-500">{error}</p>}
+      <div className="mb-4">
+        <label className="block text-gray-700">Current password</label>
+        <input
+          type="password"
+          autoComplete="current-password"
+          value={currentPassword}
+          onChange={(e) => setCurrentPassword(e.target.value)}
+          className="w-full px-3 py-2 border rounded-lg text-black"
+          required
+        />
+      </div>
+      <div className="mb-4">
+        <label className="block text-gray-700">New password</label>
+        <input
+          type="password"
+          autoComplete="new-password"
+          value={newPassword}
+          onChange={(e) => setNewPassword(e.target.value)}
+          className="w-full px-3 py-2 border rounded-lg text-black"
+          required
+        />
+      </div>
+      <div className="mb-4">
+        <label className="block text-gray-700">Confirm new password</label>
+        <input
+          type="password"
+          autoComplete="new-password"
+          value={confirmPassword}
+          onChange={(e) => setConfirmPassword(e.target.value)}
+          className="w-full px-3 py-2 border rounded-lg text-black"
+          required
+        />
+        <p className="mt-1 text-sm text-gray-500">
+          Other devices will be signed out.
+        </p>
+      </div>
+      <button
+        type="submit"
+        disabled={loading}
+        className="bg-blue-500 hover:bg-blue-700 text-white font-bold py-2 px-4 rounded disabled:bg-blue-300"
+      >
+        {loading ? "Saving..." : "Change Password"}
+      </button>
+    </form>
+  );
+}
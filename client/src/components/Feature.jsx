@@ -0,0 +1,12 @@
+"use client";
+
+import useEntitlements from "@/lib/useEntitlements";
+
+/**
+ * Renders its children only if the user's plan includes `name` (e.g. "export.csv"),
+ * otherwise `fallback` (nothing by default).
+ */
+export default function Feature({ name, fallback = null, children }) {
+  const { has } = useEntitlements();
+  return has(name) ? children : fallback;
+}
@@ -5,10 +5,37 @@ import { useSession, signOut } from "next-auth/react";
 import { useRouter } from "next/navigation";
 
 export default function Header() {
-  const { data: session, status } = useSession();
+  const { data: session, status, update } = useSession();
   const router = useRouter();
 
+  // End an admin impersonation: revoke the impersonation token, then switch back to the admin's tokens.
+  const stopImpersonating = async () => {
+    try {
+      const res = await fetch(
+        `${process.env.NEXT_PUBLIC_API_URL}/api/auth/impersonation`,
+        {
+          method: "DELETE",
+          headers: { Authorization: `Bearer ${session.accessToken}` },
+        }
+      );
+      if (!res.ok) {
+        console.error("Stopping impersonation failed on the backend.");
+      }
+    } catch (error) {
+      console.error("Error stopping impersonation:", error);
+    }
+    return update({ impersonation: null });
+  };
+
+  const handleExitImpersonation = async () => {
+    await stopImpersonating();
+    router.push("/admin-dashboard");
+  };
+
   const handleLogout = async () => {
+    // Logging out while impersonating logs the admin out, so end the impersonation first
+    const currentSession = session.impersonator ? await stopImpersonating() : session;
+
     // Call the backend to invalidate the refresh token
     try {
       const res = await fetch(
@@ -17,7 +44,7 @@ export default function Header() {
           method: "POST",
           headers: {
             "Content-Type": "application/json",
-            Authorization: `Bearer ${session.accessToken}`,
+            Authorization: `Bearer ${currentSession?.accessToken}`,
           },
         }
       );
@@ -36,6 +63,21 @@ export default function Header() {
 
   return (
     <header className="bg-gray-800 text-white shadow-md">
+      {session?.impersonator && (
+        <div className="bg-yellow-400 text-black">
+          <div className="container mx-auto px-4 py-2 flex justify-between items-center">
+            <span>
+              Impersonating <strong>{session.user?.username}</strong> (signed in as {session.impersonator.username})
+            </span>
+            <button
+              onClick={handleExitImpersonation}
+              className="bg-black text-yellow-400 hover:bg-gray-800 px-3 py-1 rounded"
+            >
+              Exit impersonation
+            </button>
+          </div>
+        </div>
+      )}
       <nav className="container mx-auto px-4 py-3 flex justify-between items-center">
         <Link href="/" className="text-xl font-bold hover:text-gray-300">
           Auth Portal
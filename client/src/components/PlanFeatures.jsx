@@ -0,0 +1,28 @@
+"use client";
+
+import useEntitlements from "@/lib/useEntitlements";
+
+/**
+ * Lists every feature and whether the user's plan includes it.
+ */
+export default function PlanFeatures() {
+  const { features, loading, error } = useEntitlements();
+
+  if (loading) {
+    return <p className="text-sm text-gray-500">Loading plan features...</p>;
+  }
+  if (error) {
+    return <p className="text-sm text-red-500">{error}</p>;
+  }
+
+  return (
+    <ul className="space-y-1">
+      {features.map((feature) => (
+        <li key={feature.name} className={feature.included ? "text-black" : "text-gray-400"}>
+          <span className="inline-block w-5">{feature.included ? "✓" : "✗"}</span>
+          {feature.description}
+        </li>
+      ))}
+    </ul>
+  );
+}
@@ -0,0 +1,255 @@
+"use client";
+
+import { useEffect, useState } from "react";
+import Image from "next/image";
+
+// Validation errors come as `errors: [{ msg }]`
+const errorMessage = (data, fallback) =>
+  data.message || data.errors?.map((e) => e.msg).join(" ") || fallback;
+
+const THEMES = ["system", "light", "dark"];
+
+/**
+ * Editable profile backed by GET/PATCH /api/users/me and /api/users/me/avatar.
+ * `onSaved` receives the updated profile (used to refresh the session's username).
+ */
+export default function ProfileForm({ accessToken, onSaved }) {
+  const [profile, setProfile] = useState(null);
+  const [form, setForm] = useState({ firstName: "", lastName: "", username: "", theme: "system" });
+  const [message, setMessage] = useState("");
+  const [error, setError] = useState("");
+  const [saving, setSaving] = useState(false);
+  const [uploading, setUploading] = useState(false);
+
+  const api = `${process.env.NEXT_PUBLIC_API_URL}/api/users/me`;
+
+  const applyProfile = (user) => {
+    setProfile(user);
+    setForm({
+      firstName: user.firstName || "",
+      lastName: user.lastName || "",
+      username: user.username || "",
+      theme: user.preferences?.theme || "system",
+    });
+  };
+
+  useEffect(() => {
+    if (!accessToken) return;
+    const loadProfile = async () => {
+      try {
+        const res = await fetch(api, {
+          headers: { Authorization: `Bearer ${accessToken}` },
+          cache: "no-store",
+        });
+        const data = await res.json();
+        if (!res.ok) {
+          throw new Error(errorMessage(data, "Could not load your profile."));
+        }
+        applyProfile(data.user);
+      } catch (err) {
+        setError(err.message);
+      }
+    };
+    loadProfile();
+  }, [api, accessToken]);
+
+  const request = async (url, options, fallback) => {
+    const res = await fetch(url, {
+      ...options,
+      headers: { Authorization: `Bearer ${accessToken}`, ...options.headers },
+    });
+    const data = await res.json();
+    if (!res.ok) {
+      throw new Error(errorMessage(data, fallback));
+    }
+    applyProfile(data.user);
+    onSaved?.(data.user);
+    return data;
+  };
+
+  const handleChange = (e) => {
+    setForm({ ...form, [e.target.name]: e.target.value });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setMessage("");
+    setError("");
+    setSaving(true);
+    try {
+      const data = await request(
+        api,
+        {
+          method: "PATCH",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({
+            firstName: form.firstName,
+            lastName: form.lastName,
+            username: form.username,
+            preferences: { theme: form.theme },
+          }),
+        },
+        "Could not update your profile."
+      );
+      setMessage(data.message);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleAvatarChange = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = ""; // Allow picking the same file again
+    if (!file) return;
+
+    setMessage("");
+    setError("");
+    setUploading(true);
+    try {
+      const body = new FormData();
+      body.append("avatar", file);
+      const data = await request(`${api}/avatar`, { method: "POST", body }, "Could not upload the picture.");
+      setMessage(data.message);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  const handleAvatarRemove = async () => {
+    setMessage("");
+    setError("");
+    setUploading(true);
+    try {
+      const data = await request(`${api}/avatar`, { method: "DELETE" }, "Could not remove the picture.");
+      setMessage(data.message);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  if (!profile) {
+    return error ? <p className="text-red-500">{error}</p> : <p>Loading profile...</p>;
+  }
+
+  return (
+    <div className="p-4 border rounded-lg">
+      <h2 className="text-xl font-semibold mb-4">Profile</h2>
+      {message && <p className="mb-4 text-green-600">{message}</p>}
+      {error && <p className="mb-4 text-red-500">{error}</p>}
+
+      <div className="flex items-center gap-4 mb-6">
+        {profile.profilePictureUrl ? (
+          // Uploaded pictures come from Cloudinary or the API server, not a fixed image domain,
+          // so they are served as they are instead of through the image optimizer
+          <Image
+            src={profile.profilePictureUrl}
+            alt="Profile picture"
+            width={80}
+            height={80}
+            unoptimized
+            className="w-20 h-20 rounded-full object-cover border"
+          />
+        ) : (
+          <div className="w-20 h-20 rounded-full bg-gray-200 flex items-center justify-center text-2xl text-gray-500">
+            {profile.username?.[0]?.toUpperCase()}
+          </div>
+        )}
+        <div>
+          <label className="inline-block cursor-pointer bg-gray-100 hover:bg-gray-200 text-gray-800 py-1 px-3 rounded border">
+            {uploading ? "Uploading..." : "Change picture"}
+            <input
+              type="file"
+              accept="image/jpeg,image/png,image/webp"
+              onChange={handleAvatarChange}
+              disabled={uploading}
+              className="hidden"
+            />
+          </label>
+          {profile.profilePictureUrl && (
+            <button
+              type="button"
+              onClick={handleAvatarRemove}
+              disabled={uploading}
+              className="ml-3 text-sm text-red-600 hover:underline"
+            >
+              Remove
+            </button>
+          )}
+        </div>
+      </div>
+
+      <form onSubmit={handleSubmit}>
+        <div className="grid gap-4 md:grid-cols-2 mb-4">
+          <div>
+            <label className="block text-gray-700">First name</label>
+            <input
+              type="text"
+              name="firstName"
+              maxLength={50}
+              value={form.firstName}
+              onChange={handleChange}
+              className="w-full px-3 py-2 border rounded-lg text-black"
+            />
+          </div>
+          <div>
+            <label className="block text-gray-700">Last name</label>
+            <input
+              type="text"
+              name="lastName"
+              maxLength={50}
+              value={form.lastName}
+              onChange={handleChange}
+              className="w-full px-3 py-2 border rounded-lg text-black"
+            />
+          </div>
+        </div>
+        <div className="mb-4">
+          <label className="block text-gray-700">Username</label>
+          <input
+            type="text"
+            name="username"
+            minLength={3}
+            maxLength={30}
+            pattern="[A-Za-z0-9]+"
+            title="Letters and numbers only"
+            value={form.username}
+            onChange={handleChange}
+            className="w-full px-3 py-2 border rounded-lg text-black"
+            required
+          />
+        </div>
+        <div className="mb-4">
+          <label className="block text-gray-700">Theme</label>
+          <select
+            name="theme"
+            value={form.theme}
+            onChange={handleChange}
+            className="w-full px-3 py-2 border rounded-lg text-black"
+          >
+            {THEMES.map((theme) => (
+              <option key={theme} value={theme}>
+                {theme.charAt(0).toUpperCase() + theme.slice(1)}
+              </option>
+            ))}
+          </select>
+        </div>
+        <p className="mb-4 text-sm text-gray-500">
+          Email: {profile.email} · Plan: {profile.plan} · Role: {profile.role}
+        </p>
+        <button
+          type="submit"
+          disabled={saving}
+          className="bg-blue-500 hover:bg-blue-700 text-white font-bold py-2 px-4 rounded disabled:bg-blue-300"
+        >
+          {saving ? "Saving..." : "Save Profile"}
+        </button>
+      </form>
+    </div>
+  );
+}
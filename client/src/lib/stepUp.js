@@ -0,0 +1,44 @@
+"use client";
+
+import { startAuthentication, browserSupportsWebAuthn } from "@simplewebauthn/browser";
+
+const apiUrl = (path) => `${process.env.NEXT_PUBLIC_API_URL}${path}`;
+
+const postJson = async (path, accessToken, body, fallback) => {
+  const res = await fetch(apiUrl(path), {
+    method: "POST",
+    headers: { "Content-Type": "application/json", Authorization: `Bearer ${accessToken}` },
+    body: JSON.stringify(body ?? {}),
+  });
+  const data = await res.json();
+  if (!res.ok) {
+    throw new Error(data.message || fallback);
+  }
+  return data;
+};
+
+/**
+ * Confirms a sensitive action with a fresh second factor (POST /api/users/step-up/verify) and
+ * returns the token for the `X-Step-Up-Token` header.
+ * With a `code` (authenticator or recovery code) that is sent; otherwise a passkey is used if
+ * the user has one (`factors` from the STEP_UP_REQUIRED response) and the browser supports it.
+ * Returns null when a code is needed from the user.
+ */
+export async function requestStepUpToken(accessToken, { factors = [], code } = {}) {
+  let proof;
+  if (code) {
+    proof = { code };
+  } else if (factors.includes("passkey") && browserSupportsWebAuthn()) {
+    const { options, challengeId } = await postJson(
+      "/api/users/step-up/options", accessToken, {}, "Could not start the confirmation."
+    );
+    proof = { challengeId, response: await startAuthentication({ optionsJSON: options }) };
+  } else {
+    return null;
+  }
+
+  const { stepUpToken } = await postJson(
+    "/api/users/step-up/verify", accessToken, proof, "Could not confirm your identity."
+  );
+  return stepUpToken;
+}
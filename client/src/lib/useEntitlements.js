@@ -0,0 +1,47 @@
+"use client";
+
+import { useEffect, useState } from "react";
+import { useSession } from "next-auth/react";
+
+/**
+ * Features of the signed-in user's plan, from GET /api/users/me/entitlements.
+ * Use it to hide UI the plan does not include; the API enforces the same list.
+ * `has(feature)` is false while loading, so gated UI appears only once allowed.
+ */
+export default function useEntitlements() {
+  const { data: session } = useSession();
+  const accessToken = session?.accessToken;
+  const [entitlements, setEntitlements] = useState(null);
+  const [features, setFeatures] = useState([]);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    if (!accessToken) return;
+    const loadEntitlements = async () => {
+      try {
+        const res = await fetch(`${process.env.NEXT_PUBLIC_API_URL}/api/users/me/entitlements`, {
+          headers: { Authorization: `Bearer ${accessToken}` },
+          cache: "no-store",
+        });
+        const data = await res.json();
+        if (!res.ok) {
+          throw new Error(data.message || "Could not load your plan features.");
+        }
+        setEntitlements(data.entitlements);
+        setFeatures(data.features);
+        setError("");
+      } catch (err) {
+        setError(err.message);
+      }
+    };
+    loadEntitlements();
+  }, [accessToken]);
+
+  return {
+    entitlements: entitlements || [],
+    features, // Every known feature: { name, description, included }
+    loading: Boolean(accessToken) && entitlements === null && !error,
+    error,
+    has: (feature) => Boolean(entitlements?.includes(feature)),
+  };
+}
@@ -0,0 +1,41 @@
+/**
+ * Feature entitlements: named features a plan can include (`entitlements` in models/Plan.js),
+ * checked with `requireFeature(name)` (middleware/requireFeature.js).
+ *
+ * Add a feature here, gate its routes with requireFeature() and list it in the plans that include
+ * it through the plan API; no policy change is needed.
+ *
+ *   FREE_ENTITLEMENTS=info.basic,export.csv   Features of users without a plan, when no 'free' plan exists
+ *   FEATURE_BYPASS_ROLES=admin                Roles that have every feature, whatever their plan
+ *   ENTITLEMENT_CACHE_TTL_MS=60000            How long a plan's entitlements are cached per server instance
+ */
+
+const listFromEnv = (name, fallback) => (process.env[name] ?? fallback)
+    .split(',')
+    .map(value => value.trim())
+    .filter(Boolean);
+
+const entitlements = {
+    // Feature name -> description
+    features: {
+        'info.basic': 'Basic information area',
+        'info.professional': 'Professional information area',
+        'info.business': 'Business information area',
+        'info.enterprise': 'Enterprise information area',
+        'export.csv': 'Export data as CSV',
+        'reports.advanced': 'Advanced reports',
+    },
+    // Features of the plans that predate entitlements, as their per-plan policies granted them.
+    // Such plans that have no entitlements stored get these at startup (services/entitlementService.js).
+    legacyPlanEntitlements: {
+        basic: ['info.basic'],
+        professional: ['info.basic', 'info.professional'],
+        business: ['info.basic', 'info.professional', 'info.business'],
+        enterprise: ['info.basic', 'info.professional', 'info.business', 'info.enterprise'],
+    },
+    freeEntitlements: listFromEnv('FREE_ENTITLEMENTS', ''),
+    bypassRoles: listFromEnv('FEATURE_BYPASS_ROLES', 'admin'),
+    cacheTtlMs: parseInt(process.env.ENTITLEMENT_CACHE_TTL_MS || '60000', 10),
+};
+
+module.exports = entitlements;
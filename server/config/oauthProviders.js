@@ -0,0 +1,83 @@
+/**
+ * OAuth2 / OpenID Connect provider configuration for social login.
+ *
+ * A provider is enabled when its client ID and secret are set, e.g.
+ *   OAUTH_GOOGLE_CLIENT_ID=...   OAUTH_GOOGLE_CLIENT_SECRET=...
+ * Every endpoint can be overridden (OAUTH_<PROVIDER>_AUTHORIZATION_URL, _TOKEN_URL,
+ * _USERINFO_URL) so a local mock OIDC provider can stand in during development and tests.
+ *
+ * `mapProfile` normalises the provider's user info into
+ * { providerId, email, emailVerified, firstName, lastName, pictureUrl }.
+ */
+
+const env = (provider, name, fallback) => process.env[`OAUTH_${provider.toUpperCase()}_${name}`] || fallback;
+
+const providers = {
+    google: {
+        authorizationUrl: env('google', 'AUTHORIZATION_URL', 'https://accounts.google.com/o/oauth2/v2/auth'),
+        tokenUrl: env('google', 'TOKEN_URL', 'https://oauth2.googleapis.com/token'),
+        userInfoUrl: env('google', 'USERINFO_URL', 'https://openidconnect.googleapis.com/v1/userinfo'),
+        scope: 'openid email profile',
+        clientId: env('google', 'CLIENT_ID'),
+        clientSecret: env('google', 'CLIENT_SECRET'),
+        mapProfile: (info) => ({
+            providerId: String(info.sub),
+            email: info.email,
+            emailVerified: info.email_verified === true || info.email_verified === 'true',
+            firstName: info.given_name,
+            lastName: info.family_name,
+            pictureUrl: info.picture,
+        }),
+    },
+    github: {
+        authorizationUrl: env('github', 'AUTHORIZATION_URL', 'https://github.com/login/oauth/authorize'),
+        tokenUrl: env('github', 'TOKEN_URL', 'https://github.com/login/oauth/access_token'),
+        userInfoUrl: env('github', 'USERINFO_URL', 'https://api.github.com/user'),
+        emailsUrl: env('github', 'EMAILS_URL', 'https://api.github.com/user/emails'),
+        scope: 'read:user user:email',
+        clientId: env('github', 'CLIENT_ID'),
+        clientSecret: env('github', 'CLIENT_SECRET'),
+        mapProfile: (info) => {
+            const [firstName, ...rest] = (info.name || '').split(' ');
+            return {
+                providerId: String(info.id),
+                email: info.email,
+                emailVerified: Boolean(info.email_verified),
+                firstName: firstName || undefined,
+                lastName: rest.join(' ') || undefined,
+                pictureUrl: info.avatar_url,
+            };
+        },
+    },
+    facebook: {
+        authorizationUrl: env('facebook', 'AUTHORIZATION_URL', 'https://www.facebook.com/v19.0/dialog/oauth'),
+        tokenUrl: env('facebook', 'TOKEN_URL', 'https://graph.facebook.com/v19.0/oauth/access_token'),
+        userInfoUrl: env('facebook', 'USERINFO_URL', 'https://graph.facebook.com/me?fields=id,email,first_name,last_name,picture'),
+        scope: 'email public_profile',
+        clientId: env('facebook', 'CLIENT_ID'),
+        clientSecret: env('facebook', 'CLIENT_SECRET'),
+        mapProfile: (info) => ({
+            providerId: String(info.id),
+            email: info.email,
+            emailVerified: Boolean(info.email), // Facebook only returns confirmed email addresses
+            firstName: info.first_name,
+            lastName: info.last_name,
+            pictureUrl: info.picture?.data?.url,
+        }),
+    },
+};
+
+/**
+ * Returns the configuration of an enabled provider.
+ * @param {string} name - Provider name ('google', 'github', 'facebook').
+ * @returns {object|null} The provider configuration, or null if unknown or not configured.
+ */
+const getProvider = (name) => {
+    const provider = providers[name];
+    if (!provider || !provider.clientId || !provider.clientSecret) {
+        return null;
+    }
+    return provider;
+};
+
+module.exports = { getProvider };
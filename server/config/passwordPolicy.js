@@ -0,0 +1,31 @@
+const path = require('path');
+
+/**
+ * Password policy applied on registration, password reset and password change.
+ *
+ * Every setting can be overridden from the environment, e.g.
+ *   PASSWORD_MIN_LENGTH=12   PASSWORD_MIN_SYMBOLS=0   PASSWORD_HISTORY_COUNT=10   PASSWORD_BREACH_CHECK=false
+ *
+ * The breached-password list is a directory of k-anonymity style prefix files, in the format of the
+ * Have I Been Pwned range API: `<first 5 hex chars of SHA-1>.txt` holding `<remaining 35 chars>:<count>`
+ * lines. Build or extend it with `npm run breach-list -- build <file>`.
+ */
+
+const intFromEnv = (name, fallback) => {
+    const value = parseInt(process.env[name], 10);
+    return Number.isNaN(value) ? fallback : value;
+};
+
+const passwordPolicy = {
+    minLength: intFromEnv('PASSWORD_MIN_LENGTH', 8),
+    maxLength: intFromEnv('PASSWORD_MAX_LENGTH', 128), // Bounds bcrypt work and request size
+    minLowercase: intFromEnv('PASSWORD_MIN_LOWERCASE', 1),
+    minUppercase: intFromEnv('PASSWORD_MIN_UPPERCASE', 1),
+    minNumbers: intFromEnv('PASSWORD_MIN_NUMBERS', 1),
+    minSymbols: intFromEnv('PASSWORD_MIN_SYMBOLS', 1),
+    historyCount: intFromEnv('PASSWORD_HISTORY_COUNT', 5), // Previous passwords that may not be reused (0 disables)
+    breachCheck: process.env.PASSWORD_BREACH_CHECK !== 'false',
+    breachListDir: process.env.PASSWORD_BREACH_LIST_DIR || path.join(__dirname, '..', 'data', 'breached-passwords'),
+};
+
+module.exports = passwordPolicy;
@@ -0,0 +1,33 @@
+/**
+ * Plan limits (see `limits` in models/Plan.js and services/planUsageService.js).
+ *
+ * A limit of null means unlimited, 0 means the feature is not included in the plan.
+ * `defaultLimits` apply to users without a plan when no plan with the slug 'free' exists, e.g.
+ *   FREE_MAX_PROJECTS=3   FREE_MAX_TRANSACTIONS_PER_MONTH=100   (or =unlimited)
+ */
+
+const limitFromEnv = (name, fallback) => {
+    if (process.env[name] === 'unlimited') {
+        return null;
+    }
+    const value = parseInt(process.env[name], 10);
+    return Number.isNaN(value) ? fallback : value;
+};
+
+const planLimits = {
+    // Limit fields of a plan, with what they count
+    fields: {
+        maxProjects: 'Projects',
+        maxTransactionsPerMonth: 'Transactions per calendar month',
+        apiRateLimit: 'API requests per API key and rate limit window (1 minute by default)',
+    },
+    defaultLimits: {
+        maxProjects: limitFromEnv('FREE_MAX_PROJECTS', 1),
+        maxTransactionsPerMonth: limitFromEnv('FREE_MAX_TRANSACTIONS_PER_MONTH', 50),
+        apiRateLimit: null, // The 'apiKey' group max of config/rateLimits.js applies
+    },
+    // Where a user over a limit can upgrade, included in limit errors
+    upgradeUrl: process.env.PLAN_UPGRADE_URL || 'http://localhost:3000/user-plan',
+};
+
+module.exports = planLimits;
@@ -0,0 +1,70 @@
+/**
+ * Rate limit and slow down settings per route group.
+ *
+ * Every numeric setting can be overridden with RATE_LIMIT_<GROUP>_<SETTING>, e.g.
+ *   RATE_LIMIT_AUTH_MAX=20   RATE_LIMIT_REFRESH_WINDOW_MS=60000   SLOW_DOWN_AUTH_DELAY_AFTER=3
+ *
+ * RATE_LIMIT_STORE selects where counters are kept: 'redis' (shared between server replicas,
+ * survives restarts) or 'memory'. It defaults to 'redis' when REDIS_URL is set.
+ */
+
+// windowMs -> WINDOW_MS
+const toEnvName = (setting) => setting.replace(/([a-z])([A-Z])/g, '$1_$2').toUpperCase();
+
+/**
+ * Applies numeric environment overrides to a settings group.
+ * @param {string} envPrefix - 'RATE_LIMIT' or 'SLOW_DOWN'.
+ * @param {string} group - Group name, e.g. 'auth'.
+ * @param {object} defaults - Default settings.
+ * @returns {object} The effective settings.
+ */
+const withEnvOverrides = (envPrefix, group, defaults) => {
+    const settings = { ...defaults };
+    Object.keys(defaults).forEach((setting) => {
+        if (typeof defaults[setting] !== 'number') return;
+        const value = parseInt(process.env[`${envPrefix}_${group.toUpperCase()}_${toEnvName(setting)}`], 10);
+        if (!Number.isNaN(value)) {
+            settings[setting] = value;
+        }
+    });
+    return settings;
+};
+
+const rateLimits = {
+    // Login, register, password reset and other public auth actions (per IP)
+    auth: withEnvOverrides('RATE_LIMIT', 'auth', {
+        windowMs: 15 * 60 * 1000, // 15 minutes
+        max: 10,                  // Requests per IP within windowMs
+        message: { error: 'Too many attempts from this IP, please try again after 15 minutes.' },
+    }),
+    // Token refreshes: more frequent than auth actions but still bounded
+    refresh: withEnvOverrides('RATE_LIMIT', 'refresh', {
+        windowMs: 5 * 60 * 1000,  // 5 minutes
+        max: 20,
+        message: { error: 'Too many refresh requests, please try again later.' },
+    }),
+    // Requests made with a personal API key (per key; a key's own `rateLimit` overrides max), e.g. RATE_LIMIT_APIKEY_MAX=120
+    apiKey: withEnvOverrides('RATE_LIMIT', 'apiKey', {
+        windowMs: 60 * 1000,      // 1 minute
+        max: 60,
+        message: { error: 'API key rate limit exceeded, please slow down.' },
+    }),
+};
+
+const slowDowns = {
+    // Progressive delay on public auth actions before the hard limit kicks in
+    auth: withEnvOverrides('SLOW_DOWN', 'auth', {
+        windowMs: 15 * 60 * 1000, // 15 minutes
+        delayAfter: 5,            // Start delaying after 5 requests within windowMs
+        delayStepMs: 100,         // Added delay for each request after delayAfter
+        maxDelayMs: 3000,         // Cap the delay at 3 seconds
+    }),
+};
+
+const store = process.env.RATE_LIMIT_STORE || (process.env.REDIS_URL ? 'redis' : 'memory');
+
+module.exports = {
+    rateLimits,
+    slowDowns,
+    store,
+};
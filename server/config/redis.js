@@ -0,0 +1,53 @@
+const Redis = require('ioredis');
+
+// Shared ioredis client (same REDIS_URL as the Next client's lib/redis.js).
+let client = null;
+let lastErrorLogged = false; // Log a connection problem once, not on every retry
+
+/**
+ * Returns the shared ioredis client, creating it on first use.
+ * Commands fail fast while Redis is down (no offline queue) so callers can fall back
+ * instead of stalling requests.
+ * @returns {Redis|null} The client, or null if REDIS_URL is not configured.
+ */
+const getRedis = () => {
+    if (client) {
+        return client;
+    }
+    const redisUrl = process.env.REDIS_URL;
+    if (!redisUrl) {
+        return null;
+    }
+
+    client = new Redis(redisUrl, {
+        // Security: use "rediss://" in REDIS_URL for TLS
+        enableOfflineQueue: false,   // Fail fast if Redis is down
+        maxRetriesPerRequest: 1,     // Don't stall requests
+        connectTimeout: parseInt(process.env.REDIS_CONNECT_TIMEOUT_MS || '10000', 10),
+        retryStrategy: (times) => Math.min(50 * times, 2000), // Keep reconnecting, capped at 2s
+    });
+
+    client.on('ready', () => {
+        lastErrorLogged = false;
+        console.log('Redis connected.');
+    });
+    client.on('error', (err) => {
+        if (!lastErrorLogged) {
+            console.error(`Redis connection error: ${err.message}`);
+            lastErrorLogged = true;
+        }
+    });
+
+    return client;
+};
+
+/**
+ * Checks whether the shared client is connected and can serve commands.
+ * @returns {boolean}
+ */
+const isRedisReady = () => Boolean(client && client.status === 'ready');
+
+module.exports = {
+    getRedis,
+    isRedisReady,
+};
@@ -0,0 +1,17 @@
+/**
+ * Step-up confirmation of sensitive admin actions (see middleware/requireStepUp.js).
+ *
+ *   STEP_UP_MODE=enrolled   Who must confirm with a fresh passkey or authenticator code:
+ *                           'enrolled' - users who have a passkey or authenticator app; others go through
+ *                           'always'   - everyone; users without a second factor must set one up first
+ *                           'off'      - nobody
+ */
+
+const MODES = ['enrolled', 'always', 'off'];
+
+const mode = (process.env.STEP_UP_MODE || 'enrolled').toLowerCase();
+if (!MODES.includes(mode)) {
+    throw new Error(`Invalid STEP_UP_MODE '${process.env.STEP_UP_MODE}'. Expected one of: ${MODES.join(', ')}.`);
+}
+
+module.exports = { mode };
@@ -0,0 +1,20 @@
+/**
+ * Free trials (see `trialDays` in models/Plan.js and services/trialService.js).
+ *
+ *   TRIAL_REMINDER_DAYS=3            Days before a trial ends that the user is reminded by email (0 = no reminder)
+ *   TRIAL_CONVERSION_WINDOW_DAYS=7   Days after a trial ended in which a payment still counts as its conversion
+ */
+
+const daysFromEnv = (name, fallback) => {
+    const value = parseInt(process.env[name], 10);
+    return Number.isNaN(value) || value < 0 ? fallback : value;
+};
+
+const trials = {
+    reminderDays: daysFromEnv('TRIAL_REMINDER_DAYS', 3),
+    conversionWindowDays: daysFromEnv('TRIAL_CONVERSION_WINDOW_DAYS', 7),
+    // Where the reminder email sends the user to subscribe
+    subscribeUrl: process.env.PLAN_UPGRADE_URL || 'http://localhost:3000/user-plan',
+};
+
+module.exports = trials;
@@ -0,0 +1,91 @@
+const { isValidObjectId } = require('mongoose');
+const ApiKey = require('../models/ApiKey');
+const { createApiKey } = require('../services/apiKeyService');
+
+/**
+ * @description Lists the API keys of the current user (never the keys themselves).
+ * @route GET /api/users/api-keys
+ * @access Private
+ */
+const listApiKeys = async (req, res) => {
+    try {
+        const apiKeys = await ApiKey.find({ userId: req.user._id })
+            .select('name prefix scopes rateLimit expiresAt lastUsedAt lastUsedIp revokedAt createdAt')
+            .sort({ createdAt: -1 });
+
+        res.status(200).json({ message: 'API keys fetched successfully.', apiKeys });
+    } catch (error) {
+        console.error('Error fetching API keys:', error);
+        res.status(500).json({ message: 'Error fetching API keys.', error: error.message });
+    }
+};
+
+/**
+ * @description Creates a named, scoped and expiring API key for the current user.
+ * The plain key is only returned in this response; store it somewhere safe.
+ * @route POST /api/users/api-keys
+ * @access Private
+ */
+const createUserApiKey = async (req, res) => {
+    const { name, scopes, expiresInDays, rateLimit } = req.body;
+
+    try {
+        const { apiKey, plainKey } = await createApiKey(req.user._id, { name, scopes, expiresInDays, rateLimit });
+
+        res.status(201).json({
+            message: 'API key created. Copy it now; it will not be shown again.',
+            key: plainKey,
+            apiKey: {
+                _id: apiKey._id,
+                name: apiKey.name,
+                prefix: apiKey.prefix,
+                scopes: apiKey.scopes,
+                rateLimit: apiKey.rateLimit,
+                expiresAt: apiKey.expiresAt,
+                createdAt: apiKey.createdAt,
+            },
+        });
+    } catch (error) {
+        if (error.isOperational) {
+            return res.status(error.statusCode).json({ message: error.message });
+        }
+        console.error('Error creating API key:', error);
+        res.status(500).json({ message: 'Error creating API key.', error: error.message });
+    }
+};
+
+/**
+ * @description Revokes one API key of the current user. It stops working immediately.
+ * @route DELETE /api/users/api-keys/:apiKeyId
+ * @access Private
+ */
+const revokeApiKey = async (req, res) => {
+    const { apiKeyId } = req.params;
+
+    if (!isValidObjectId(apiKeyId)) {
+        return res.status(400).json({ message: 'Invalid API key ID format.' });
+    }
+
+    try {
+        // Scope by userId so a user can only revoke their own keys
+        const { modifiedCount } = await ApiKey.updateOne(
+            { _id: apiKeyId, userId: req.user._id, revokedAt: null },
+            { $set: { revokedAt: new Date() } }
+        );
+
+        if (modifiedCount === 0) {
+            return res.status(404).json({ message: 'API key not found.' });
+        }
+
+        res.status(200).json({ message: 'API key revoked successfully.', apiKeyId });
+    } catch (error) {
+        console.error('Error revoking API key:', error);
+        res.status(500).json({ message: 'Error revoking API key.', error: error.message });
+    }
+};
+
+module.exports = {
+    listApiKeys,
+    createUserApiKey,
+    revokeApiKey,
+};
@@ -1,29 +1,15 @@
 const User = require('../models/User');
 const Token = require('../models/Token');
-const { generateOtp } = require('../utils/otpUtils');
 const { sendNotification } = require('../services/notificationService');
-
-// --- Helper Function to create and save token ---
-const createAndSaveToken = async (userId, type, otpExpiryMinutes) => {
-    // --- Best Practice: Handle Resend ---
-    // Invalidate previous tokens of the same type for this user
-    await Token.deleteMany({ userId, type });
-
-    const otp = generateOtp(6); // Generate a 6-digit OTP
-    const expiresAt = new Date(Date.now() + otpExpiryMinutes * 60 * 1000); // Set expiry
-
-    // IMPORTANT: The 'Token' model's pre-save hook handles hashing the 'otp' value automatically
-    const token = new Token({
-        userId,
-        token: otp, // Store the plain OTP here; it gets hashed before saving
-        type,
-        expiresAt,
-    });
-
-    await token.save();
-
-    return otp; // Return the plain OTP for sending
-};
+const { createAndSaveToken, findValidToken } = require('../services/tokenService');
+const { sendVerificationOtp } = require('../services/emailVerificationService');
+const { sendUnlockOtp, unlockAccount } = require('../services/accountLockoutService');
+const { isReusedPassword } = require('../services/passwordPolicyService');
+const { sendEmailChangeOtp, notifyEmailChanged } = require('../services/emailChangeService');
+const { recordSecurityEvent } = require('../services/securityEventService');
+const { revokeAllAccessTokens } = require('../services/tokenRevocationService');
+const Session = require('../models/Session');
+const UsedRefreshToken = require('../models/UsedRefreshToken');
 
 // --- Request Password Reset ---
 const requestPasswordReset = async (req, res, next) => {
@@ -77,28 +63,23 @@ const resetPassword = async (req, res, next) => {
             return res.status(400).json({ message: 'Email, OTP, and new password are required' });
         }
 
-        const user = await User.findOne({ email });
+        const user = await User.findOne({ email }).select('+password_hash +passwordHistory');
         if (!user) {
             // Although unlikely if they got this far, handle it.
             return res.status(400).json({ message: 'Invalid request.' });
         }
 
-        // Find the most recent password reset token for the user
-        const resetToken = await Token.findOne({
-            userId: user._id,
-            type: 'passwordReset',
-            expiresAt: { $gt: Date.now() } // Check if token hasn't expired
-        }).sort({ createdAt: -1 }); // Get the latest one if multiple somehow exist (shouldn't due to deleteMany)
+        // Find and verify the most recent password reset token for the user
+        const resetToken = await findValidToken(user._id, 'passwordReset', otp);
 
         if (!resetToken) {
             return res.status(400).json({ message: 'Invalid or expired OTP.' });
         }
 
-        // Verify the submitted OTP against the hashed token in the DB
-        const isValidOtp = await resetToken.compareToken(otp); // Use the instance method
-
-        if (!isValidOtp) {
-            return res.status(400).json({ message: 'Invalid or expired OTP.' });
+        // The rest of the password policy ran in the validator; reuse needs the user.
+        // The OTP stays valid so the user can retry with another password.
+        if (await isReusedPassword(user, newPassword)) {
+            return res.status(400).json({ message: 'Please choose a password you have not used recently.', code: 'PASSWORD_REUSED' });
         }
 
         // The User model's pre-save hook should handle hashing the new password
@@ -130,8 +111,312 @@ const resetPassword = async (req, res, next) => {
     }
 };
 
+// --- Verify Email ---
+const verifyEmail = async (req, res, next) => {
+    try {
+        const { email, otp } = req.body;
+
+        if (!email || !otp) {
+            return res.status(400).json({ message: 'Email and OTP are required' });
+        }
+
+        const user = await User.findOne({ email });
+        if (!user) {
+            return res.status(400).json({ message: 'Invalid or expired OTP.' });
+        }
+
+        if (user.isEmailVerified) {
+            return res.status(200).json({ message: 'Email is already verified.' });
+        }
+
+        const verificationToken = await findValidToken(user._id, 'emailVerification', otp);
+
+        if (!verificationToken) {
+            return res.status(400).json({ message: 'Invalid or expired OTP.' });
+        }
+
+        user.isEmailVerified = true;
+        await user.save();
+
+        // --- Best Practice: Invalidate the token immediately after use ---
+        await Token.deleteOne({ _id: verificationToken._id });
+
+        res.status(200).json({ message: 'Email verified successfully.' });
+
+    } catch (error) {
+        console.error("Error in verifyEmail:", error);
+        // Pass error to the central error handler
+        next(error);
+    }
+};
+
+// --- Resend Email Verification ---
+const resendVerification = async (req, res, next) => {
+    try {
+        const { email } = req.body;
+        if (!email) {
+            return res.status(400).json({ message: 'Email is required' });
+        }
+
+        // --- Best Practice: Security through Obscurity ---
+        // Respond the same way whether or not the email exists or is already verified.
+        const user = await User.findOne({ email });
+        if (user && !user.isEmailVerified) {
+            await sendVerificationOtp(user);
+        }
+
+        res.status(200).json({ message: 'If an unverified account with that email exists, a verification OTP has been sent.' });
+
+    } catch (error) {
+        console.error("Error in resendVerification:", error);
+        // Pass error to the central error handler
+        next(error);
+    }
+};
+
+// --- Unlock Account (OTP from the lockout email) ---
+const unlockAccountWithOtp = async (req, res, next) => {
+    try {
+        const { email, otp } = req.body;
+
+        if (!email || !otp) {
+            return res.status(400).json({ message: 'Email and OTP are required' });
+        }
+
+        const user = await User.findOne({ email });
+        if (!user) {
+            return res.status(400).json({ message: 'Invalid or expired OTP.' });
+        }
+
+        const unlockToken = await findValidToken(user._id, 'accountUnlock', otp);
+
+        if (!unlockToken) {
+            return res.status(400).json({ message: 'Invalid or expired OTP.' });
+        }
+
+        // Clears the lock and invalidates the used (and any other) unlock OTP
+        await unlockAccount(req, user._id, 'email');
+
+        res.status(200).json({ message: 'Account unlocked successfully. You can log in again.' });
+
+    } catch (error) {
+        console.error("Error in unlockAccountWithOtp:", error);
+        // Pass error to the central error handler
+        next(error);
+    }
+};
+
+// --- Resend Account Unlock OTP ---
+const requestAccountUnlock = async (req, res, next) => {
+    try {
+        const { email } = req.body;
+        if (!email) {
+            return res.status(400).json({ message: 'Email is required' });
+        }
+
+        // --- Best Practice: Security through Obscurity ---
+        // Respond the same way whether or not the email exists or the account is locked.
+        const user = await User.findOne({ email });
+        if (user && user.isLocked()) {
+            await sendUnlockOtp(user, user.loginSecurity.lockedUntil);
+        }
+
+        res.status(200).json({ message: 'If a locked account with that email exists, an unlock OTP has been sent.' });
+
+    } catch (error) {
+        console.error("Error in requestAccountUnlock:", error);
+        // Pass error to the central error handler
+        next(error);
+    }
+};
+
+// --- Change Password (logged-in user) ---
+const changePassword = async (req, res, next) => {
+    try {
+        const { currentPassword, newPassword } = req.body;
+
+        if (!currentPassword || !newPassword) {
+            return res.status(400).json({ message: 'Current and new password are required' });
+        }
+
+        const user = await User.findById(req.user._id).select('+password_hash +passwordHistory');
+        if (!user) {
+            return res.status(404).json({ message: 'User not found.' });
+        }
+
+        if (!(await user.isPasswordCorrect(currentPassword))) {
+            return res.status(401).json({ message: 'Current password is incorrect.', code: 'INVALID_CURRENT_PASSWORD' });
+        }
+
+        // The rest of the password policy ran in the validator; reuse needs the user.
+        if (await isReusedPassword(user, newPassword)) {
+            return res.status(400).json({ message: 'Please choose a password you have not used recently.', code: 'PASSWORD_REUSED' });
+        }
+
+        // The User model's pre-save hook hashes the new password and records the old one in the history
+        user.password_hash = newPassword;
+        await user.save();
+
+        // Sign out every other device and end all access tokens issued so far.
+        // The current session stays logged in with a fresh token pair.
+        const { modifiedCount } = await Session.revokeAllForUser(user._id, 'password_changed', req.user.sid);
+        await revokeAllAccessTokens(user._id);
+
+        const session = req.user.sid
+            ? await Session.findOne({ _id: req.user.sid, userId: user._id }).select('+refreshToken')
+            : null;
+        let tokens = null;
+        if (session?.isUsable()) {
+            const previousRefreshToken = session.refreshToken;
+            tokens = await user.generateAccessAndRefereshTokens({ session });
+            // A refresh the client started before storing the new pair gets it within the grace period
+            await UsedRefreshToken.create({
+                token: previousRefreshToken,
+                userId: user._id,
+                sessionId: session._id,
+                accessToken: tokens.accessToken,
+            });
+        }
+
+        await recordSecurityEvent({
+            userId: user._id,
+            type: 'password_changed',
+            req,
+            sessionId: req.user.sid,
+            metadata: { revokedSessions: modifiedCount },
+        });
+
+        try {
+            await sendNotification({
+                method: 'email',
+                user: user,
+                subject: 'Your Password Has Been Changed',
+                text: 'Your password for our service has been changed. If you did not do this, reset your password immediately.',
+            });
+        } catch (emailError) {
+            console.error("Failed to send password change confirmation email:", emailError);
+        }
+
+        res.status(200).json({
+            message: 'Password changed successfully. You have been signed out on all other devices.',
+            revokedSessions: modifiedCount,
+            accessToken: tokens?.accessToken,
+            refreshToken: tokens?.refreshToken,
+        });
+
+    } catch (error) {
+        console.error("Error in changePassword:", error);
+        // Pass error to the central error handler
+        next(error);
+    }
+};
+
+// --- Change Email: send an OTP to the new address ---
+const requestEmailChange = async (req, res, next) => {
+    try {
+        const { newEmail, currentPassword } = req.body;
+
+        if (!newEmail || !currentPassword) {
+            return res.status(400).json({ message: 'New email and current password are required' });
+        }
+
+        const user = await User.findById(req.user._id).select('+password_hash');
+        if (!user) {
+            return res.status(404).json({ message: 'User not found.' });
+        }
+
+        if (!(await user.isPasswordCorrect(currentPassword))) {
+            return res.status(401).json({ message: 'Current password is incorrect.', code: 'INVALID_CURRENT_PASSWORD' });
+        }
+        if (newEmail === user.email) {
+            return res.status(400).json({ message: 'This is already your email address.' });
+        }
+        if (await User.exists({ email: newEmail })) {
+            return res.status(409).json({ message: 'This email address is already in use.' });
+        }
+
+        user.pendingEmail = newEmail;
+        await user.save();
+
+        await sendEmailChangeOtp(user, newEmail);
+
+        res.status(200).json({ message: `We sent a confirmation code to ${newEmail}. Enter it to complete the change.` });
+
+    } catch (error) {
+        console.error("Error in requestEmailChange:", error);
+        // Pass error to the central error handler
+        next(error);
+    }
+};
+
+// --- Change Email: confirm with the OTP and swap the address ---
+const confirmEmailChange = async (req, res, next) => {
+    try {
+        const { otp } = req.body;
+
+        if (!otp) {
+            return res.status(400).json({ message: 'OTP is required' });
+        }
+
+        const user = await User.findById(req.user._id).select('+pendingEmail');
+        if (!user || !user.pendingEmail) {
+            return res.status(400).json({ message: 'No email change in progress.' });
+        }
+
+        const changeToken = await findValidToken(user._id, 'emailChange', otp);
+        if (!changeToken) {
+            return res.status(400).json({ message: 'Invalid or expired OTP.' });
+        }
+
+        const oldEmail = user.email;
+        user.email = user.pendingEmail;
+        user.pendingEmail = undefined;
+        user.isEmailVerified = true; // Receiving the OTP proves ownership of the new address
+
+        try {
+            await user.save();
+        } catch (saveError) {
+            if (saveError.code === 11000) { // Taken by another account since the change was requested
+                return res.status(409).json({ message: 'This email address is already in use.' });
+            }
+            throw saveError;
+        }
+
+        // --- Best Practice: Invalidate the token immediately after use ---
+        await Token.deleteMany({ userId: user._id, type: 'emailChange' });
+
+        await recordSecurityEvent({
+            userId: user._id,
+            type: 'email_changed',
+            req,
+            sessionId: req.user.sid,
+            metadata: { oldEmail, newEmail: user.email },
+        });
+
+        try {
+            await notifyEmailChanged(oldEmail, user.email);
+        } catch (emailError) {
+            console.error("Failed to notify the previous email address:", emailError);
+        }
+
+        res.status(200).json({ message: 'Email address changed successfully.', email: user.email });
+
+    } catch (error) {
+        console.error("Error in confirmEmailChange:", error);
+        // Pass error to the central error handler
+        next(error);
+    }
+};
+
 
 module.exports = {
     requestPasswordReset,
-    resetPassword
+    resetPassword,
+    verifyEmail,
+    resendVerification,
+    unlockAccountWithOtp,
+    requestAccountUnlock,
+    changePassword,
+    requestEmailChange,
+    confirmEmailChange
 };
\ No newline at end of file
@@ -0,0 +1,175 @@
+const Coupon = require('../models/Coupon');
+const CouponRedemption = require('../models/CouponRedemption');
+const Plan = require('../models/Plan');
+const { describeCoupon, resolveDiscount, getRedemptionReport } = require('../services/couponService');
+
+// Fields an admin can set on a coupon (timesRedeemed is maintained by the server)
+const COUPON_FIELDS = [
+    'code', 'description', 'discountType', 'percentOff', 'amountOff', 'currency', 'plans',
+    'duration', 'durationInMonths', 'maxRedemptions', 'maxRedemptionsPerUser', 'expiresAt', 'isActive',
+];
+
+const pickCouponFields = body => Object.fromEntries(
+    COUPON_FIELDS.filter(field => body[field] !== undefined).map(field => [field, body[field]])
+);
+
+/**
+ * Sends model validation and duplicate code errors as 400 / 409, others as 500.
+ */
+const sendCouponError = (res, error, message) => {
+    if (error.name === 'ValidationError') {
+        const messages = Object.values(error.errors).map(val => val.message);
+        return res.status(400).json({ message: 'Validation failed', errors: messages });
+    }
+    if (error.code === 11000) {
+        return res.status(409).json({ message: 'A coupon with this code already exists.' });
+    }
+    console.error(`${message}:`, error);
+    res.status(500).json({ message: `${message}.` });
+};
+
+/**
+ * @desc   Create a coupon (Admin only)
+ * @route  POST /api/coupons
+ * @access Private/Admin
+ * @body   { code, discountType, percentOff? | amountOff + currency?, description?, plans?, duration?, durationInMonths?,
+ *           maxRedemptions?, maxRedemptionsPerUser?, expiresAt?, isActive? }
+ */
+const createCoupon = async (req, res) => {
+    try {
+        const coupon = await Coupon.create({ ...pickCouponFields(req.body), createdBy: req.user._id });
+        res.status(201).json({ message: 'Coupon created successfully.', coupon });
+    } catch (error) {
+        sendCouponError(res, error, 'Error creating coupon');
+    }
+};
+
+/**
+ * @desc   List coupons, newest first (Admin only)
+ * @route  GET /api/coupons?active=true|false
+ * @access Private/Admin
+ */
+const listCoupons = async (req, res) => {
+    try {
+        const filter = {};
+        if (req.query.active !== undefined) {
+            filter.isActive = req.query.active === 'true';
+        }
+        const coupons = await Coupon.find(filter).sort({ createdAt: -1 }).populate('plans', 'name slug').select('-__v');
+        res.status(200).json({ message: 'Coupons fetched successfully.', coupons });
+    } catch (error) {
+        console.error('Error fetching coupons:', error);
+        res.status(500).json({ message: 'Server error while fetching coupons.' });
+    }
+};
+
+/**
+ * @desc   Update a coupon (Admin only). Changes apply to orders placed afterwards.
+ * @route  PUT /api/coupons/:couponId
+ * @access Private/Admin
+ */
+const updateCoupon = async (req, res) => {
+    const updates = pickCouponFields(req.body);
+    if (Object.keys(updates).length === 0) {
+        return res.status(400).json({ message: 'No update data provided.' });
+    }
+
+    try {
+        const coupon = await Coupon.findById(req.params.couponId);
+        if (!coupon) {
+            return res.status(404).json({ message: 'Coupon not found.' });
+        }
+        // Loaded and saved (not findByIdAndUpdate) so the checks across fields run
+        coupon.set(updates);
+        await coupon.save();
+        res.status(200).json({ message: 'Coupon updated successfully.', coupon });
+    } catch (error) {
+        sendCouponError(res, error, 'Error updating coupon');
+    }
+};
+
+/**
+ * @desc   Delete a coupon (Admin only). A coupon that was redeemed is deactivated instead,
+ *         to keep its redemption history.
+ * @route  DELETE /api/coupons/:couponId
+ * @access Private/Admin
+ */
+const deleteCoupon = async (req, res) => {
+    try {
+        const coupon = await Coupon.findById(req.params.couponId);
+        if (!coupon) {
+            return res.status(404).json({ message: 'Coupon not found.' });
+        }
+
+        if (await CouponRedemption.exists({ coupon: coupon._id })) {
+            coupon.isActive = false;
+            await coupon.save();
+            return res.status(200).json({ message: 'The coupon was redeemed before, so it was deactivated instead of deleted.', coupon });
+        }
+        await coupon.deleteOne();
+        res.status(200).json({ message: 'Coupon deleted successfully.', deletedCode: coupon.code });
+    } catch (error) {
+        console.error('Error deleting coupon:', error);
+        res.status(500).json({ message: 'Server error while deleting coupon.' });
+    }
+};
+
+/**
+ * @desc   Coupon redemption report: paid orders per coupon, unique users and discount given (Admin only)
+ * @route  GET /api/coupons/report?from=<ISO date>&to=<ISO date>&couponId=<id>
+ * @access Private/Admin
+ */
+const getCouponRedemptionReport = async (req, res) => {
+    try {
+        const { from, to, couponId } = req.query;
+        const report = await getRedemptionReport({
+            from: from ? new Date(from) : undefined,
+            to: to ? new Date(to) : undefined,
+            couponId,
+        });
+        res.status(200).json(report);
+    } catch (error) {
+        console.error('Error building the coupon report:', error);
+        res.status(500).json({ message: 'Server error while building the coupon report.' });
+    }
+};
+
+/**
+ * @desc   Check a coupon code for a plan before placing an order: the discount and the amount to order
+ * @route  GET /api/coupons/preview?code=<code>&planId=<id>
+ * @access Private
+ */
+const previewCoupon = async (req, res) => {
+    try {
+        const plan = await Plan.findById(req.query.planId);
+        if (!plan) {
+            return res.status(404).json({ message: 'Plan not found.' });
+        }
+
+        const { coupon, code, amount } = await resolveDiscount({ user: req.user, plan, code: req.query.code });
+        res.status(200).json({
+            message: `Coupon ${code} applied: ${describeCoupon(coupon)}.`,
+            code,
+            description: describeCoupon(coupon),
+            subtotal: plan.price,
+            discount: amount,
+            total: Math.round((plan.price - amount) * 100) / 100, // The amount to send to POST /api/plans/order
+            currency: plan.currency,
+        });
+    } catch (error) {
+        if (error.isOperational) {
+            return res.status(error.statusCode).json({ message: error.message });
+        }
+        console.error('Error checking coupon:', error);
+        res.status(500).json({ message: 'Server error while checking the coupon.' });
+    }
+};
+
+module.exports = {
+    createCoupon,
+    listCoupons,
+    updateCoupon,
+    deleteCoupon,
+    getCouponRedemptionReport,
+    previewCoupon,
+};
@@ -0,0 +1,104 @@
+const User = require('../models/User');
+const { isValidObjectId } = require('mongoose');
+const { recordSecurityEvent } = require('../services/securityEventService');
+const { revokeAccessToken } = require('../services/tokenRevocationService');
+
+// Lifetime of an impersonation access token; it cannot be refreshed.
+const IMPERSONATION_TOKEN_EXPIRY = process.env.IMPERSONATION_TOKEN_EXPIRY || '15m';
+
+/**
+ * @desc   Start impersonating a user ("login as user") for support.
+ * Returns a short-lived access token of the target user whose `act` claim names the admin.
+ * There is no refresh token and no session; the admin's own session stays untouched.
+ * @route  POST /api/auth/impersonation/:userId
+ * @access Private (Admin only)
+ */
+const startImpersonation = async (req, res) => {
+    const { userId } = req.params;
+    const { reason } = req.body;
+
+    if (!isValidObjectId(userId)) {
+        return res.status(400).json({ message: 'Invalid user ID format.' });
+    }
+    if (req.user.act) {
+        return res.status(403).json({ message: 'Stop the current impersonation first.', code: 'IMPERSONATION_FORBIDDEN' });
+    }
+    if (String(userId) === String(req.user._id)) {
+        return res.status(400).json({ message: 'You cannot impersonate yourself.' });
+    }
+
+    try {
+        const user = await User.findById(userId).populate('planId');
+        if (!user) {
+            return res.status(404).json({ message: 'User not found.' });
+        }
+        if (user.role === 'admin') {
+            return res.status(403).json({ message: 'Admin accounts cannot be impersonated.' });
+        }
+        if (user.isActive === false) {
+            return res.status(403).json({ message: 'This account has been disabled.', code: 'ACCOUNT_DISABLED' });
+        }
+
+        const accessToken = user.generateAccessToken(null, {
+            act: { _id: req.user._id, role: req.user.role, sid: req.user.sid },
+            expiresIn: IMPERSONATION_TOKEN_EXPIRY,
+        });
+
+        await recordSecurityEvent({
+            userId: user._id,
+            type: 'impersonation_started',
+            req,
+            metadata: { adminId: req.user._id, adminSessionId: req.user.sid, reason },
+        });
+
+        res.status(200).json({
+            message: `You are now impersonating ${user.username}.`,
+            accessToken,
+            user: { // Same shape as the login response
+                _id: user._id,
+                username: user.username,
+                email: user.email,
+                role: user.role,
+                plan: user.planId && typeof user.planId === 'object' ? user.planId.slug : (user.subscriptionStatus === 'free' ? 'free' : null),
+                subscriptionStatus: user.subscriptionStatus
+            }
+        });
+
+    } catch (error) {
+        console.error('Error starting impersonation:', error);
+        res.status(500).json({ message: 'Error starting impersonation.', error: error.message });
+    }
+}
+
+/**
+ * @desc   Stop impersonating: revokes the impersonation token used to call this endpoint.
+ * @route  DELETE /api/auth/impersonation
+ * @access Private (Impersonation token only)
+ */
+const stopImpersonation = async (req, res) => {
+    if (!req.user.act) {
+        return res.status(400).json({ message: 'This is not an impersonation session.' });
+    }
+
+    try {
+        await revokeAccessToken(req.user, 'impersonation_stopped');
+
+        await recordSecurityEvent({
+            userId: req.user._id,
+            type: 'impersonation_stopped',
+            req,
+            metadata: { adminId: req.user.act._id, adminSessionId: req.user.act.sid },
+        });
+
+        res.status(200).json({ message: 'Impersonation stopped.' });
+
+    } catch (error) {
+        console.error('Error stopping impersonation:', error);
+        res.status(500).json({ message: 'Error stopping impersonation.', error: error.message });
+    }
+}
+
+module.exports = {
+    startImpersonation,
+    stopImpersonation,
+};
@@ -0,0 +1,211 @@
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const { sendLoginResponse, sendAccountLockedResponse } = require('../utils/authResponse');
+const { registerFailedLogin } = require('../services/accountLockoutService');
+const {
+    generateTotpSecret,
+    useTotp,
+    generateRecoveryCodes,
+    verifySecondFactor,
+    verifyMfaPendingToken,
+} = require('../services/mfaService');
+
+/**
+ * @description Starts TOTP enrolment: generates a pending secret and its otpauth URI.
+ * The secret only becomes active after it is confirmed with a valid code.
+ * @route POST /api/users/mfa/setup
+ * @access Private
+ */
+const setupMfa = async (req, res) => {
+    try {
+        const user = await User.findById(req.user._id);
+
+        if (!user) {
+            return res.status(404).json({ message: 'User not found.' });
+        }
+        if (user.mfa?.enabled) {
+            return res.status(409).json({ message: 'Two-factor authentication is already enabled.' });
+        }
+
+        const { secret, otpauthUrl } = generateTotpSecret(user.email || user.username);
+        user.set('mfa.pendingSecret', secret);
+        await user.save();
+
+        res.status(200).json({
+            message: 'Scan the QR code or enter the secret in your authenticator app, then confirm with a code.',
+            secret,
+            otpauthUrl,
+        });
+    } catch (error) {
+        console.error('Error setting up MFA:', error);
+        res.status(500).json({ message: 'Error setting up two-factor authentication.', error: error.message });
+    }
+};
+
+/**
+ * @description Confirms TOTP enrolment with a code from the authenticator app,
+ * enables MFA and returns the one-time recovery codes (shown only once).
+ * @route POST /api/users/mfa/confirm
+ * @access Private
+ */
+const confirmMfa = async (req, res) => {
+    const { code } = req.body;
+
+    try {
+        const user = await User.findById(req.user._id).select('+mfa.pendingSecret');
+
+        if (!user) {
+            return res.status(404).json({ message: 'User not found.' });
+        }
+        if (!user.mfa?.pendingSecret) {
+            return res.status(400).json({ message: 'No two-factor enrolment in progress. Call /mfa/setup first.' });
+        }
+        if (!(await useTotp(user, code, user.mfa.pendingSecret))) {
+            return res.status(400).json({ message: 'Invalid authentication code.' });
+        }
+
+        const { codes, hashedCodes } = await generateRecoveryCodes();
+
+        user.set('mfa.secret', user.mfa.pendingSecret);
+        user.set('mfa.pendingSecret', undefined);
+        user.set('mfa.recoveryCodes', hashedCodes);
+        user.set('mfa.enabled', true);
+        user.set('mfa.enabledAt', new Date());
+        await user.save();
+
+        res.status(200).json({
+            message: 'Two-factor authentication enabled. Store these recovery codes somewhere safe; they will not be shown again.',
+            recoveryCodes: codes,
+        });
+    } catch (error) {
+        console.error('Error confirming MFA:', error);
+        res.status(500).json({ message: 'Error confirming two-factor authentication.', error: error.message });
+    }
+};
+
+/**
+ * @description Disables MFA. Requires the current password and a valid TOTP or recovery code.
+ * @route POST /api/users/mfa/disable
+ * @access Private
+ */
+const disableMfa = async (req, res) => {
+    const { password, code } = req.body;
+
+    try {
+        const user = await User.findById(req.user._id).select('+password_hash +mfa.secret +mfa.recoveryCodes');
+
+        if (!user) {
+            return res.status(404).json({ message: 'User not found.' });
+        }
+        if (!user.mfa?.enabled) {
+            return res.status(400).json({ message: 'Two-factor authentication is not enabled.' });
+        }
+        if (!(await user.isPasswordCorrect(password))) {
+            return res.status(401).json({ message: 'Invalid credentials.' });
+        }
+        if (!(await verifySecondFactor(user, code))) {
+            return res.status(400).json({ message: 'Invalid authentication code.' });
+        }
+
+        user.set('mfa', { enabled: false });
+        await user.save();
+
+        res.status(200).json({ message: 'Two-factor authentication disabled.' });
+    } catch (error) {
+        console.error('Error disabling MFA:', error);
+        res.status(500).json({ message: 'Error disabling two-factor authentication.', error: error.message });
+    }
+};
+
+/**
+ * @description Replaces all recovery codes with a new set. Requires a valid TOTP code.
+ * @route POST /api/users/mfa/recovery-codes
+ * @access Private
+ */
+const regenerateRecoveryCodes = async (req, res) => {
+    const { code } = req.body;
+
+    try {
+        const user = await User.findById(req.user._id).select('+mfa.secret');
+
+        if (!user) {
+            return res.status(404).json({ message: 'User not found.' });
+        }
+        if (!user.mfa?.enabled) {
+            return res.status(400).json({ message: 'Two-factor authentication is not enabled.' });
+        }
+        if (!(await useTotp(user, code))) {
+            return res.status(400).json({ message: 'Invalid authentication code.' });
+        }
+
+        const { codes, hashedCodes } = await generateRecoveryCodes();
+        user.set('mfa.recoveryCodes', hashedCodes);
+        await user.save();
+
+        res.status(200).json({
+            message: 'Recovery codes regenerated. Previous codes no longer work.',
+            recoveryCodes: codes,
+        });
+    } catch (error) {
+        console.error('Error regenerating recovery codes:', error);
+        res.status(500).json({ message: 'Error regenerating recovery codes.', error: error.message });
+    }
+};
+
+/**
+ * @description Second login step: exchanges the "mfa pending" token from /login and a TOTP
+ * (or one-time recovery) code for the regular access/refresh token pair.
+ * @route POST /api/auth/mfa/verify
+ * @access Public (requires the mfaToken returned by /login)
+ */
+const verifyMfaLogin = async (req, res) => {
+    const { mfaToken, code } = req.body;
+
+    try {
+        let decoded;
+        try {
+            decoded = verifyMfaPendingToken(mfaToken);
+        } catch (error) {
+            if (error instanceof jwt.TokenExpiredError) {
+                return res.status(401).json({ message: 'Two-factor session expired. Please log in again.' });
+            }
+            return res.status(401).json({ message: 'Invalid two-factor session.' });
+        }
+
+        const user = await User.findById(decoded._id)
+            .select('+mfa.secret +mfa.recoveryCodes')
+            .populate('planId');
+
+        if (!user || !user.mfa?.enabled) {
+            return res.status(401).json({ message: 'Invalid two-factor session.' });
+        }
+
+        // The account may have been locked since the first step
+        if (user.isLocked()) {
+            return sendAccountLockedResponse(res, user.loginSecurity.lockedUntil);
+        }
+
+        if (!(await verifySecondFactor(user, code))) {
+            const { locked, lockedUntil } = await registerFailedLogin(req, user, 'mfa');
+            if (locked) {
+                return sendAccountLockedResponse(res, lockedUntil);
+            }
+            return res.status(401).json({ message: 'Invalid authentication code.' });
+        }
+
+        // The used recovery code is removed when the tokens are generated (user.save()).
+        await sendLoginResponse(req, res, user, { mfaVerified: true, method: 'mfa' });
+
+    } catch (error) {
+        console.error('Error verifying MFA login:', error);
+        res.status(500).json({ message: 'Error verifying two-factor authentication.', error: error.message });
+    }
+};
+
+module.exports = {
+    setupMfa,
+    confirmMfa,
+    disableMfa,
+    regenerateRecoveryCodes,
+    verifyMfaLogin,
+};
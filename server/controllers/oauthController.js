@@ -0,0 +1,196 @@
+const User = require('../models/User');
+const { sendLoginResponse, sendAccountLockedResponse } = require('../utils/authResponse');
+const { registerFailedLogin } = require('../services/accountLockoutService');
+const { verifySecondFactor } = require('../services/mfaService');
+const {
+    createState,
+    findState,
+    consumeState,
+    buildAuthorizationUrl,
+    fetchProviderProfile,
+    resolveUserForProfile,
+} = require('../services/oauthService');
+
+// Sends the browser back to the client page with the given query parameters.
+const redirectToClient = (res, redirectUri, params) => {
+    const url = new URL(redirectUri);
+    Object.entries(params).forEach(([key, value]) => {
+        if (value !== undefined && value !== null) url.searchParams.set(key, value);
+    });
+    return res.redirect(url.toString());
+};
+
+/**
+ * Finishes a social login or link once the account is known: enforces the second factor
+ * for MFA-enabled users (without consuming the single-use state, so the client can retry
+ * with a code), then consumes the state and sends the standard login response.
+ */
+const completeOAuthLogin = async (req, res, user, state, otp) => {
+    if (user.mfa?.enabled) {
+        if (!otp) {
+            return res.status(200).json({ message: 'Two-factor authentication required.', mfaRequired: true });
+        }
+        if (!(await verifySecondFactor(user, otp))) {
+            const { locked, lockedUntil } = await registerFailedLogin(req, user, 'mfa');
+            if (locked) {
+                return sendAccountLockedResponse(res, lockedUntil);
+            }
+            return res.status(401).json({ message: 'Invalid authentication code.', code: 'INVALID_MFA_CODE' });
+        }
+    }
+
+    await consumeState(state);
+    await sendLoginResponse(req, res, user, { mfaVerified: Boolean(user.mfa?.enabled), method: 'oauth' });
+};
+
+/**
+ * @description Starts social login: redirects the browser to the provider (authorization code + PKCE).
+ * @route GET /api/users/oauth/:provider/start?redirectUri=<client callback page>
+ * @access Public
+ */
+const startOAuth = async (req, res) => {
+    const { provider } = req.params;
+    const { redirectUri } = req.query;
+
+    try {
+        const authorizationUrl = await buildAuthorizationUrl(provider, redirectUri);
+        res.redirect(authorizationUrl);
+    } catch (error) {
+        if (error.isOperational) {
+            return res.status(error.statusCode).json({ message: error.message });
+        }
+        console.error('Error starting OAuth login:', error);
+        res.status(500).json({ message: 'Error starting social login.' });
+    }
+};
+
+/**
+ * @description Provider callback: exchanges the code, resolves the account and sends the browser back
+ * to the client with either a one-time login `code` or, for an existing email account, a `linkToken`
+ * that requires re-authentication before the identity is linked.
+ * @route GET /api/users/oauth/:provider/callback
+ * @access Public (called by the provider)
+ */
+const oauthCallback = async (req, res) => {
+    const { provider } = req.params;
+    const { code, state: stateHandle, error: providerError } = req.query;
+
+    const state = await findState(stateHandle, 'authorize').catch(() => null);
+    if (!state || state.provider !== provider) {
+        return res.status(400).json({ message: 'Invalid or expired login attempt. Please try again.' });
+    }
+    await consumeState(state);
+
+    if (providerError || !code) {
+        return redirectToClient(res, state.redirectUri, { error: 'access_denied' });
+    }
+
+    try {
+        const profile = await fetchProviderProfile(provider, code, state.codeVerifier);
+        const { user, linkRequired } = await resolveUserForProfile(provider, profile);
+
+        if (linkRequired) {
+            const linkToken = await createState('link', provider, { userId: user._id, profile });
+            return redirectToClient(res, state.redirectUri, { linkToken, provider, email: user.email });
+        }
+
+        const loginCode = await createState('login', provider, { userId: user._id });
+        return redirectToClient(res, state.redirectUri, { code: loginCode });
+    } catch (error) {
+        if (!error.isOperational) {
+            console.error('Error in OAuth callback:', error);
+        }
+        return redirectToClient(res, state.redirectUri, {
+            error: error.statusCode === 409 ? 'account_exists' : 'oauth_failed',
+        });
+    }
+};
+
+/**
+ * @description Exchanges the one-time login code from the callback for the access/refresh token pair.
+ * MFA-enabled users must also send `otp`.
+ * @route POST /api/users/oauth/exchange
+ * @access Public (requires the code from the callback)
+ */
+const exchangeOAuthCode = async (req, res) => {
+    const { code, otp } = req.body;
+
+    try {
+        const state = await findState(code, 'login');
+        if (!state) {
+            return res.status(401).json({ message: 'Invalid or expired login code.' });
+        }
+
+        const user = await User.findById(state.userId)
+            .select('+mfa.secret +mfa.recoveryCodes')
+            .populate('planId');
+        if (!user) {
+            return res.status(401).json({ message: 'Invalid or expired login code.' });
+        }
+
+        // A locked account cannot guess second factors through social login either
+        if (user.mfa?.enabled && user.isLocked()) {
+            return sendAccountLockedResponse(res, user.loginSecurity.lockedUntil);
+        }
+
+        await completeOAuthLogin(req, res, user, state, otp);
+    } catch (error) {
+        console.error('Error exchanging OAuth login code:', error);
+        res.status(500).json({ message: 'Error completing social login.', error: error.message });
+    }
+};
+
+/**
+ * @description Links a social identity to an existing account after re-authenticating with the
+ * account password (and second factor if enabled), then logs the user in.
+ * @route POST /api/users/oauth/link
+ * @access Public (requires the linkToken from the callback)
+ */
+const linkOAuthAccount = async (req, res) => {
+    const { linkToken, password, otp } = req.body;
+
+    try {
+        const state = await findState(linkToken, 'link');
+        if (!state) {
+            return res.status(401).json({ message: 'Invalid or expired link request. Please try again.' });
+        }
+
+        const user = await User.findById(state.userId)
+            .select('+password_hash +mfa.secret +mfa.recoveryCodes')
+            .populate('planId');
+        if (!user) {
+            return res.status(401).json({ message: 'Invalid credentials.' });
+        }
+        // Linking re-authenticates with the password, so it is subject to the same lockout as login
+        if (user.isLocked()) {
+            return sendAccountLockedResponse(res, user.loginSecurity.lockedUntil);
+        }
+        if (!(await user.isPasswordCorrect(password))) {
+            const { locked, lockedUntil } = await registerFailedLogin(req, user);
+            if (locked) {
+                return sendAccountLockedResponse(res, lockedUntil);
+            }
+            return res.status(401).json({ message: 'Invalid credentials.' });
+        }
+
+        user.authProvider = state.provider;
+        user.providerId = state.profile.providerId;
+        user.isEmailVerified = true; // The provider verified ownership of this email
+        if (!user.profilePictureUrl && state.profile.pictureUrl) {
+            user.profilePictureUrl = state.profile.pictureUrl;
+        }
+
+        // The link is saved together with the new session, i.e. only after full re-authentication.
+        await completeOAuthLogin(req, res, user, state, otp);
+    } catch (error) {
+        console.error('Error linking OAuth account:', error);
+        res.status(500).json({ message: 'Error linking social account.', error: error.message });
+    }
+};
+
+module.exports = {
+    startOAuth,
+    oauthCallback,
+    exchangeOAuthCode,
+    linkOAuthAccount,
+};
@@ -0,0 +1,222 @@
+const { isValidObjectId } = require('mongoose');
+const User = require('../models/User');
+const PasskeyCredential = require('../models/PasskeyCredential');
+const { sendLoginResponse } = require('../utils/authResponse');
+const { verifySecondFactor, signStepUpToken } = require('../services/mfaService');
+const {
+    createRegistrationOptions,
+    verifyRegistration,
+    createAuthenticationOptions,
+    verifyAuthentication,
+} = require('../services/webauthnService');
+
+/**
+ * Sends the response for a failed passkey ceremony.
+ * @param {object} res - Express response object.
+ * @param {Error} error - The caught error.
+ * @param {string} logMessage - Log prefix for unexpected errors.
+ * @param {string} message - Response message for unexpected errors.
+ */
+const handlePasskeyError = (res, error, logMessage, message) => {
+    if (error.isOperational) {
+        return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error(logMessage, error);
+    res.status(500).json({ message, error: error.message });
+};
+
+/**
+ * @description Starts passkey registration for the current user.
+ * Returns the WebAuthn creation options for `navigator.credentials.create()` and a challenge ID.
+ * @route POST /api/users/passkeys/register/options
+ * @access Private
+ */
+const getRegistrationOptions = async (req, res) => {
+    try {
+        const user = await User.findById(req.user._id);
+
+        if (!user) {
+            return res.status(404).json({ message: 'User not found.' });
+        }
+
+        const { options, challengeId } = await createRegistrationOptions(user);
+
+        res.status(200).json({ options, challengeId });
+    } catch (error) {
+        handlePasskeyError(res, error, 'Error creating passkey registration options:', 'Error starting passkey registration.');
+    }
+};
+
+/**
+ * @description Completes passkey registration with the authenticator's response.
+ * @route POST /api/users/passkeys/register/verify
+ * @access Private
+ */
+const verifyPasskeyRegistration = async (req, res) => {
+    const { challengeId, response, name } = req.body;
+
+    try {
+        const user = await User.findById(req.user._id);
+
+        if (!user) {
+            return res.status(404).json({ message: 'User not found.' });
+        }
+
+        const passkey = await verifyRegistration(user, challengeId, response, name);
+
+        res.status(201).json({
+            message: 'Passkey registered successfully.',
+            passkey: { _id: passkey._id, name: passkey.name, createdAt: passkey.createdAt },
+        });
+    } catch (error) {
+        handlePasskeyError(res, error, 'Error verifying passkey registration:', 'Error registering passkey.');
+    }
+};
+
+/**
+ * @description Lists the passkeys registered by the current user.
+ * @route GET /api/users/passkeys
+ * @access Private
+ */
+const listPasskeys = async (req, res) => {
+    try {
+        const passkeys = await PasskeyCredential.find({ userId: req.user._id })
+            .select('name deviceType backedUp transports createdAt lastUsedAt')
+            .sort({ createdAt: -1 });
+
+        res.status(200).json({ message: 'Passkeys fetched successfully.', passkeys });
+    } catch (error) {
+        console.error('Error fetching passkeys:', error);
+        res.status(500).json({ message: 'Error fetching passkeys.', error: error.message });
+    }
+};
+
+/**
+ * @description Removes one passkey of the current user.
+ * @route DELETE /api/users/passkeys/:passkeyId
+ * @access Private
+ */
+const deletePasskey = async (req, res) => {
+    const { passkeyId } = req.params;
+
+    if (!isValidObjectId(passkeyId)) {
+        return res.status(400).json({ message: 'Invalid passkey ID format.' });
+    }
+
+    try {
+        // Scope by userId so a user can only remove their own passkeys
+        const { deletedCount } = await PasskeyCredential.deleteOne({ _id: passkeyId, userId: req.user._id });
+
+        if (deletedCount === 0) {
+            return res.status(404).json({ message: 'Passkey not found.' });
+        }
+
+        res.status(200).json({ message: 'Passkey removed successfully.', passkeyId });
+    } catch (error) {
+        console.error('Error removing passkey:', error);
+        res.status(500).json({ message: 'Error removing passkey.', error: error.message });
+    }
+};
+
+/**
+ * @description Starts a passkey login. Any discoverable passkey of this site may answer,
+ * so no username is needed.
+ * @route POST /api/users/passkeys/login/options
+ * @access Public
+ */
+const getLoginOptions = async (req, res) => {
+    try {
+        const { options, challengeId } = await createAuthenticationOptions();
+
+        res.status(200).json({ options, challengeId });
+    } catch (error) {
+        handlePasskeyError(res, error, 'Error creating passkey login options:', 'Error starting passkey login.');
+    }
+};
+
+/**
+ * @description Logs in with a passkey assertion.
+ * A passkey verified with the device PIN or biometrics counts as two factors, so two-factor
+ * users are not asked for an extra code. Passkeys cannot be guessed, so failures do not count
+ * towards the account lockout.
+ * @route POST /api/users/passkeys/login/verify
+ * @access Public (requires a registered passkey)
+ */
+const verifyPasskeyLogin = async (req, res) => {
+    const { challengeId, response } = req.body;
+
+    try {
+        const { credential, userVerified } = await verifyAuthentication(challengeId, response);
+
+        const user = await User.findById(credential.userId).populate('planId');
+        if (!user) {
+            return res.status(401).json({ message: 'Unknown passkey.' });
+        }
+
+        await sendLoginResponse(req, res, user, { mfaVerified: userVerified, method: 'passkey' });
+
+    } catch (error) {
+        handlePasskeyError(res, error, 'Error verifying passkey login:', 'Error logging in.');
+    }
+};
+
+/**
+ * @description Starts a step-up verification with one of the current user's passkeys.
+ * @route POST /api/users/step-up/options
+ * @access Private
+ */
+const getStepUpOptions = async (req, res) => {
+    try {
+        const { options, challengeId } = await createAuthenticationOptions({ _id: req.user._id });
+
+        res.status(200).json({ options, challengeId });
+    } catch (error) {
+        handlePasskeyError(res, error, 'Error creating step-up options:', 'Error starting verification.');
+    }
+};
+
+/**
+ * @description Re-verifies the current user before a sensitive action and returns a short-lived
+ * step-up token for the `X-Step-Up-Token` header. Accepts a passkey assertion (`challengeId` and
+ * `response`) or, for users without passkeys, an authenticator or recovery code (`code`).
+ * @route POST /api/users/step-up/verify
+ * @access Private
+ */
+const verifyStepUp = async (req, res) => {
+    const { challengeId, response, code } = req.body;
+
+    try {
+        let method;
+        if (response) {
+            await verifyAuthentication(challengeId, response, { _id: req.user._id });
+            method = 'passkey';
+        } else if (code) {
+            const user = await User.findById(req.user._id).select('+mfa.secret +mfa.recoveryCodes');
+            if (!user?.mfa?.enabled || !(await verifySecondFactor(user, code))) {
+                return res.status(401).json({ message: 'Invalid authentication code.', code: 'INVALID_MFA_CODE' });
+            }
+            await user.save(); // Persist a consumed recovery code
+            method = 'totp';
+        } else {
+            return res.status(400).json({ message: 'A passkey response or an authentication code is required.' });
+        }
+
+        res.status(200).json({
+            message: 'Verification successful.',
+            stepUpToken: signStepUpToken(req.user, method),
+        });
+    } catch (error) {
+        handlePasskeyError(res, error, 'Error verifying step-up:', 'Error verifying your identity.');
+    }
+};
+
+module.exports = {
+    getRegistrationOptions,
+    verifyPasskeyRegistration,
+    listPasskeys,
+    deletePasskey,
+    getLoginOptions,
+    verifyPasskeyLogin,
+    getStepUpOptions,
+    verifyStepUp,
+};
@@ -0,0 +1,95 @@
+const User = require('../models/User');
+const Token = require('../models/Token');
+const { sendLoginResponse, sendAccountLockedResponse } = require('../utils/authResponse');
+const { findValidToken } = require('../services/tokenService');
+const { sendPasswordlessLogin } = require('../services/passwordlessService');
+const { registerFailedLogin } = require('../services/accountLockoutService');
+const { verifySecondFactor } = require('../services/mfaService');
+
+/**
+ * @description Emails a one-time login code and magic link.
+ * Responds the same way whether or not the account exists.
+ * @route POST /api/auth/passwordless/request
+ * @access Public
+ */
+const requestPasswordlessLogin = async (req, res) => {
+    const { email } = req.body;
+
+    try {
+        // --- Best Practice: Security through Obscurity ---
+        // Don't reveal if the email exists, is disabled or is locked.
+        const user = await User.findOne({ email });
+        if (user && user.isActive !== false && !user.isLocked()) {
+            await sendPasswordlessLogin(user);
+        }
+
+        res.status(200).json({ message: 'If an account with that email exists, a login code has been sent.' });
+
+    } catch (error) {
+        console.error('Error requesting passwordless login:', error);
+        res.status(500).json({ message: 'Error sending login code.', error: error.message });
+    }
+};
+
+/**
+ * @description Logs in with the emailed code (typed in or from the magic link).
+ * Failed codes count towards the account lockout. Users with two-factor authentication must also
+ * send `otp`; without it the response is `mfaRequired` and the emailed code stays valid for the retry.
+ * @route POST /api/auth/passwordless/verify
+ * @access Public (requires the emailed code)
+ */
+const verifyPasswordlessLogin = async (req, res) => {
+    const { email, code, otp } = req.body;
+
+    try {
+        const user = await User.findOne({ email })
+            .select('+mfa.secret +mfa.recoveryCodes')
+            .populate('planId');
+        if (!user) {
+            return res.status(401).json({ message: 'Invalid or expired login code.' });
+        }
+
+        if (user.isLocked()) {
+            return sendAccountLockedResponse(res, user.loginSecurity.lockedUntil);
+        }
+
+        const loginToken = await findValidToken(user._id, 'passwordlessLogin', code);
+        if (!loginToken) {
+            const { locked, lockedUntil } = await registerFailedLogin(req, user, 'passwordless');
+            if (locked) {
+                return sendAccountLockedResponse(res, lockedUntil);
+            }
+            return res.status(401).json({ message: 'Invalid or expired login code.' });
+        }
+
+        if (user.mfa?.enabled) {
+            if (!otp) {
+                return res.status(200).json({ message: 'Two-factor authentication required.', mfaRequired: true });
+            }
+            if (!(await verifySecondFactor(user, otp))) {
+                const { locked, lockedUntil } = await registerFailedLogin(req, user, 'mfa');
+                if (locked) {
+                    return sendAccountLockedResponse(res, lockedUntil);
+                }
+                return res.status(401).json({ message: 'Invalid authentication code.', code: 'INVALID_MFA_CODE' });
+            }
+        }
+
+        // --- Best Practice: Invalidate the token immediately after use ---
+        await Token.deleteOne({ _id: loginToken._id });
+
+        // Receiving the code proves ownership of the email address
+        user.isEmailVerified = true;
+
+        await sendLoginResponse(req, res, user, { mfaVerified: Boolean(user.mfa?.enabled), method: 'passwordless' });
+
+    } catch (error) {
+        console.error('Error verifying passwordless login:', error);
+        res.status(500).json({ message: 'Error logging in.', error: error.message });
+    }
+};
+
+module.exports = {
+    requestPasswordlessLogin,
+    verifyPasswordlessLogin,
+};
@@ -4,12 +4,25 @@ const mongoose = require('mongoose');
 const Payment = require('../models/Payment');
 const Invoice = require('../models/Invoice')
 const { createOrderWithPayment } = require('../utils/order');
+const { getUsageReport } = require('../services/planUsageService');
+const { clearEntitlementCache } = require('../services/entitlementService');
+const { startTrial, recordTrialConversion, getTrialReport } = require('../services/trialService');
+const { resolveDiscount, buildLineItems, redeemCoupon } = require('../services/couponService');
+const { revokeAllAccessTokens } = require('../services/tokenRevocationService');
+const {
+    calculateNextBillingDate,
+    quotePlanChange,
+    requestPlanChange,
+    cancelScheduledPlanChange,
+    findPlanChangeOrder,
+    confirmPlanChangePayment,
+} = require('../services/planChangeService');
 
 /**
  * @desc   Add a new subscription plan (Admin only)
  * @route  POST /api/plans
  * @access Private/Admin
- * @body   { name, slug, description?, price, billingCycle, currency?, features?, limits?, isPublic?, displayOrder?, stripePriceId? }
+ * @body   { name, slug, description?, price, billingCycle, currency?, features?, entitlements?, limits?, trialDays?, isPublic?, displayOrder?, stripePriceId? }
  */
 const addPlan = async (req, res) => {
     // Destructure expected fields from request body
@@ -20,8 +33,10 @@ const addPlan = async (req, res) => {
         price,
         billingCycle,
         features, // Optional, defaults in schema
+        entitlements, // Optional, feature names (config/entitlements.js)
         // currency, // Optional, defaults in schema
-        // limits,   // Optional, defaults in schema
+        limits,   // Optional, unset limits are unlimited
+        trialDays, // Optional, defaults to no trial
         // isPublic, // Optional, defaults in schema
         // displayOrder, // Optional, defaults in schema
         // stripePriceId // Optional
@@ -49,8 +64,10 @@ const addPlan = async (req, res) => {
             price,
             billingCycle,
             features, // Let schema default handle if undefined
+            entitlements, // Let schema default handle if undefined
             // currency, // Let schema default handle if undefined
-            // limits,   // Let schema default handle if undefined
+            limits,   // Let schema default handle if undefined
+            trialDays, // Let schema default handle if undefined
             // isPublic, // Let schema default handle if undefined
             // displayOrder, // Let schema default handle if undefined
             // stripePriceId
@@ -58,6 +75,7 @@ const addPlan = async (req, res) => {
 
         // Save the new plan to the database
         const savedPlan = await newPlan.save();
+        clearEntitlementCache(savedPlan.slug); // The slug may have been cached as unknown
 
         res.status(201).json({ // 201 Created status
             message: 'Plan created successfully.',
@@ -88,7 +106,7 @@ const addPlan = async (req, res) => {
  * @desc   Update a subscription plan identified by its slug in the request body (Admin only)
  * @route  PUT /api/plans  <-- Route no longer needs :slug param
  * @access Private/Admin
- * @body   { targetSlug: string, name?, slug?, description?, price?, billingCycle?, currency?, features?, limits?, isPublic?, displayOrder?, stripePriceId? } - targetSlug identifies the plan, other fields are updates.
+ * @body   { targetSlug: string, name?, slug?, description?, price?, billingCycle?, currency?, features?, entitlements?, limits?, trialDays?, isPublic?, displayOrder?, stripePriceId? } - targetSlug identifies the plan, other fields are updates.
  */
 const updatePlan = async (req, res) => {
     // Get the slug of the plan to update AND the update data from the request body
@@ -157,6 +175,8 @@ const updatePlan = async (req, res) => {
             // This case is less likely given the initial check, but good for robustness
             return res.status(404).json({ message: `Plan with slug '${targetSlug}' not found during update attempt.` });
         }
+        clearEntitlementCache(planToUpdate.slug);
+        clearEntitlementCache(updatedPlan.slug);
 
         res.status(200).json({
             message: 'Plan updated successfully.',
@@ -230,6 +250,7 @@ const deletePlan = async (req, res) => {
         if (!deletedPlan) {
             return res.status(404).json({ message: `Plan with slug '${slug}' not found.` });
         }
+        clearEntitlementCache(deletedPlan.slug);
 
         // Respond with success message
         res.status(200).json({
@@ -246,20 +267,6 @@ const deletePlan = async (req, res) => {
     }
 };
 
-// Helper function to calculate next billing date (simplified)
-const calculateNextBillingDate = (startingDate, billingCycle) => {
-    const now = new Date(startingDate);
-    if (billingCycle === 'monthly') {
-        now.setMonth(now.getMonth() + 1);
-    } else if (billingCycle === 'annually') {
-        now.setFullYear(now.getFullYear() + 1);
-    } else {
-        // For 'free', 'lifetime', or unknown cycles, set no specific end date
-        return null;
-    }
-    return now;
-};
-
 /**
  * @desc   Change the user's current subscription plan
  * @route  POST /api/users/change-plan (Example route, adjust as needed)
@@ -310,8 +317,24 @@ const activatedPlan = async (req, res) => {
         if (user._id.toString() !== payment.userId.toString()) {
             return res.status(403).json({ message: 'This payment not eligible for this user.' }); // 403 Forbidden might be more appropriate
         }
-        if (newPlan.price !== 0 && payment.amount !== newPlan.price) {
-            return res.status(403).json({ message: `This payment ${payment.amount} does not match the plan price ${newPlan.price}.` }); // 403 Forbidden might be more appropriate
+
+        // Self-service plan changes are prorated; the order of the payment holds the period
+        if (await findPlanChangeOrder(payment)) {
+            if (payment.planId?.toString() !== newPlanId) {
+                return res.status(403).json({ message: 'This payment is for a different plan.' });
+            }
+            const { applied } = await confirmPlanChangePayment(payment);
+            return res.status(200).json({
+                message: applied
+                    ? 'Payment confirmed and plan change applied.'
+                    : 'Payment confirmed. The plan changes at the end of the current period.',
+            });
+        }
+        // A coupon discount placed with the order is part of the price
+        const discountAmount = payment.discount?.amount || 0;
+        const expectedAmount = Math.round((newPlan.price - discountAmount) * 100) / 100;
+        if (newPlan.price !== 0 && payment.amount !== expectedAmount) {
+            return res.status(403).json({ message: `This payment ${payment.amount} does not match the plan price ${newPlan.price}${discountAmount ? ` less the discount ${discountAmount}` : ''}.` }); // 403 Forbidden might be more appropriate
         }
 
 
@@ -329,10 +352,16 @@ const activatedPlan = async (req, res) => {
             subscriptionStartinDate = new Date(); // Start from now
         }
 
+        // Counts the coupon of the order; refused (payment left pending) if it has run out meanwhile
+        await redeemCoupon(payment);
+
         // --- Update User Subscription Details ---
 
+        // The new subscription replaces a plan change scheduled from the previous one
+        await cancelScheduledPlanChange(user);
+
         user.planId = newPlan._id;
-        // Determine status based on price (adjust if trials are implemented)
+        // Determine status based on price (trials are started with POST /api/plans/start-trial)
         user.subscriptionStatus = newPlan.price === 0 ? 'free' : 'active';
         user.subscriptionStartDate = subscriptionStartinDate;
         // Calculate next billing date based on the *current time* as the start
@@ -347,14 +376,22 @@ const activatedPlan = async (req, res) => {
             amount: payment.amount,
             currency: payment.currency,
             status: 'paid',
+            lineItems: buildLineItems(newPlan, payment.discount),
+            discount: payment.discount?.coupon
+                ? { coupon: payment.discount.coupon, code: payment.discount.code, amount: payment.discount.amount }
+                : undefined,
             subscriptionStartDate: user.subscriptionStartDate,
             subscriptionEndDate: user.subscriptionEndDate,
         });
         
         // Save the updated user document
         await user.save();
+        await revokeAllAccessTokens(user._id); // Access tokens carry the old plan; clients refresh to get the new one
         await payment.updateOne({ status: 'succeeded' }); // Mark
         await invoice.save();
+        if (newPlan.price > 0) {
+            await recordTrialConversion({ userId: user._id, planId: newPlan._id, paymentId: payment._id });
+        }
 
         // --- Prepare and Send Response ---
         // Construct response using the already fetched newPlan details
@@ -377,6 +414,9 @@ const activatedPlan = async (req, res) => {
         });
 
     } catch (error) {
+        if (error.isOperational) {
+            return res.status(error.statusCode).json({ message: error.message });
+        }
         // Handle potential database errors during find or save
         if (error.name === 'ValidationError') {
             const messages = Object.values(error.errors).map(val => val.message);
@@ -405,12 +445,186 @@ const getSubscriptionDetails = async (req, res) => {
             startDate: user.subscriptionStartDate,
             endDate: user.subscriptionEndDate,
             trialEndsAt: user.trialEndsAt,
+            scheduledPlanChange: user.scheduledPlanChange?.planId ? user.scheduledPlanChange : null,
         });
     } catch (error) {
         res.status(500).json({ message: 'Server error' });
     }
 };
 
+/**
+ * @desc   Get current user's usage against the limits of their plan
+ * @route  GET /api/plans/my-usage
+ * @access Private
+ */
+const getMyUsage = async (req, res) => {
+    try {
+        const report = await getUsageReport(req.user._id);
+        res.status(200).json({ message: 'Usage fetched successfully.', ...report });
+    } catch (error) {
+        if (error.isOperational) {
+            return res.status(error.statusCode).json({ message: error.message });
+        }
+        console.error('Error fetching plan usage:', error);
+        res.status(500).json({ message: 'Server error while fetching plan usage.' });
+    }
+};
+
+/**
+ * Sends the error of a plan change: expected refusals (AppError) as-is, others as 500.
+ */
+const sendPlanChangeError = (res, error, message) => {
+    if (error.isOperational) {
+        return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error(`${message}:`, error);
+    res.status(500).json({ message: `${message}.` });
+};
+
+/**
+ * Loads the current user (plan populated) and the target plan of a plan change.
+ * @returns {Promise<{user: object|null, plan: object|null}>}
+ */
+const loadPlanChange = async (userId, planId) => {
+    const [user, plan] = await Promise.all([
+        User.findById(userId).populate('planId'),
+        Plan.findById(planId),
+    ]);
+    return { user, plan };
+};
+
+/**
+ * @desc   Preview a change of the current user's plan: direction, prorated credit and charge,
+ *         amount due and when the change takes effect
+ * @route  GET /api/plans/change-plan/quote?planId=<id>
+ * @access Private
+ */
+const getPlanChangeQuote = async (req, res) => {
+    try {
+        const { user, plan } = await loadPlanChange(req.user._id, req.query.planId);
+        if (!user) {
+            return res.status(404).json({ message: 'User not found.' });
+        }
+        if (!plan) {
+            return res.status(404).json({ message: 'Plan not found.' });
+        }
+
+        res.status(200).json({ message: 'Plan change quote.', quote: await quotePlanChange(user, plan) });
+    } catch (error) {
+        sendPlanChangeError(res, error, 'Error computing the plan change');
+    }
+};
+
+/**
+ * @desc   Change the current user's plan. Upgrades apply once the prorated amount is paid
+ *         (right away if nothing is due); downgrades are scheduled for the end of the paid period.
+ *         Creates an order, a payment (purpose plan_upgrade / plan_downgrade) and an adjusting invoice.
+ * @route  POST /api/plans/change-plan
+ * @access Private
+ * @body   { planId, paymentGateway? } - paymentGateway is required when an amount is due
+ */
+const changeMyPlan = async (req, res) => {
+    const { planId, paymentGateway } = req.body;
+
+    try {
+        const { user, plan } = await loadPlanChange(req.user._id, planId);
+        if (!user) {
+            return res.status(404).json({ message: 'User not found.' });
+        }
+        if (!plan) {
+            return res.status(404).json({ message: 'Plan not found.' });
+        }
+
+        const { status, quote, order, payment, invoice } = await requestPlanChange(user, plan, { paymentGateway });
+        const messages = {
+            applied: 'Your plan has been changed.',
+            scheduled: `Your plan will change to ${plan.name} at the end of the current period.`,
+            payment_required: `Please pay ${quote.amount} ${quote.currency} to complete the change to ${plan.name}.`,
+        };
+        res.status(status === 'payment_required' ? 202 : 200).json({
+            message: messages[status],
+            status,
+            quote,
+            orderId: order.orderID,
+            paymentId: payment._id,
+            invoiceNumber: invoice?.invoiceNumber || null,
+        });
+    } catch (error) {
+        sendPlanChangeError(res, error, 'Error changing the plan');
+    }
+};
+
+/**
+ * @desc   Cancel the current user's scheduled plan change (downgrade)
+ * @route  DELETE /api/plans/change-plan
+ * @access Private
+ */
+const cancelMyPlanChange = async (req, res) => {
+    try {
+        const user = await User.findById(req.user._id);
+        if (!user) {
+            return res.status(404).json({ message: 'User not found.' });
+        }
+        if (!(await cancelScheduledPlanChange(user))) {
+            return res.status(404).json({ message: 'No plan change is scheduled.' });
+        }
+        res.status(200).json({ message: 'The scheduled plan change was cancelled.' });
+    } catch (error) {
+        sendPlanChangeError(res, error, 'Error cancelling the plan change');
+    }
+};
+
+/**
+ * @desc   Start a free trial of a plan (once per plan, only without a paid subscription)
+ * @route  POST /api/plans/start-trial
+ * @access Private
+ * @body   { planId }
+ */
+const startMyTrial = async (req, res) => {
+    try {
+        const { user, plan } = await loadPlanChange(req.user._id, req.body.planId);
+        if (!user) {
+            return res.status(404).json({ message: 'User not found.' });
+        }
+        if (!plan) {
+            return res.status(404).json({ message: 'Plan not found.' });
+        }
+
+        const trial = await startTrial(user, plan);
+        res.status(201).json({
+            message: `Your ${plan.trialDays}-day free trial of ${plan.name} has started.`,
+            trial: {
+                _id: trial._id,
+                plan: { _id: plan._id, name: plan.name, slug: plan.slug },
+                startedAt: trial.startedAt,
+                endsAt: trial.endsAt,
+            },
+        });
+    } catch (error) {
+        sendPlanChangeError(res, error, 'Error starting the free trial');
+    }
+};
+
+/**
+ * @desc   Trial conversion report: trials started in a period per plan, with how many converted
+ *         to a paid subscription, expired or are still running
+ * @route  GET /api/plans/trials/report?from=<ISO date>&to=<ISO date>
+ * @access Private/Admin
+ */
+const getTrialConversionReport = async (req, res) => {
+    try {
+        const { from, to } = req.query;
+        const report = await getTrialReport({
+            from: from ? new Date(from) : undefined,
+            to: to ? new Date(to) : undefined,
+        });
+        res.status(200).json(report);
+    } catch (error) {
+        console.error('Error building the trial report:', error);
+        res.status(500).json({ message: 'Server error while building the trial report.' });
+    }
+};
+
 
 /**
  * Express middleware to process payments based on the method specified in the request body.
@@ -449,7 +663,6 @@ const manualPaymentSubmit = async (req, res) => {
     });
 };
 
-
 /**
  * @desc   Get payment records based on status
  * @route  GET /api/payments?status=<status_value>&page=<page_number>&limit=<limit_value>
@@ -551,6 +764,9 @@ const paymentMethods = {
     'stripe': processStripePayment,
 };
 
+// Purposes of orders placed for a plan; plan changes are ordered with POST /api/plans/change-plan
+const ORDER_PURPOSES = ['subscription_initial', 'subscription_renewal'];
+
 const placeOrder = async (req, res) => {
     try {
         const {
@@ -559,15 +775,20 @@ const placeOrder = async (req, res) => {
             paymentGateway,
             paymentMethodDetails,
             purpose,
-            planId
+            planId,
+            couponCode // Optional promotion code
         } = req.body;
 
         const userId = req.user._id
 
         // --- Basic Input Validation (Optional but Recommended) ---
-        if (!userId || !amount || !currency || !paymentGateway || !paymentMethodDetails || !purpose || !planId) {
+        // amount may be 0 with a 100% coupon
+        if (!userId || amount === undefined || !currency || !paymentGateway || !paymentMethodDetails || !purpose || !planId) {
             return res.status(400).json({ message: 'Missing required order fields.' });
         }
+        if (!ORDER_PURPOSES.includes(purpose)) {
+            return res.status(400).json({ message: `Invalid order purpose. Expected one of: ${ORDER_PURPOSES.join(', ')}.` });
+        }
 
         // Validate ObjectIds if provided
         if (!mongoose.Types.ObjectId.isValid(userId)) {
@@ -583,22 +804,37 @@ const placeOrder = async (req, res) => {
             return res.status(404).json({ message: `Plan with ID '${planId}' not found.` });
         }
 
-        if (plan.price !== amount) {
-            return res.status(400).json({ message: `Plan price ${plan.price} does not match the order amount ${amount}.` });
+        // The entered coupon, or the continued discount of an earlier one
+        const user = await User.findById(userId).select('discount');
+        const discount = await resolveDiscount({ user: user || req.user, plan, code: couponCode });
+        const discountData = discount
+            ? { coupon: discount.coupon._id, code: discount.code, amount: discount.amount, recurring: discount.recurring }
+            : undefined;
+        const total = Math.round((plan.price - (discount?.amount || 0)) * 100) / 100;
+
+        if (total !== amount) {
+            return res.status(400).json({
+                message: discount
+                    ? `Order amount ${amount} does not match the plan price ${plan.price} less the ${discount.code} discount ${discount.amount} (${total}).`
+                    : `Plan price ${plan.price} does not match the order amount ${amount}.`
+            });
         }
 
         // --- Create and Save Order Document ---
         const orderData = {
             user: userId,
             plan: planId,
-            amount: plan.price,
+            amount: total,
+            subtotal: plan.price,
+            discount: discountData,
             currency: currency.toUpperCase(),
         };
 
         const paymentData = {
             userId: userId,
             planId: planId,
-            amount: plan.price,
+            amount: total,
+            discount: discountData,
             currency: currency.toUpperCase(),
             paymentGateway: paymentGateway.toLowerCase(),
             purpose,
@@ -617,6 +853,9 @@ const placeOrder = async (req, res) => {
         paymentFunction(req, res, order, payment)
 
     } catch (error) {
+        if (error.isOperational) { // e.g. a coupon that cannot be applied
+            return res.status(error.statusCode).json({ message: error.message });
+        }
         // The error thrown from the service will be caught here.
         res.status(500).json({ message: error.message || 'An internal server error occurred.' });
     }
@@ -629,6 +868,12 @@ module.exports = {
     deletePlan,
     activatedPlan,
     getSubscriptionDetails,
+    getMyUsage,
+    getPlanChangeQuote,
+    changeMyPlan,
+    cancelMyPlanChange,
+    startMyTrial,
+    getTrialConversionReport,
     getAllPlans,
     getPaymentsByStatus,
     manualPaymentSubmit,
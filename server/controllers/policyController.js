@@ -0,0 +1,208 @@
+const { getEnforcer, listPolicies, addRule, removeRule, replaceAllRules } = require('../services/casbin');
+const { explainDecision, buildPermissionMatrix, formatMatrixMarkdown } = require('../services/policySimulator');
+const { RESOURCES, loadResource, getResourceAttributes } = require('../services/resourceResolver');
+const User = require('../models/User');
+const { getAllPlanEntitlements } = require('../services/entitlementService');
+const { recordSecurityEvent } = require('../services/securityEventService');
+
+/**
+ * Records a policy change in the acting admin's security history.
+ * @param {object} req - Express request.
+ * @param {object} metadata - What changed.
+ */
+const recordPolicyChange = (req, metadata) => recordSecurityEvent({
+    userId: req.user._id,
+    type: 'policy_changed',
+    req,
+    sessionId: req.user.sid,
+    metadata,
+});
+
+/**
+ * Sends the error of a policy operation: validation / read-only errors as-is, others as 500.
+ */
+const sendPolicyError = (res, error, message) => {
+    if (error.isOperational) {
+        return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error(`${message}:`, error);
+    res.status(500).json({ message: `${message}.`, error: error.message });
+};
+
+/**
+ * @desc   List all authorization policies and role assignments, with the field names from model.conf
+ * @route  GET /api/auth/policies
+ * @access Private (Admin only)
+ */
+const getPolicies = async (req, res) => {
+    try {
+        const { fields, policies, roles } = await listPolicies();
+        res.status(200).json({ message: 'Policies fetched successfully.', fields, policies, roles });
+    } catch (error) {
+        sendPolicyError(res, error, 'Error fetching policies');
+    }
+};
+
+/**
+ * Builds the add/remove handlers of a rule type.
+ * @param {'p'|'g'} ptype - 'p' for permission rules, 'g' for role assignments.
+ * @param {string} label - Name used in messages.
+ */
+const ruleHandlers = (ptype, label) => ({
+    add: async (req, res) => {
+        try {
+            const added = await addRule(ptype, req.body);
+            if (!added) {
+                return res.status(409).json({ message: `This ${label} already exists.` });
+            }
+            await recordPolicyChange(req, { action: 'add', ptype, rule: req.body });
+            res.status(201).json({ message: `The ${label} was added.` });
+        } catch (error) {
+            sendPolicyError(res, error, `Error adding the ${label}`);
+        }
+    },
+    remove: async (req, res) => {
+        try {
+            const removed = await removeRule(ptype, req.body);
+            if (!removed) {
+                return res.status(404).json({ message: `This ${label} does not exist.` });
+            }
+            await recordPolicyChange(req, { action: 'remove', ptype, rule: req.body });
+            res.status(200).json({ message: `The ${label} was removed.` });
+        } catch (error) {
+            sendPolicyError(res, error, `Error removing the ${label}`);
+        }
+    },
+});
+
+const policyHandlers = ruleHandlers('p', 'policy');
+const roleHandlers = ruleHandlers('g', 'role assignment');
+
+/**
+ * @desc   Add a policy { sub, dom, obj, act, eft? }
+ * @route  POST /api/auth/policies
+ * @access Private (Admin only, step-up)
+ */
+const addPolicy = policyHandlers.add;
+
+/**
+ * @desc   Remove a policy { sub, dom, obj, act, eft? }
+ * @route  DELETE /api/auth/policies
+ * @access Private (Admin only, step-up)
+ */
+const removePolicy = policyHandlers.remove;
+
+/**
+ * @desc   Assign a role { user, role }
+ * @route  POST /api/auth/policies/roles
+ * @access Private (Admin only, step-up)
+ */
+const addRoleAssignment = roleHandlers.add;
+
+/**
+ * @desc   Remove a role assignment { user, role }
+ * @route  DELETE /api/auth/policies/roles
+ * @access Private (Admin only, step-up)
+ */
+const removeRoleAssignment = roleHandlers.remove;
+
+/**
+ * @desc   Replace all policies and role assignments { policies: [...], roles: [...] }.
+ *         Nothing changes unless every rule is valid.
+ * @route  PUT /api/auth/policies
+ * @access Private (Admin only, step-up)
+ */
+const replacePolicies = async (req, res) => {
+    const { policies, roles } = req.body;
+
+    try {
+        const counts = await replaceAllRules(policies, roles);
+        await recordPolicyChange(req, { action: 'replace', ...counts });
+        res.status(200).json({ message: 'Policies replaced successfully.', ...counts });
+    } catch (error) {
+        sendPolicyError(res, error, 'Error replacing policies');
+    }
+};
+
+/**
+ * @desc   Simulate an authorization decision and explain it: the allowing policy (if any) and how
+ *         each policy of the caller's roles matched. Query: resource, action, and either
+ *         role + plan or userId (role and plan taken from that user). Optional: ownerId, or
+ *         resourceId to take the owner from a stored document; without them the caller is the owner.
+ *         The response includes the features of the plan; with `feature` (e.g. info.business) it
+ *         also tells whether requireFeature() lets the caller through and which plans include it.
+ *         resource and action may be left out when a feature is given.
+ * @route  GET /api/auth/policies/explain
+ * @access Private (Admin only)
+ */
+const explainPolicyDecision = async (req, res) => {
+    const { resource, action, userId, resourceId, feature } = req.query;
+    let { role, plan, ownerId } = req.query;
+
+    try {
+        if (!feature && !(resource && action)) {
+            return res.status(400).json({ message: 'Provide resource and action, or a feature.' });
+        }
+        if (userId) {
+            const user = await User.findById(userId).populate('planId');
+            if (!user) {
+                return res.status(404).json({ message: 'User not found.' });
+            }
+            role = role || user.role;
+            plan = plan || user.getPlanSlug();
+        }
+        if (!role || !plan) {
+            return res.status(400).json({ message: 'Provide role and plan, or a userId.' });
+        }
+
+        if (resourceId) {
+            if (!RESOURCES[resource]) {
+                return res.status(400).json({ message: `resourceId is only supported for: ${Object.keys(RESOURCES).join(', ')}.` });
+            }
+            const doc = await loadResource(resource, resourceId);
+            if (!doc) {
+                return res.status(404).json({ message: 'Resource not found.' });
+            }
+            ownerId = getResourceAttributes(resource, doc).ownerId;
+        }
+
+        const enforcer = await getEnforcer();
+        const planEntitlements = await getAllPlanEntitlements();
+        const explanation = await explainDecision(enforcer, { role, plan, resource, action, userId, ownerId, feature }, planEntitlements);
+        res.status(200).json({ message: `Access ${explanation.allowed ? 'allowed' : 'denied'}.`, ...explanation });
+    } catch (error) {
+        sendPolicyError(res, error, 'Error explaining the decision');
+    }
+};
+
+/**
+ * @desc   Permission matrix of the loaded policies: per role and plan, what each action on each
+ *         resource gives ('allow', 'own' = only the caller's records, 'deny'), for every stored
+ *         plan, and the features (entitlements) each role gets on it.
+ *         Query: format=json (default) | markdown
+ * @route  GET /api/auth/policies/matrix
+ * @access Private (Admin only)
+ */
+const getPermissionMatrix = async (req, res) => {
+    try {
+        const enforcer = await getEnforcer();
+        const result = await buildPermissionMatrix(enforcer, { planEntitlements: await getAllPlanEntitlements() });
+        if (req.query.format === 'markdown') {
+            return res.status(200).type('text/markdown').send(formatMatrixMarkdown(result));
+        }
+        res.status(200).json({ message: 'Permission matrix built successfully.', ...result });
+    } catch (error) {
+        sendPolicyError(res, error, 'Error building the permission matrix');
+    }
+};
+
+module.exports = {
+    getPolicies,
+    addPolicy,
+    removePolicy,
+    addRoleAssignment,
+    removeRoleAssignment,
+    replacePolicies,
+    explainPolicyDecision,
+    getPermissionMatrix,
+};
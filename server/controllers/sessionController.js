@@ -0,0 +1,86 @@
+const Session = require('../models/Session');
+const { isValidObjectId } = require('mongoose');
+
+/**
+ * @description Lists the active sessions (logged-in devices) of the current user.
+ * @route GET /api/users/sessions
+ * @access Private
+ */
+const listSessions = async (req, res) => {
+    try {
+        const sessions = await Session.findActiveByUser(req.user._id)
+            .select('deviceLabel ipAddress userAgent createdAt lastUsedAt expiresAt');
+
+        res.status(200).json({
+            message: 'Active sessions fetched successfully.',
+            sessions: sessions.map(session => ({
+                ...session.toObject(),
+                current: session._id.toString() === req.user.sid?.toString(),
+            })),
+        });
+    } catch (error) {
+        console.error('Error fetching sessions:', error);
+        res.status(500).json({ message: 'Error fetching sessions.', error: error.message });
+    }
+};
+
+/**
+ * @description Revokes one session of the current user (e.g. "sign out that laptop").
+ * @route DELETE /api/users/sessions/:sessionId
+ * @access Private
+ */
+const revokeSession = async (req, res) => {
+    const { sessionId } = req.params;
+
+    if (!isValidObjectId(sessionId)) {
+        return res.status(400).json({ message: 'Invalid session ID format.' });
+    }
+
+    try {
+        // Scope by userId so a user can only revoke their own sessions
+        const session = await Session.findOne({ _id: sessionId, userId: req.user._id, revokedAt: null });
+
+        if (!session) {
+            return res.status(404).json({ message: 'Session not found.' });
+        }
+
+        await session.revoke('user_revoked');
+
+        res.status(200).json({ message: 'Session revoked successfully.', sessionId });
+    } catch (error) {
+        console.error('Error revoking session:', error);
+        res.status(500).json({ message: 'Error revoking session.', error: error.message });
+    }
+};
+
+/**
+ * @description Revokes all sessions of the current user.
+ * Pass `?keepCurrent=true` to keep the calling session signed in.
+ * @route DELETE /api/users/sessions
+ * @access Private
+ */
+const revokeAllSessions = async (req, res) => {
+    const keepCurrent = req.query.keepCurrent === 'true';
+
+    try {
+        const result = await Session.revokeAllForUser(
+            req.user._id,
+            'logout_all',
+            keepCurrent ? req.user.sid : null
+        );
+
+        res.status(200).json({
+            message: keepCurrent ? 'All other sessions revoked successfully.' : 'All sessions revoked successfully.',
+            revokedCount: result.modifiedCount,
+        });
+    } catch (error) {
+        console.error('Error revoking sessions:', error);
+        res.status(500).json({ message: 'Error revoking sessions.', error: error.message });
+    }
+};
+
+module.exports = {
+    listSessions,
+    revokeSession,
+    revokeAllSessions,
+};
@@ -1,5 +1,17 @@
 const User = require('../models/User');
 const UsedRefreshToken = require('../models/UsedRefreshToken');
+const Session = require('../models/Session');
+const LoginHistory = require('../models/LoginHistory');
+const { sendLoginResponse, sendAccountLockedResponse, refuseUnverifiedLogin } = require('../utils/authResponse');
+const { recordLoginAttempt, registerFailedLogin, unlockAccount } = require('../services/accountLockoutService');
+const { signMfaPendingToken } = require('../services/mfaService');
+const { recordSecurityEvent } = require('../services/securityEventService');
+const { sendNotification } = require('../services/notificationService');
+const { sendVerificationOtp } = require('../services/emailVerificationService');
+const { revokeAccessToken, revokeSessionAccessTokens, revokeAllAccessTokens } = require('../services/tokenRevocationService');
+const { saveAvatar, removeAvatar } = require('../services/avatarStorageService');
+const { getUserEntitlements } = require('../services/entitlementService');
+const { features: knownFeatures } = require('../config/entitlements');
 const jwt = require('jsonwebtoken');
 const { isValidObjectId } = require('mongoose');
 
@@ -37,7 +49,20 @@ const registerUser = async (req, res) => {
 
         await newUser.save(); // Pre-save hook will hash password
 
-        res.status(201).json({ message: 'User registered successfully.' });
+        // Send the email verification OTP. A failed email must not fail the registration;
+        // the user can request a new OTP via /resend-verification.
+        let verificationSent = false;
+        try {
+            verificationSent = await sendVerificationOtp(newUser);
+        } catch (verificationError) {
+            console.error('Failed to send email verification OTP:', verificationError);
+        }
+
+        res.status(201).json({
+            message: verificationSent
+                ? 'User registered successfully. Please check your email to verify your account.'
+                : 'User registered successfully.',
+        });
     } catch (error) {
         // console.error('Error registering user:', error);
         if (error.code === 11000) { // Handle duplicate key error from MongoDB
@@ -65,36 +90,52 @@ const loginUser = async (req, res) => {
         // Populate 'planId' as it's used by model methods for token generation/subscription checks.
         const user = await User.findOne({
             $or: [{ username: identifier }, { email: identifier }]
-        }).select('+password_hash +refreshToken').populate('planId'); //
+        }).select('+password_hash').populate('planId'); //
 
         if (!user) {
             return res.status(404).json({ message: 'Invalid credentials.' }); //
         }
 
+        // Refuse locked accounts before checking the password, so guesses are not evaluated at all
+        if (user.isLocked()) {
+            await recordLoginAttempt(req, user, { success: false, failureReason: 'account_locked' });
+            return sendAccountLockedResponse(res, user.loginSecurity.lockedUntil);
+        }
+
         // Verify password using the instance method from User model
         const isMatch = await user.isPasswordCorrect(password);
 
         if (!isMatch) {
+            // Counted per account, so attempts spread over many IPs still lead to a lockout
+            const { locked, lockedUntil } = await registerFailedLogin(req, user);
+            if (locked) {
+                return sendAccountLockedResponse(res, lockedUntil);
+            }
             return res.status(401).json({ message: 'Invalid credentials.' }); //
         }
 
-        // Passwords match, generate tokens using the instance method
-        // This model method also handles subscription checks and saving the refresh token.
-        const { accessToken, refreshToken } = await user.generateAccessAndRefereshTokens();
+        // Accounts deactivated by an admin cannot log in
+        if (user.isActive === false) {
+            await recordLoginAttempt(req, user, { success: false, failureReason: 'account_disabled' });
+            return res.status(403).json({ message: 'This account has been disabled.', code: 'ACCOUNT_DISABLED' });
+        }
 
-        res.status(200).json({
-            message: 'Login successful.',
-            accessToken,
-            refreshToken,
-            user: { // Send back non-sensitive user info
-                _id: user._id,
-                username: user.username,
-                email: user.email,
-                role: user.role,
-                plan: user.planId && typeof user.planId === 'object' ? user.planId.slug : (user.subscriptionStatus === 'free' ? 'free' : null),
-                subscriptionStatus: user.subscriptionStatus
-            }
-        });
+        // Block login for unverified email addresses if the policy requires it (before the second step)
+        if (await refuseUnverifiedLogin(req, res, user)) {
+            return;
+        }
+
+        // Second step required: hand out a short-lived token for /mfa/verify instead of the token pair
+        if (user.mfa?.enabled) {
+            return res.status(200).json({
+                message: 'Two-factor authentication required.',
+                mfaRequired: true,
+                mfaToken: signMfaPendingToken(user),
+            });
+        }
+
+        // Passwords match, open a new session and send the token pair
+        await sendLoginResponse(req, res, user);
 
     } catch (error) {
         // console.error('Error logging in user:', error);
@@ -103,23 +144,33 @@ const loginUser = async (req, res) => {
 };
 
 /**
- * @description Logs out a user by clearing the refresh token.
+ * @description Logs out a user by revoking the calling session.
+ * Pass `{ allDevices: true }` in the body to revoke every session of the user ("log out everywhere").
  * @route POST /api/users/logout
  * @access Private (Requires authentication)
  */
 const logoutUser = async (req, res) => {
     const userId = req.user?._id; // From auth middleware
+    const sessionId = req.user?.sid; // Session the access token was issued for
     const incomingRefreshToken = req.body?.refreshToken; //
+    const allDevices = req.body?.allDevices === true;
 
     try {
-        // Unset the refresh token in the database
-        if (userId) { // If user authenticated
-            await User.updateOne({ _id: userId }, { $unset: { refreshToken: "" } }); // logic using $unset
-        } else if (incomingRefreshToken) { // Fallback, less secure, if user not identified by middleware but token exists
-            await User.updateOne({ refreshToken: incomingRefreshToken }, { $unset: { refreshToken: "" } });
+        if (userId && allDevices) { // Log out everywhere
+            await Session.revokeAllForUser(userId, 'logout_all');
+            await revokeAllAccessTokens(userId); // Also end access tokens still in flight on other devices
+        } else if (userId && sessionId) { // Log out the calling device only
+            await Session.updateOne({ _id: sessionId, userId, revokedAt: null }, { $set: { revokedAt: new Date(), revokedReason: 'logout' } });
+        } else if (incomingRefreshToken) { // Fallback, less secure, if the session is not identified by middleware but token exists
+            await Session.updateOne({ refreshToken: incomingRefreshToken, revokedAt: null }, { $set: { revokedAt: new Date(), revokedReason: 'logout' } });
+        }
+
+        // The calling access token stops working now instead of at its expiry
+        if (req.user && !allDevices) {
+            await revokeAccessToken(req.user, 'logout');
         }
 
-        res.status(200).json({ message: 'User logged out successfully.' }); //
+        res.status(200).json({ message: allDevices ? 'User logged out from all devices successfully.' : 'User logged out successfully.' }); //
 
     } catch (error) {
         // console.error('Error logging out user:', error);
@@ -127,10 +178,63 @@ const logoutUser = async (req, res) => {
     }
 };
 
+/**
+ * @description Handles a rotated refresh token being presented after its grace window.
+ * The session is the token family: every token of it is revoked, including the access tokens
+ * issued for it, a security event is
+ * recorded and the user is notified by email.
+ * @param {object} req - Express request object.
+ * @param {Document} user - The owner of the session.
+ * @param {Document} session - The session (token family) the reused token belongs to.
+ */
+const handleRefreshTokenReuse = async (req, user, session) => {
+    // Revoke the whole family: the session with its access tokens and any tokens still in the grace list
+    await revokeSessionAccessTokens(session, 'token_reuse');
+    await UsedRefreshToken.deleteMany({ sessionId: session._id });
+
+    await recordSecurityEvent({
+        userId: user._id,
+        type: 'refresh_token_reuse',
+        req,
+        sessionId: session._id,
+        metadata: { deviceLabel: session.deviceLabel, sessionIpAddress: session.ipAddress },
+    });
+
+    // sendNotification logs and swallows its own errors
+    await sendNotification({
+        method: 'email',
+        user: user,
+        subject: 'Security alert: a session was signed out',
+        text: `We detected an old sign-in token for your device "${session.deviceLabel}" being reused, which can mean it was stolen.
+For your safety that device has been signed out. If this wasn't you, please reset your password.`,
+        html: `<p>We detected an old sign-in token for your device <b>${session.deviceLabel}</b> being reused, which can mean it was stolen.</p><p>For your safety that device has been signed out. If this wasn't you, please reset your password.</p>`,
+    });
+};
+
+// A parallel refresh that won the rotation records the used token right after it
+const GRACE_ENTRY_WAIT_MS = 250;
+
+/**
+ * @description Finds a recently rotated refresh token of a session in the grace list.
+ * Looks twice, so a parallel refresh that rotated the token has time to record it.
+ * @param {string} token - The presented refresh token.
+ * @param {mongoose.Types.ObjectId} sessionId - Its session.
+ * @returns {Promise<Document|null>}
+ */
+const findGraceEntry = async (token, sessionId) => {
+    const entry = await UsedRefreshToken.findOne({ token, sessionId });
+    if (entry) {
+        return entry;
+    }
+    await new Promise(resolve => setTimeout(resolve, GRACE_ENTRY_WAIT_MS));
+    return UsedRefreshToken.findOne({ token, sessionId });
+};
+
 /**
  * @description Refreshes the access token using a valid refresh token.
+ * Rotation is handled per session, so other devices of the same user are unaffected.
  * @route POST /api/users/refresh-token
- * @access Public (but requires a valid refresh token cookie)
+ * @access Public (but requires a valid refresh token)
  */
 
 const refreshAccessToken = async (req, res) => {
@@ -144,33 +248,46 @@ const refreshAccessToken = async (req, res) => {
         // 1. Verify the JWT signature and decode the payload
         const decoded = jwt.verify(incomingRefreshToken, REFRESH_TOKEN_SECRET);
 
-        // 2. Find the user associated with the token
+        // 2. Find the session the token was issued for
+        const session = decoded.sid
+            ? await Session.findOne({ _id: decoded.sid, userId: decoded._id }).select('+refreshToken')
+            : null;
+
+        if (!session || !session.isUsable()) {
+            return res.status(403).json({ message: 'Forbidden: Session has been revoked or has expired.' });
+        }
+
+        // 3. Find the user associated with the token
         const user = await User.findById(decoded._id)
-            .select('+refreshToken') // Explicitly request the refreshToken
             .populate('planId'); // Populate necessary fields
 
         if (!user) {
-            console.log('User not found:', incomingRefreshToken);
             return res.status(403).json({ message: 'Forbidden: User not found.' });
         }
 
-        // 3. --- The Core Logic for Handling Race Conditions ---
+        if (user.isActive === false) {
+            return res.status(403).json({ message: 'Forbidden: Account is disabled.' });
+        }
+
+        // 4. --- The Core Logic for Handling Race Conditions ---
 
-        // HAPPY PATH: The token matches the current one in the DB.
-        if (user.refreshToken === incomingRefreshToken) {
-            // Generate new tokens
-            const { accessToken, refreshToken: newRefreshToken } = await user.generateAccessAndRefereshTokens();
+        // HAPPY PATH: The token matches the current one of this session. The rotation only happens
+        // if the session still holds it, so of parallel refreshes with this token one rotates and
+        // the others take the grace period path.
+        const rotated = session.refreshToken === incomingRefreshToken
+            ? await user.generateAccessAndRefereshTokens({ session, replaces: incomingRefreshToken })
+            : null;
+        if (rotated) {
+            const { accessToken, refreshToken: newRefreshToken } = rotated;
 
             // Add the just-used token to the grace period list
             await UsedRefreshToken.create({
                 token: incomingRefreshToken,
                 userId: user._id,
+                sessionId: session._id,
                 accessToken
             });
 
-            // Note: The `generateAccessAndRefereshTokens` method should handle saving the newRefreshToken to the user document.
-            console.log('Token sussesfully refreshed:', incomingRefreshToken);
-
             return res.status(200).json({
                 message: 'Access token refreshed.',
                 accessToken,
@@ -179,25 +296,27 @@ const refreshAccessToken = async (req, res) => {
         }
 
         // GRACE PERIOD PATH: The token doesn't match the current one,
-        // so check if it's a recently used token.
-        const isInGraceList = await UsedRefreshToken.findOne({ token: incomingRefreshToken });
+        // so check if it's a recently used token of this session.
+        const isInGraceList = await findGraceEntry(incomingRefreshToken, session._id);
 
         if (isInGraceList) {
-            console.log('Token sussesfully refreshed: (grace period)', incomingRefreshToken);
+            const current = await Session.findById(session._id).select('+refreshToken');
             // It's a concurrent request. The token is valid for this short window.
             // We issue a new access token but return the *already rotated* refresh token
-            // that is now stored on the user object to keep all clients in sync.
+            // that is now stored on the session to keep all clients of this device in sync.
             const accessToken = isInGraceList.accessToken;
             return res.status(200).json({
                 message: 'Access token refreshed (grace period).',
                 accessToken,
-                refreshToken: user.refreshToken, // Send the newest token
+                refreshToken: current?.refreshToken, // Send the newest token
             });
         }
 
-        // FAILURE PATH: The token is not the current one and not in the grace list.
-        // It's an old, invalid, or compromised token.
-        console.log('Token invalid:', incomingRefreshToken);
+        // REUSE PATH: The token is not the current one and not in the grace list.
+        // Its signature and session are valid, so it is a rotated token of this family
+        // presented after its grace window: treat it as stolen.
+        console.warn('Refresh token reuse detected, revoking the session.'); // Details are in the security event
+        await handleRefreshTokenReuse(req, user, session);
         return res.status(403).json({ message: 'Forbidden: Invalid refresh token.' });
 
     } catch (error) {
@@ -295,6 +414,12 @@ const updateUserProfileByAdmin = async (req, res) => {
             }
         }
 
+        // Role, plan and activation are baked into access tokens, so changing them invalidates the existing ones
+        const tokenClaimFields = ['role', 'planId', 'isActive'].filter(field => field in updateData);
+        const previousUser = tokenClaimFields.length > 0
+            ? await User.findById(userId).select(tokenClaimFields.join(' ')).lean()
+            : null;
+
         // 5. Find the user and update their profile
         //    - { new: true } returns the modified document rather than the original.
         //    - { runValidators: true } ensures that schema validations are applied during the update.
@@ -308,6 +433,18 @@ const updateUserProfileByAdmin = async (req, res) => {
             return res.status(404).json({ message: 'User not found.' });
         }
 
+        // 6. Invalidate existing tokens if a claim they carry has changed
+        const claimsChanged = previousUser && tokenClaimFields.some(
+            field => String(previousUser[field]) !== String(updatedUser[field])
+        );
+        if (claimsChanged) {
+            await revokeAllAccessTokens(userId);
+        }
+        if (previousUser && previousUser.isActive !== false && updatedUser.isActive === false) {
+            // Deactivated: refresh tokens must stop working too
+            await Session.revokeAllForUser(userId, 'account_disabled');
+        }
+
         res.status(200).json({
             message: 'User profile updated successfully by admin.',
             user: updatedUser
@@ -326,6 +463,262 @@ const updateUserProfileByAdmin = async (req, res) => {
     }
 }
 
+/**
+ * Profile fields a user can see about themselves.
+ * @param {object} user - The user document (planId populated for the plan slug).
+ * @returns {object}
+ */
+const toOwnProfile = (user) => ({
+    _id: user._id,
+    username: user.username,
+    email: user.email,
+    firstName: user.firstName,
+    lastName: user.lastName,
+    profilePictureUrl: user.profilePictureUrl,
+    preferences: user.preferences || {},
+    role: user.role,
+    plan: user.getPlanSlug(),
+    subscriptionStatus: user.subscriptionStatus,
+    isEmailVerified: user.isEmailVerified,
+    createdAt: user.createdAt,
+});
+
+/**
+ * @desc   Get the current user's own profile
+ * @route  GET /api/users/me
+ * @access Private
+ */
+const getMyProfile = async (req, res) => {
+    try {
+        const user = await User.findById(req.user._id).populate('planId');
+        if (!user) {
+            return res.status(404).json({ message: 'User not found.' });
+        }
+
+        res.status(200).json({ message: 'Profile fetched successfully.', user: toOwnProfile(user) });
+
+    } catch (error) {
+        console.error('Error fetching own profile:', error);
+        res.status(500).json({ message: 'Error fetching profile.', error: error.message });
+    }
+}
+
+/**
+ * @desc   Update the current user's own profile. Only firstName, lastName, username and preferences
+ *         can be changed here; email and password have their own confirmed flows.
+ *         `preferences` is merged into the stored object, a `null` value removes that key.
+ * @route  PATCH /api/users/me
+ * @access Private
+ */
+const updateMyProfile = async (req, res) => {
+    const { firstName, lastName, username, preferences } = req.body;
+
+    if (Object.keys(req.body).length === 0) {
+        return res.status(400).json({ message: 'No update data provided.' });
+    }
+
+    try {
+        const user = await User.findById(req.user._id).populate('planId');
+        if (!user) {
+            return res.status(404).json({ message: 'User not found.' });
+        }
+
+        if (username !== undefined && username !== user.username) {
+            const usernameTaken = await User.exists({ username, _id: { $ne: user._id } });
+            if (usernameTaken) {
+                return res.status(409).json({ message: 'Username is already taken by another user.' });
+            }
+            user.username = username;
+        }
+        if (firstName !== undefined) user.firstName = firstName;
+        if (lastName !== undefined) user.lastName = lastName;
+
+        if (preferences !== undefined) {
+            const merged = { ...(user.preferences || {}) };
+            for (const [key, value] of Object.entries(preferences)) {
+                if (value === null) {
+                    delete merged[key];
+                } else {
+                    merged[key] = value;
+                }
+            }
+            user.preferences = merged;
+            user.markModified('preferences'); // Mixed type: Mongoose does not track changes inside it
+        }
+
+        await user.save();
+
+        res.status(200).json({ message: 'Profile updated successfully.', user: toOwnProfile(user) });
+
+    } catch (error) {
+        console.error('Error updating own profile:', error);
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ message: 'Validation error.', errors: error.errors });
+        }
+        if (error.code === 11000) { // Username taken between the check and the save
+            return res.status(409).json({ message: 'Username is already taken by another user.' });
+        }
+        res.status(500).json({ message: 'Error updating profile.', error: error.message });
+    }
+}
+
+/**
+ * @desc   Upload a new profile picture (multipart/form-data, image in the `avatar` field).
+ *         The previous uploaded picture is deleted from storage.
+ * @route  POST /api/users/me/avatar
+ * @access Private
+ */
+const uploadMyAvatar = async (req, res) => {
+    let stored;
+    try {
+        const user = await User.findById(req.user._id).select('+profilePictureKey').populate('planId');
+        if (!user) {
+            return res.status(404).json({ message: 'User not found.' });
+        }
+
+        stored = await saveAvatar(user._id, req.file);
+        const previousKey = user.profilePictureKey;
+
+        user.profilePictureUrl = stored.url;
+        user.profilePictureKey = stored.key;
+        await user.save();
+
+        await removeAvatar(previousKey);
+
+        res.status(200).json({ message: 'Profile picture updated successfully.', user: toOwnProfile(user) });
+
+    } catch (error) {
+        if (stored) {
+            await removeAvatar(stored.key); // Don't leave an orphaned file behind
+        }
+        if (error.isOperational) {
+            return res.status(error.statusCode).json({ message: error.message });
+        }
+        console.error('Error uploading profile picture:', error);
+        res.status(500).json({ message: 'Error uploading profile picture.', error: error.message });
+    }
+}
+
+/**
+ * @desc   Remove the current user's profile picture
+ * @route  DELETE /api/users/me/avatar
+ * @access Private
+ */
+const deleteMyAvatar = async (req, res) => {
+    try {
+        const user = await User.findById(req.user._id).select('+profilePictureKey').populate('planId');
+        if (!user) {
+            return res.status(404).json({ message: 'User not found.' });
+        }
+
+        const previousKey = user.profilePictureKey;
+        user.profilePictureUrl = undefined;
+        user.profilePictureKey = undefined;
+        await user.save();
+
+        await removeAvatar(previousKey);
+
+        res.status(200).json({ message: 'Profile picture removed.', user: toOwnProfile(user) });
+
+    } catch (error) {
+        console.error('Error removing profile picture:', error);
+        res.status(500).json({ message: 'Error removing profile picture.', error: error.message });
+    }
+}
+
+/**
+ * @desc   List the features the current user's plan includes (`entitlements`), and every known
+ *         feature with its description (`features`, see config/entitlements.js).
+ *         Follows the plan of the access token, like requireFeature().
+ * @route  GET /api/users/me/entitlements
+ * @access Private
+ */
+const getMyEntitlements = async (req, res) => {
+    try {
+        const entitlements = await getUserEntitlements(req.user);
+        const features = Object.entries(knownFeatures).map(([name, description]) => ({
+            name,
+            description,
+            included: entitlements.includes(name),
+        }));
+        res.status(200).json({ message: 'Entitlements fetched successfully.', plan: req.user.plan, entitlements, features });
+
+    } catch (error) {
+        console.error('Error fetching entitlements:', error);
+        res.status(500).json({ message: 'Error fetching entitlements.', error: error.message });
+    }
+}
+
+/**
+ * @desc   Get a user's login history and current lockout state
+ * @route  GET /api/auth/user-login-history/:userId?limit=50
+ * @access Private (Admin only)
+ */
+const getLoginHistoryByAdmin = async (req, res) => {
+    const { userId } = req.params;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+
+    if (!isValidObjectId(userId)) {
+        return res.status(400).json({ message: 'Invalid user ID format.' });
+    }
+
+    try {
+        const user = await User.findById(userId).select('username email loginSecurity lastLoginAt');
+        if (!user) {
+            return res.status(404).json({ message: 'User not found.' });
+        }
+
+        const history = await LoginHistory.find({ userId })
+            .sort({ createdAt: -1 })
+            .limit(limit);
+
+        res.status(200).json({
+            message: 'Login history fetched successfully.',
+            user: {
+                _id: user._id,
+                username: user.username,
+                email: user.email,
+                lastLoginAt: user.lastLoginAt,
+                isLocked: user.isLocked(),
+                loginSecurity: user.loginSecurity,
+            },
+            history
+        });
+
+    } catch (error) {
+        console.error('Error fetching login history:', error);
+        res.status(500).json({ message: 'Error fetching login history.', error: error.message });
+    }
+}
+
+/**
+ * @desc   Clear a user's account lock and failed-login counters
+ * @route  DELETE /api/auth/user-lock/:userId
+ * @access Private (Admin only)
+ */
+const unlockUserByAdmin = async (req, res) => {
+    const { userId } = req.params;
+
+    if (!isValidObjectId(userId)) {
+        return res.status(400).json({ message: 'Invalid user ID format.' });
+    }
+
+    try {
+        const userExists = await User.exists({ _id: userId });
+        if (!userExists) {
+            return res.status(404).json({ message: 'User not found.' });
+        }
+
+        await unlockAccount(req, userId, 'admin');
+
+        res.status(200).json({ message: 'User account unlocked successfully by admin.' });
+
+    } catch (error) {
+        console.error('Error unlocking user by admin:', error);
+        res.status(500).json({ message: 'Error unlocking user account.', error: error.message });
+    }
+}
+
 module.exports = {
     registerUser,
     loginUser,
@@ -333,4 +726,11 @@ module.exports = {
     refreshAccessToken,
     getUserProfile,
     updateUserProfileByAdmin,
+    getMyProfile,
+    updateMyProfile,
+    uploadMyAvatar,
+    deleteMyAvatar,
+    getMyEntitlements,
+    getLoginHistoryByAdmin,
+    unlockUserByAdmin,
 };
\ No newline at end of file
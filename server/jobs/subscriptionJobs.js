@@ -2,6 +2,8 @@
 const cron = require('node-cron');
 const User = require('../models/User');
 const Plan = require('../models/Plan');
+const { applyDuePlanChanges } = require('../services/planChangeService');
+const { expireTrials, sendTrialReminders } = require('../services/trialService');
 
 const DEFAULT_EXPIRED_STATUS = 'canceled'; // Or 'past_due', 'free'
 const REVERT_TO_FREE_PLAN_ON_EXPIRY = true; // Set to true to move expired users to the 'free' plan
@@ -21,6 +23,9 @@ const scheduleSubscriptionExpiryCheck = () => {
         let freePlanId = null;
 
         try {
+            // Scheduled plan changes replace the expiring subscription, so apply them first
+            await applyDuePlanChanges(now);
+
             // Find the default 'free' plan ID if we need to revert users
             if (REVERT_TO_FREE_PLAN_ON_EXPIRY) {
                 const freePlan = await Plan.findOne({ slug: 'free' }).select('_id');
@@ -87,6 +92,10 @@ const scheduleSubscriptionExpiryCheck = () => {
             }
 
 
+            // Keep trial records in step for conversion reporting
+            const expiredTrials = await expireTrials(now);
+            console.log(`Trials ended without conversion: ${expiredTrials}`);
+
             console.log(`[${new Date().toISOString()}] Scheduled Job Finished: Check Expired Subscriptions. Total users updated: ${updatedCount}`);
 
         } catch (error) {
@@ -100,6 +109,50 @@ const scheduleSubscriptionExpiryCheck = () => {
     console.log('Subscription expiry check job scheduled.');
 };
 
+/**
+ * Scheduled task that applies plan changes (downgrades) scheduled for the end of a billing period.
+ * Runs hourly, so a change takes effect within an hour of the period's end.
+ */
+const schedulePlanChangeJob = () => {
+    cron.schedule('0 * * * *', async () => {
+        try {
+            const applied = await applyDuePlanChanges();
+            if (applied > 0) {
+                console.log(`[${new Date().toISOString()}] Scheduled Job: Applied ${applied} scheduled plan change(s).`);
+            }
+        } catch (error) {
+            console.error(`[${new Date().toISOString()}] Error applying scheduled plan changes:`, error);
+        }
+    }, {
+        scheduled: true,
+        timezone: "Asia/Dhaka"
+    });
+
+    console.log('Scheduled plan change job scheduled.');
+};
+
+/**
+ * Scheduled task that emails users whose free trial ends soon (TRIAL_REMINDER_DAYS, config/trials.js).
+ * Runs daily at 10:00 AM server time.
+ */
+const scheduleTrialReminderJob = () => {
+    cron.schedule('0 10 * * *', async () => {
+        try {
+            const sent = await sendTrialReminders();
+            console.log(`[${new Date().toISOString()}] Scheduled Job: Sent ${sent} trial reminder(s).`);
+        } catch (error) {
+            console.error(`[${new Date().toISOString()}] Error sending trial reminders:`, error);
+        }
+    }, {
+        scheduled: true,
+        timezone: "Asia/Dhaka"
+    });
+
+    console.log('Trial reminder job scheduled.');
+};
+
 module.exports = {
-    scheduleSubscriptionExpiryCheck
+    scheduleSubscriptionExpiryCheck,
+    schedulePlanChangeJob,
+    scheduleTrialReminderJob
 };
\ No newline at end of file
@@ -1,17 +1,75 @@
 const jwt = require('jsonwebtoken');
+const { getRevocationReason } = require('../services/tokenRevocationService');
+const { canSignAccessTokens, verifyAccessToken } = require('../services/jwtKeyService');
+const { resolveApiKey } = require('../services/apiKeyService');
+const { createApiKeyRateLimiter } = require('./rateLimiters');
+const { mapMethodToAction } = require('./casbinAuthorize');
 
-const ACCESS_TOKEN_SECRET = process.env.ACCESS_TOKEN_SECRET;
-
-// Critical: Ensure the secret key is defined during startup.
-if (!ACCESS_TOKEN_SECRET) {
-    console.error("FATAL ERROR: ACCESS_TOKEN_SECRET is not defined in environment variables.");
-    process.exit(1); // Exit if the secret is missing.
+// Critical: Ensure a signing key (or the HS256 secret) is available during startup.
+if (!canSignAccessTokens()) {
+    console.error("FATAL ERROR: No JWT signing key found and ACCESS_TOKEN_SECRET is not defined in environment variables.");
+    process.exit(1); // Exit if no key is available.
 }
 
+// Per-key request limit for API key authentication (see config/rateLimits.js, group 'apiKey')
+const apiKeyLimiter = createApiKeyRateLimiter();
+
+/**
+ * @description Authenticates a request made with a personal API key (`Authorization: ApiKey <key>`).
+ * The key resolves to the same `req.user` shape as an access token (plus `apiKeyId` and `scopes`),
+ * the request's action must be one of the key's scopes, and the per-key rate limit applies.
+ * @param {object} req - Express request object.
+ * @param {object} res - Express response object.
+ * @param {function} next - Express next middleware function.
+ * @param {string} plainKey - The key from the header.
+ */
+const authenticateApiKey = async (req, res, next, plainKey) => {
+    try {
+        const keyUser = await resolveApiKey(plainKey, req);
+        if (!keyUser) {
+            return res.status(401).json({
+                status: 'error',
+                message: 'Unauthorized: Invalid, expired or revoked API key.'
+            });
+        }
+
+        const action = mapMethodToAction(req.method);
+        if (!keyUser.scopes.includes(action)) {
+            return res.status(403).json({
+                status: 'error',
+                message: `Forbidden: This API key lacks the '${action}' scope.`,
+                code: 'INSUFFICIENT_SCOPE'
+            });
+        }
+
+        if (keyUser.rateLimit === 0) { // apiRateLimit of 0: API access is not part of the plan
+            return res.status(403).json({
+                status: 'error',
+                message: 'Forbidden: Your plan does not include API access.',
+                code: 'PLAN_LIMIT_REACHED'
+            });
+        }
+
+        req.user = keyUser;
+        req.actor = { _id: keyUser._id, role: keyUser.role, impersonating: false, apiKeyId: keyUser.apiKeyId };
+
+        apiKeyLimiter(req, res, next);
+
+    } catch (error) {
+        console.error(`API key authentication error: ${error.name} - ${error.message}`);
+        return res.status(500).json({
+            status: 'error',
+            message: 'Internal Server Error during authentication.'
+        });
+    }
+};
+
 /**
- * @description Middleware to authenticate requests using JWT.
- * Verifies the 'Authorization: Bearer <token>' header.
- * Attaches the decoded user payload to req.user upon success.
+ * @description Middleware to authenticate requests using JWT, or a personal API key.
+ * Verifies the 'Authorization: Bearer <token>' header and rejects tokens that were revoked
+ * (individually, by a per-user "tokens valid after" time, or because the account is disabled).
+ * Attaches the decoded user payload to req.user upon success, and the real actor to req.actor
+ * (the admin when the token is an impersonation token).
  * @param {object} req - Express request object.
  * @param {object} res - Express response object.
  * @param {function} next - Express next middleware function.
@@ -20,6 +78,11 @@ const authenticate = async (req, res, next) => {
 
     const authHeader = req.headers['authorization'];
 
+    // Machine-to-machine access with a personal API key
+    if (authHeader && authHeader.startsWith('ApiKey ')) {
+        return authenticateApiKey(req, res, next, authHeader.slice('ApiKey '.length).trim());
+    }
+
     // Check for Authorization header and 'Bearer ' prefix
     if (!authHeader || !authHeader.startsWith('Bearer ')) {
         return res.status(401).json({
@@ -39,9 +102,46 @@ const authenticate = async (req, res, next) => {
 
     try {
 
-        const decoded = jwt.verify(token, ACCESS_TOKEN_SECRET);
+        // Verified against the key named in the token's `kid` header (see services/jwtKeyService.js)
+        const decoded = verifyAccessToken(token);
+
+        // Purpose-bound tokens (e.g. the "mfa pending" login token) are not access tokens.
+        if (decoded.purpose) {
+            return res.status(401).json({
+                status: 'error',
+                message: 'Unauthorized: Invalid token.'
+            });
+        }
+
+        // Revocation state is cached per user, so this rarely hits the database.
+        const revocationReason = await getRevocationReason(decoded);
+        if (revocationReason) {
+            return res.status(401).json({
+                status: 'error',
+                message: revocationReason === 'account_disabled'
+                    ? 'Unauthorized: Account is disabled.'
+                    : 'Unauthorized: Token has been revoked.',
+                code: 'TOKEN_REVOKED'
+            });
+        }
+
+        // Impersonation tokens also stop working once the acting admin is disabled or revoked.
+        if (decoded.act) {
+            const actorRevocationReason = await getRevocationReason({ _id: decoded.act._id, iat: decoded.iat, iatMs: decoded.iatMs });
+            if (actorRevocationReason) {
+                return res.status(401).json({
+                    status: 'error',
+                    message: 'Unauthorized: Token has been revoked.',
+                    code: 'TOKEN_REVOKED'
+                });
+            }
+        }
 
         req.user = decoded;
+        // The real actor: the admin for impersonation tokens (`act` claim), otherwise the user.
+        req.actor = decoded.act
+            ? { _id: decoded.act._id, role: decoded.act.role, impersonating: true }
+            : { _id: decoded._id, role: decoded.role, impersonating: false };
 
         next(); // Token is valid, proceed.
 
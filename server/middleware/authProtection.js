@@ -0,0 +1,34 @@
+const { createRateLimiter, createSlowDown } = require('./rateLimiters');
+
+// Limits and windows are configured per group in config/rateLimits.js; counters are kept
+// in Redis when RATE_LIMIT_STORE=redis so they are shared between server replicas.
+// The middleware is created once here so routes mounted under both /api/users and /api/auth
+// count against the same budget.
+
+/**
+ * @description Slows down responses for sensitive endpoints after a few attempts
+ * to mitigate brute-force attacks.
+ */
+const authSlowDown = createSlowDown('auth');
+
+/**
+ * @description Rate limit for authentication actions (login, register, password reset).
+ * Limits the number of requests per IP within a time window.
+ */
+const authLimiter = createRateLimiter('auth');
+
+/**
+ * @description Rate limit for refreshing tokens. Allows more frequent requests
+ * than auth actions but still provides protection.
+ */
+const refreshLimiter = createRateLimiter('refresh');
+
+// Combine slowdown and rate limiting for public auth routes
+const publicAuthProtection = [authSlowDown, authLimiter];
+
+module.exports = {
+    authSlowDown,
+    authLimiter,
+    refreshLimiter,
+    publicAuthProtection,
+};
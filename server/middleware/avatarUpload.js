@@ -0,0 +1,50 @@
+const multer = require('multer');
+const { ALLOWED_AVATAR_TYPES, detectImageType } = require('../services/avatarStorageService');
+
+// Largest accepted profile picture, in megabytes
+const AVATAR_MAX_SIZE_MB = parseFloat(process.env.AVATAR_MAX_SIZE_MB || '2');
+
+// Files are kept in memory and handed to the storage adapter (services/avatarStorageService.js).
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: AVATAR_MAX_SIZE_MB * 1024 * 1024, files: 1 },
+    fileFilter: (req, file, cb) => {
+        if (!ALLOWED_AVATAR_TYPES.includes(file.mimetype)) {
+            return cb(new multer.MulterError('LIMIT_UNEXPECTED_FILE', file.fieldname));
+        }
+        cb(null, true);
+    },
+}).single('avatar');
+
+/**
+ * @description Parses a multipart request with a single image in the `avatar` field into `req.file`.
+ * The type is checked against the file content, and `req.file.mimetype` is set to it.
+ * Size and type errors are answered with 400 instead of reaching the global error handler.
+ * @param {object} req - Express request object.
+ * @param {object} res - Express response object.
+ * @param {function} next - Express next middleware function.
+ */
+const avatarUpload = (req, res, next) => {
+    upload(req, res, (error) => {
+        if (error instanceof multer.MulterError) {
+            const message = error.code === 'LIMIT_FILE_SIZE'
+                ? `Profile picture must be at most ${AVATAR_MAX_SIZE_MB} MB.`
+                : `Upload a single image (${ALLOWED_AVATAR_TYPES.join(', ')}) in the 'avatar' field.`;
+            return res.status(400).json({ message, code: error.code });
+        }
+        if (error) {
+            return next(error);
+        }
+        if (!req.file) {
+            return res.status(400).json({ message: "No file uploaded in the 'avatar' field." });
+        }
+        const mimetype = detectImageType(req.file.buffer);
+        if (!mimetype) {
+            return res.status(400).json({ message: `The file is not an image of a supported type (${ALLOWED_AVATAR_TYPES.join(', ')}).`, code: 'INVALID_FILE_TYPE' });
+        }
+        req.file.mimetype = mimetype;
+        next();
+    });
+};
+
+module.exports = { avatarUpload };
@@ -0,0 +1,18 @@
+/**
+ * @description Middleware that refuses a request made with an impersonation token
+ * (see controllers/impersonationController.js). Used on sensitive routes such as
+ * payments, credential changes and session management, which support staff must not
+ * perform on behalf of a customer. Must run after `authenticate`.
+ * @param {object} req - Express request object.
+ * @param {object} res - Express response object.
+ * @param {function} next - Express next middleware function.
+ */
+const blockImpersonation = (req, res, next) => {
+    if (req.actor?.impersonating) {
+        console.warn(`Impersonation blocked: Admin='${req.actor._id}', User='${req.user._id}', Route='${req.method} ${req.originalUrl}'`);
+        return res.status(403).json({ message: 'This action is not available while impersonating a user.', code: 'IMPERSONATION_FORBIDDEN' });
+    }
+    next();
+};
+
+module.exports = { blockImpersonation };
@@ -1,5 +1,13 @@
 // middleware/authorize.js
 const { getEnforcer } = require('../services/casbin.js');
+const { loadResource, getResourceAttributes } = require('../services/resourceResolver');
+
+// Roles that must have completed two-factor authentication for authorized routes, e.g. MFA_REQUIRED_ROLES=admin
+const MFA_REQUIRED_ROLES = (process.env.MFA_REQUIRED_ROLES || '')
+    .split(',')
+    .map(role => role.trim())
+    .filter(Boolean);
+
 // Helper function to map HTTP methods to Casbin actions
 function mapMethodToAction(method) {
     switch (method.toUpperCase()) {
@@ -16,21 +24,29 @@ function mapMethodToAction(method) {
  * Express middleware to enforce Casbin authorization.
  * Assumes JWT authentication middleware runs first and attaches user info to req.user.
  *
- * Example req.user structure expected:
- * req.user = {
- * id: 'user_id_alice', // The User ID (subject in Casbin)
- * plan: 'professional' // The user's current plan (domain in Casbin)
- * };
+ * The request sent to Casbin (see config/model.conf) is:
+ *   sub = { id, role, plan }  - the caller; `role` is matched against the policy subject
+ *   dom = plan                - the caller's plan
+ *   obj = { type, ownerId }   - the target; `type` is matched against the policy object
+ *   act = read | write | update | delete
+ * Policy conditions can compare these attributes, e.g. `r.obj.ownerId == r.sub.id`.
  *
- * @param {string} resource - The resource identifier (object in Casbin).
- * Can be a static string like 'resource1' or dynamic like req.path.
- * @param {string} [action] - Optional explicit action (action in Casbin). If not provided, derived from req.method.
+ * With `param`, the target document is loaded from that route param (services/resourceResolver.js),
+ * its owner becomes `obj.ownerId` and the document is kept in `req.resource` for the controller.
+ * Without it the request concerns the caller's own data, so `obj.ownerId` is the caller.
+ *
+ * @param {string} resource - The resource type (object in Casbin), e.g. 'admin' or 'project'.
+ * @param {string|object} [options] - Explicit action (string, for compatibility), or:
+ * @param {string} [options.action] - Action to check instead of the one derived from req.method.
+ * @param {string} [options.param] - Route param holding the target document's ID, e.g. 'projectId'.
  */
-const authorize = (resource, explicitAction = null) => {
+const authorize = (resource, options = {}) => {
+    const { action: explicitAction = null, param = null } = typeof options === 'string' ? { action: options } : options;
+
     return async (req, res, next) => {
         const enforcer = await getEnforcer();
 
-        // --- 1. Extract Subject (User ID) and Domain (Plan) ---
+        // --- 1. Check the caller ---
         // IMPORTANT: Ensure your JWT authentication middleware (e.g., passport-jwt, express-jwt)
         // runs BEFORE this middleware and populates req.user correctly.
         if (!req.user || !req.user._id || !req.user.plan) {
@@ -39,29 +55,44 @@ const authorize = (resource, explicitAction = null) => {
             // Or 403 Forbidden if technically authenticated but missing required attributes for authorization
             return res.status(401).json({ message: 'Unauthorized: User information missing.' });
         }
-        const sub = req.user.role;      // User ID from JWT payload
+
+        // --- 1b. Require a second factor for configured roles ---
+        // The 'mfa' claim is only true for sessions opened through /mfa/verify.
+        if (MFA_REQUIRED_ROLES.includes(req.user.role) && !req.user.mfa) {
+            console.warn(`Access DENIED (MFA required): User='${req.user._id}', Role='${req.user.role}'`);
+            return res.status(403).json({ message: 'Forbidden: Two-factor authentication is required for this action.', code: 'MFA_REQUIRED' });
+        }
+
+        const sub = { id: String(req.user._id), role: req.user.role, plan: req.user.plan };
         const dom = req.user.plan;    // User's plan from JWT payload
 
         // --- 2. Determine Object (Resource) ---
-        // Use the provided resource string directly. You might use req.path for RESTful APIs.
-        const obj = resource; // e.g., 'resource1', 'resource2', or potentially req.params.id for specific items
+        let obj = { type: resource, ownerId: sub.id };
+        if (param) {
+            const doc = await loadResource(resource, req.params[param]);
+            if (!doc) {
+                return res.status(404).json({ message: `${resource.charAt(0).toUpperCase()}${resource.slice(1)} not found.` });
+            }
+            req.resource = doc;
+            obj = getResourceAttributes(resource, doc);
+        }
 
         // --- 3. Determine Action ---
         const act = explicitAction || mapMethodToAction(req.method); // e.g., 'read', 'write'
 
         // --- 4. Enforce Policy ---
-        console.log(`Checking access: User='${sub}', Plan='${dom}', Resource='${obj}', Action='${act}'`); // For debugging
+        const target = param ? `${obj.type}:${obj.id} (owner ${obj.ownerId})` : obj.type;
         const hasPermission = await enforcer.enforce(sub, dom, obj, act);
 
         if (hasPermission) {
-            console.log(`Access GRANTED: User='${sub}', Plan='${dom}', Resource='${obj}', Action='${act}'`);
+            console.log(`Access GRANTED: User='${sub.id}', Role='${sub.role}', Plan='${dom}', Resource='${target}', Action='${act}'`);
             next(); // User has permission, proceed to the route handler
         } else {
-            console.warn(`Access DENIED: User='${sub}', Plan='${dom}', Resource='${obj}', Action='${act}'`);
+            console.warn(`Access DENIED: User='${sub.id}', Role='${sub.role}', Plan='${dom}', Resource='${target}', Action='${act}'`);
             // User does not have permission
             res.status(403).json({ message: 'Forbidden: You do not have permission to perform this action.' });
         }
     };
 };
 
-module.exports = { authorize };
\ No newline at end of file
+module.exports = { authorize, mapMethodToAction };
\ No newline at end of file
@@ -0,0 +1,43 @@
+const { checkLimit, findUpgradePlans, summarizePlan } = require('../services/planUsageService');
+const planLimits = require('../config/planLimits');
+
+/**
+ * @description Middleware factory that blocks creating a resource once the user's plan limit
+ * for it is reached (see `limits` in models/Plan.js). Must run after `authenticate`, on the
+ * route that creates the resource.
+ *
+ * Responds 402 with the usage and the plans that would allow more, or 403 if no plan does.
+ * Example: router.post('/projects', authenticate, enforceLimit('projects'), projectController.createProject)
+ * @param {string} meter - Usage meter, e.g. 'projects' (see METERS in services/planUsageService.js).
+ * @returns {function} Express middleware.
+ */
+const enforceLimit = (meter) => {
+    return async (req, res, next) => {
+        try {
+            const { allowed, plan, usage } = await checkLimit(req.user._id, meter);
+            if (allowed) {
+                return next();
+            }
+
+            const upgradePlans = await findUpgradePlans(meter, plan, usage.limit);
+            res.status(upgradePlans.length > 0 ? 402 : 403).json({
+                message: upgradePlans.length > 0
+                    ? `You have reached the ${meter} limit of your plan. Upgrade to continue.`
+                    : `You have reached the ${meter} limit of your plan.`,
+                code: 'PLAN_LIMIT_REACHED',
+                limit: meter,
+                usage,
+                plan: summarizePlan(plan),
+                upgrade: upgradePlans.length > 0 ? { plans: upgradePlans, url: planLimits.upgradeUrl } : null,
+            });
+        } catch (error) {
+            if (error.isOperational) {
+                return res.status(error.statusCode).json({ message: error.message });
+            }
+            console.error(`Error checking the ${meter} limit:`, error);
+            res.status(500).json({ message: 'Error checking plan limits.' });
+        }
+    };
+};
+
+module.exports = { enforceLimit };
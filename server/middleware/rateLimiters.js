@@ -0,0 +1,68 @@
+const rateLimit = require('express-rate-limit');
+const slowDown = require('express-slow-down');
+const { rateLimits, slowDowns } = require('../config/rateLimits');
+const { createRateLimitStore } = require('../services/rateLimitStore');
+
+/**
+ * Creates a rate limiter from the settings group of the same name in config/rateLimits.js.
+ * Limits the number of requests per IP within a time window.
+ * @param {string} name - Settings group, e.g. 'auth' or 'refresh'.
+ * @returns {Function} Express middleware.
+ */
+const createRateLimiter = (name) => {
+    const { windowMs, max, message } = rateLimits[name];
+    return rateLimit({
+        windowMs,
+        max,
+        standardHeaders: 'draft-7', // Use RFC 7231 / IETF draft 7 standard headers
+        legacyHeaders: false,       // Disable X-RateLimit-* headers
+        message,                    // Send JSON response
+        store: createRateLimitStore(`limit:${name}`),
+        handler: (req, res, next, options) => { // Custom handler for logging/actions
+            // console.warn(`Rate limit exceeded for IP: ${req.ip}`); // Optional: Log exceeded attempts
+            res.status(options.statusCode).send(options.message);
+        }
+    });
+};
+
+/**
+ * Creates the per-key rate limiter for requests authenticated with a personal API key.
+ * Counts per key instead of per IP; a key's own `rateLimit` replaces the group's max.
+ * Must run after the key has been resolved into `req.user`.
+ * @returns {Function} Express middleware.
+ */
+const createApiKeyRateLimiter = () => {
+    const { windowMs, max, message } = rateLimits.apiKey;
+    return rateLimit({
+        windowMs,
+        max: (req) => req.user.rateLimit || max,
+        keyGenerator: (req) => req.user.apiKeyId,
+        standardHeaders: 'draft-7',
+        legacyHeaders: false,
+        message,
+        store: createRateLimitStore('limit:apiKey'),
+    });
+};
+
+/**
+ * Creates a slow down middleware from the settings group of the same name in config/rateLimits.js.
+ * Delays responses after a few attempts to mitigate brute-force attacks.
+ * @param {string} name - Settings group, e.g. 'auth'.
+ * @returns {Function} Express middleware.
+ */
+const createSlowDown = (name) => {
+    const { windowMs, delayAfter, delayStepMs, maxDelayMs } = slowDowns[name];
+    return slowDown({
+        windowMs,
+        delayAfter,
+        delayMs: (hits) => hits * delayStepMs, // Increment delay for each request after delayAfter
+        maxDelayMs,
+        store: createRateLimitStore(`slow:${name}`),
+    });
+};
+
+module.exports = {
+    createRateLimiter,
+    createApiKeyRateLimiter,
+    createSlowDown,
+};
@@ -0,0 +1,17 @@
+/**
+ * @description Middleware that refuses requests authenticated with a personal API key.
+ * Used on account security routes (API keys, MFA, passkeys, sessions), which need an
+ * interactive login so that a leaked key cannot be used to take over the account.
+ * Must run after `authenticate`.
+ * @param {object} req - Express request object.
+ * @param {object} res - Express response object.
+ * @param {function} next - Express next middleware function.
+ */
+const rejectApiKeys = (req, res, next) => {
+    if (req.user?.apiKeyId) {
+        return res.status(403).json({ message: 'This action is not available with an API key. Please log in.', code: 'API_KEY_NOT_ALLOWED' });
+    }
+    next();
+};
+
+module.exports = { rejectApiKeys };
@@ -0,0 +1,39 @@
+const { hasFeature, findPlansWithFeature } = require('../services/entitlementService');
+const entitlements = require('../config/entitlements');
+const planLimits = require('../config/planLimits');
+
+/**
+ * @description Middleware factory that only lets callers whose plan includes a feature through
+ * (see `entitlements` in models/Plan.js). Must run after `authenticate`.
+ *
+ * Responds 402 with the plans that include the feature, or 403 if no public plan does.
+ * @param {string} feature - Feature name from config/entitlements.js, e.g. 'export.csv'.
+ * @returns {function} Express middleware.
+ * @throws {Error} If the feature is not in config/entitlements.js (a programming error in the route).
+ */
+const requireFeature = (feature) => {
+    if (!(feature in entitlements.features)) {
+        throw new Error(`Unknown feature '${feature}'. Add it to config/entitlements.js.`);
+    }
+
+    return async (req, res, next) => {
+        try {
+            if (await hasFeature(req.user, feature)) {
+                return next();
+            }
+
+            const plans = await findPlansWithFeature(feature);
+            res.status(plans.length > 0 ? 402 : 403).json({
+                message: `Your plan does not include this feature: ${entitlements.features[feature]}.`,
+                code: 'FEATURE_NOT_IN_PLAN',
+                feature,
+                upgrade: plans.length > 0 ? { plans, url: planLimits.upgradeUrl } : null,
+            });
+        } catch (error) {
+            console.error(`Error checking the '${feature}' entitlement:`, error);
+            res.status(500).json({ message: 'Error checking plan features.' });
+        }
+    };
+};
+
+module.exports = { requireFeature };
@@ -0,0 +1,67 @@
+const User = require('../models/User');
+const PasskeyCredential = require('../models/PasskeyCredential');
+const { verifyStepUpToken } = require('../services/mfaService');
+const stepUp = require('../config/stepUp');
+
+/**
+ * Second factors the user can confirm an action with.
+ * @param {string} userId
+ * @returns {Promise<string[]>} 'passkey' and/or 'totp'.
+ */
+const getStepUpFactors = async (userId) => {
+    const [passkey, totp] = await Promise.all([
+        PasskeyCredential.exists({ userId }),
+        User.exists({ _id: userId, 'mfa.enabled': true }),
+    ]);
+    return [passkey && 'passkey', totp && 'totp'].filter(Boolean);
+};
+
+/**
+ * @description Middleware that requires a fresh second factor for a sensitive action.
+ * The client obtains a step-up token from `/api/users/step-up/verify` and sends it
+ * in the `X-Step-Up-Token` header. The token must belong to the same user and session as the
+ * access token. Must run after `authenticate`.
+ * Who has to confirm depends on STEP_UP_MODE (config/stepUp.js). A refusal lists the user's
+ * `factors`, so the client knows whether to start a passkey ceremony or ask for a code.
+ * @returns {function} Express middleware.
+ */
+const requireStepUp = () => {
+    return async (req, res, next) => {
+        if (stepUp.mode === 'off') {
+            return next();
+        }
+
+        const token = req.headers['x-step-up-token'];
+        let message = 'Please confirm this action with your passkey or authenticator code.';
+        if (token) {
+            try {
+                const decoded = verifyStepUpToken(token);
+                if (String(decoded._id) === String(req.user._id) && decoded.sid === req.user.sid) {
+                    return next();
+                }
+            } catch (error) {
+                console.warn(`Step-up verification failed: ${error.name} - ${error.message}`);
+                message = 'Your confirmation has expired. Please confirm this action again.';
+            }
+        }
+
+        try {
+            const factors = await getStepUpFactors(req.user._id);
+            if (factors.length > 0) {
+                return res.status(403).json({ message, code: 'STEP_UP_REQUIRED', factors });
+            }
+            if (stepUp.mode === 'enrolled') {
+                return next(); // Nothing to confirm with
+            }
+            res.status(403).json({
+                message: 'Please set up a passkey or an authenticator app to perform this action.',
+                code: 'STEP_UP_ENROLLMENT_REQUIRED',
+                factors,
+            });
+        } catch (error) {
+            next(error);
+        }
+    };
+};
+
+module.exports = { requireStepUp };
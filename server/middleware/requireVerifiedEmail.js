@@ -0,0 +1,36 @@
+const User = require('../models/User');
+const { isVerificationRequiredFor } = require('../services/emailVerificationService');
+
+/**
+ * @description Middleware factory that blocks users with an unverified email address
+ * from an action, if the REQUIRE_VERIFIED_EMAIL_FOR policy lists that action.
+ * Must run after `authenticate`. The flag is read from the database because it is not
+ * part of the access token and may change while the token is still valid.
+ * @param {string} action - The policy action name (e.g. 'order').
+ * @returns {function} Express middleware.
+ */
+const requireVerifiedEmail = (action) => {
+    return async (req, res, next) => {
+        if (!isVerificationRequiredFor(action)) {
+            return next();
+        }
+
+        try {
+            const user = await User.findById(req.user._id).select('isEmailVerified');
+
+            if (!user) {
+                return res.status(404).json({ message: 'User not found.' });
+            }
+            if (!user.isEmailVerified) {
+                return res.status(403).json({ message: 'Please verify your email address to continue.', code: 'EMAIL_NOT_VERIFIED' });
+            }
+
+            next();
+        } catch (error) {
+            console.error('Error checking email verification:', error);
+            res.status(500).json({ message: 'Error checking email verification.' });
+        }
+    };
+};
+
+module.exports = { requireVerifiedEmail };
@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+/**
+ * @description A personal API key for machine-to-machine access (`Authorization: ApiKey <key>`).
+ * The key acts as its owner (same role and plan), limited to its scopes.
+ * Only a SHA-256 hash of the key is stored; the plain key is shown once, when it is created.
+ */
+const apiKeySchema = new Schema({
+    userId: {
+        type: Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'User ID is required for an API key.'],
+        index: true // Index for listing a user's keys
+    },
+    name: { // Human readable label, e.g. "CI deploy"
+        type: String,
+        required: [true, 'API key name is required.'],
+        trim: true
+    },
+    prefix: { // First characters of the key, shown in listings to tell keys apart
+        type: String,
+        required: true
+    },
+    keyHash: { // SHA-256 hex of the full key
+        type: String,
+        required: true,
+        unique: true,
+        select: false
+    },
+    scopes: { // Actions the key may perform, matching the Casbin actions of the HTTP methods
+        type: [{ type: String, enum: ['read', 'write', 'update', 'delete'] }],
+        default: ['read']
+    },
+    rateLimit: { // Requests per window of the 'apiKey' rate limit group; null uses the default
+        type: Number,
+        default: null
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    lastUsedAt: {
+        type: Date,
+        default: null
+    },
+    lastUsedIp: {
+        type: String,
+        trim: true
+    },
+    revokedAt: {
+        type: Date,
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+const ApiKey = mongoose.model('ApiKey', apiKeySchema);
+
+module.exports = ApiKey;
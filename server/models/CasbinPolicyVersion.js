@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+/**
+ * @description Version counter of the stored Casbin policies (a single document).
+ * Incremented on every change, so each server instance can tell whether the rules it enforces
+ * are current (see services/casbinWatcher.js).
+ */
+const casbinPolicyVersionSchema = new Schema({
+    _id: { // Always 'casbin'
+        type: String
+    },
+    version: {
+        type: Number,
+        default: 0
+    }
+}, {
+    collection: 'casbin_policy_version',
+    timestamps: { createdAt: false, updatedAt: true } // updatedAt = time of the last change
+});
+
+const CasbinPolicyVersion = mongoose.model('CasbinPolicyVersion', casbinPolicyVersionSchema);
+
+module.exports = CasbinPolicyVersion;
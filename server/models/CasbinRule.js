@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+/**
+ * @description One Casbin policy line, stored by services/casbinMongooseAdapter.js.
+ * - ptype 'p': permission rule; v0..v4 = sub, dom, obj, act, eft (see config/model.conf).
+ * - ptype 'g': role assignment; v0 = user/role, v1 = role it inherits.
+ * Unused trailing fields are left empty so every rule has a single, unique representation.
+ */
+const casbinRuleSchema = new Schema({
+    ptype: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    v0: { type: String, default: '' },
+    v1: { type: String, default: '' },
+    v2: { type: String, default: '' },
+    v3: { type: String, default: '' },
+    v4: { type: String, default: '' },
+    v5: { type: String, default: '' }
+}, {
+    collection: 'casbin_rules',
+    timestamps: true
+});
+
+// The same rule cannot be stored twice
+casbinRuleSchema.index({ ptype: 1, v0: 1, v1: 1, v2: 1, v3: 1, v4: 1, v5: 1 }, { unique: true });
+
+const CasbinRule = mongoose.model('CasbinRule', casbinRuleSchema);
+
+module.exports = CasbinRule;
@@ -0,0 +1,111 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+/**
+ * A discount users apply to an order with its code (promotion code), see services/couponService.js.
+ */
+const couponSchema = new Schema({
+    code: {
+        type: String,
+        required: [true, 'Coupon code is required.'],
+        unique: true,
+        uppercase: true, // Codes are matched case-insensitively
+        trim: true,
+        match: [/^[A-Z0-9_-]{3,40}$/, 'Coupon code may only contain letters, digits, "-" and "_" (3-40 characters).'],
+        index: true
+    },
+    description: {
+        type: String,
+        trim: true
+    },
+    discountType: {
+        type: String,
+        required: [true, 'Discount type is required.'],
+        enum: ['percentage', 'fixed']
+    },
+    percentOff: { // percentage coupons
+        type: Number,
+        min: [1, 'percentOff must be at least 1.'],
+        max: [100, 'percentOff cannot exceed 100.']
+    },
+    amountOff: { // fixed coupons, in `currency`
+        type: Number,
+        min: [0.01, 'amountOff must be positive.']
+    },
+    currency: { // fixed coupons only apply to plans in this currency
+        type: String,
+        uppercase: true,
+        trim: true
+    },
+    plans: [{ // Plans the coupon applies to; empty = all plans
+        type: Schema.Types.ObjectId,
+        ref: 'Plan'
+    }],
+    // How long the discount lasts once redeemed:
+    // once = first payment only, repeating = payments within durationInMonths, forever = every payment
+    duration: {
+        type: String,
+        enum: ['once', 'repeating', 'forever'],
+        default: 'once'
+    },
+    durationInMonths: { // repeating coupons
+        type: Number,
+        min: [1, 'durationInMonths must be at least 1.']
+    },
+    maxRedemptions: { // Across all users; null = unlimited
+        type: Number,
+        min: [1, 'maxRedemptions must be at least 1.'],
+        default: null
+    },
+    maxRedemptionsPerUser: { // null = unlimited
+        type: Number,
+        min: [1, 'maxRedemptionsPerUser must be at least 1.'],
+        default: 1
+    },
+    timesRedeemed: { // Paid orders that used the code (continued discounts not counted)
+        type: Number,
+        default: 0
+    },
+    expiresAt: { // Last moment the code can be applied; null = no expiry
+        type: Date,
+        default: null
+    },
+    isActive: {
+        type: Boolean,
+        default: true,
+        index: true
+    },
+    createdBy: {
+        type: Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+// Each discount type needs its own fields
+couponSchema.pre('validate', function (next) {
+    if (this.discountType === 'percentage' && !this.percentOff) {
+        this.invalidate('percentOff', 'percentOff is required for percentage coupons.');
+    }
+    if (this.discountType === 'fixed' && (!this.amountOff || !this.currency)) {
+        this.invalidate('amountOff', 'amountOff and currency are required for fixed coupons.');
+    }
+    if (this.duration === 'repeating' && !this.durationInMonths) {
+        this.invalidate('durationInMonths', 'durationInMonths is required for repeating coupons.');
+    }
+    next();
+});
+
+const Coupon = mongoose.model('Coupon', couponSchema);
+
+module.exports = Coupon;
+
+/**
+ * Notes on Coupon Schema:
+ * - `code` is stored uppercase; look codes up with `code.trim().toUpperCase()`.
+ * - `timesRedeemed` is increased when a payment that used the code is confirmed. The limits are
+ *   checked when the order is placed and again at confirmation, so an order placed while a limited
+ *   coupon had redemptions left cannot be confirmed once it has run out.
+ * - Coupons that were redeemed are deactivated instead of deleted, to keep the redemption history.
+ */
@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+/**
+ * A confirmed payment that was discounted by a coupon, for limits and reporting
+ * (services/couponService.js).
+ */
+const couponRedemptionSchema = new Schema({
+    coupon: {
+        type: Schema.Types.ObjectId,
+        ref: 'Coupon',
+        required: true,
+        index: true
+    },
+    code: { // As applied, in case the coupon is renamed
+        type: String,
+        required: true
+    },
+    user: {
+        type: Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    plan: {
+        type: Schema.Types.ObjectId,
+        ref: 'Plan'
+    },
+    order: {
+        type: Schema.Types.ObjectId,
+        ref: 'Order'
+    },
+    payment: {
+        type: Schema.Types.ObjectId,
+        ref: 'Payment',
+        required: true,
+        unique: true // A payment redeems a coupon once
+    },
+    amount: { // Discount given
+        type: Number,
+        required: true
+    },
+    currency: {
+        type: String,
+        required: true
+    },
+    recurring: { // Continued discount of a repeating or forever coupon, without the code
+        type: Boolean,
+        default: false
+    },
+    redeemedAt: {
+        type: Date,
+        default: Date.now,
+        index: true
+    }
+}, {
+    timestamps: true
+});
+
+const CouponRedemption = mongoose.model('CouponRedemption', couponRedemptionSchema);
+
+module.exports = CouponRedemption;
@@ -48,6 +48,44 @@ const invoiceSchema = new Schema({
         enum: ['paid', 'unpaid', 'cancelled'],
         default: 'paid'
     },
+    kind: {
+        type: String,
+        enum: ['subscription', 'plan_change'], // plan_change: prorated adjustment of a mid-period plan change
+        default: 'subscription'
+    },
+    // Proration of a plan_change invoice: amount = charge - credit (never below 0)
+    adjustment: {
+        previousPlan: {
+            type: Schema.Types.ObjectId,
+            ref: 'Plan'
+        },
+        credit: { // Unused value of the previous plan for the rest of the period
+            type: Number
+        },
+        charge: { // Value of the new plan for the same time
+            type: Number
+        }
+    },
+    // What the amount is made of, e.g. the plan price and a coupon discount (negative amount)
+    lineItems: [{
+        _id: false,
+        description: {
+            type: String,
+            required: true
+        },
+        amount: {
+            type: Number,
+            required: true
+        }
+    }],
+    discount: {
+        coupon: {
+            type: Schema.Types.ObjectId,
+            ref: 'Coupon'
+        },
+        code: String,
+        amount: Number
+    },
     issuedDate: {
         type: Date,
         default: Date.now
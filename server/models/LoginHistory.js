@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// How long login attempts are kept, e.g. LOGIN_HISTORY_RETENTION_DAYS=90
+const RETENTION_DAYS = parseInt(process.env.LOGIN_HISTORY_RETENTION_DAYS || '90', 10);
+
+/**
+ * @description One login attempt (successful or not) against a user account.
+ * Attempts for unknown usernames/emails are not stored, as they belong to no account.
+ */
+const loginHistorySchema = new Schema({
+    userId: {
+        type: Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'User ID is required for a login history entry.']
+    },
+    success: {
+        type: Boolean,
+        required: true
+    },
+    method: { // How the user tried to log in
+        type: String,
+        enum: ['password', 'mfa', 'oauth', 'passwordless', 'passkey'],
+        default: 'password'
+    },
+    failureReason: {
+        type: String,
+        enum: [
+            'invalid_password',
+            'invalid_mfa_code',
+            'invalid_otp',
+            'account_locked',
+            'account_disabled',
+            'email_not_verified',
+            null
+        ],
+        default: null
+    },
+    ipAddress: {
+        type: String,
+        trim: true
+    },
+    userAgent: {
+        type: String,
+        trim: true
+    }
+}, {
+    // Only createdAt is meaningful; entries are never updated
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Efficiently fetch a user's most recent attempts
+loginHistorySchema.index({ userId: 1, createdAt: -1 });
+
+// --- TTL Index ---
+// MongoDB automatically deletes entries older than the retention period.
+loginHistorySchema.index({ createdAt: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+
+const LoginHistory = mongoose.model('LoginHistory', loginHistorySchema);
+
+module.exports = LoginHistory;
@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+/**
+ * @description Short-lived, single-use server-side state of the OAuth social login flow.
+ * - 'authorize': created when redirecting to the provider (state + PKCE code verifier).
+ * - 'login':     one-time code handed to the client after a successful callback, exchanged for tokens.
+ * - 'link':      pending link of a social identity to an existing account, waiting for re-authentication.
+ * Only a SHA-256 hash of the handle sent to the browser is stored.
+ */
+const oauthStateSchema = new Schema({
+    key: { // SHA-256 hex of the random handle (state, login code or link token)
+        type: String,
+        required: true,
+        unique: true
+    },
+    purpose: {
+        type: String,
+        required: true,
+        enum: ['authorize', 'login', 'link']
+    },
+    provider: {
+        type: String,
+        required: true,
+        enum: ['google', 'facebook', 'github']
+    },
+    codeVerifier: { // PKCE verifier ('authorize' only)
+        type: String
+    },
+    redirectUri: { // Client page to return to after the callback ('authorize' only)
+        type: String
+    },
+    userId: { // Account to log in or link ('login' and 'link')
+        type: Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    profile: { // Normalised provider profile ('link' only)
+        type: Schema.Types.Mixed
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+}, {
+    timestamps: true
+});
+
+// --- TTL Index ---
+// MongoDB deletes abandoned flows automatically once they expire.
+oauthStateSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const OAuthState = mongoose.model('OAuthState', oauthStateSchema);
+
+module.exports = OAuthState;
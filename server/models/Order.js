@@ -39,6 +39,19 @@ const orderSchema = new mongoose.Schema(
             required: true,
             default: 'BDT',
         },
+        subtotal: { // Plan price before the discount; amount = subtotal - discount.amount
+            type: Number,
+            min: [0, 'Subtotal cannot be negative'],
+        },
+        discount: { // Coupon applied to the order (services/couponService.js)
+            coupon: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'Coupon',
+            },
+            code: String,
+            amount: Number,
+            recurring: Boolean, // Continued discount of an earlier redemption, no code entered
+        },
         startDate: {
             type: Date,
         },
@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+/**
+ * @description A FIDO2 / WebAuthn public-key credential (passkey) registered by a user.
+ * Only the public key is stored; the private key never leaves the user's authenticator.
+ */
+const passkeyCredentialSchema = new Schema({
+    userId: {
+        type: Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'User ID is required for a passkey.'],
+        index: true // Index for listing a user's passkeys
+    },
+    credentialId: { // base64url credential ID chosen by the authenticator
+        type: String,
+        required: true,
+        unique: true
+    },
+    publicKey: { // COSE encoded public key
+        type: Buffer,
+        required: true
+    },
+    counter: { // Signature counter, used to detect cloned authenticators
+        type: Number,
+        default: 0
+    },
+    transports: { // Hints for the browser, e.g. ['internal', 'hybrid']
+        type: [String],
+        default: []
+    },
+    deviceType: { // 'singleDevice' or 'multiDevice' (synced passkey)
+        type: String,
+        enum: ['singleDevice', 'multiDevice']
+    },
+    backedUp: {
+        type: Boolean,
+        default: false
+    },
+    name: { // Human readable label, e.g. "MacBook Touch ID"
+        type: String,
+        trim: true,
+        default: 'Passkey'
+    },
+    lastUsedAt: {
+        type: Date,
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+const PasskeyCredential = mongoose.model('PasskeyCredential', passkeyCredentialSchema);
+
+module.exports = PasskeyCredential;
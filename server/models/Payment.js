@@ -37,6 +37,18 @@ const paymentSchema = new Schema({
         required: [true, 'Payment amount is required.'],
         get: v => v ? parseFloat(v.toString()) : 0.00 // Optional getter to convert Decimal128 to float when accessed
     },
+    /**
+     * Coupon discount included in the amount (amount = plan price - discount.amount), copied from the order.
+     */
+    discount: {
+        coupon: {
+            type: Schema.Types.ObjectId,
+            ref: 'Coupon'
+        },
+        code: String,
+        amount: Number,
+        recurring: Boolean
+    },
     /**
      * The currency code (ISO 4217) for the amount (e.g., 'USD', 'EUR', 'BDT').
      */
@@ -168,6 +180,7 @@ module.exports = Payment;
  * - `amount`/`refundedAmount`: Uses Decimal128 for financial precision. Consider storing amounts in cents (integer) as an alternative if Decimal128 proves complex for your stack.
  * - `status`: Tracks the lifecycle of the payment. Critical for business logic.
  * - `paymentGateway` & `gatewayTransactionId`: Essential for identifying the transaction externally. `gatewayTransactionId` MUST be unique.
+ * - `discount`: Coupon applied to the payment; the coupon is redeemed when the payment is confirmed.
  * - `purpose`: Provides context for the payment, useful for reporting and logic.
  * - `paymentMethodDetails`: Store limited, non-sensitive info (e.g., card last4, brand). NEVER store full card numbers, CVV, etc.
  * - `gatewayResponse`: Useful for debugging but excluded by default (`select: false`).
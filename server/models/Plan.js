@@ -39,13 +39,38 @@ const planSchema = new Schema({
         uppercase: true,
         trim: true
     },
+    trialDays: {
+        type: Number, // Length of the free trial a user can start once (see services/trialService.js); 0 = no trial
+        min: [0, 'trialDays cannot be negative.'],
+        default: 0
+    },
     features: {
         type: [String], // Array of feature descriptions
         default: []
     },
+    entitlements: {
+        type: [String], // Feature names checked by requireFeature(), e.g. 'export.csv' (see config/entitlements.js)
+        default: []
+    },
+    // Usage limits (see config/planLimits.js): the counted ones are enforced with
+    // middleware/enforceLimit.js on the routes that create the resource, apiRateLimit by the API key limiter.
+    // null = unlimited, 0 = not included in the plan.
     limits: {
-        type: Schema.Types.Mixed, // Flexible object for limits, e.g., { projects: 5, storageGB: 10 }
-        default: {}
+        maxProjects: {
+            type: Number,
+            min: [0, 'maxProjects cannot be negative.'],
+            default: null
+        },
+        maxTransactionsPerMonth: {
+            type: Number,
+            min: [0, 'maxTransactionsPerMonth cannot be negative.'],
+            default: null
+        },
+        apiRateLimit: {
+            type: Number, // API requests per key and 'apiKey' rate limit window; caps a key's own rateLimit
+            min: [0, 'apiRateLimit cannot be negative.'],
+            default: null
+        }
     },
     stripePriceId: {
         type: String,
@@ -80,7 +105,9 @@ module.exports = Plan;
  * - `name` and `slug` are unique identifiers.
  * - `price`: Using Number. For critical financial calculations, research and potentially use mongoose-currency or Schema.Types.Decimal128, though Number is often sufficient.
  * - `billingCycle`: Enum restricts values to predefined options.
- * - `limits`: Schema.Types.Mixed offers flexibility. Define a nested schema if limits have a consistent structure.
+ * - `trialDays`: Free trial length; users start a trial of a plan at most once (models/Trial.js).
+ * - `features` are display texts for a pricing page; `entitlements` are what the server actually grants.
+ * - `limits`: Typed limits; a missing or null value means unlimited. Add new limits here and in config/planLimits.js.
  * - `stripePriceId`: Indexed and sparsely unique, useful for payment gateway integration.
  * - `timestamps: true`: Adds `createdAt` and `updatedAt` managed by Mongoose.
  */
\ No newline at end of file
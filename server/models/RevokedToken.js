@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+/**
+ * @description An individually revoked access token (e.g. on logout), identified by its `jti` claim.
+ * Entries only need to live as long as the token itself would have.
+ */
+const revokedTokenSchema = new Schema({
+    jti: {
+        type: String,
+        required: [true, 'Token ID (jti) is required.'],
+        unique: true
+    },
+    userId: {
+        type: Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'User ID is required for a revoked token.'],
+        index: true // Revoked tokens are loaded per user into the revocation cache
+    },
+    reason: {
+        type: String,
+        trim: true
+    },
+    expiresAt: { // The token's own expiry
+        type: Date,
+        required: true
+    }
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+// --- TTL Index ---
+// Once the token has expired it is rejected anyway, so its entry can go.
+revokedTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const RevokedToken = mongoose.model('RevokedToken', revokedTokenSchema);
+
+module.exports = RevokedToken;
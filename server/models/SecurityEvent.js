@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+/**
+ * @description Append-only record of security relevant events for a user account
+ * (e.g. a refresh token being reused after it was rotated).
+ */
+const securityEventSchema = new Schema({
+    userId: {
+        type: Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'User ID is required for a security event.'],
+        index: true // Index for listing a user's security history
+    },
+    type: {
+        type: String,
+        required: [true, 'Security event type is required.'],
+        enum: [
+            'refresh_token_reuse', // A rotated refresh token was presented after its grace window
+            'account_locked', // Too many failed logins
+            'account_unlocked', // Lock cleared by the user (email OTP) or an admin
+            'impersonation_started', // An admin started acting as the user
+            'impersonation_stopped', // ...and stopped
+            'password_changed', // Changed by the user while logged in
+            'email_changed', // Confirmed change of the account email address
+            'policy_changed' // An admin edited the authorization policies (recorded on the admin)
+        ],
+        index: true
+    },
+    sessionId: { // The session (refresh-token family) involved, if any
+        type: Schema.Types.ObjectId,
+        ref: 'Session'
+    },
+    ipAddress: {
+        type: String,
+        trim: true
+    },
+    userAgent: {
+        type: String,
+        trim: true
+    },
+    metadata: { // Event specific details
+        type: Schema.Types.Mixed,
+        default: {}
+    }
+}, {
+    // Only createdAt is meaningful; events are never updated
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Efficiently fetch a user's most recent events
+securityEventSchema.index({ userId: 1, createdAt: -1 });
+
+const SecurityEvent = mongoose.model('SecurityEvent', securityEventSchema);
+
+module.exports = SecurityEvent;
@@ -0,0 +1,113 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+/**
+ * @description Represents a single logged-in device (one refresh-token chain) for a user.
+ * Each login creates a new session, and refresh-token rotation happens per session,
+ * so signing in on one device no longer invalidates the others.
+ */
+const sessionSchema = new Schema({
+    userId: {
+        type: Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'User ID is required for a session.'],
+        index: true // Index for listing/revoking a user's sessions
+    },
+    refreshToken: { // The current (latest rotated) refresh token of this session
+        type: String,
+        select: false // Exclude refresh token from query results by default
+    },
+    deviceLabel: { // Human readable label, e.g. "Chrome on Windows"
+        type: String,
+        trim: true,
+        default: 'Unknown device'
+    },
+    ipAddress: {
+        type: String,
+        trim: true
+    },
+    userAgent: {
+        type: String,
+        trim: true
+    },
+    mfaVerified: { // True if the login that opened this session passed a second factor
+        type: Boolean,
+        default: false
+    },
+    lastUsedAt: {
+        type: Date,
+        default: Date.now
+    },
+    expiresAt: { // Mirrors the refresh token expiry; refreshed on every rotation
+        type: Date,
+        required: true
+    },
+    revokedAt: {
+        type: Date,
+        default: null,
+        index: true
+    },
+    revokedReason: {
+        type: String,
+        enum: ['logout', 'logout_all', 'user_revoked', 'token_reuse', 'account_disabled', 'password_changed', null],
+        default: null
+    }
+}, {
+    // Automatically add createdAt and updatedAt timestamps
+    timestamps: true
+});
+
+// --- TTL Index ---
+// MongoDB removes a session once its refresh token can no longer be used.
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * @description Checks whether the session can still be used to refresh tokens.
+ * @returns {boolean} - True if the session is neither revoked nor expired.
+ */
+sessionSchema.methods.isUsable = function () {
+    return !this.revokedAt && this.expiresAt > new Date();
+};
+
+/**
+ * @description Revokes this session.
+ * @param {string} reason - One of the `revokedReason` enum values.
+ * @returns {Promise<Document>} - The saved session.
+ */
+sessionSchema.methods.revoke = function (reason) {
+    this.revokedAt = new Date();
+    this.revokedReason = reason;
+    return this.save();
+};
+
+/**
+ * @description Finds all active (not revoked, not expired) sessions of a user, newest first.
+ * @param {mongoose.Schema.Types.ObjectId} userId - The ID of the user.
+ * @returns {Promise<Document[]>} - The active sessions.
+ */
+sessionSchema.statics.findActiveByUser = function (userId) {
+    return this.find({
+        userId,
+        revokedAt: null,
+        expiresAt: { $gt: new Date() }
+    }).sort({ lastUsedAt: -1 });
+};
+
+/**
+ * @description Revokes every active session of a user, optionally keeping one.
+ * @param {mongoose.Schema.Types.ObjectId} userId - The ID of the user.
+ * @param {string} reason - One of the `revokedReason` enum values.
+ * @param {mongoose.Schema.Types.ObjectId} [exceptSessionId] - A session to leave untouched (e.g. the current one).
+ * @returns {Promise<object>} - The MongoDB update result.
+ */
+sessionSchema.statics.revokeAllForUser = function (userId, reason, exceptSessionId = null) {
+    const filter = { userId, revokedAt: null };
+    if (exceptSessionId) {
+        filter._id = { $ne: exceptSessionId };
+    }
+    return this.updateMany(filter, { $set: { revokedAt: new Date(), revokedReason: reason } });
+};
+
+const Session = mongoose.model('Session', sessionSchema);
+
+module.exports = Session;
@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+/**
+ * A free trial of a plan. One per user and plan (unique index), kept after the trial ends
+ * for conversion reporting (services/trialService.js).
+ */
+const trialSchema = new Schema({
+    user: {
+        type: Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    plan: {
+        type: Schema.Types.ObjectId,
+        ref: 'Plan',
+        required: true,
+        index: true
+    },
+    previousPlan: { // Plan the user was on when the trial started
+        type: Schema.Types.ObjectId,
+        ref: 'Plan'
+    },
+    startedAt: {
+        type: Date,
+        required: true,
+        default: Date.now,
+        index: true // Reports filter trials by start date
+    },
+    endsAt: {
+        type: Date,
+        required: true
+    },
+    status: {
+        type: String,
+        enum: [
+            'active',    // The user is on the trial
+            'converted', // The user paid for a plan during the trial or shortly after it
+            'expired'    // The trial ended without a payment
+        ],
+        default: 'active',
+        index: true
+    },
+    remindAt: { // When the "trial ends soon" email is due; null if the trial is too short for one
+        type: Date,
+        default: null,
+        index: true
+    },
+    reminderSentAt: {
+        type: Date,
+        default: null
+    },
+    convertedAt: {
+        type: Date,
+        default: null
+    },
+    convertedPlan: { // Plan the user paid for, not necessarily the trial's plan
+        type: Schema.Types.ObjectId,
+        ref: 'Plan'
+    },
+    payment: { // Payment that converted the trial
+        type: Schema.Types.ObjectId,
+        ref: 'Payment'
+    }
+}, {
+    timestamps: true
+});
+
+// One trial per user per plan
+trialSchema.index({ user: 1, plan: 1 }, { unique: true });
+
+const Trial = mongoose.model('Trial', trialSchema);
+
+module.exports = Trial;
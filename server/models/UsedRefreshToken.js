@@ -13,6 +13,12 @@ const usedRefreshTokenSchema = new mongoose.Schema({
         ref: 'User',
         required: true,
     },
+    // The session (device) whose refresh-token chain this token belonged to.
+    sessionId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Session',
+        required: true,
+    },
     accessToken: {
         type: String,
         required: true,
@@ -2,9 +2,13 @@ const mongoose = require('mongoose');
 const Schema = mongoose.Schema;
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const Session = require('./Session');
+const { signAccessToken } = require('../services/jwtKeyService');
+const passwordPolicy = require('../config/passwordPolicy');
 
 // Environment variables for token secrets and expiry (ensure these are set in your .env)
-const ACCESS_TOKEN_SECRET = process.env.ACCESS_TOKEN_SECRET;
+// Access tokens are signed by services/jwtKeyService.js (RS256/ES256 key ring, HS256 fallback).
 const REFRESH_TOKEN_SECRET = process.env.REFRESH_TOKEN_SECRET;
 const ACCESS_TOKEN_EXPIRY = process.env.ACCESS_TOKEN_EXPIRY || '15m';
 const REFRESH_TOKEN_EXPIRY = process.env.REFRESH_TOKEN_EXPIRY || '7d';
@@ -34,9 +38,17 @@ const userSchema = new Schema({
         required: [true, 'Password hash is required.'],
         select: false // Exclude password hash from query results by default
     },
-    refreshToken: {
-        type: String,
-        select: false // Exclude refresh token from query results by default
+    passwordHistory: { // Hashes of previous passwords, newest first (kept up to PASSWORD_HISTORY_COUNT)
+        type: [{
+            _id: false,
+            hash: { type: String, required: true },
+            setAt: { type: Date } // When that password was set
+        }],
+        select: false,
+        default: undefined
+    },
+    passwordChangedAt: {
+        type: Date
     },
     firstName: {
         type: String,
@@ -50,6 +62,10 @@ const userSchema = new Schema({
         type: String,
         trim: true
     },
+    profilePictureKey: { // Storage key of an uploaded picture (Cloudinary public_id or local file name), to delete it when replaced
+        type: String,
+        select: false
+    },
     planId: {
         type: Schema.Types.ObjectId,
         ref: 'Plan', // Reference to the Plan model
@@ -74,6 +90,29 @@ const userSchema = new Schema({
         type: Date,
         index: true
     },
+    scheduledPlanChange: { // Downgrade requested by the user, applied at the end of the current period
+        planId: {
+            type: Schema.Types.ObjectId,
+            ref: 'Plan'
+        },
+        effectiveAt: {
+            type: Date,
+            index: true // Found by the scheduled plan change job
+        },
+        order: {
+            type: Schema.Types.ObjectId,
+            ref: 'Order'
+        }
+    },
+    discount: { // Continued discount of a redeemed repeating or forever coupon, applied to later orders
+        coupon: {
+            type: Schema.Types.ObjectId,
+            ref: 'Coupon'
+        },
+        code: String,
+        startedAt: Date,
+        endsAt: Date // null = forever
+    },
     role: {
         type: String,
         enum: ['user', 'admin', 'editor', 'support'], // Define role
@@ -84,6 +123,12 @@ const userSchema = new Schema({
         type: Boolean,
         default: false
     },
+    pendingEmail: { // New address awaiting confirmation by the owner (change-email flow)
+        type: String,
+        lowercase: true,
+        trim: true,
+        select: false
+    },
     authProvider: {
         type: String,
         enum: ['local', 'google', 'facebook', 'github'], // Add providers as needed
@@ -103,6 +148,51 @@ const userSchema = new Schema({
     lastLoginAt: {
         type: Date
     },
+    tokensValidAfter: { // Access tokens issued before this time are rejected (see services/tokenRevocationService.js)
+        type: Date
+    },
+    loginSecurity: { // Per-account brute-force protection (see services/accountLockoutService.js)
+        failedLoginAttempts: { // Consecutive failed attempts since the last success or lockout
+            type: Number,
+            default: 0
+        },
+        lastFailedLoginAt: {
+            type: Date
+        },
+        lockedUntil: { // Login is refused until this time
+            type: Date
+        },
+        lockCount: { // Consecutive lockouts; each one doubles the lock duration
+            type: Number,
+            default: 0
+        }
+    },
+    mfa: { // TOTP based two-factor authentication
+        enabled: {
+            type: Boolean,
+            default: false
+        },
+        secret: { // Base32 TOTP secret, set once enrolment is confirmed
+            type: String,
+            select: false
+        },
+        pendingSecret: { // Secret awaiting confirmation during enrolment
+            type: String,
+            select: false
+        },
+        recoveryCodes: { // bcrypt hashes of the unused one-time recovery codes
+            type: [String],
+            select: false,
+            default: undefined
+        },
+        lastUsedStep: { // TOTP time step of the last accepted code; it and earlier codes are rejected
+            type: Number,
+            select: false
+        },
+        enabledAt: {
+            type: Date
+        }
+    },
     preferences: { // User-specific settings
         type: Schema.Types.Mixed,
         default: {}
@@ -116,12 +206,30 @@ const userSchema = new Schema({
     timestamps: true
 });
 
+// A social identity can only be linked to one account
+userSchema.index(
+    { authProvider: 1, providerId: 1 },
+    { unique: true, partialFilterExpression: { providerId: { $type: 'string' } } }
+);
+
 // Mongoose Pre-Save Hook for Password Hashing
 userSchema.pre('save', async function (next) {
     if (this.isModified('password_hash')) {
         try {
+            // Keep the replaced hash so the password policy can refuse recent passwords
+            if (!this.isNew && passwordPolicy.historyCount > 0) {
+                const previous = await this.constructor.findById(this._id).select('+password_hash +passwordHistory');
+                if (previous?.password_hash) {
+                    this.passwordHistory = [
+                        { hash: previous.password_hash, setAt: previous.passwordChangedAt || previous.createdAt },
+                        ...(previous.passwordHistory || []),
+                    ].slice(0, passwordPolicy.historyCount);
+                }
+            }
+
             const saltRounds = 10;
             this.password_hash = await bcrypt.hash(this.password_hash, saltRounds);
+            this.passwordChangedAt = new Date();
             next();
         } catch (error) {
             next(error);
@@ -145,44 +253,64 @@ userSchema.methods.isPasswordCorrect = async function (passwordAttempt) {
 };
 
 /**
- * @description Generates a JWT Access Token for the user.
- * @returns {string} - The generated access token.
- * @throws {Error} - If ACCESS_TOKEN_SECRET is not defined.
+ * @description Checks whether the account is currently locked after too many failed logins.
+ * @returns {boolean} - True if login must be refused.
  */
-userSchema.methods.generateAccessToken = function () {
-    if (!ACCESS_TOKEN_SECRET) {
-        throw new Error('ACCESS_TOKEN_SECRET is not defined in environment variables.');
-    }
-    // Assumes planId is populated if its properties like 'slug' are accessed.
-    // Original controller logic ensures 'planId' is populated before token generation.
-    let planSlug = "free"; // Default plan slug
+userSchema.methods.isLocked = function () {
+    const lockedUntil = this.loginSecurity?.lockedUntil;
+    return Boolean(lockedUntil && lockedUntil > Date.now());
+};
+
+/**
+ * @description Returns the slug of the user's plan, as used in the `plan` claim (Casbin domain).
+ * Assumes planId is populated if its properties like 'slug' are accessed.
+ * @returns {string} - The plan slug, 'free' by default.
+ */
+userSchema.methods.getPlanSlug = function () {
     if (this.planId && typeof this.planId === 'object' && this.planId.slug) {
-        planSlug = this.planId.slug;
-    } else if (this.planId && this.subscriptionStatus === 'free') { // Fallback if planId not populated but status is free
-        planSlug = 'free';
+        return this.planId.slug;
     }
-    return jwt.sign(
+    return "free"; // Default plan slug
+};
+
+/**
+ * @description Generates a JWT Access Token for the user, signed with the active key of the key ring.
+ * @param {Document} [session] - The session (device) the token is issued for.
+ * @param {object} [options]
+ * @param {object} [options.act] - The admin acting as this user (impersonation), stored in the `act` claim.
+ * @param {string} [options.expiresIn] - Overrides ACCESS_TOKEN_EXPIRY.
+ * @returns {string} - The generated access token.
+ * @throws {Error} - If there is no signing key and ACCESS_TOKEN_SECRET is not defined.
+ */
+userSchema.methods.generateAccessToken = function (session, { act, expiresIn } = {}) {
+    // Original controller logic ensures 'planId' is populated before token generation.
+    return signAccessToken(
         {
             _id: this._id,
             role: this.role,
-            plan: planSlug
+            plan: this.getPlanSlug(),
+            sid: session?._id,
+            mfa: Boolean(session?.mfaVerified), // True if the session was opened with a second factor
+            jti: crypto.randomUUID(), // Unique token ID, lets a single token be revoked
+            iatMs: Date.now(), // Issue time in ms; `iat` has seconds, too coarse for tokensValidAfter
+            ...(act ? { act } : {})
         },
-        ACCESS_TOKEN_SECRET,
-        { expiresIn: ACCESS_TOKEN_EXPIRY }
+        expiresIn || ACCESS_TOKEN_EXPIRY
     );
 };
 
 /**
  * @description Generates a JWT Refresh Token for the user.
+ * @param {mongoose.Schema.Types.ObjectId} sessionId - The session (device) the token belongs to.
  * @returns {string} - The generated refresh token.
  * @throws {Error} - If REFRESH_TOKEN_SECRET is not defined.
  */
-userSchema.methods.generateRefreshToken = function () {
+userSchema.methods.generateRefreshToken = function (sessionId) {
     if (!REFRESH_TOKEN_SECRET) {
         throw new Error('REFRESH_TOKEN_SECRET is not defined in environment variables.');
     }
     return jwt.sign(
-        { _id: this._id },
+        { _id: this._id, sid: sessionId, jti: crypto.randomUUID() }, // jti: no two rotations give the same token
         REFRESH_TOKEN_SECRET,
         { expiresIn: REFRESH_TOKEN_EXPIRY }
     );
@@ -196,6 +324,9 @@ userSchema.methods.generateRefreshToken = function () {
 userSchema.methods.checkAndUpdateExpiredStatus = async function () {
     const now = new Date();
     let updated = false;
+    if (this.scheduledPlanChange?.effectiveAt && this.scheduledPlanChange.effectiveAt <= now) {
+        return updated; // A scheduled plan change replaces the subscription (applied by jobs/subscriptionJobs.js)
+    }
     if ((this.subscriptionStatus === 'active' && this.subscriptionEndDate && this.subscriptionEndDate <= now) ||
         (this.subscriptionStatus === 'trialing' && this.trialEndsAt && this.trialEndsAt <= now)) {
         const defaultExpiredStatus = 'canceled';
@@ -225,11 +356,20 @@ userSchema.methods.checkAndUpdateExpiredStatus = async function () {
 
 /**
  * @description Generates Access and Refresh Tokens, updates subscription status,
- * and saves the user's refresh token.
- * @returns {Promise<{accessToken: string, refreshToken: string}>} - The generated tokens.
+ * and stores the refresh token on the session it belongs to.
+ * Without an existing session a new one is created (i.e. a new login on a device);
+ * with an existing session its refresh token is rotated in place.
+ * @param {object} [options]
+ * @param {Document} [options.session] - The session to rotate (must include `refreshToken` if selected).
+ * @param {object} [options.deviceInfo] - `{ deviceLabel, ipAddress, userAgent }` of the calling device.
+ * @param {boolean} [options.mfaVerified] - Whether a new session was opened with a second factor.
+ * @param {string} [options.replaces] - The refresh token being rotated. The session is then only
+ * updated if it still holds this token, so parallel refreshes with the same token rotate it once.
+ * @returns {Promise<{accessToken: string, refreshToken: string, sessionId: mongoose.Types.ObjectId}|null>} - The generated
+ * tokens, or null if `replaces` was already rotated.
  * @throws {Error} - If token generation or DB update fails.
  */
-userSchema.methods.generateAccessAndRefereshTokens = async function () {
+userSchema.methods.generateAccessAndRefereshTokens = async function ({ session, deviceInfo, mfaVerified = false, replaces } = {}) {
     try {
         // Ensure planId is populated if it's an ObjectId and its properties are needed.
         // Controllers (login, refresh) already populate planId. This is a safeguard.
@@ -239,14 +379,37 @@ userSchema.methods.generateAccessAndRefereshTokens = async function () {
 
         await this.checkAndUpdateExpiredStatus(); // Check and update status on the instance
 
-        const accessToken = this.generateAccessToken();
-        const refreshToken = this.generateRefreshToken();
+        if (!session) {
+            session = new Session({ userId: this._id, mfaVerified });
+        }
+        if (deviceInfo) {
+            Object.assign(session, deviceInfo);
+        }
+
+        const accessToken = this.generateAccessToken(session);
+        const refreshToken = this.generateRefreshToken(session._id);
+
+        session.refreshToken = refreshToken;
+        session.lastUsedAt = new Date();
+        session.expiresAt = new Date(jwt.decode(refreshToken).exp * 1000);
+
+        if (replaces) {
+            const rotated = await Session.findOneAndUpdate(
+                { _id: session._id, refreshToken: replaces, revokedAt: null },
+                { $set: { refreshToken, lastUsedAt: session.lastUsedAt, expiresAt: session.expiresAt } }
+            );
+            if (!rotated) {
+                return null; // Rotated by a parallel request
+            }
+            await this.save();
+            return { accessToken, refreshToken, sessionId: session._id };
+        }
 
-        this.refreshToken = refreshToken;
         // The pre-save hook handles password hashing
         await this.save();
+        await session.save();
 
-        return { accessToken, refreshToken };
+        return { accessToken, refreshToken, sessionId: session._id };
     } catch (error) {
         // console.error("Error in userSchema.methods.generateAccessAndRefereshTokens:", error.message);
         throw new Error(`Failed to generate tokens or update user: ${error.message}`);
@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+/**
+ * @description Short-lived, single-use challenge of a WebAuthn ceremony.
+ * - 'registration':   adding a passkey to the logged-in user's account.
+ * - 'authentication': passwordless login with a passkey (user unknown until the assertion).
+ * - 'step_up':        re-verifying the logged-in user before a sensitive action.
+ * Only a SHA-256 hash of the handle sent to the browser is stored.
+ */
+const webAuthnChallengeSchema = new Schema({
+    key: { // SHA-256 hex of the random challenge handle
+        type: String,
+        required: true,
+        unique: true
+    },
+    purpose: {
+        type: String,
+        required: true,
+        enum: ['registration', 'authentication', 'step_up']
+    },
+    challenge: { // base64url challenge the authenticator must sign
+        type: String,
+        required: true
+    },
+    userId: { // Account the ceremony belongs to ('registration' and 'step_up')
+        type: Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+}, {
+    timestamps: true
+});
+
+// --- TTL Index ---
+// MongoDB deletes abandoned ceremonies automatically once they expire.
+webAuthnChallengeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const WebAuthnChallenge = mongoose.model('WebAuthnChallenge', webAuthnChallengeSchema);
+
+module.exports = WebAuthnChallenge;
@@ -0,0 +1,69 @@
+const express = require('express');
+const router = express.Router();
+
+// Public steps of the login and sign-up flows. Served under /api/auth, and under /api/users
+// for clients of the earlier paths (see routes/authRoutes.js and routes/user.js).
+
+// --- Controller & Middleware Imports ---
+const authController = require('../controllers/authController');
+const mfaController = require('../controllers/mfaController');
+const passwordlessController = require('../controllers/passwordlessController');
+const { publicAuthProtection } = require('../middleware/authProtection');
+const {
+    verifyEmailValidationRules,
+    resendVerificationValidationRules,
+    passwordlessRequestValidationRules,
+    passwordlessVerifyValidationRules,
+    mfaVerifyValidationRules,
+    handleValidationErrors
+} = require('../validators/validatorsIndex');
+
+// ## Login Steps
+
+// MFA Login Verification Route (second step of login when two-factor is enabled)
+router.post('/mfa/verify',
+    ...publicAuthProtection, // Apply slowdown & rate limit
+    mfaVerifyValidationRules(),
+    handleValidationErrors,
+    mfaController.verifyMfaLogin
+);
+
+
+// ## Passwordless Login (emailed code / magic link)
+
+// Email a one-time login code and magic link
+router.post('/passwordless/request',
+    ...publicAuthProtection, // Apply slowdown & rate limit
+    passwordlessRequestValidationRules(),
+    handleValidationErrors,
+    passwordlessController.requestPasswordlessLogin
+);
+
+// Log in with the emailed code
+router.post('/passwordless/verify',
+    ...publicAuthProtection, // Apply slowdown & rate limit
+    passwordlessVerifyValidationRules(),
+    handleValidationErrors,
+    passwordlessController.verifyPasswordlessLogin
+);
+
+
+// ## Email Verification
+
+// Verify Email Route
+router.post('/verify-email',
+    ...publicAuthProtection, // Same slowdown & rate limit as password reset
+    verifyEmailValidationRules(),
+    handleValidationErrors,
+    authController.verifyEmail
+);
+
+// Resend Email Verification Route
+router.post('/resend-verification',
+    ...publicAuthProtection, // Same slowdown & rate limit as password reset
+    resendVerificationValidationRules(),
+    handleValidationErrors,
+    authController.resendVerification
+);
+
+module.exports = router;
@@ -3,9 +3,28 @@ const router = express.Router();
 const { authenticate } = require('../middleware/authMiddleware');
 const { authorize } = require('../middleware/casbinAuthorize');
 const { reloadPolicies } = require('../services/casbin');
+const { requireStepUp } = require('../middleware/requireStepUp');
+const { requireFeature } = require('../middleware/requireFeature');
+const { blockImpersonation } = require('../middleware/blockImpersonation');
+const { rejectApiKeys } = require('../middleware/rejectApiKeys');
+const {
+    impersonationValidationRules,
+    policyRuleValidationRules,
+    roleAssignmentValidationRules,
+    replacePoliciesValidationRules,
+    explainPolicyValidationRules,
+    permissionMatrixValidationRules,
+    handleValidationErrors
+} = require('../validators/validatorsIndex');
 
 // --- Controller & Middleware Imports ---
 const userController = require('../controllers/user');
+const impersonationController = require('../controllers/impersonationController');
+const policyController = require('../controllers/policyController');
+const authFlowRoutes = require('./authFlowRoutes');
+
+// MFA verification, passwordless login and email verification
+router.use(authFlowRoutes);
 
 // Example of a protected route
 router.put('/reload-policies',
@@ -20,6 +39,77 @@ router.put('/reload-policies',
         }
     });
 
+// --- Authorization policies (stored in the database, see services/casbin.js) ---
+
+router.get('/policies',
+    authenticate,
+    authorize("admin"),
+    policyController.getPolicies
+);
+
+// Decision simulation for support: why is a request allowed / denied?
+router.get('/policies/explain',
+    authenticate,
+    authorize("admin"),
+    explainPolicyValidationRules(),
+    handleValidationErrors,
+    policyController.explainPolicyDecision
+);
+
+router.get('/policies/matrix',
+    authenticate,
+    authorize("admin"),
+    permissionMatrixValidationRules(),
+    handleValidationErrors,
+    policyController.getPermissionMatrix
+);
+
+router.post('/policies',
+    authenticate,
+    authorize("admin"),
+    requireStepUp(),
+    policyRuleValidationRules(),
+    handleValidationErrors,
+    policyController.addPolicy
+);
+
+router.delete('/policies',
+    authenticate,
+    authorize("admin"),
+    requireStepUp(),
+    policyRuleValidationRules(),
+    handleValidationErrors,
+    policyController.removePolicy
+);
+
+// Bulk replace of all policies and role assignments
+router.put('/policies',
+    authenticate,
+    authorize("admin"),
+    requireStepUp(),
+    replacePoliciesValidationRules(),
+    handleValidationErrors,
+    policyController.replacePolicies
+);
+
+router.post('/policies/roles',
+    authenticate,
+    authorize("admin"),
+    requireStepUp(),
+    roleAssignmentValidationRules(),
+    handleValidationErrors,
+    policyController.addRoleAssignment
+);
+
+router.delete('/policies/roles',
+    authenticate,
+    authorize("admin"),
+    requireStepUp(),
+    roleAssignmentValidationRules(),
+    handleValidationErrors,
+    policyController.removeRoleAssignment
+);
+
 router.get('/user-profile',
     authenticate,
     authorize("admin"),
@@ -28,34 +118,68 @@ router.get('/user-profile',
 
 router.patch('/user-profile/:userId',
     authenticate,
+    blockImpersonation,
+    rejectApiKeys, // Account changes need an interactive admin login
     authorize("admin"),
     userController.updateUserProfileByAdmin
 );
 
+router.get('/user-login-history/:userId',
+    authenticate,
+    authorize("admin"),
+    userController.getLoginHistoryByAdmin
+);
+
+router.delete('/user-lock/:userId',
+    authenticate,
+    blockImpersonation,
+    rejectApiKeys, // Account changes need an interactive admin login
+    authorize("admin"),
+    userController.unlockUserByAdmin
+);
+
+// "Login as user" for support: short-lived access token of the user, marked with an `act` claim
+router.post('/impersonation/:userId',
+    authenticate,
+    blockImpersonation,
+    rejectApiKeys, // An API key must not be able to act as other users
+    authorize("admin"),
+    impersonationValidationRules(),
+    handleValidationErrors,
+    impersonationController.startImpersonation
+);
+
+// Called with the impersonation token itself
+router.delete('/impersonation',
+    authenticate,
+    impersonationController.stopImpersonation
+);
+
+// Plan-gated examples: the plan's entitlements decide access (config/entitlements.js)
 router.post('/basic-info',
     authenticate,
-    authorize("basic"),
+    requireFeature('info.basic'),
     async (req, res) => {
         res.json({ message: 'This is a protected route. accessed by', user: req.user });
     });
 
 router.post('/professional-info',
     authenticate,
-    authorize("professional"),
+    requireFeature('info.professional'),
     async (req, res) => {
         res.json({ message: 'This is a protected route. accessed by', user: req.user });
     });
 
 router.post('/business-info',
     authenticate,
-    authorize("business"),
+    requireFeature('info.business'),
     async (req, res) => {
         res.json({ message: 'This is a protected route. accessed by', user: req.user });
     });
 
 router.post('/enterprise-info',
     authenticate,
-    authorize("enterprise"),
+    requireFeature('info.enterprise'),
     async (req, res) => {
         res.json({ message: 'This is a protected route. accessed by', user: req.user });
     });
@@ -0,0 +1,55 @@
+const express = require('express');
+const router = express.Router();
+const couponController = require('../controllers/couponController');
+const { authenticate } = require('../middleware/authMiddleware');
+const { authorize } = require('../middleware/casbinAuthorize');
+const { createCouponValidationRules,
+    updateCouponValidationRules,
+    couponIdValidationRules,
+    couponPreviewValidationRules,
+    couponReportValidationRules,
+    handleValidationErrors } = require('../validators/validatorsIndex');
+
+// Check a code before ordering
+router.get('/preview',
+    authenticate,
+    couponPreviewValidationRules(),
+    handleValidationErrors,
+    couponController.previewCoupon);
+
+// Redemption report
+router.get('/report',
+    authenticate,
+    authorize("admin"),
+    couponReportValidationRules(),
+    handleValidationErrors,
+    couponController.getCouponRedemptionReport);
+
+// Coupon CRUD (Admin only)
+router.get('/',
+    authenticate,
+    authorize("admin"),
+    couponController.listCoupons);
+
+router.post('/',
+    authenticate,
+    authorize("admin"),
+    createCouponValidationRules(),
+    handleValidationErrors,
+    couponController.createCoupon);
+
+router.put('/:couponId',
+    authenticate,
+    authorize("admin"),
+    updateCouponValidationRules(),
+    handleValidationErrors,
+    couponController.updateCoupon);
+
+router.delete('/:couponId',
+    authenticate,
+    authorize("admin"),
+    couponIdValidationRules(),
+    handleValidationErrors,
+    couponController.deleteCoupon);
+
+module.exports = router;
@@ -3,9 +3,16 @@ const router = express.Router();
 const planController = require('../controllers/planController');
 const { authenticate } = require('../middleware/authMiddleware');
 const { authorize } = require('../middleware/casbinAuthorize');
+const { requireVerifiedEmail } = require('../middleware/requireVerifiedEmail');
+const { requireStepUp } = require('../middleware/requireStepUp');
+const { blockImpersonation } = require('../middleware/blockImpersonation');
 const { paymentValidationRules,
     planValidationRules,
     changePlanValidationRules,
+    changeOwnPlanValidationRules,
+    planChangeQuoteValidationRules,
+    startTrialValidationRules,
+    trialReportValidationRules,
     handleValidationErrors } = require('../validators/validatorsIndex');
 
 // Optional: Add rate limiting middleware
@@ -39,12 +46,54 @@ router.get('/my-plan',
     authenticate,
     planController.getSubscriptionDetails);
 
+// Usage against the plan's limits
+router.get('/my-usage',
+    authenticate,
+    planController.getMyUsage);
+
+// Self-service plan change with proration
+router.get('/change-plan/quote',
+    authenticate,
+    planChangeQuoteValidationRules(),
+    handleValidationErrors,
+    planController.getPlanChangeQuote);
+
+router.post('/change-plan',
+    authenticate,
+    blockImpersonation, // Support staff must not change a customer's plan
+    requireVerifiedEmail('order'),
+    changeOwnPlanValidationRules(),
+    handleValidationErrors,
+    planController.changeMyPlan);
+
+router.delete('/change-plan',
+    authenticate,
+    blockImpersonation,
+    planController.cancelMyPlanChange);
+
+// Free trials
+router.post('/start-trial',
+    authenticate,
+    blockImpersonation,
+    requireVerifiedEmail('order'),
+    startTrialValidationRules(),
+    handleValidationErrors,
+    planController.startMyTrial);
+
+router.get('/trials/report',
+    authenticate,
+    authorize("admin"),
+    trialReportValidationRules(),
+    handleValidationErrors,
+    planController.getTrialConversionReport);
+
 // Change plan route
 router.post('/approve-plan',
     changePlanValidationRules(),
     handleValidationErrors,
     authenticate,
     authorize("admin"),
+    requireStepUp(), // Fresh passkey or authenticator code via X-Step-Up-Token (STEP_UP_MODE)
     planController.activatedPlan);
 
 // Get all plans route
@@ -54,12 +103,15 @@ router.get('/all-plans',
 // place order
 router.post('/order',
     authenticate,
+    blockImpersonation, // Support staff must not place orders or payments for a customer
+    requireVerifiedEmail('order'), // Blocks unverified users if REQUIRE_VERIFIED_EMAIL_FOR includes 'order'
     planController.placeOrder);
 
 router.post('/manual-payment',
     paymentValidationRules(),
     handleValidationErrors,
     authenticate,
+    blockImpersonation,
     planController.manualPaymentSubmit);
 
 // Get payments by status route
@@ -1,66 +1,42 @@
 const express = require('express');
-const rateLimit = require('express-rate-limit');
-const slowDown = require('express-slow-down');
 const router = express.Router();
 
 // --- Controller & Middleware Imports ---
 const userController = require('../controllers/user');
 const authController = require('../controllers/authController');
+const sessionController = require('../controllers/sessionController');
+const mfaController = require('../controllers/mfaController');
+const oauthController = require('../controllers/oauthController');
+const passkeyController = require('../controllers/passkeyController');
+const apiKeyController = require('../controllers/apiKeyController');
 const { authenticate } = require('../middleware/authMiddleware');
+const { blockImpersonation } = require('../middleware/blockImpersonation');
+const { rejectApiKeys } = require('../middleware/rejectApiKeys');
+const { avatarUpload } = require('../middleware/avatarUpload');
+const { authLimiter, refreshLimiter, publicAuthProtection } = require('../middleware/authProtection');
+const authFlowRoutes = require('./authFlowRoutes');
 const {
     registerValidationRules,
     loginValidationRules,
     requestPasswordResetValidationRules,
     resetPasswordValidationRules,
+    changePasswordValidationRules,
+    changeEmailValidationRules,
+    confirmEmailChangeValidationRules,
+    unlockAccountValidationRules,
+    requestAccountUnlockValidationRules,
+    mfaCodeValidationRules,
+    mfaDisableValidationRules,
+    oauthExchangeValidationRules,
+    oauthLinkValidationRules,
+    passkeyRegistrationValidationRules,
+    passkeyLoginValidationRules,
+    stepUpValidationRules,
+    createApiKeyValidationRules,
+    updateProfileValidationRules,
     handleValidationErrors
 } = require('../validators/validatorsIndex');
 
-// --- Middleware Configurations ---
-
-/**
- * @description Slows down responses for sensitive endpoints after a few attempts
- * to mitigate brute-force attacks.
- */
-const authSlowDown = slowDown({
-    windowMs: 15 * 60 * 1000, // 15 minutes
-    delayAfter: 5,            // Start delaying after 5 requests within windowMs
-    delayMs: (hits) => hits * 100, // Increment delay by 100ms for each request after delayAfter
-    maxDelayMs: 3000,         // Cap the delay at 3 seconds
-});
-
-/**
- * @description Rate limit for authentication actions (login, register, password reset).
- * Limits the number of requests per IP within a time window.
- */
-const authLimiter = rateLimit({
-    windowMs: 15 * 60 * 1000, // 15 minutes
-    max: 10,                  // Limit each IP to 10 requests per windowMs
-    standardHeaders: 'draft-7', // Use RFC 7231 / IETF draft 7 standard headers
-    legacyHeaders: false,       // Disable X-RateLimit-* headers
-    message: { error: 'Too many attempts from this IP, please try again after 15 minutes.' }, // Send JSON response
-    handler: (req, res, next, options) => { // Custom handler for logging/actions
-        // console.warn(`Rate limit exceeded for IP: ${req.ip}`); // Optional: Log exceeded attempts
-        res.status(options.statusCode).send(options.message);
-    }
-});
-
-/**
- * @description Rate limit for refreshing tokens. Allows more frequent requests
- * than auth actions but still provides protection.
- */
-const refreshLimiter = rateLimit({
-    windowMs: 5 * 60 * 1000,  // 5 minutes
-    max: 20,                  // Limit to 20 requests per 5 minutes
-    standardHeaders: 'draft-7',
-    legacyHeaders: false,
-    message: { error: 'Too many refresh requests, please try again later.' }
-});
-
-// --- Middleware Bundles ---
-
-// Combine slowdown and rate limiting for public auth routes
-const publicAuthProtection = [authSlowDown, authLimiter];
-
 // --- Route Definitions ---
 
 // ## Authentication & Registration
@@ -84,6 +60,8 @@ router.post('/login',
 // User Logout Route (Requires authentication, less likely to be brute-forced)
 router.post('/logout',
     authenticate, // Ensure user is logged in
+    blockImpersonation, // Not available to admins impersonating the user
+    rejectApiKeys,
     userController.logoutUser
 );
 
@@ -94,6 +72,240 @@ router.post('/refresh-token',
 );
 
 
+// MFA verification, passwordless login and email verification (also under /api/auth)
+router.use(authFlowRoutes);
+
+
+// ## Passkeys (FIDO2 / WebAuthn)
+
+// Start a passkey login (no username needed)
+router.post('/passkeys/login/options',
+    ...publicAuthProtection, // Apply slowdown & rate limit
+    passkeyController.getLoginOptions
+);
+
+// Log in with a passkey assertion
+router.post('/passkeys/login/verify',
+    ...publicAuthProtection, // Apply slowdown & rate limit
+    passkeyLoginValidationRules(),
+    handleValidationErrors,
+    passkeyController.verifyPasskeyLogin
+);
+
+// Start registering a passkey for the current user
+router.post('/passkeys/register/options',
+    authenticate,
+    blockImpersonation,
+    rejectApiKeys,
+    passkeyController.getRegistrationOptions
+);
+
+// Store the new passkey
+router.post('/passkeys/register/verify',
+    authenticate,
+    blockImpersonation,
+    rejectApiKeys,
+    passkeyRegistrationValidationRules(),
+    handleValidationErrors,
+    passkeyController.verifyPasskeyRegistration
+);
+
+// List the passkeys of the current user
+router.get('/passkeys',
+    authenticate,
+    passkeyController.listPasskeys
+);
+
+// Remove a passkey of the current user
+router.delete('/passkeys/:passkeyId',
+    authenticate,
+    blockImpersonation,
+    rejectApiKeys,
+    passkeyController.deletePasskey
+);
+
+// Re-verify the current user before sensitive actions (see middleware/requireStepUp.js)
+router.post('/step-up/options',
+    authenticate,
+    blockImpersonation,
+    rejectApiKeys,
+    passkeyController.getStepUpOptions
+);
+
+router.post('/step-up/verify',
+    authenticate,
+    blockImpersonation,
+    rejectApiKeys,
+    stepUpValidationRules(),
+    handleValidationErrors,
+    passkeyController.verifyStepUp
+);
+
+
+// ## Social Login (OAuth2 / OIDC authorization code + PKCE)
+
+// Redirect the browser to the provider
+router.get('/oauth/:provider/start',
+    ...publicAuthProtection, // Apply slowdown & rate limit
+    oauthController.startOAuth
+);
+
+// Provider callback; redirects back to the client with a one-time code or link token
+router.get('/oauth/:provider/callback',
+    oauthController.oauthCallback
+);
+
+// Exchange the one-time code for the token pair
+router.post('/oauth/exchange',
+    ...publicAuthProtection, // Apply slowdown & rate limit
+    oauthExchangeValidationRules(),
+    handleValidationErrors,
+    oauthController.exchangeOAuthCode
+);
+
+// Link a social identity to an existing account (requires the account password)
+router.post('/oauth/link',
+    ...publicAuthProtection, // Apply slowdown & rate limit
+    oauthLinkValidationRules(),
+    handleValidationErrors,
+    oauthController.linkOAuthAccount
+);
+
+
+// ## Two-Factor Authentication (TOTP) enrolment
+
+// Start enrolment: returns a pending secret and otpauth URI
+router.post('/mfa/setup',
+    authenticate,
+    blockImpersonation,
+    rejectApiKeys,
+    mfaController.setupMfa
+);
+
+// Confirm enrolment with a code; returns recovery codes once
+router.post('/mfa/confirm',
+    authenticate,
+    blockImpersonation,
+    rejectApiKeys,
+    mfaCodeValidationRules(),
+    handleValidationErrors,
+    mfaController.confirmMfa
+);
+
+// Disable two-factor authentication
+router.post('/mfa/disable',
+    authenticate,
+    blockImpersonation,
+    rejectApiKeys,
+    mfaDisableValidationRules(),
+    handleValidationErrors,
+    mfaController.disableMfa
+);
+
+// Regenerate recovery codes
+router.post('/mfa/recovery-codes',
+    authenticate,
+    blockImpersonation,
+    rejectApiKeys,
+    mfaCodeValidationRules(),
+    handleValidationErrors,
+    mfaController.regenerateRecoveryCodes
+);
+
+
+// ## Own profile (email and password have their own flows below)
+
+// Get the current user's profile
+router.get('/me',
+    authenticate,
+    userController.getMyProfile
+);
+
+// Update firstName, lastName, username and preferences
+router.patch('/me',
+    authenticate,
+    blockImpersonation,
+    updateProfileValidationRules(),
+    handleValidationErrors,
+    userController.updateMyProfile
+);
+
+// Upload a profile picture (multipart/form-data, `avatar` field)
+router.post('/me/avatar',
+    authenticate,
+    blockImpersonation,
+    avatarUpload,
+    userController.uploadMyAvatar
+);
+
+// Remove the profile picture
+router.delete('/me/avatar',
+    authenticate,
+    blockImpersonation,
+    userController.deleteMyAvatar
+);
+
+// Features of the current user's plan, for hiding unavailable UI
+router.get('/me/entitlements',
+    authenticate,
+    userController.getMyEntitlements
+);
+
+
+// ## Personal API keys (machine-to-machine access with `Authorization: ApiKey <key>`)
+
+// List the API keys of the current user
+router.get('/api-keys',
+    authenticate,
+    blockImpersonation,
+    rejectApiKeys,
+    apiKeyController.listApiKeys
+);
+
+// Create an API key; the plain key is returned once
+router.post('/api-keys',
+    authenticate,
+    blockImpersonation,
+    rejectApiKeys, // A key cannot mint further keys
+    createApiKeyValidationRules(),
+    handleValidationErrors,
+    apiKeyController.createUserApiKey
+);
+
+// Revoke an API key of the current user
+router.delete('/api-keys/:apiKeyId',
+    authenticate,
+    blockImpersonation,
+    rejectApiKeys,
+    apiKeyController.revokeApiKey
+);
+
+
+// ## Sessions (logged-in devices)
+
+// List active sessions of the current user
+router.get('/sessions',
+    authenticate,
+    sessionController.listSessions
+);
+
+// Revoke all sessions of the current user (?keepCurrent=true keeps the calling one)
+router.delete('/sessions',
+    authenticate,
+    blockImpersonation,
+    rejectApiKeys,
+    sessionController.revokeAllSessions
+);
+
+// Revoke a single session of the current user
+router.delete('/sessions/:sessionId',
+    authenticate,
+    blockImpersonation,
+    rejectApiKeys,
+    sessionController.revokeSession
+);
+
+
 // ## Password Reset
 
 // Request Password Reset Route
@@ -112,4 +324,59 @@ router.post('/reset-password',
     authController.resetPassword
 );
 
+// Change Password Route (logged-in user, requires the current password)
+router.post('/change-password',
+    authLimiter, // Limits guessing of the current password
+    authenticate,
+    blockImpersonation,
+    rejectApiKeys,
+    changePasswordValidationRules(),
+    handleValidationErrors,
+    authController.changePassword
+);
+
+
+// ## Change Email (logged-in user)
+
+// Send a confirmation OTP to the new address (requires the current password)
+router.post('/change-email',
+    authLimiter,
+    authenticate,
+    blockImpersonation,
+    rejectApiKeys,
+    changeEmailValidationRules(),
+    handleValidationErrors,
+    authController.requestEmailChange
+);
+
+// Confirm the OTP and switch to the new address; the old address is notified
+router.post('/change-email/confirm',
+    authLimiter,
+    authenticate,
+    blockImpersonation,
+    rejectApiKeys,
+    confirmEmailChangeValidationRules(),
+    handleValidationErrors,
+    authController.confirmEmailChange
+);
+
+
+// ## Account Unlock (after too many failed logins)
+
+// Unlock Account Route (OTP from the lockout email)
+router.post('/unlock-account',
+    ...publicAuthProtection, // Same slowdown & rate limit as password reset
+    unlockAccountValidationRules(),
+    handleValidationErrors,
+    authController.unlockAccountWithOtp
+);
+
+// Resend Unlock OTP Route
+router.post('/request-unlock',
+    ...publicAuthProtection, // Same slowdown & rate limit as password reset
+    requestAccountUnlockValidationRules(),
+    handleValidationErrors,
+    authController.requestAccountUnlock
+);
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,21 @@
+const express = require('express');
+const router = express.Router();
+const { getJwks } = require('../services/jwtKeyService');
+
+/**
+ * @description Public keys for verifying access tokens (JSON Web Key Set).
+ * Contains the active key and any key still in its rotation overlap period.
+ * @route GET /.well-known/jwks.json
+ * @access Public
+ */
+router.get('/jwks.json', (req, res) => {
+    try {
+        res.set('Cache-Control', 'public, max-age=300'); // Verifiers refetch on an unknown kid anyway
+        res.json(getJwks());
+    } catch (error) {
+        console.error('Error building JWKS:', error);
+        res.status(500).json({ message: 'Error loading signing keys.' });
+    }
+});
+
+module.exports = router;
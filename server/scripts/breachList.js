@@ -0,0 +1,106 @@
+#!/usr/bin/env node
+/**
+ * Maintains the local breached-password list (see services/passwordPolicyService.js).
+ *
+ * Usage: npm run breach-list -- <command>
+ *   build <file>        Add passwords to the list. Each line is a plain password, or a SHA-1 hash
+ *                       with an optional count (`<40 hex chars>[:count]`, as in the HIBP downloads)
+ *   check <password>    Tell whether a password is on the list
+ *
+ * The list lives in PASSWORD_BREACH_LIST_DIR (default data/breached-passwords).
+ */
+require('dotenv').config();
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const passwordPolicy = require('../config/passwordPolicy');
+const { isBreachedPassword } = require('../services/passwordPolicyService');
+
+const PREFIX_LENGTH = 5;
+const SHA1_LINE = /^([0-9a-fA-F]{40})(?::(\d+))?$/;
+const USAGE = 'Usage: npm run breach-list -- <build <file> | check <password>>';
+
+/**
+ * Reads one prefix file into a map of suffix -> count.
+ * @param {string} file
+ * @returns {Map<string, number>}
+ */
+const readPrefixFile = (file) => {
+    const entries = new Map();
+    if (!fs.existsSync(file)) {
+        return entries;
+    }
+    fs.readFileSync(file, 'utf8').split(/\r?\n/).filter(Boolean).forEach((line) => {
+        const [suffix, count] = line.split(':');
+        entries.set(suffix.toUpperCase(), parseInt(count, 10) || 1);
+    });
+    return entries;
+};
+
+/**
+ * Adds the passwords / hashes of an input file to the prefix files.
+ * @param {string} inputFile
+ * @returns {Promise<{added: number, files: number}>}
+ */
+const build = async (inputFile) => {
+    const byPrefix = new Map();
+    const lines = readline.createInterface({ input: fs.createReadStream(inputFile), crlfDelay: Infinity });
+
+    for await (const line of lines) {
+        const value = line.trim();
+        if (!value) continue;
+
+        const match = value.match(SHA1_LINE);
+        const hash = match ? match[1].toUpperCase() : crypto.createHash('sha1').update(line).digest('hex').toUpperCase();
+        const count = match && match[2] ? parseInt(match[2], 10) : 1;
+
+        const prefix = hash.slice(0, PREFIX_LENGTH);
+        if (!byPrefix.has(prefix)) byPrefix.set(prefix, new Map());
+        const suffixes = byPrefix.get(prefix);
+        suffixes.set(hash.slice(PREFIX_LENGTH), Math.max(count, suffixes.get(hash.slice(PREFIX_LENGTH)) || 0));
+    }
+
+    fs.mkdirSync(passwordPolicy.breachListDir, { recursive: true });
+    let added = 0;
+    byPrefix.forEach((suffixes, prefix) => {
+        const file = path.join(passwordPolicy.breachListDir, `${prefix}.txt`);
+        const entries = readPrefixFile(file);
+        suffixes.forEach((count, suffix) => {
+            if (!entries.has(suffix)) added++;
+            entries.set(suffix, Math.max(count, entries.get(suffix) || 0));
+        });
+        const contents = [...entries.entries()]
+            .sort(([a], [b]) => a.localeCompare(b))
+            .map(([suffix, count]) => `${suffix}:${count}`)
+            .join('\n');
+        fs.writeFileSync(file, `${contents}\n`);
+    });
+
+    return { added, files: byPrefix.size };
+};
+
+const [command, argument] = process.argv.slice(2);
+
+(async () => {
+    switch (command) {
+        case 'build': {
+            if (!argument) throw new Error(USAGE);
+            const { added, files } = await build(argument);
+            console.log(`Added ${added} hashes to ${files} prefix files in ${passwordPolicy.breachListDir}.`);
+            break;
+        }
+        case 'check': {
+            if (!argument) throw new Error(USAGE);
+            console.log(await isBreachedPassword(argument) ? 'Breached: this password is on the list.' : 'Not on the list.');
+            break;
+        }
+        default:
+            console.log(USAGE);
+            process.exitCode = 1;
+    }
+})().catch((error) => {
+    console.error(error.message);
+    process.exit(1);
+});
@@ -0,0 +1,41 @@
+#!/usr/bin/env node
+/**
+ * Imports a Casbin policy CSV into the database (see services/casbinMongooseAdapter.js).
+ *
+ * Usage: npm run policy-import -- [file] [--force]
+ *   file      Policy CSV, default config/policy.csv
+ *   --force   Replace the stored policies; without it the import only runs on an empty collection
+ *
+ * Servers seed an empty collection from config/policy.csv on startup, so this is mainly needed to
+ * bring an existing database in line with the CSV (or to recover from a bad edit through the API).
+ * Running servers pick up the change within CASBIN_WATCHER_POLL_MS (see services/casbinWatcher.js).
+ */
+require('dotenv').config();
+
+const path = require('path');
+const mongoose = require('mongoose');
+const connectDB = require('../config/database');
+const CasbinRule = require('../models/CasbinRule');
+const { importPoliciesFromCsv } = require('../services/casbin');
+
+const args = process.argv.slice(2);
+const force = args.includes('--force');
+const file = args.find(arg => !arg.startsWith('--'));
+
+(async () => {
+    await connectDB();
+
+    const stored = await CasbinRule.countDocuments();
+    if (stored > 0 && !force) {
+        console.log(`The database already holds ${stored} policy rules. Use --force to replace them.`);
+        process.exitCode = 1;
+        return;
+    }
+
+    const csvPath = file ? path.resolve(file) : undefined;
+    const { policies, roles } = await importPoliciesFromCsv(csvPath);
+    console.log(`Imported ${policies} policies and ${roles} role assignments${stored > 0 ? ` (replaced ${stored} rules)` : ''}.`);
+})().catch((error) => {
+    console.error(error.message);
+    process.exitCode = 1;
+}).finally(() => mongoose.connection.close());
@@ -0,0 +1,70 @@
+#!/usr/bin/env node
+/**
+ * Manages the access token signing keys (see services/jwtKeyService.js).
+ *
+ * Usage: npm run jwt-keys -- <command>
+ *   list                    Show the keys in the ring
+ *   generate [RS256|ES256]  Create a new key; it signs once all servers have loaded it and the current one starts retiring then
+ *   prune                   Remove retiring keys whose overlap period has passed
+ *   retire <kid>            Remove a key immediately (tokens signed with it stop working)
+ *
+ * Running servers pick up changes within JWT_KEYS_RELOAD_MS.
+ */
+require('dotenv').config();
+
+const {
+    KEYS_DIR,
+    KEY_OVERLAP_MINUTES,
+    KEY_ACTIVATION_DELAY_MS,
+    generateSigningKey,
+    retireSigningKey,
+    pruneRetiringKeys,
+    listSigningKeys,
+} = require('../services/jwtKeyService');
+
+const USAGE = 'Usage: npm run jwt-keys -- <list | generate [RS256|ES256] | prune | retire <kid>>';
+
+const [command, argument] = process.argv.slice(2);
+
+try {
+    switch (command) {
+        case 'list': {
+            const keys = listSigningKeys();
+            if (keys.length === 0) {
+                console.log(`No signing keys in ${KEYS_DIR}. Access tokens are signed with HS256 (ACCESS_TOKEN_SECRET).`);
+                break;
+            }
+            console.table(keys);
+            break;
+        }
+        case 'generate': {
+            const key = generateSigningKey((argument || process.env.JWT_SIGNING_ALG || 'RS256').toUpperCase());
+            console.log(`Generated ${key.alg} key '${key.kid}' in ${KEYS_DIR}. It signs all new access tokens from ${key.activatesAt}.`);
+            console.log(`Run 'prune' after ${KEY_OVERLAP_MINUTES + Math.ceil(KEY_ACTIVATION_DELAY_MS / 60000)} minutes to remove the previous key.`);
+            break;
+        }
+        case 'prune': {
+            const removed = pruneRetiringKeys();
+            console.log(removed.length > 0 ? `Removed keys: ${removed.join(', ')}` : 'No retiring keys past their overlap period.');
+            break;
+        }
+        case 'retire': {
+            if (!argument) {
+                console.error(USAGE);
+                process.exit(1);
+            }
+            if (!retireSigningKey(argument)) {
+                console.error(`Key '${argument}' not found.`);
+                process.exit(1);
+            }
+            console.log(`Removed key '${argument}'. Tokens signed with it are no longer accepted.`);
+            break;
+        }
+        default:
+            console.error(USAGE);
+            process.exit(1);
+    }
+} catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+}
@@ -0,0 +1,186 @@
+#!/usr/bin/env node
+/**
+ * Simulates Casbin authorization decisions (see services/policySimulator.js).
+ *
+ * Usage: npm run policy -- <command> [options]
+ *   explain --role <role> --plan <plan> --resource <type> --action <action> [--owner <userId>] [--feature <name>]
+ *                       Decide one request and list the policies of the role with what matched.
+ *                       Without --owner the caller owns the target. With --feature (needs --db) also
+ *                       check the plan's entitlements; resource and action may then be left out.
+ *                       Exit code 2 if denied
+ *   matrix [--format markdown|json] [--out <file>]
+ *                       Print what every role may do per plan
+ *   matrix --check <file>
+ *                       Compare the matrix with a saved JSON matrix (exit code 1 if it changed),
+ *                       e.g. to review the effect of a policy edit
+ *
+ * Policies are read from config/policy.csv, another CSV with --file <path>, or the database with --db.
+ * With --db the stored plans and their entitlements are included as well.
+ */
+require('dotenv').config();
+
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const { createFileEnforcer } = require('../services/casbin');
+const { MongooseAdapter } = require('../services/casbinMongooseAdapter');
+const { explainDecision, buildPermissionMatrix, formatMatrixMarkdown } = require('../services/policySimulator');
+const { getAllPlanEntitlements } = require('../services/entitlementService');
+
+const USAGE = 'Usage: npm run policy -- <explain --role <role> --plan <plan> --resource <type> --action <action> [--owner <id>] [--feature <name>]'
+    + ' | matrix [--format markdown|json] [--out <file>] [--check <file>]> [--file <csv> | --db]';
+
+/**
+ * Parses `--name value` pairs; flags without a value are set to true.
+ * @param {string[]} args
+ * @returns {object}
+ */
+const parseOptions = (args) => {
+    const options = {};
+    for (let i = 0; i < args.length; i++) {
+        if (!args[i].startsWith('--')) continue;
+        const name = args[i].slice(2);
+        const next = args[i + 1];
+        options[name] = next && !next.startsWith('--') ? args[++i] : true;
+    }
+    return options;
+};
+
+/**
+ * Loads the policies to simulate against: a CSV file, or the database.
+ * @param {object} options
+ * @returns {Promise<Enforcer>}
+ */
+const loadEnforcer = async (options) => {
+    const enforcer = await createFileEnforcer(typeof options.file === 'string' ? path.resolve(options.file) : undefined);
+    if (options.db) {
+        const connectDB = require('../config/database'); // Exits without MONGO_URI, so only loaded here
+        await connectDB();
+        enforcer.setAdapter(new MongooseAdapter());
+        await enforcer.loadPolicy();
+    }
+    return enforcer;
+};
+
+/**
+ * Entitlements of the stored plans; only available with --db.
+ * @param {object} options
+ * @returns {Promise<object|null>} Plan slug -> feature names.
+ */
+const loadPlanEntitlements = options => (options.db ? getAllPlanEntitlements() : null);
+
+/**
+ * Lists the cells that differ between two matrices.
+ * @returns {string[]} Lines like `user / free / project / read: deny -> own`.
+ */
+const diffMatrices = (expected, actual) => {
+    const changes = [];
+    const roles = new Set([...Object.keys(expected), ...Object.keys(actual)]);
+    roles.forEach((role) => {
+        const plans = new Set([...Object.keys(expected[role] || {}), ...Object.keys(actual[role] || {})]);
+        plans.forEach((plan) => {
+            const before = expected[role]?.[plan] || {};
+            const after = actual[role]?.[plan] || {};
+            new Set([...Object.keys(before), ...Object.keys(after)]).forEach((resource) => {
+                const actions = new Set([...Object.keys(before[resource] || {}), ...Object.keys(after[resource] || {})]);
+                actions.forEach((action) => {
+                    const was = before[resource]?.[action] || 'deny';
+                    const is = after[resource]?.[action] || 'deny';
+                    if (was !== is) changes.push(`${role} / ${plan} / ${resource} / ${action}: ${was} -> ${is}`);
+                });
+            });
+        });
+    });
+    return changes;
+};
+
+/**
+ * Lists the features gained or lost between two entitlement tables (entitlements[role][plan]).
+ * @returns {string[]} Lines like `user / basic / features: +info.business -export.csv`.
+ */
+const diffEntitlements = (expected, actual) => {
+    const changes = [];
+    new Set([...Object.keys(expected), ...Object.keys(actual)]).forEach((role) => {
+        new Set([...Object.keys(expected[role] || {}), ...Object.keys(actual[role] || {})]).forEach((plan) => {
+            const before = expected[role]?.[plan] || [];
+            const after = actual[role]?.[plan] || [];
+            const diff = [
+                ...after.filter(feature => !before.includes(feature)).map(feature => `+${feature}`),
+                ...before.filter(feature => !after.includes(feature)).map(feature => `-${feature}`),
+            ];
+            if (diff.length > 0) changes.push(`${role} / ${plan} / features: ${diff.join(' ')}`);
+        });
+    });
+    return changes;
+};
+
+const [command, ...args] = process.argv.slice(2);
+const options = parseOptions(args);
+
+(async () => {
+    switch (command) {
+        case 'explain': {
+            const { role, plan, resource, action, owner, feature } = options;
+            const hasRequest = [resource, action].every(value => typeof value === 'string');
+            const hasFeature = typeof feature === 'string';
+            if (![role, plan].every(value => typeof value === 'string') || !(hasRequest || hasFeature)) throw new Error(USAGE);
+            if (hasFeature && !options.db) throw new Error('--feature needs --db: entitlements are stored with the plans.');
+            const enforcer = await loadEnforcer(options);
+            const planEntitlements = await loadPlanEntitlements(options);
+            const { allowed, matchedPolicy, roles, candidates, entitlements, feature: featureCheck } = await explainDecision(
+                enforcer, { role, plan, resource, action, ownerId: owner, feature }, planEntitlements);
+
+            const target = hasRequest ? ` resource=${resource} action=${action}${owner ? ` owner=${owner}` : ''}` : '';
+            console.log(`${allowed ? 'ALLOWED' : 'DENIED'}: role=${role} plan=${plan}${target}${hasFeature ? ` feature=${feature}` : ''}`);
+            console.log(`Roles: ${roles.join(', ')}`);
+            if (hasRequest) {
+                console.log(matchedPolicy ? `Matched: ${Object.values(matchedPolicy).join(', ')}` : 'Matched: no policy allows this request');
+                console.log('Policies of these roles (closest first; dom/obj/act/cond: + matches, - does not, ? not evaluated):');
+                candidates.forEach(({ policy, matches, matched }) => {
+                    const flags = Object.entries(matches).map(([field, result]) => `${field}${result === null ? '?' : (result ? '+' : '-')}`).join(' ');
+                    console.log(`  ${matched ? '*' : ' '} ${Object.values(policy).join(', ')}  [${flags}]`);
+                });
+            }
+            if (entitlements) {
+                const source = entitlements.bypass ? ` (role ${role} has every feature)` : (entitlements.knownPlan ? '' : ' (no stored plan with this slug)');
+                console.log(`Features of ${plan}${source}: ${entitlements.features.join(', ') || 'none'}`);
+            }
+            if (featureCheck) {
+                console.log(`Feature ${featureCheck.name}: ${featureCheck.granted ? 'granted' : 'not granted'}; included in: ${featureCheck.plans.join(', ') || 'no plan'}`);
+            }
+            process.exitCode = allowed ? 0 : 2;
+            break;
+        }
+        case 'matrix': {
+            const enforcer = await loadEnforcer(options);
+            const planEntitlements = await loadPlanEntitlements(options);
+            const result = await buildPermissionMatrix(enforcer, planEntitlements ? { planEntitlements } : {});
+
+            if (typeof options.check === 'string') {
+                const expected = JSON.parse(fs.readFileSync(options.check, 'utf8'));
+                const changes = diffMatrices(expected.matrix || {}, result.matrix);
+                if (expected.entitlements && result.entitlements) {
+                    changes.push(...diffEntitlements(expected.entitlements, result.entitlements));
+                }
+                console.log(changes.length > 0 ? changes.join('\n') : 'The permission matrix is unchanged.');
+                process.exitCode = changes.length > 0 ? 1 : 0;
+                break;
+            }
+
+            const output = options.format === 'markdown' ? formatMatrixMarkdown(result) : JSON.stringify(result, null, 2);
+            if (typeof options.out === 'string') {
+                fs.writeFileSync(options.out, `${output}\n`);
+                console.log(`Wrote the permission matrix to ${options.out}.`);
+            } else {
+                console.log(output);
+            }
+            break;
+        }
+        default:
+            console.log(USAGE);
+            process.exitCode = 1;
+    }
+})().catch((error) => {
+    console.error(error.message);
+    process.exitCode = 1;
+}).finally(() => mongoose.connection.close());
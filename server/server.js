@@ -7,11 +7,15 @@ const connectDB = require('./config/database');
 const userRoutes = require('./routes/user');
 const authRoutes = require('./routes/authRoutes');
 const planRoutes = require('./routes/plan');
-const { initializeEnforcer } = require('./services/casbin');
-const { scheduleSubscriptionExpiryCheck } = require('./jobs/subscriptionJobs');
+const couponRoutes = require('./routes/coupon');
+const wellKnownRoutes = require('./routes/wellKnown');
+const { initializeEnforcer, getPolicyStatus } = require('./services/casbin');
+const { scheduleSubscriptionExpiryCheck, schedulePlanChangeJob, scheduleTrialReminderJob } = require('./jobs/subscriptionJobs');
 const AppError = require('./utils/AppError');
 const globalErrorHandler = require('./middleware/errorHandler');
 const morgan = require('morgan');
+const { AVATAR_STORAGE, AVATAR_UPLOAD_DIR } = require('./services/avatarStorageService');
+const { backfillLegacyPlanEntitlements } = require('./services/entitlementService');
 
 dotenv.config();
 const port = process.env.PORT || 5000;
@@ -24,13 +28,14 @@ app.use(helmet());
 app.use(
     cors({
         origin: "http://localhost:3000",
-        methods: ["GET", "POST", "DELETE", "PUT"],
+        methods: ["GET", "POST", "DELETE", "PUT", "PATCH"],
         allowedHeaders: [
             "Content-Type",
             "Authorization",
             "Cache-Control",
             "Expires",
             "Pragma",
+            "X-Step-Up-Token",
         ],
         credentials: true,
     })
@@ -46,9 +51,30 @@ app.use(morgan('dev'));
 app.get('/', (req, res) => {
     res.send('Backend is running!');
 });
+// Per-instance health; `policy.version` shows which authorization rules this replica enforces
+app.get('/health', async (req, res) => {
+    try {
+        res.json({ status: 'ok', uptime: process.uptime(), policy: await getPolicyStatus() });
+    } catch (error) {
+        res.status(503).json({ status: 'error', message: error.message });
+    }
+});
 app.use('/api/users', userRoutes);
 app.use('/api/auth', authRoutes);
 app.use('/api/plans', planRoutes);
+app.use('/api/coupons', couponRoutes);
+app.use('/.well-known', wellKnownRoutes);
+
+// Profile pictures stored on local disk (AVATAR_STORAGE=local); the client loads them from another origin.
+if (AVATAR_STORAGE === 'local') {
+    app.use('/uploads/avatars',
+        (req, res, next) => {
+            res.set('Cross-Origin-Resource-Policy', 'cross-origin');
+            next();
+        },
+        express.static(AVATAR_UPLOAD_DIR, { fallthrough: false, index: false })
+    );
+}
 
 
 // Handle 404 Not Found for any routes not matched above
@@ -64,8 +90,15 @@ const startServer = async () => {
     try {
         // 1. Connect to Database (and wait for it)
         await connectDB();
+        // Plans from before entitlements keep the features their policies granted
+        const backfilledPlans = await backfillLegacyPlanEntitlements();
+        if (backfilledPlans.length > 0) {
+            console.log(`Entitlements: gave the plans ${backfilledPlans.join(', ')} their former features.`);
+        }
         initializeEnforcer();
         scheduleSubscriptionExpiryCheck();
+        schedulePlanChangeJob();
+        scheduleTrialReminderJob();
 
         // 2. Start Listening for Requests
         const server = app.listen(port, () => {
@@ -0,0 +1,184 @@
+const User = require('../models/User');
+const Token = require('../models/Token');
+const LoginHistory = require('../models/LoginHistory');
+const { createAndSaveToken } = require('./tokenService');
+const { sendNotification } = require('./notificationService');
+const { recordSecurityEvent } = require('./securityEventService');
+
+// Failed attempts (per account, from any IP) before the account is locked
+const LOCKOUT_THRESHOLD = parseInt(process.env.LOCKOUT_THRESHOLD || '5', 10);
+// Duration of the first lock; every consecutive lock doubles it up to the maximum
+const LOCKOUT_BASE_MINUTES = parseInt(process.env.LOCKOUT_BASE_MINUTES || '15', 10);
+const LOCKOUT_MAX_MINUTES = parseInt(process.env.LOCKOUT_MAX_MINUTES || '1440', 10);
+// Validity of the unlock OTP sent by email
+const UNLOCK_OTP_EXPIRY_MINUTES = parseInt(process.env.UNLOCK_OTP_EXPIRY_MINUTES || '60', 10);
+
+// Login history failure reason for each login method
+const FAILURE_REASONS = {
+    password: 'invalid_password',
+    mfa: 'invalid_mfa_code',
+    passwordless: 'invalid_otp',
+};
+
+/**
+ * Stores a login attempt in the user's login history.
+ * Failures are logged and swallowed so that auditing never breaks the login itself.
+ * @param {object} req - Express request, used to capture IP address and user agent.
+ * @param {object} user - The user the attempt was made against.
+ * @param {object} attempt
+ * @param {boolean} attempt.success - Whether the attempt succeeded.
+ * @param {string} [attempt.method='password'] - 'password', 'mfa', 'oauth', 'passwordless' or 'passkey'.
+ * @param {string} [attempt.failureReason] - One of the LoginHistory `failureReason` enum values.
+ * @returns {Promise<void>}
+ */
+const recordLoginAttempt = async (req, user, { success, method = 'password', failureReason = null }) => {
+    try {
+        await LoginHistory.create({
+            userId: user._id,
+            success,
+            method,
+            failureReason,
+            ipAddress: req.ip,
+            userAgent: req.headers['user-agent'],
+        });
+    } catch (error) {
+        console.error(`Failed to record login attempt for user ${user._id}:`, error);
+    }
+};
+
+/**
+ * Generates an unlock OTP and emails it together with the lock details.
+ * @param {object} user - The user document (must have an email).
+ * @param {Date} lockedUntil - When the lock expires on its own.
+ * @returns {Promise<boolean>} True if the notification was sent.
+ */
+const sendUnlockOtp = async (user, lockedUntil) => {
+    const plainOtp = await createAndSaveToken(user._id, 'accountUnlock', UNLOCK_OTP_EXPIRY_MINUTES);
+
+    return sendNotification({
+        method: 'email',
+        user: user,
+        subject: 'Your account has been locked',
+        text: `Your account was locked after too many failed login attempts. It unlocks automatically at ${lockedUntil.toISOString()}.
+To unlock it now, use this OTP: ${plainOtp}
+It is valid for ${UNLOCK_OTP_EXPIRY_MINUTES} minutes. If these attempts weren't you, please consider changing your password.`,
+        html: `<p>Your account was locked after too many failed login attempts. It unlocks automatically at ${lockedUntil.toISOString()}.</p><p>To unlock it now, use this OTP: <b>${plainOtp}</b></p><p>It is valid for ${UNLOCK_OTP_EXPIRY_MINUTES} minutes. If these attempts weren't you, please consider changing your password.</p>`,
+    });
+};
+
+/**
+ * Counts a failed login against the account and locks it once the threshold is reached.
+ * The counter is updated atomically so parallel attempts from many IPs are all counted.
+ * @param {object} req - Express request.
+ * @param {object} user - The user the attempt was made against.
+ * @param {string} [method='password'] - The login method that failed.
+ * @returns {Promise<{locked: boolean, lockedUntil?: Date}>} Whether this attempt locked the account.
+ */
+const registerFailedLogin = async (req, user, method = 'password') => {
+    await recordLoginAttempt(req, user, {
+        success: false,
+        method,
+        failureReason: FAILURE_REASONS[method] || 'invalid_password',
+    });
+
+    const updated = await User.findOneAndUpdate(
+        { _id: user._id },
+        {
+            $inc: { 'loginSecurity.failedLoginAttempts': 1 },
+            $set: { 'loginSecurity.lastFailedLoginAt': new Date() },
+        },
+        { new: true }
+    );
+    if (!updated || updated.loginSecurity.failedLoginAttempts < LOCKOUT_THRESHOLD) {
+        return { locked: false };
+    }
+
+    const lockCount = (updated.loginSecurity.lockCount || 0) + 1;
+    const lockMinutes = Math.min(LOCKOUT_BASE_MINUTES * 2 ** (lockCount - 1), LOCKOUT_MAX_MINUTES);
+    const lockedUntil = new Date(Date.now() + lockMinutes * 60 * 1000);
+
+    // Only the request that crossed the threshold applies the lock (and sends the email).
+    const { modifiedCount } = await User.updateOne(
+        { _id: user._id, 'loginSecurity.failedLoginAttempts': { $gte: LOCKOUT_THRESHOLD } },
+        {
+            $set: {
+                'loginSecurity.failedLoginAttempts': 0,
+                'loginSecurity.lockedUntil': lockedUntil,
+                'loginSecurity.lockCount': lockCount,
+            },
+        }
+    );
+    if (modifiedCount === 0) {
+        return { locked: true };
+    }
+
+    await recordSecurityEvent({
+        userId: user._id,
+        type: 'account_locked',
+        req,
+        metadata: { lockedUntil, lockCount, method },
+    });
+
+    try {
+        await sendUnlockOtp(updated, lockedUntil);
+    } catch (error) {
+        console.error('Failed to send account unlock OTP:', error);
+    }
+
+    return { locked: true, lockedUntil };
+};
+
+/**
+ * Records a successful login and resets the failed-attempt counters.
+ * @param {object} req - Express request.
+ * @param {object} user - The user document that logged in.
+ * @param {string} [method='password'] - The login method used.
+ * @returns {Promise<void>}
+ */
+const registerSuccessfulLogin = async (req, user, method = 'password') => {
+    await recordLoginAttempt(req, user, { success: true, method });
+
+    const { failedLoginAttempts, lockCount, lockedUntil } = user.loginSecurity || {};
+    if (failedLoginAttempts || lockCount || lockedUntil) {
+        await User.updateOne(
+            { _id: user._id },
+            {
+                $set: { 'loginSecurity.failedLoginAttempts': 0, 'loginSecurity.lockCount': 0 },
+                $unset: { 'loginSecurity.lockedUntil': 1 },
+            }
+        );
+    }
+};
+
+/**
+ * Clears the lock and failed-attempt counters of an account and invalidates pending unlock OTPs.
+ * @param {object} req - Express request.
+ * @param {string} userId - The account to unlock.
+ * @param {string} unlockedBy - 'email' (unlock OTP) or 'admin'.
+ * @returns {Promise<void>}
+ */
+const unlockAccount = async (req, userId, unlockedBy) => {
+    await User.updateOne(
+        { _id: userId },
+        {
+            $set: { 'loginSecurity.failedLoginAttempts': 0, 'loginSecurity.lockCount': 0 },
+            $unset: { 'loginSecurity.lockedUntil': 1 },
+        }
+    );
+    await Token.deleteMany({ userId, type: 'accountUnlock' });
+
+    await recordSecurityEvent({
+        userId,
+        type: 'account_unlocked',
+        req,
+        metadata: { unlockedBy, adminId: unlockedBy === 'admin' ? req.user?._id : undefined },
+    });
+};
+
+module.exports = {
+    recordLoginAttempt,
+    sendUnlockOtp,
+    registerFailedLogin,
+    registerSuccessfulLogin,
+    unlockAccount,
+};
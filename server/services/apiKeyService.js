@@ -0,0 +1,105 @@
+const crypto = require('crypto');
+const ApiKey = require('../models/ApiKey');
+const User = require('../models/User');
+const AppError = require('../utils/AppError');
+
+const KEY_PREFIX = 'ak_';
+// Lifetime of a key when none is requested, and the longest lifetime allowed
+const DEFAULT_EXPIRY_DAYS = parseInt(process.env.API_KEY_DEFAULT_EXPIRY_DAYS || '90', 10);
+const MAX_EXPIRY_DAYS = parseInt(process.env.API_KEY_MAX_EXPIRY_DAYS || '365', 10);
+// Active keys a single user may have
+const MAX_KEYS_PER_USER = parseInt(process.env.API_KEY_MAX_PER_USER || '20', 10);
+// `lastUsedAt` is written at most this often per key, so busy keys don't cause a write per request
+const LAST_USED_UPDATE_INTERVAL_MS = 60 * 1000;
+
+const hashKey = (plainKey) => crypto.createHash('sha256').update(String(plainKey)).digest('hex');
+
+/**
+ * Creates a new API key for a user.
+ * @param {string} userId - The owner.
+ * @param {object} options
+ * @param {string} options.name - Label of the key.
+ * @param {string[]} [options.scopes=['read']] - Allowed actions ('read', 'write', 'update', 'delete').
+ * @param {number} [options.expiresInDays] - Lifetime in days (capped at API_KEY_MAX_EXPIRY_DAYS).
+ * @param {number} [options.rateLimit] - Requests per window, overriding the 'apiKey' rate limit group.
+ * @returns {Promise<{apiKey: Document, plainKey: string}>} The stored key and the plain key (shown once).
+ * @throws {AppError} If the user already has the maximum number of active keys.
+ */
+const createApiKey = async (userId, { name, scopes = ['read'], expiresInDays, rateLimit }) => {
+    const activeKeys = await ApiKey.countDocuments({ userId, revokedAt: null, expiresAt: { $gt: new Date() } });
+    if (activeKeys >= MAX_KEYS_PER_USER) {
+        throw new AppError(`You can have at most ${MAX_KEYS_PER_USER} active API keys.`, 409);
+    }
+
+    const days = Math.min(Math.floor(expiresInDays || DEFAULT_EXPIRY_DAYS), MAX_EXPIRY_DAYS);
+    const prefix = crypto.randomBytes(4).toString('hex');
+    const plainKey = `${KEY_PREFIX}${prefix}_${crypto.randomBytes(32).toString('base64url')}`;
+
+    const apiKey = await ApiKey.create({
+        userId,
+        name,
+        prefix: `${KEY_PREFIX}${prefix}`,
+        keyHash: hashKey(plainKey),
+        scopes: [...new Set(scopes)],
+        rateLimit: rateLimit ? Math.floor(rateLimit) : null,
+        expiresAt: new Date(Date.now() + days * 24 * 60 * 60 * 1000),
+    });
+
+    return { apiKey, plainKey };
+};
+
+/**
+ * A key's own rate limit may not exceed the apiRateLimit of its owner's plan (models/Plan.js).
+ * @param {number|null} keyLimit
+ * @param {number|null} planLimit - null = unlimited; 0 = no API access (the request is answered 403).
+ * @returns {number|null} Requests per window; null uses the 'apiKey' rate limit group's max.
+ */
+const capRateLimit = (keyLimit, planLimit) => {
+    if (planLimit === null) {
+        return keyLimit;
+    }
+    return keyLimit ? Math.min(keyLimit, planLimit) : planLimit;
+};
+
+/**
+ * Resolves a plain API key to the `req.user` shape produced for access tokens,
+ * so Casbin authorization works unchanged. Also tracks when and from where the key was last used.
+ * @param {string} plainKey - The key from the `Authorization: ApiKey <key>` header.
+ * @param {object} req - Express request, used to record the caller's IP address.
+ * @returns {Promise<object|null>} `{ _id, role, plan, mfa, apiKeyId, scopes, rateLimit }`, or null if
+ * the key is unknown, revoked or expired, or its owner no longer exists or is disabled.
+ */
+const resolveApiKey = async (plainKey, req) => {
+    if (!plainKey || !plainKey.startsWith(KEY_PREFIX)) {
+        return null;
+    }
+
+    const apiKey = await ApiKey.findOne({ keyHash: hashKey(plainKey), revokedAt: null, expiresAt: { $gt: new Date() } });
+    if (!apiKey) {
+        return null;
+    }
+
+    const user = await User.findById(apiKey.userId).select('role planId isActive').populate('planId', 'slug limits.apiRateLimit');
+    if (!user || user.isActive === false) {
+        return null;
+    }
+
+    if (!apiKey.lastUsedAt || Date.now() - apiKey.lastUsedAt.getTime() > LAST_USED_UPDATE_INTERVAL_MS) {
+        await ApiKey.updateOne({ _id: apiKey._id }, { $set: { lastUsedAt: new Date(), lastUsedIp: req.ip } });
+    }
+
+    return {
+        _id: String(user._id),
+        role: user.role,
+        plan: user.getPlanSlug(),
+        mfa: false,
+        apiKeyId: String(apiKey._id),
+        scopes: apiKey.scopes,
+        rateLimit: capRateLimit(apiKey.rateLimit, user.planId?.limits?.apiRateLimit ?? null),
+    };
+};
+
+module.exports = {
+    createApiKey,
+    resolveApiKey,
+};
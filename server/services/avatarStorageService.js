@@ -0,0 +1,124 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const { v2: cloudinary } = require('cloudinary');
+const AppError = require('../utils/AppError');
+
+// 'cloudinary' or 'local'. Defaults to Cloudinary when it is configured, local disk otherwise (development, tests).
+const AVATAR_STORAGE = process.env.AVATAR_STORAGE
+    || (process.env.CLOUDINARY_URL || process.env.CLOUDINARY_CLOUD_NAME ? 'cloudinary' : 'local');
+// Cloudinary folder for profile pictures
+const CLOUDINARY_AVATAR_FOLDER = process.env.CLOUDINARY_AVATAR_FOLDER || 'avatars';
+// Local storage: directory the files are written to, and the URL it is served from (see server.js)
+const AVATAR_UPLOAD_DIR = path.resolve(__dirname, '..', process.env.AVATAR_UPLOAD_DIR || 'uploads/avatars');
+const AVATAR_PUBLIC_BASE_URL = (process.env.AVATAR_PUBLIC_BASE_URL || 'http://localhost:5000/uploads/avatars').replace(/\/$/, '');
+
+// Square crop used for every stored picture
+const AVATAR_SIZE = 256;
+
+const EXTENSIONS = {
+    'image/jpeg': '.jpg',
+    'image/png': '.png',
+    'image/webp': '.webp',
+};
+
+// File signatures ("magic bytes") of the accepted types; the type the client sends is not trusted
+const SIGNATURES = {
+    'image/jpeg': buffer => buffer.subarray(0, 3).equals(Buffer.from([0xff, 0xd8, 0xff])),
+    'image/png': buffer => buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])),
+    'image/webp': buffer => buffer.toString('latin1', 0, 4) === 'RIFF' && buffer.toString('latin1', 8, 12) === 'WEBP',
+};
+
+/**
+ * Detects the image type from the file content.
+ * @param {Buffer} buffer
+ * @returns {string|null} 'image/jpeg', 'image/png' or 'image/webp', or null for anything else.
+ */
+const detectImageType = buffer => Object.keys(SIGNATURES).find(type => SIGNATURES[type](buffer)) || null;
+
+// CLOUDINARY_URL is picked up by the SDK itself; the separate variables are supported as well.
+if (process.env.CLOUDINARY_CLOUD_NAME) {
+    cloudinary.config({
+        cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
+        api_key: process.env.CLOUDINARY_API_KEY,
+        api_secret: process.env.CLOUDINARY_API_SECRET,
+        secure: true,
+    });
+}
+
+/**
+ * Stores pictures on Cloudinary, resized to AVATAR_SIZE with face-aware cropping.
+ */
+const cloudinaryAdapter = {
+    save: (userId, file) => new Promise((resolve, reject) => {
+        const stream = cloudinary.uploader.upload_stream(
+            {
+                folder: CLOUDINARY_AVATAR_FOLDER,
+                public_id: `${userId}-${crypto.randomBytes(4).toString('hex')}`,
+                resource_type: 'image',
+                transformation: [{ width: AVATAR_SIZE, height: AVATAR_SIZE, crop: 'fill', gravity: 'face' }],
+            },
+            (error, result) => (error ? reject(error) : resolve({ url: result.secure_url, key: result.public_id }))
+        );
+        stream.end(file.buffer);
+    }),
+    remove: async (key) => {
+        await cloudinary.uploader.destroy(key, { resource_type: 'image' });
+    },
+};
+
+/**
+ * Stores pictures as-is in AVATAR_UPLOAD_DIR; server.js serves that directory under /uploads/avatars.
+ */
+const localAdapter = {
+    save: async (userId, file) => {
+        const key = `${userId}-${crypto.randomBytes(4).toString('hex')}${EXTENSIONS[file.mimetype]}`;
+        await fs.mkdir(AVATAR_UPLOAD_DIR, { recursive: true });
+        await fs.writeFile(path.join(AVATAR_UPLOAD_DIR, key), file.buffer);
+        return { url: `${AVATAR_PUBLIC_BASE_URL}/${key}`, key };
+    },
+    remove: async (key) => {
+        // Keys are generated above; basename() keeps a tampered value inside the upload directory.
+        await fs.rm(path.join(AVATAR_UPLOAD_DIR, path.basename(key)), { force: true });
+    },
+};
+
+const adapter = AVATAR_STORAGE === 'cloudinary' ? cloudinaryAdapter : localAdapter;
+
+/**
+ * Stores an uploaded profile picture, typed by its content.
+ * @param {string} userId - Owner of the picture (used in the stored name).
+ * @param {object} file - Multer file held in memory (`buffer`).
+ * @returns {Promise<{url: string, key: string}>} Public URL and the storage key needed to delete it.
+ * @throws {AppError} 400 if the file is not a JPEG, PNG or WebP image.
+ */
+const saveAvatar = async (userId, file) => {
+    const mimetype = detectImageType(file.buffer);
+    if (!mimetype) {
+        throw new AppError(`Profile picture must be an image (${Object.keys(EXTENSIONS).join(', ')}).`, 400);
+    }
+    return adapter.save(String(userId), { ...file, mimetype });
+};
+
+/**
+ * Deletes a stored profile picture. Failures are logged, not thrown: a leftover file must not
+ * block the profile update that replaced it.
+ * @param {string} [key] - Storage key returned by saveAvatar.
+ */
+const removeAvatar = async (key) => {
+    if (!key) return;
+    try {
+        await adapter.remove(key);
+    } catch (error) {
+        console.error(`Could not delete profile picture '${key}':`, error.message);
+    }
+};
+
+module.exports = {
+    AVATAR_STORAGE,
+    AVATAR_UPLOAD_DIR,
+    ALLOWED_AVATAR_TYPES: Object.keys(EXTENSIONS),
+    detectImageType,
+    saveAvatar,
+    removeAvatar,
+};
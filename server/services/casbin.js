@@ -1,64 +1,120 @@
 // services/casbin.js
-const { newEnforcer, FileAdapter } = require('casbin');
+const { newEnforcer, FileAdapter, StringAdapter } = require('casbin');
 const path = require('path');
+const CasbinRule = require('../models/CasbinRule');
+const { MongooseAdapter } = require('./casbinMongooseAdapter');
+const { PolicyWatcher, readStoredVersion, bumpStoredVersion } = require('./casbinWatcher');
+const AppError = require('../utils/AppError');
 
 const modelPath = path.resolve(__dirname, '../config/model.conf');
 const policyPath = path.resolve(__dirname, '../config/policy.csv');
+// 'mongo' (default): policies live in the casbin_rules collection and can be edited through the admin API.
+// 'file': read-only policies from config/policy.csv.
+const CASBIN_ADAPTER = process.env.CASBIN_ADAPTER || 'mongo';
 // --- End Configuration ---
 
 
-let enforcerInstance = null;
+let enforcerPromise = null;
+let watcher = null; // Keeps server instances in sync (database adapter only)
+
+// Defaults for optional policy fields
+const FIELD_DEFAULTS = { eft: 'allow', cond: 'true' };
+// Names a condition may use: request attributes and literals (see config/model.conf)
+const CONDITION_NAME = /^(r\.(sub|obj)\.[A-Za-z_$][\w$]*|true|false|null|undefined)$/;
+
+/**
+ * Creates a standalone enforcer for the rules of a policy CSV file (not synced, not the singleton).
+ * @param {string} [csvPath] - Defaults to config/policy.csv.
+ * @returns {Promise<Enforcer>}
+ */
+async function createFileEnforcer(csvPath = policyPath) {
+    return newEnforcer(modelPath, new FileAdapter(csvPath));
+}
+
+/**
+ * Copies the rules of a policy CSV file into the database, replacing what is stored there.
+ * Running servers pick the new rules up through the stored policy version (services/casbinWatcher.js).
+ * @param {string} [csvPath] - Defaults to config/policy.csv.
+ * @returns {Promise<{policies: number, roles: number}>} Number of imported rules.
+ */
+async function importPoliciesFromCsv(csvPath = policyPath) {
+    const fileEnforcer = await createFileEnforcer(csvPath);
+    await new MongooseAdapter().savePolicy(fileEnforcer.getModel());
+    await bumpStoredVersion();
+    return {
+        policies: (await fileEnforcer.getPolicy()).length,
+        roles: (await fileEnforcer.getGroupingPolicy()).length,
+    };
+}
+
+/**
+ * Creates the enforcer with the configured adapter. With the database adapter, an empty
+ * collection is seeded from config/policy.csv so a fresh install keeps its default rules.
+ * @returns {Promise<Enforcer>}
+ */
+async function createEnforcer() {
+    if (CASBIN_ADAPTER === 'file') {
+        return createFileEnforcer();
+    }
+
+    if ((await CasbinRule.estimatedDocumentCount()) === 0) {
+        const { policies, roles } = await importPoliciesFromCsv();
+        console.log(`Casbin: seeded ${policies} policies and ${roles} role assignments from ${policyPath}.`);
+    }
+
+    // Rules stored before model.conf gained the `cond` field (v5) have no condition
+    const { modifiedCount } = await CasbinRule.updateMany({ ptype: 'p', v5: '' }, { $set: { v5: FIELD_DEFAULTS.cond } });
+    if (modifiedCount > 0) {
+        await bumpStoredVersion();
+        console.log(`Casbin: added the default condition to ${modifiedCount} stored policies.`);
+    }
+
+    const version = await readStoredVersion(); // Before loading: later changes have a higher version
+    const enforcer = await newEnforcer(modelPath, new MongooseAdapter());
+    watcher = new PolicyWatcher();
+    watcher.start(enforcer, version);
+    return enforcer;
+}
 
 /**
  * Initializes and returns a singleton Casbin enforcer instance.
- * Uses FileAdapter for policies initially.
+ * newEnforcer() loads the policies from the adapter (database or CSV file, see CASBIN_ADAPTER).
  * @returns {Promise<Enforcer>} The initialized Casbin enforcer.
  */
 async function initializeEnforcer() {
-    if (enforcerInstance) {
-        return enforcerInstance;
+    if (enforcerPromise) {
+        return enforcerPromise;
     }
 
-    try {
-        const adapter = new FileAdapter(policyPath);
-        const enforcer = await newEnforcer(modelPath, adapter);
-
-        // Load policies from storage (CSV file in this case)
-        await enforcer.loadPolicy();
+    enforcerPromise = (async () => {
+        try {
+            const enforcer = await createEnforcer();
 
-        // Optional: Enable auto-saving policies back to the file if you modify them programmatically
-        // enforcer.enableAutoSave(true);
+            // Optional: Enable logging.
+            // enforcer.enableLog(true);
 
-        // Optional: Enable logging.
-        // enforcer.enableLog(true);
+            console.log(`Casbin enforcer initialized successfully (${CASBIN_ADAPTER} adapter).`);
+            return enforcer;
 
-        console.log('Casbin enforcer initialized successfully.');
-        enforcerInstance = enforcer;
-        return enforcer;
+        } catch (error) {
+            console.error('Failed to initialize Casbin enforcer:', error);
+            enforcerPromise = null; // Allow a later retry
+            // Depending on your app's needs, you might want to throw the error
+            // or handle it differently (e.g., exit the process if authz is critical)
+            throw error;
+        }
+    })();
 
-    } catch (error) {
-        console.error('Failed to initialize Casbin enforcer:', error);
-        // Depending on your app's needs, you might want to throw the error
-        // or handle it differently (e.g., exit the process if authz is critical)
-        throw error;
-    }
+    return enforcerPromise;
 }
 
 /**
  * Returns the singleton Casbin enforcer instance.
- * Ensures initialization is complete before returning.
+ * Waits for (or starts) initialization if it has not finished yet.
  * @returns {Promise<Enforcer>} The initialized Casbin enforcer.
- * @throws {Error} If the enforcer hasn't been initialized yet (should not happen if initializeEnforcer is called on app start).
  */
 async function getEnforcer() {
-    if (!enforcerInstance) {
-        // This can happen if getEnforcer is called before initializeEnforcer finishes.
-        // Option 1: Wait for initialization (safer)
-        return await initializeEnforcer();
-        // Option 2: Throw an error (if you guarantee initialization happens first)
-        // throw new Error('Casbin enforcer is not initialized. Call initializeEnforcer first.');
-    }
-    return enforcerInstance;
+    return initializeEnforcer();
 }
 
 /**
@@ -71,7 +127,11 @@ async function getEnforcer() {
 async function reloadPolicies() {
     const enforcer = await getEnforcer(); // Ensures enforcer is ready
     try {
-        await enforcer.loadPolicy();
+        if (watcher) {
+            await watcher.enqueue(() => watcher.reload()); // Keeps the version in step
+        } else {
+            await enforcer.loadPolicy();
+        }
         console.log('Casbin policies reloaded successfully.');
     } catch (error) {
         console.error('Failed to reload Casbin policies:', error);
@@ -79,7 +139,206 @@ async function reloadPolicies() {
     }
 }
 
-// Initialize on import (call this early in your app's startup)
-// await initializeEnforcer(); // Or call it in your main app file
+/**
+ * Policy sync state of this server instance (health endpoint).
+ * @returns {Promise<object>} Adapter, and with the database adapter the loaded and stored policy versions.
+ */
+async function getPolicyStatus() {
+    if (!watcher) {
+        return { adapter: CASBIN_ADAPTER, initialized: Boolean(enforcerPromise) };
+    }
+    return { adapter: CASBIN_ADAPTER, ...(await watcher.getStatus()) };
+}
+
+// --- Policy administration ---
+
+/**
+ * Field names of a policy type as declared in config/model.conf, e.g. 'p' -> ['sub', 'dom', 'obj', 'act', 'eft'].
+ * @param {Enforcer} enforcer
+ * @param {'p'|'g'} ptype
+ * @returns {string[]}
+ */
+function getRuleFields(enforcer, ptype) {
+    const assertion = enforcer.getModel().model.get(ptype)?.get(ptype);
+    if (!assertion) {
+        return [];
+    }
+    if (ptype === 'g') {
+        return assertion.value.split(',').map((_, i) => ['user', 'role', 'domain'][i]);
+    }
+    return assertion.tokens.map(token => token.replace(`${ptype}_`, ''));
+}
+
+/**
+ * Checks that a rule condition only reads request attributes, and compiles with the model's matcher.
+ * @param {string[]} rule - A complete 'p' rule.
+ * @param {string} cond
+ * @throws {AppError} 400 if the condition is not usable.
+ */
+async function assertValidCondition(rule, cond) {
+    const names = cond
+        .replace(/'[^']*'|"[^"]*"/g, '') // String literals may contain anything
+        .match(/[A-Za-z_$][\w$]*(\.[A-Za-z_$][\w$]*)*/g) || [];
+    const unknown = names.filter(name => !CONDITION_NAME.test(name));
+    if (unknown.length > 0) {
+        throw new AppError(`cond may only use r.sub.* and r.obj.* attributes and literals, not: ${unknown.join(', ')}`, 400);
+    }
+
+    try {
+        const scratch = await newEnforcer(modelPath, new StringAdapter(`p, ${rule.join(', ')}`));
+        await scratch.enforce({ id: '', role: '' }, '', { type: '' }, ''); // Compiles the matcher with eval(p.cond)
+    } catch (error) {
+        throw new AppError(`cond is not a valid expression: ${error.message}`, 400);
+    }
+}
+
+/**
+ * Converts a rule object ({ sub, dom, ... } or { user, role }) into the value array of the model,
+ * rejecting it when it does not fit the model.
+ * @param {Enforcer} enforcer
+ * @param {'p'|'g'} ptype
+ * @param {object} input
+ * @returns {Promise<string[]>}
+ * @throws {AppError} 400 describing the first problem.
+ */
+async function toModelRule(enforcer, ptype, input) {
+    const fields = getRuleFields(enforcer, ptype);
+    const rule = fields.map(field => input[field] || FIELD_DEFAULTS[field]);
+
+    const missing = fields.filter((field, i) => typeof rule[i] !== 'string' || rule[i].trim() === '');
+    if (missing.length > 0) {
+        throw new AppError(`Rule is missing: ${missing.join(', ')} (model fields: ${fields.join(', ')}).`, 400);
+    }
+    // Rules are also kept in CSV form (config/policy.csv, exports), where commas separate fields
+    if (rule.some(value => value.includes(','))) {
+        throw new AppError('Rule values cannot contain commas.', 400);
+    }
+    const trimmed = rule.map(value => value.trim());
+    if (ptype === 'p') {
+        const eft = trimmed[fields.indexOf('eft')];
+        if (eft !== undefined && !['allow', 'deny'].includes(eft)) {
+            throw new AppError("eft must be 'allow' or 'deny'.", 400);
+        }
+        const act = trimmed[fields.indexOf('act')];
+        try {
+            new RegExp(act); // Matched with regexMatch() in model.conf
+        } catch {
+            throw new AppError(`act is not a valid regular expression: ${act}`, 400);
+        }
+        const cond = trimmed[fields.indexOf('cond')];
+        if (cond !== undefined && cond !== FIELD_DEFAULTS.cond) {
+            await assertValidCondition(trimmed, cond);
+        }
+    }
+    return trimmed;
+}
+
+/**
+ * Converts model value arrays back into objects keyed by field name.
+ * @param {string[]} fields
+ * @param {string[][]} rules
+ * @returns {object[]}
+ */
+const toRuleObjects = (fields, rules) => rules.map(rule =>
+    Object.fromEntries(fields.map((field, i) => [field, rule[i]]))
+);
+
+/**
+ * Policy editing is only possible when the policies are stored in the database.
+ * @throws {AppError} 409 with the file adapter.
+ */
+function assertEditable() {
+    if (CASBIN_ADAPTER === 'file') {
+        throw new AppError('Policies are read-only with CASBIN_ADAPTER=file. Edit config/policy.csv instead.', 409);
+    }
+}
+
+/**
+ * Lists all permission rules and role assignments.
+ * @returns {Promise<{fields: object, policies: object[], roles: object[]}>}
+ */
+async function listPolicies() {
+    const enforcer = await getEnforcer();
+    const policyFields = getRuleFields(enforcer, 'p');
+    const roleFields = getRuleFields(enforcer, 'g');
+    return {
+        fields: { policy: policyFields, role: roleFields },
+        policies: toRuleObjects(policyFields, await enforcer.getPolicy()),
+        roles: toRuleObjects(roleFields, await enforcer.getGroupingPolicy()),
+    };
+}
+
+/**
+ * Adds a permission rule ('p') or role assignment ('g').
+ * @param {'p'|'g'} ptype
+ * @param {object} input - Rule object, see toModelRule.
+ * @returns {Promise<boolean>} False if the rule already existed.
+ */
+async function addRule(ptype, input) {
+    assertEditable();
+    const enforcer = await getEnforcer();
+    const rule = await toModelRule(enforcer, ptype, input);
+    return ptype === 'g' ? enforcer.addGroupingPolicy(...rule) : enforcer.addPolicy(...rule);
+}
+
+/**
+ * Removes a permission rule ('p') or role assignment ('g').
+ * @param {'p'|'g'} ptype
+ * @param {object} input - Rule object, see toModelRule.
+ * @returns {Promise<boolean>} False if the rule did not exist.
+ */
+async function removeRule(ptype, input) {
+    assertEditable();
+    const enforcer = await getEnforcer();
+    const rule = await toModelRule(enforcer, ptype, input);
+    return ptype === 'g' ? enforcer.removeGroupingPolicy(...rule) : enforcer.removePolicy(...rule);
+}
+
+/**
+ * Replaces all permission rules and role assignments. Every rule is validated before anything changes.
+ * @param {object[]} policies - Permission rule objects.
+ * @param {object[]} roles - Role assignment objects.
+ * @returns {Promise<{policies: number, roles: number}>} Number of stored rules.
+ */
+async function replaceAllRules(policies, roles) {
+    assertEditable();
+    const enforcer = await getEnforcer();
+    const policyRules = [];
+    for (const input of policies) {
+        policyRules.push(await toModelRule(enforcer, 'p', input));
+    }
+    const roleRules = [];
+    for (const input of roles) {
+        roleRules.push(await toModelRule(enforcer, 'g', input));
+    }
+
+    const model = enforcer.getModel();
+    model.clearPolicy();
+    // model.addPolicy() ignores duplicates
+    policyRules.forEach(rule => model.addPolicy('p', 'p', rule));
+    roleRules.forEach(rule => model.addPolicy('g', 'g', rule));
+
+    try {
+        await enforcer.savePolicy();
+    } finally {
+        // Rebuilds role links, or restores the stored rules if saving failed
+        await enforcer.loadPolicy();
+    }
+    return {
+        policies: (await enforcer.getPolicy()).length,
+        roles: (await enforcer.getGroupingPolicy()).length,
+    };
+}
 
-module.exports = { initializeEnforcer, getEnforcer, reloadPolicies };
+module.exports = {
+    initializeEnforcer,
+    getEnforcer,
+    reloadPolicies,
+    getPolicyStatus,
+    createFileEnforcer,
+    importPoliciesFromCsv,
+    listPolicies,
+    addRule,
+    removeRule,
+    replaceAllRules,
+};
@@ -0,0 +1,142 @@
+const CasbinRule = require('../models/CasbinRule');
+
+const FIELD_COUNT = 6; // v0..v5
+
+/**
+ * Converts a rule (array of values) into a CasbinRule document.
+ * @param {string} ptype - 'p', 'g', ...
+ * @param {string[]} rule - Rule values in model order.
+ * @returns {object}
+ */
+const toDocument = (ptype, rule) => {
+    const doc = { ptype };
+    for (let i = 0; i < FIELD_COUNT; i++) {
+        doc[`v${i}`] = rule[i] !== undefined ? String(rule[i]) : '';
+    }
+    return doc;
+};
+
+/**
+ * Converts a CasbinRule document back into rule values, dropping empty trailing fields.
+ * @param {object} doc
+ * @returns {string[]}
+ */
+const toRule = (doc) => {
+    const rule = [];
+    for (let i = 0; i < FIELD_COUNT; i++) {
+        rule.push(doc[`v${i}`] || '');
+    }
+    while (rule.length > 0 && rule[rule.length - 1] === '') {
+        rule.pop();
+    }
+    return rule;
+};
+
+/**
+ * Identity of a rule (document or toDocument() result): its ptype and every field.
+ * @param {object} doc
+ * @returns {string}
+ */
+const ruleKey = (doc) => {
+    const values = [doc.ptype];
+    for (let i = 0; i < FIELD_COUNT; i++) {
+        values.push(doc[`v${i}`] || '');
+    }
+    return JSON.stringify(values);
+};
+
+/**
+ * Casbin adapter that keeps policy lines in MongoDB (models/CasbinRule.js).
+ * Implements the batch adapter interface, so single and bulk changes made through the
+ * enforcer (with auto-save, the default) are written to the database immediately.
+ */
+class MongooseAdapter {
+    /**
+     * Loads every stored rule into the model.
+     * @param {Model} model - Casbin model.
+     */
+    async loadPolicy(model) {
+        const docs = await CasbinRule.find({}).sort({ ptype: 1, _id: 1 }).lean();
+        for (const doc of docs) {
+            const sec = doc.ptype.charAt(0); // 'p' rules belong to section 'p', 'g' rules to 'g'
+            const assertions = model.model.get(sec);
+            if (!assertions || !assertions.has(doc.ptype)) {
+                console.warn(`Casbin: ignoring stored rule with unknown ptype '${doc.ptype}'.`);
+                continue;
+            }
+            model.addPolicy(sec, doc.ptype, toRule(doc));
+        }
+    }
+
+    /**
+     * Replaces everything stored with the rules currently in the model.
+     * The new rules are written first and only then are the rules no longer in the model deleted,
+     * so the stored set is never empty part way through (an empty collection would be reseeded
+     * from config/policy.csv on the next start). Rules in both sets are left untouched.
+     * @param {Model} model - Casbin model.
+     * @returns {Promise<boolean>}
+     */
+    async savePolicy(model) {
+        const wanted = new Map();
+        for (const sec of ['p', 'g']) {
+            const assertions = model.model.get(sec);
+            if (!assertions) continue;
+            assertions.forEach((assertion, ptype) => {
+                assertion.policy.forEach((rule) => {
+                    const document = toDocument(ptype, rule);
+                    wanted.set(ruleKey(document), document);
+                });
+            });
+        }
+
+        const stored = await CasbinRule.find({}).select('ptype v0 v1 v2 v3 v4 v5').lean();
+        const storedKeys = new Set(stored.map(ruleKey));
+
+        // Upserts, so a rule written concurrently by another save is not a duplicate key error
+        const additions = [...wanted].filter(([key]) => !storedKeys.has(key)).map(([, document]) => ({
+            updateOne: { filter: document, update: { $setOnInsert: document }, upsert: true },
+        }));
+        if (additions.length > 0) {
+            await CasbinRule.bulkWrite(additions, { ordered: true });
+        }
+
+        const staleIds = stored.filter(doc => !wanted.has(ruleKey(doc))).map(doc => doc._id);
+        if (staleIds.length > 0) {
+            await CasbinRule.deleteMany({ _id: { $in: staleIds } });
+        }
+        return true;
+    }
+
+    async addPolicy(sec, ptype, rule) {
+        await CasbinRule.create(toDocument(ptype, rule));
+    }
+
+    async addPolicies(sec, ptype, rules) {
+        await CasbinRule.insertMany(rules.map(rule => toDocument(ptype, rule)), { ordered: true });
+    }
+
+    async removePolicy(sec, ptype, rule) {
+        await CasbinRule.deleteOne(toDocument(ptype, rule));
+    }
+
+    async removePolicies(sec, ptype, rules) {
+        if (rules.length === 0) return;
+        await CasbinRule.deleteMany({ $or: rules.map(rule => toDocument(ptype, rule)) });
+    }
+
+    /**
+     * Removes the rules whose fields, starting at `fieldIndex`, match the given values
+     * (an empty value matches anything).
+     */
+    async removeFilteredPolicy(sec, ptype, fieldIndex, ...fieldValues) {
+        const filter = { ptype };
+        fieldValues.forEach((value, i) => {
+            if (value) {
+                filter[`v${fieldIndex + i}`] = value;
+            }
+        });
+        await CasbinRule.deleteMany(filter);
+    }
+}
+
+module.exports = { MongooseAdapter };
@@ -0,0 +1,226 @@
+const os = require('os');
+const crypto = require('crypto');
+const { PolicyOp } = require('casbin');
+const CasbinPolicyVersion = require('../models/CasbinPolicyVersion');
+const { getRedis, isRedisReady } = require('../config/redis');
+
+// Redis channel the policy changes are broadcast on
+const CHANNEL = process.env.CASBIN_WATCHER_CHANNEL || 'casbin:policy';
+// How often the stored version is checked; catches changes whose broadcast was missed, and is
+// the only sync mechanism without Redis
+const POLL_INTERVAL_MS = parseInt(process.env.CASBIN_WATCHER_POLL_MS || '10000', 10);
+
+const VERSION_ID = 'casbin';
+
+/**
+ * Reads the stored policy version.
+ * @returns {Promise<number>}
+ */
+const readStoredVersion = async () => {
+    const doc = await CasbinPolicyVersion.findById(VERSION_ID).lean();
+    return doc?.version || 0;
+};
+
+/**
+ * Increments the stored policy version. Call after every change written to the database.
+ * @returns {Promise<number>} The new version.
+ */
+const bumpStoredVersion = async () => {
+    const doc = await CasbinPolicyVersion.findOneAndUpdate(
+        { _id: VERSION_ID },
+        { $inc: { version: 1 } },
+        { upsert: true, new: true }
+    ).lean();
+    return doc.version;
+};
+
+/**
+ * Casbin WatcherEx that keeps the enforcers of all server instances in sync.
+ *
+ * Every change made through this instance's enforcer increments the stored policy version and is
+ * broadcast over Redis pub/sub. Other instances apply a broadcast change in place when it is the
+ * next version they expect, and reload all policies from the database otherwise (missed messages,
+ * concurrent writers, bulk replaces). The stored version is also polled, so instances converge
+ * without Redis, just more slowly.
+ */
+class PolicyWatcher {
+    constructor() {
+        this.instanceId = `${os.hostname()}-${process.pid}-${crypto.randomBytes(3).toString('hex')}`;
+        this.enforcer = null;
+        this.version = 0; // Version of the rules this instance enforces
+        this.loadedAt = null;
+        this.subscriber = null;
+        this.pollTimer = null;
+        this.queue = Promise.resolve(); // Changes are applied one at a time, in order
+    }
+
+    /**
+     * Starts watching. Attaches itself to the enforcer.
+     * @param {Enforcer} enforcer - Enforcer whose policies were loaded at `version`.
+     * @param {number} version - Stored version read before the policies were loaded.
+     */
+    start(enforcer, version) {
+        this.enforcer = enforcer;
+        this.version = version;
+        this.loadedAt = new Date();
+        enforcer.setWatcherEx(this);
+
+        const redis = getRedis();
+        if (redis) {
+            // Subscribed connections cannot run other commands, so use a dedicated one.
+            this.subscriber = redis.duplicate();
+            this.subscriber.on('ready', () => {
+                this.subscriber.subscribe(CHANNEL).catch((error) => {
+                    console.error(`Casbin watcher could not subscribe to '${CHANNEL}': ${error.message}`);
+                });
+            });
+            this.subscriber.on('message', (channel, message) => this.onMessage(message));
+            this.subscriber.on('error', () => { }); // Logged by the shared client; polling covers the gap
+        }
+
+        this.pollTimer = setInterval(() => this.enqueue(() => this.reloadIfStale()), POLL_INTERVAL_MS);
+        this.pollTimer.unref(); // Don't keep the process alive for this
+    }
+
+    /**
+     * Runs a task after the previous ones. Errors are logged; the next poll retries.
+     * @param {Function} task
+     * @returns {Promise<void>}
+     */
+    enqueue(task) {
+        this.queue = this.queue.then(task).catch((error) => {
+            console.error('Casbin watcher error:', error.message);
+        });
+        return this.queue;
+    }
+
+    /**
+     * Reloads all policies from the database.
+     */
+    async reload() {
+        const version = await readStoredVersion(); // Read first: anything written later has a higher version
+        await this.enforcer.loadPolicy();
+        this.version = version;
+        this.loadedAt = new Date();
+    }
+
+    async reloadIfStale() {
+        if ((await readStoredVersion()) > this.version) {
+            await this.reload();
+            console.log(`Casbin policies reloaded (version ${this.version}).`);
+        }
+    }
+
+    /**
+     * Records a change made by this instance and broadcasts it.
+     * @param {object} change - { op: 'add'|'remove'|'reload', sec, ptype, rules }
+     * @returns {Promise<void>}
+     */
+    publishChange(change) {
+        return this.enqueue(async () => {
+            const version = await bumpStoredVersion();
+            if (version !== this.version + 1) {
+                // Another instance changed the policies since we last synced; pick that up as well.
+                // Our own change is already stored, so the reload includes it.
+                await this.reload();
+            } else {
+                this.version = version;
+            }
+
+            if (isRedisReady()) {
+                await getRedis().publish(CHANNEL, JSON.stringify({ instanceId: this.instanceId, version, ...change }));
+            }
+        });
+    }
+
+    /**
+     * Handles a change broadcast by another instance.
+     * @param {string} message - JSON from publishChange.
+     */
+    onMessage(message) {
+        let change;
+        try {
+            change = JSON.parse(message);
+        } catch {
+            return;
+        }
+        if (change.instanceId === this.instanceId) {
+            return;
+        }
+
+        this.enqueue(async () => {
+            if (change.version <= this.version) {
+                return; // Already included
+            }
+            if (change.version === this.version + 1 && change.op !== 'reload') {
+                await this.applyChange(change);
+                this.version = change.version;
+                this.loadedAt = new Date();
+            } else {
+                await this.reload();
+            }
+        });
+    }
+
+    /**
+     * Applies a broadcast change to the in-memory model only (it is already stored).
+     * @param {object} change - { op: 'add'|'remove', sec, ptype, rules }
+     */
+    async applyChange({ op, sec, ptype, rules }) {
+        const model = this.enforcer.getModel();
+        const [changed] = op === 'add'
+            ? model.addPolicies(sec, ptype, rules)
+            : model.removePolicies(sec, ptype, rules);
+        if (changed && sec === 'g') {
+            await this.enforcer.buildIncrementalRoleLinks(op === 'add' ? PolicyOp.PolicyAdd : PolicyOp.PolicyRemove, ptype, rules);
+        }
+    }
+
+    /**
+     * Sync state of this instance, for the public health endpoint (so no host details).
+     * @returns {Promise<object>}
+     */
+    async getStatus() {
+        const storedVersion = await readStoredVersion();
+        return {
+            version: this.version,
+            storedVersion,
+            inSync: this.version === storedVersion,
+            loadedAt: this.loadedAt,
+            sync: this.subscriber?.status === 'ready' ? 'redis' : 'polling',
+        };
+    }
+
+    // --- WatcherEx interface, called by the enforcer after a change was written to the adapter ---
+
+    updateForAddPolicy(sec, ptype, ...rule) {
+        return this.publishChange({ op: 'add', sec, ptype, rules: [rule] });
+    }
+
+    updateForRemovePolicy(sec, ptype, ...rule) {
+        return this.publishChange({ op: 'remove', sec, ptype, rules: [rule] });
+    }
+
+    updateForAddPolicies(sec, ptype, ...rules) {
+        return this.publishChange({ op: 'add', sec, ptype, rules });
+    }
+
+    updateForRemovePolicies(sec, ptype, ...rules) {
+        return this.publishChange({ op: 'remove', sec, ptype, rules });
+    }
+
+    updateForRemoveFilteredPolicy() {
+        return this.publishChange({ op: 'reload' });
+    }
+
+    async updateForSavePolicy() {
+        await this.publishChange({ op: 'reload' });
+        return true;
+    }
+}
+
+module.exports = {
+    PolicyWatcher,
+    readStoredVersion,
+    bumpStoredVersion,
+};
@@ -0,0 +1,271 @@
+const Coupon = require('../models/Coupon');
+const CouponRedemption = require('../models/CouponRedemption');
+const User = require('../models/User');
+const AppError = require('../utils/AppError');
+
+const roundAmount = value => Math.round(value * 100) / 100;
+
+const normalizeCode = code => String(code).trim().toUpperCase();
+
+/**
+ * Short description of a coupon's discount, e.g. '20% off' or '5 USD off, for 3 months'.
+ * @param {object} coupon
+ * @returns {string}
+ */
+const describeCoupon = (coupon) => {
+    const off = coupon.discountType === 'percentage' ? `${coupon.percentOff}% off` : `${coupon.amountOff} ${coupon.currency} off`;
+    if (coupon.duration === 'repeating') {
+        return `${off}, for ${coupon.durationInMonths} month${coupon.durationInMonths === 1 ? '' : 's'}`;
+    }
+    return coupon.duration === 'forever' ? `${off}, forever` : off;
+};
+
+/**
+ * Whether a coupon can discount a plan: the plan is among its plans (if restricted) and, for fixed
+ * coupons, priced in the coupon's currency.
+ * @param {object} coupon
+ * @param {object} plan
+ * @returns {boolean}
+ */
+const appliesToPlan = (coupon, plan) => {
+    if (coupon.plans?.length > 0 && !coupon.plans.some(planId => String(planId) === String(plan._id))) {
+        return false;
+    }
+    return coupon.discountType !== 'fixed' || coupon.currency === plan.currency;
+};
+
+/**
+ * Discount of a coupon on a plan's price, never more than the price.
+ * @param {object} coupon
+ * @param {object} plan
+ * @returns {number}
+ */
+const calculateDiscount = (coupon, plan) => {
+    const discount = coupon.discountType === 'percentage' ? plan.price * coupon.percentOff / 100 : coupon.amountOff;
+    return roundAmount(Math.min(discount, plan.price));
+};
+
+/**
+ * Checks that a user may apply a coupon to an order of a plan.
+ * @param {object} coupon
+ * @param {object} context
+ * @param {object} context.user - User document or `req.user`.
+ * @param {object} context.plan
+ * @param {Date} [context.now]
+ * @throws {AppError} If the coupon cannot be applied.
+ */
+const assertCouponUsable = async (coupon, { user, plan, now = new Date() }) => {
+    if (!coupon.isActive || (coupon.expiresAt && coupon.expiresAt <= now)) {
+        throw new AppError(`The coupon ${coupon.code} has expired.`, 400);
+    }
+    if (plan.price <= 0 || !appliesToPlan(coupon, plan)) {
+        throw new AppError(`The coupon ${coupon.code} does not apply to the ${plan.name} plan.`, 400);
+    }
+    if (coupon.maxRedemptions !== null && coupon.timesRedeemed >= coupon.maxRedemptions) {
+        throw new AppError(`The coupon ${coupon.code} has been fully redeemed.`, 409);
+    }
+    if (coupon.maxRedemptionsPerUser !== null) {
+        const redeemed = await CouponRedemption.countDocuments({ coupon: coupon._id, user: user._id, recurring: false });
+        if (redeemed >= coupon.maxRedemptionsPerUser) {
+            throw new AppError(`You have already used the coupon ${coupon.code}.`, 409);
+        }
+    }
+};
+
+/**
+ * The discount of an order: the coupon of `code` if given, otherwise the user's continued
+ * discount from an earlier repeating or forever coupon (if it still runs and applies to the plan).
+ * @param {object} order
+ * @param {object} order.user - User document (for the continued discount) or `req.user`.
+ * @param {object} order.plan
+ * @param {string} [order.code] - Coupon code entered by the user.
+ * @param {Date} [now]
+ * @returns {Promise<{coupon: object, code: string, amount: number, recurring: boolean}|null>}
+ * @throws {AppError} If `code` is unknown or cannot be applied.
+ */
+const resolveDiscount = async ({ user, plan, code }, now = new Date()) => {
+    if (code) {
+        const coupon = await Coupon.findOne({ code: normalizeCode(code) });
+        if (!coupon) {
+            throw new AppError('This coupon code is not valid.', 404);
+        }
+        await assertCouponUsable(coupon, { user, plan, now });
+        return { coupon, code: coupon.code, amount: calculateDiscount(coupon, plan), recurring: false };
+    }
+
+    const standing = user.discount;
+    if (!standing?.coupon || (standing.endsAt && standing.endsAt <= now)) {
+        return null;
+    }
+    const coupon = await Coupon.findById(standing.coupon);
+    if (!coupon || plan.price <= 0 || !appliesToPlan(coupon, plan)) {
+        return null;
+    }
+    return { coupon, code: coupon.code, amount: calculateDiscount(coupon, plan), recurring: true };
+};
+
+/**
+ * Invoice line items of a plan purchase: the plan price and, if any, the discount as a negative amount.
+ * @param {object} plan
+ * @param {object} [discount] - `discount` of the order or payment.
+ * @returns {{description: string, amount: number}[]}
+ */
+const buildLineItems = (plan, discount) => {
+    const lineItems = [{ description: `${plan.name} plan (${plan.billingCycle})`, amount: plan.price }];
+    if (discount?.amount > 0) {
+        lineItems.push({ description: `Coupon ${discount.code}`, amount: -discount.amount });
+    }
+    return lineItems;
+};
+
+/**
+ * Takes back a redemption claimed by redeemCoupon().
+ * @param {object} couponId
+ */
+const releaseRedemption = couponId => Coupon.updateOne({ _id: couponId, timesRedeemed: { $gt: 0 } }, { $inc: { timesRedeemed: -1 } });
+
+/**
+ * Records the coupon of a payment that is being confirmed: counts the redemption and, for
+ * repeating and forever coupons entered with this payment, gives the user the continued discount.
+ * The limits are checked again here, as other orders with the code may have been confirmed since
+ * this one was placed: a redemption is only counted while the coupon has some left (a conditional
+ * update, so concurrent confirmations cannot exceed maxRedemptions), and the user's redemptions
+ * are counted after recording this one, which is taken back if that exceeds maxRedemptionsPerUser.
+ * Call it before activating the order, so a refused coupon leaves the payment pending.
+ * Does nothing for payments without a coupon or that were already recorded.
+ * @param {object} payment - Payment document with `discount`.
+ * @param {Date} [now]
+ * @returns {Promise<object|null>} The redemption.
+ * @throws {AppError} If the coupon has no redemptions left, for everyone or for the user.
+ */
+const redeemCoupon = async (payment, now = new Date()) => {
+    const discount = payment.discount;
+    if (!discount?.coupon || await CouponRedemption.exists({ payment: payment._id })) {
+        return null;
+    }
+
+    let coupon = null;
+    if (!discount.recurring) {
+        coupon = await Coupon.findOneAndUpdate(
+            {
+                _id: discount.coupon,
+                $or: [{ maxRedemptions: null }, { $expr: { $lt: ['$timesRedeemed', '$maxRedemptions'] } }],
+            },
+            { $inc: { timesRedeemed: 1 } },
+            { new: true }
+        );
+        if (!coupon && await Coupon.exists({ _id: discount.coupon })) {
+            throw new AppError(`The coupon ${discount.code} has been fully redeemed.`, 409);
+        }
+    }
+
+    let redemption;
+    try {
+        redemption = await CouponRedemption.create({
+            coupon: discount.coupon,
+            code: discount.code,
+            user: payment.userId,
+            plan: payment.planId,
+            order: payment.order,
+            payment: payment._id,
+            amount: discount.amount,
+            currency: payment.currency,
+            recurring: Boolean(discount.recurring),
+            redeemedAt: now,
+        });
+    } catch (error) {
+        if (coupon) {
+            await releaseRedemption(coupon._id);
+        }
+        if (error.code === 11000) {
+            return null; // Recorded concurrently for this payment
+        }
+        throw error;
+    }
+    if (!coupon) {
+        return redemption; // A continued discount, or the coupon was deleted meanwhile
+    }
+
+    if (coupon.maxRedemptionsPerUser !== null) {
+        const redeemed = await CouponRedemption.countDocuments({ coupon: coupon._id, user: payment.userId, recurring: false });
+        if (redeemed > coupon.maxRedemptionsPerUser) {
+            await Promise.all([redemption.deleteOne(), releaseRedemption(coupon._id)]);
+            throw new AppError(`The user has already used the coupon ${coupon.code}.`, 409);
+        }
+    }
+
+    if (coupon.duration !== 'once') {
+        const endsAt = coupon.duration === 'repeating' ? new Date(now) : null;
+        endsAt?.setMonth(endsAt.getMonth() + coupon.durationInMonths);
+        await User.updateOne(
+            { _id: payment.userId },
+            { discount: { coupon: coupon._id, code: coupon.code, startedAt: now, endsAt } }
+        );
+    }
+    return redemption;
+};
+
+/**
+ * Coupon redemption report: redemptions in a period per coupon, with the discount given per currency.
+ * @param {object} [filter]
+ * @param {Date} [filter.from]
+ * @param {Date} [filter.to] - Exclusive.
+ * @param {string} [filter.couponId]
+ * @returns {Promise<object>}
+ */
+const getRedemptionReport = async ({ from, to, couponId } = {}) => {
+    const query = {};
+    if (couponId) query.coupon = couponId;
+    if (from || to) {
+        query.redeemedAt = {};
+        if (from) query.redeemedAt.$gte = from;
+        if (to) query.redeemedAt.$lt = to;
+    }
+
+    const redemptions = await CouponRedemption.find(query).select('coupon user amount currency recurring').lean();
+    const coupons = await Coupon.find({ _id: { $in: [...new Set(redemptions.map(r => String(r.coupon)))] } })
+        .select('code description discountType percentOff amountOff currency duration maxRedemptions timesRedeemed isActive expiresAt')
+        .lean();
+    const couponById = new Map(coupons.map(coupon => [String(coupon._id), coupon]));
+
+    const rows = new Map();
+    for (const redemption of redemptions) {
+        const key = String(redemption.coupon);
+        if (!rows.has(key)) {
+            rows.set(key, { coupon: couponById.get(key) || { _id: redemption.coupon }, redemptions: 0, recurring: 0, users: new Set(), discount: {} });
+        }
+        const row = rows.get(key);
+        row[redemption.recurring ? 'recurring' : 'redemptions']++;
+        row.users.add(String(redemption.user));
+        row.discount[redemption.currency] = roundAmount((row.discount[redemption.currency] || 0) + redemption.amount);
+    }
+
+    const report = [...rows.values()]
+        .map(({ users, ...row }) => ({ ...row, uniqueUsers: users.size }))
+        .sort((a, b) => b.redemptions - a.redemptions);
+    const totalDiscount = {};
+    report.forEach(row => Object.entries(row.discount).forEach(([currency, amount]) => {
+        totalDiscount[currency] = roundAmount((totalDiscount[currency] || 0) + amount);
+    }));
+
+    return {
+        from: from || null,
+        to: to || null,
+        totals: {
+            redemptions: report.reduce((sum, row) => sum + row.redemptions, 0),
+            recurring: report.reduce((sum, row) => sum + row.recurring, 0),
+            discount: totalDiscount,
+        },
+        coupons: report,
+    };
+};
+
+module.exports = {
+    normalizeCode,
+    describeCoupon,
+    calculateDiscount,
+    resolveDiscount,
+    buildLineItems,
+    redeemCoupon,
+    getRedemptionReport,
+};
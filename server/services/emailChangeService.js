@@ -0,0 +1,45 @@
+const { createAndSaveToken } = require('./tokenService');
+const { sendNotification } = require('./notificationService');
+
+// Validity of the OTP sent to the new address
+const EMAIL_CHANGE_OTP_EXPIRY_MINUTES = parseInt(process.env.EMAIL_CHANGE_OTP_EXPIRY_MINUTES || '30', 10);
+
+/**
+ * Generates an email change OTP and sends it to the new address, proving the user owns it.
+ * Only the latest OTP is valid; starting a new change invalidates the previous one.
+ * @param {object} user - The user document.
+ * @param {string} newEmail - The address to switch to.
+ * @returns {Promise<boolean>} True if the notification was sent.
+ */
+const sendEmailChangeOtp = async (user, newEmail) => {
+    const plainOtp = await createAndSaveToken(user._id, 'emailChange', EMAIL_CHANGE_OTP_EXPIRY_MINUTES);
+
+    return sendNotification({
+        method: 'email',
+        user: { email: newEmail },
+        subject: 'Confirm your new email address',
+        text: `Use this OTP to confirm ${newEmail} as the new email address of your account: ${plainOtp}\nIt is valid for ${EMAIL_CHANGE_OTP_EXPIRY_MINUTES} minutes. If you didn't request this, you can ignore this email.`,
+        html: `<p>Use this OTP to confirm ${newEmail} as the new email address of your account: <b>${plainOtp}</b></p><p>It is valid for ${EMAIL_CHANGE_OTP_EXPIRY_MINUTES} minutes. If you didn't request this, you can ignore this email.</p>`,
+    });
+};
+
+/**
+ * Tells the previous address that the account email was changed, so a hijacked account is noticed.
+ * @param {string} oldEmail - The address that was replaced.
+ * @param {string} newEmail - The new address.
+ * @returns {Promise<boolean>} True if the notification was sent.
+ */
+const notifyEmailChanged = (oldEmail, newEmail) => {
+    return sendNotification({
+        method: 'email',
+        user: { email: oldEmail },
+        subject: 'Your email address has been changed',
+        text: `The email address of your account was changed to ${newEmail}. If you did not do this, please contact support immediately.`,
+        html: `<p>The email address of your account was changed to <b>${newEmail}</b>.</p><p>If you did not do this, please contact support immediately.</p>`,
+    });
+};
+
+module.exports = {
+    sendEmailChangeOtp,
+    notifyEmailChanged,
+};
@@ -0,0 +1,39 @@
+const { createAndSaveToken } = require('./tokenService');
+const { sendNotification } = require('./notificationService');
+
+// Actions that require a verified email address, e.g. REQUIRE_VERIFIED_EMAIL_FOR=login,order
+// Empty (the default) means unverified users are not blocked anywhere.
+const REQUIRED_FOR = (process.env.REQUIRE_VERIFIED_EMAIL_FOR || '')
+    .split(',')
+    .map(action => action.trim().toLowerCase())
+    .filter(Boolean);
+
+/**
+ * Checks whether the configured policy requires a verified email for an action.
+ * @param {string} action - The action being performed ('login' or 'order').
+ * @returns {boolean} True if unverified users must be blocked.
+ */
+const isVerificationRequiredFor = (action) => REQUIRED_FOR.includes(action);
+
+/**
+ * Generates an email verification OTP for the user and sends it by email.
+ * @param {object} user - The user document (must have an email).
+ * @returns {Promise<boolean>} True if the notification was sent.
+ */
+const sendVerificationOtp = async (user) => {
+    const otpExpiryMinutes = parseInt(process.env.OTP_EXPIRY_MINUTES || '10', 10);
+    const plainOtp = await createAndSaveToken(user._id, 'emailVerification', otpExpiryMinutes);
+
+    return sendNotification({
+        method: 'email',
+        user: user,
+        subject: 'Verify your email address',
+        text: `Your email verification OTP is: ${plainOtp}\nIt is valid for ${otpExpiryMinutes} minutes.`,
+        html: `<p>Your email verification OTP is: <b>${plainOtp}</b></p><p>It is valid for ${otpExpiryMinutes} minutes.</p>`,
+    });
+};
+
+module.exports = {
+    isVerificationRequiredFor,
+    sendVerificationOtp,
+};
@@ -0,0 +1,121 @@
+const Plan = require('../models/Plan');
+const entitlements = require('../config/entitlements');
+
+// Plan slug -> { features: string[], expiresAt: number }
+const cache = new Map();
+
+// Granted features without duplicates and names that are not in config/entitlements.js
+const knownFeatures = granted => [...new Set(granted || [])].filter(feature => feature in entitlements.features);
+
+/**
+ * Features included in a plan. Cached per instance for ENTITLEMENT_CACHE_TTL_MS, so a plan edit
+ * reaches other server instances within that time.
+ * @param {string} slug - Plan slug, as in the `plan` claim of the access token.
+ * @returns {Promise<string[]>} Known feature names only; for the slug 'free' without a matching plan,
+ * the configured FREE_ENTITLEMENTS.
+ */
+const getPlanEntitlements = async (slug) => {
+    const cached = cache.get(slug);
+    if (cached && cached.expiresAt > Date.now()) {
+        return cached.features;
+    }
+
+    const plan = await Plan.findOne({ slug }).select('entitlements').lean();
+    const features = knownFeatures(plan ? plan.entitlements : (slug === 'free' ? entitlements.freeEntitlements : []));
+
+    cache.set(slug, { features, expiresAt: Date.now() + entitlements.cacheTtlMs });
+    return features;
+};
+
+/**
+ * Features of every stored plan (not cached), e.g. for the policy simulator.
+ * @returns {Promise<object>} Plan slug -> feature names; includes 'free' (FREE_ENTITLEMENTS) when
+ * no plan has that slug.
+ */
+const getAllPlanEntitlements = async () => {
+    const plans = await Plan.find({}).select('slug entitlements').lean();
+    const bySlug = Object.fromEntries(plans.map(plan => [plan.slug, knownFeatures(plan.entitlements)]));
+    if (!('free' in bySlug)) {
+        bySlug.free = knownFeatures(entitlements.freeEntitlements);
+    }
+    return bySlug;
+};
+
+/**
+ * Forgets cached entitlements, e.g. after a plan was changed through the API on this instance.
+ * @param {string} [slug] - Only this plan; all plans if omitted.
+ */
+const clearEntitlementCache = (slug) => {
+    if (slug) {
+        cache.delete(slug);
+    } else {
+        cache.clear();
+    }
+};
+
+/**
+ * Gives the plans that predate entitlements (basic, professional, business, enterprise) the
+ * features their per-plan policies used to grant, so their subscribers keep access.
+ * Only plans without stored entitlements are changed, so it can run on every start and later
+ * edits made through the plan API are kept.
+ * @returns {Promise<string[]>} Slugs of the updated plans.
+ */
+const backfillLegacyPlanEntitlements = async () => {
+    const updated = [];
+    for (const [slug, features] of Object.entries(entitlements.legacyPlanEntitlements)) {
+        const { modifiedCount } = await Plan.updateOne(
+            { slug, $or: [{ entitlements: { $exists: false } }, { entitlements: { $size: 0 } }] },
+            { $set: { entitlements: features } }
+        );
+        if (modifiedCount > 0) {
+            updated.push(slug);
+            clearEntitlementCache(slug);
+        }
+    }
+    return updated;
+};
+
+/**
+ * Features available to the caller of a request.
+ * @param {object} user - `req.user` (role and plan from the access token or API key).
+ * @returns {Promise<string[]>}
+ */
+const getUserEntitlements = async (user) => {
+    if (entitlements.bypassRoles.includes(user.role)) {
+        return Object.keys(entitlements.features);
+    }
+    return getPlanEntitlements(user.plan || 'free');
+};
+
+/**
+ * @param {object} user - `req.user`.
+ * @param {string} feature - Feature name.
+ * @returns {Promise<boolean>}
+ */
+const hasFeature = async (user, feature) => (await getUserEntitlements(user)).includes(feature);
+
+/**
+ * Public plans that include a feature, cheapest first.
+ * @param {string} feature
+ * @returns {Promise<object[]>}
+ */
+const findPlansWithFeature = async (feature) => {
+    const plans = await Plan.find({ isPublic: true, entitlements: feature }).sort({ price: 1, displayOrder: 1 });
+    return plans.map(plan => ({
+        name: plan.name,
+        slug: plan.slug,
+        price: plan.price,
+        currency: plan.currency,
+        billingCycle: plan.billingCycle,
+    }));
+};
+
+module.exports = {
+    getPlanEntitlements,
+    getAllPlanEntitlements,
+    clearEntitlementCache,
+    backfillLegacyPlanEntitlements,
+    getUserEntitlements,
+    hasFeature,
+    findPlansWithFeature,
+};
@@ -0,0 +1,286 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+/**
+ * Key ring for signing access tokens with RS256/ES256.
+ *
+ * Each key is a JSON file `<kid>.json` in JWT_KEYS_DIR (default: server/keys, git-ignored):
+ *   { kid, alg, status: 'pending' | 'active' | 'retiring', createdAt, activatesAt, retiringSince, privateKey, publicKey }
+ * A new key is 'pending' first: it verifies and is in the JWKS, but only signs from `activatesAt`,
+ * once every server has re-read the ring (JWT_KEYS_RELOAD_MS). The previous key signs until then and
+ * becomes 'retiring': it still verifies (and stays in the JWKS) until it is pruned after the overlap
+ * period, so tokens issued just before a rotation remain valid until they expire.
+ * Keys are managed with `npm run jwt-keys` (scripts/jwtKeys.js).
+ *
+ * Without any key the service falls back to HS256 with ACCESS_TOKEN_SECRET. HS256 tokens (no `kid`)
+ * are accepted while ACCESS_TOKEN_SECRET is set and until the key ring has been signing for the overlap
+ * period; JWT_ALLOW_HS256=true accepts them for good, JWT_ALLOW_HS256=false never.
+ */
+
+const KEYS_DIR = process.env.JWT_KEYS_DIR || path.join(__dirname, '..', 'keys');
+const RELOAD_INTERVAL_MS = parseInt(process.env.JWT_KEYS_RELOAD_MS || '60000', 10);
+const KEY_OVERLAP_MINUTES = parseInt(process.env.JWT_KEY_OVERLAP_MINUTES || '60', 10);
+const ACCESS_TOKEN_SECRET = process.env.ACCESS_TOKEN_SECRET;
+const ALLOW_HS256 = process.env.JWT_ALLOW_HS256; // 'true' | 'false' | unset (see above)
+// Time for servers to pick up a new key before it signs
+const KEY_ACTIVATION_DELAY_MS = RELOAD_INTERVAL_MS + 5000;
+const SUPPORTED_ALGORITHMS = ['RS256', 'ES256'];
+
+let keyRing = [];
+let loadedAt = 0;
+
+/**
+ * Reads all keys from the key directory.
+ * @returns {object[]} Keys sorted newest first.
+ */
+const readKeysFromDisk = () => {
+    if (!fs.existsSync(KEYS_DIR)) {
+        return [];
+    }
+    return fs.readdirSync(KEYS_DIR)
+        .filter(file => file.endsWith('.json'))
+        .map((file) => {
+            try {
+                return JSON.parse(fs.readFileSync(path.join(KEYS_DIR, file), 'utf8'));
+            } catch (error) {
+                console.error(`Ignoring unreadable JWT key file '${file}': ${error.message}`);
+                return null;
+            }
+        })
+        .filter(key => key && key.kid && SUPPORTED_ALGORITHMS.includes(key.alg))
+        .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+};
+
+/**
+ * Returns the key ring, re-reading it from disk at most every JWT_KEYS_RELOAD_MS
+ * so keys rotated with the CLI are picked up without a restart.
+ * @returns {object[]}
+ */
+const getKeyRing = () => {
+    if (Date.now() - loadedAt > RELOAD_INTERVAL_MS) {
+        keyRing = readKeysFromDisk();
+        loadedAt = Date.now();
+    }
+    return keyRing;
+};
+
+/**
+ * When a key started signing (keys without `activatesAt` signed from their creation).
+ * @param {object} key
+ * @returns {number} Timestamp in ms.
+ */
+const signingSince = key => new Date(key.activatesAt || key.createdAt).getTime();
+
+/**
+ * Whether a key signs new tokens now: an active key, a pending key whose activation time has come,
+ * or a retiring key whose successor has not activated yet.
+ * @param {object} key
+ * @param {number} now - Timestamp in ms.
+ * @returns {boolean}
+ */
+const isSigning = (key, now) => {
+    if (key.status === 'retiring') {
+        return new Date(key.retiringSince).getTime() > now;
+    }
+    return signingSince(key) <= now;
+};
+
+/**
+ * @returns {object|undefined} The key new tokens are signed with.
+ */
+const getSigningKey = () => {
+    const now = Date.now();
+    return getKeyRing().find(key => isSigning(key, now));
+};
+
+/**
+ * Whether HS256 tokens (no `kid`) are still accepted, see JWT_ALLOW_HS256 above.
+ * @returns {boolean}
+ */
+const acceptsHs256 = () => {
+    if (!ACCESS_TOKEN_SECRET || ALLOW_HS256 === 'false') {
+        return false;
+    }
+    if (ALLOW_HS256 === 'true') {
+        return true;
+    }
+    const now = Date.now();
+    const firstSigned = Math.min(...getKeyRing().map(signingSince).filter(since => since <= now));
+    return now - firstSigned < KEY_OVERLAP_MINUTES * 60 * 1000; // Infinity - no key has signed yet
+};
+
+/**
+ * @param {string} kid
+ * @returns {object|undefined} A key of the ring (pending, active or retiring) with this ID.
+ */
+const getVerificationKey = (kid) => getKeyRing().find(key => key.kid === kid);
+
+/**
+ * Checks whether access tokens can be signed at all (asymmetric key or HS256 secret).
+ * @returns {boolean}
+ */
+const canSignAccessTokens = () => Boolean(getSigningKey() || ACCESS_TOKEN_SECRET);
+
+/**
+ * Signs an access token with the active key (`kid` header), or HS256 without a key ring.
+ * @param {object} payload - Token claims.
+ * @param {string} expiresIn - Lifetime, e.g. '15m'.
+ * @returns {string} The signed token.
+ * @throws {Error} If neither a signing key nor ACCESS_TOKEN_SECRET is available.
+ */
+const signAccessToken = (payload, expiresIn) => {
+    const key = getSigningKey();
+    if (key) {
+        return jwt.sign(payload, key.privateKey, { algorithm: key.alg, keyid: key.kid, expiresIn });
+    }
+    if (!ACCESS_TOKEN_SECRET) {
+        throw new Error('No JWT signing key found and ACCESS_TOKEN_SECRET is not defined in environment variables.');
+    }
+    return jwt.sign(payload, ACCESS_TOKEN_SECRET, { algorithm: 'HS256', expiresIn });
+};
+
+/**
+ * Verifies an access token against the key named by its `kid` header (or the HS256 secret).
+ * The accepted algorithm is pinned to the key, so a token cannot pick its own.
+ * @param {string} token
+ * @returns {object} The decoded payload.
+ * @throws {jwt.JsonWebTokenError|jwt.TokenExpiredError} If the token is invalid or expired.
+ */
+const verifyAccessToken = (token) => {
+    const decoded = jwt.decode(token, { complete: true });
+    if (!decoded) {
+        throw new jwt.JsonWebTokenError('jwt malformed');
+    }
+
+    const { kid } = decoded.header;
+    if (kid) {
+        const key = getVerificationKey(kid);
+        if (!key) {
+            throw new jwt.JsonWebTokenError('Unknown signing key.');
+        }
+        return jwt.verify(token, key.publicKey, { algorithms: [key.alg] });
+    }
+
+    if (!acceptsHs256()) {
+        throw new jwt.JsonWebTokenError('Token is not signed with a known key.');
+    }
+    return jwt.verify(token, ACCESS_TOKEN_SECRET, { algorithms: ['HS256'] });
+};
+
+/**
+ * Builds the public JSON Web Key Set of all keys, pending ones included so verifiers have them
+ * before they sign.
+ * @returns {{keys: object[]}}
+ */
+const getJwks = () => ({
+    keys: getKeyRing().map(key => ({
+        ...crypto.createPublicKey(key.publicKey).export({ format: 'jwk' }),
+        kid: key.kid,
+        alg: key.alg,
+        use: 'sig',
+    })),
+});
+
+// --- Key management (used by scripts/jwtKeys.js) ---
+
+const writeKeyFile = (key) => {
+    fs.mkdirSync(KEYS_DIR, { recursive: true, mode: 0o700 });
+    fs.writeFileSync(path.join(KEYS_DIR, `${key.kid}.json`), JSON.stringify(key, null, 2), { mode: 0o600 });
+};
+
+/**
+ * Generates a new signing key. It is pending until every server has loaded it, then signs; the
+ * previously active key becomes 'retiring' as of that moment.
+ * @param {string} [alg='RS256'] - 'RS256' or 'ES256'.
+ * @returns {object} The new key (without the private key).
+ */
+const generateSigningKey = (alg = 'RS256') => {
+    if (!SUPPORTED_ALGORITHMS.includes(alg)) {
+        throw new Error(`Unsupported algorithm '${alg}'. Use one of: ${SUPPORTED_ALGORITHMS.join(', ')}.`);
+    }
+
+    const { privateKey, publicKey } = alg === 'ES256'
+        ? crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' })
+        : crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+
+    const now = new Date();
+    const activatesAt = new Date(now.getTime() + KEY_ACTIVATION_DELAY_MS).toISOString();
+    readKeysFromDisk()
+        .filter(key => key.status !== 'retiring')
+        // A pending key that never signed is replaced right away
+        .forEach(key => writeKeyFile({ ...key, status: 'retiring', retiringSince: signingSince(key) > now.getTime() ? now.toISOString() : activatesAt }));
+
+    const key = {
+        kid: crypto.randomBytes(8).toString('hex'),
+        alg,
+        status: 'pending',
+        createdAt: now.toISOString(),
+        activatesAt,
+        retiringSince: null,
+        privateKey: privateKey.export({ type: 'pkcs8', format: 'pem' }),
+        publicKey: publicKey.export({ type: 'spki', format: 'pem' }),
+    };
+    writeKeyFile(key);
+    loadedAt = 0; // Reload on next use
+
+    const { privateKey: _privateKey, ...publicInfo } = key;
+    return publicInfo;
+};
+
+/**
+ * Removes a key immediately; tokens signed with it stop verifying (e.g. after a compromise).
+ * @param {string} kid
+ * @returns {boolean} True if the key existed.
+ */
+const retireSigningKey = (kid) => {
+    const file = path.join(KEYS_DIR, `${path.basename(kid)}.json`);
+    if (!fs.existsSync(file)) {
+        return false;
+    }
+    fs.unlinkSync(file);
+    loadedAt = 0;
+    return true;
+};
+
+/**
+ * Removes retiring keys whose overlap period (JWT_KEY_OVERLAP_MINUTES) has passed.
+ * @returns {string[]} IDs of the removed keys.
+ */
+const pruneRetiringKeys = () => {
+    const cutoff = Date.now() - KEY_OVERLAP_MINUTES * 60 * 1000;
+    return readKeysFromDisk()
+        .filter(key => key.status === 'retiring' && new Date(key.retiringSince).getTime() < cutoff)
+        .map((key) => {
+            retireSigningKey(key.kid);
+            return key.kid;
+        });
+};
+
+/**
+ * Lists the keys in the ring without their private keys, with whether each signs now.
+ * @returns {object[]}
+ */
+const listSigningKeys = () => {
+    const now = Date.now();
+    return readKeysFromDisk().map(({ privateKey, publicKey, ...info }) => ({
+        ...info,
+        status: info.status === 'pending' && signingSince(info) <= now ? 'active' : info.status, // Activated since
+        signing: isSigning(info, now),
+    }));
+};
+
+module.exports = {
+    KEYS_DIR,
+    KEY_OVERLAP_MINUTES,
+    KEY_ACTIVATION_DELAY_MS,
+    canSignAccessTokens,
+    signAccessToken,
+    verifyAccessToken,
+    getJwks,
+    generateSigningKey,
+    retireSigningKey,
+    pruneRetiringKeys,
+    listSigningKeys,
+};
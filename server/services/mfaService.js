@@ -0,0 +1,205 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const { authenticator } = require('otplib');
+const User = require('../models/User');
+
+const MFA_ISSUER = process.env.MFA_ISSUER || 'Auth Portal';
+const MFA_TOKEN_SECRET = process.env.MFA_TOKEN_SECRET || process.env.ACCESS_TOKEN_SECRET;
+const MFA_TOKEN_EXPIRY = process.env.MFA_TOKEN_EXPIRY || '5m';
+const MFA_TOKEN_PURPOSE = 'mfa_pending';
+// Validity of the token proving a fresh second factor for sensitive (admin) actions
+const STEP_UP_TOKEN_EXPIRY = process.env.STEP_UP_TOKEN_EXPIRY || '5m';
+const STEP_UP_TOKEN_PURPOSE = 'step_up';
+const RECOVERY_CODE_COUNT = 10;
+
+// Accept the previous and next 30s step to tolerate clock drift between devices.
+authenticator.options = { window: 1 };
+
+/**
+ * Generates a new TOTP secret and its otpauth:// URI for authenticator apps.
+ * @param {string} accountName - Label shown in the authenticator app (email or username).
+ * @returns {{secret: string, otpauthUrl: string}}
+ */
+const generateTotpSecret = (accountName) => {
+    const secret = authenticator.generateSecret();
+    return {
+        secret,
+        otpauthUrl: authenticator.keyuri(accountName, MFA_ISSUER, secret),
+    };
+};
+
+/**
+ * Finds the time step a 6-digit TOTP code belongs to.
+ * @param {string} code - The code entered by the user.
+ * @param {string} secret - The base32 TOTP secret.
+ * @returns {number|null} The step (30s periods since the Unix epoch), or null if the code is not
+ * valid for the current time window.
+ */
+const findTotpStep = (code, secret) => {
+    if (!code || !secret) {
+        return null;
+    }
+    try {
+        const epoch = Date.now();
+        const delta = authenticator.clone({ epoch }).checkDelta(String(code).trim(), secret);
+        if (delta === null) {
+            return null;
+        }
+        return Math.floor(epoch / 1000 / authenticator.allOptions().step) + delta;
+    } catch {
+        return null;
+    }
+};
+
+/**
+ * Verifies a TOTP code of a user and records its time step, so that neither this code nor an
+ * earlier one can be used again (replay protection). The step is recorded with a conditional
+ * update, so two requests with the same code cannot both pass.
+ * @param {object} user - The user document, loaded with `+mfa.secret` (or `+mfa.pendingSecret`).
+ * @param {string} code - The code entered by the user.
+ * @param {string} [secret] - The secret to check against; the user's enrolled secret by default.
+ * @returns {Promise<boolean>} True if the code is valid and was not used before.
+ */
+const useTotp = async (user, code, secret = user.mfa?.secret) => {
+    const step = findTotpStep(code, secret);
+    if (step === null) {
+        return false;
+    }
+    const { modifiedCount } = await User.updateOne(
+        { _id: user._id, $or: [{ 'mfa.lastUsedStep': null }, { 'mfa.lastUsedStep': { $lt: step } }] },
+        { $set: { 'mfa.lastUsedStep': step } }
+    );
+    if (modifiedCount === 0) {
+        return false;
+    }
+    user.set('mfa.lastUsedStep', step); // Keep the document in step for the caller's save
+    return true;
+};
+
+/**
+ * Generates a fresh set of one-time recovery codes.
+ * @returns {Promise<{codes: string[], hashedCodes: string[]}>} Plain codes (shown once) and their bcrypt hashes (stored).
+ */
+const generateRecoveryCodes = async () => {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+        const raw = crypto.randomBytes(5).toString('hex'); // 10 hex characters
+        return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+    const hashedCodes = await Promise.all(codes.map(code => bcrypt.hash(code, 10)));
+    return { codes, hashedCodes };
+};
+
+/**
+ * Finds a matching recovery code and removes it from the user's stored list so it cannot be reused.
+ * The removal is conditional on the code still being stored, so of two requests with the same
+ * code only one succeeds.
+ * The user document must have been loaded with `+mfa.recoveryCodes`.
+ * @param {object} user - The user document.
+ * @param {string} code - The recovery code entered by the user.
+ * @returns {Promise<boolean>} True if a code matched and was consumed.
+ */
+const consumeRecoveryCode = async (user, code) => {
+    const hashedCodes = user.mfa?.recoveryCodes || [];
+    const normalized = String(code || '').trim().toLowerCase();
+    for (const hash of hashedCodes) {
+        if (await bcrypt.compare(normalized, hash)) {
+            const { modifiedCount } = await User.updateOne(
+                { _id: user._id, 'mfa.recoveryCodes': hash },
+                { $pull: { 'mfa.recoveryCodes': hash } }
+            );
+            if (modifiedCount === 0) {
+                return false; // Used by a parallel request
+            }
+            // Keep the document in step without the caller's save writing the whole list back
+            user.mfa.recoveryCodes = hashedCodes.filter(stored => stored !== hash);
+            user.unmarkModified('mfa.recoveryCodes');
+            return true;
+        }
+    }
+    return false;
+};
+
+/**
+ * Verifies a second factor: a TOTP code (not used before), or else a one-time recovery code
+ * (which is consumed).
+ * The user document must have been loaded with `+mfa.secret +mfa.recoveryCodes`.
+ * @param {object} user - The user document.
+ * @param {string} code - TOTP or recovery code entered by the user.
+ * @returns {Promise<boolean>} True if the second factor is valid.
+ */
+const verifySecondFactor = async (user, code) => {
+    if (await useTotp(user, code)) {
+        return true;
+    }
+    return consumeRecoveryCode(user, code);
+};
+
+/**
+ * Signs the short-lived token returned by the first login step when MFA is enabled.
+ * It only identifies the user for `/mfa/verify` and is rejected by `authenticate`.
+ * @param {object} user - The user document.
+ * @returns {string} The signed "mfa pending" token.
+ */
+const signMfaPendingToken = (user) => {
+    return jwt.sign(
+        { _id: user._id, purpose: MFA_TOKEN_PURPOSE },
+        MFA_TOKEN_SECRET,
+        { expiresIn: MFA_TOKEN_EXPIRY }
+    );
+};
+
+/**
+ * Verifies an "mfa pending" token.
+ * @param {string} token - The token returned by the first login step.
+ * @returns {object} The decoded payload.
+ * @throws {jwt.JsonWebTokenError} If the token is invalid, expired or not an mfa pending token.
+ */
+const verifyMfaPendingToken = (token) => {
+    const decoded = jwt.verify(token, MFA_TOKEN_SECRET);
+    if (decoded.purpose !== MFA_TOKEN_PURPOSE) {
+        throw new jwt.JsonWebTokenError('Not an MFA token.');
+    }
+    return decoded;
+};
+
+/**
+ * Signs the short-lived token proving that the user just re-verified a second factor (step-up).
+ * It is bound to the session of the access token and sent in the `X-Step-Up-Token` header.
+ * @param {object} tokenUser - The decoded access token (`req.user`).
+ * @param {string} method - The factor used, e.g. 'passkey'.
+ * @returns {string} The signed step-up token.
+ */
+const signStepUpToken = (tokenUser, method) => {
+    return jwt.sign(
+        { _id: tokenUser._id, sid: tokenUser.sid, method, purpose: STEP_UP_TOKEN_PURPOSE },
+        MFA_TOKEN_SECRET,
+        { expiresIn: STEP_UP_TOKEN_EXPIRY }
+    );
+};
+
+/**
+ * Verifies a step-up token.
+ * @param {string} token - The token returned by a step-up ceremony.
+ * @returns {object} The decoded payload.
+ * @throws {jwt.JsonWebTokenError} If the token is invalid, expired or not a step-up token.
+ */
+const verifyStepUpToken = (token) => {
+    const decoded = jwt.verify(token, MFA_TOKEN_SECRET);
+    if (decoded.purpose !== STEP_UP_TOKEN_PURPOSE) {
+        throw new jwt.JsonWebTokenError('Not a step-up token.');
+    }
+    return decoded;
+};
+
+module.exports = {
+    generateTotpSecret,
+    useTotp,
+    generateRecoveryCodes,
+    consumeRecoveryCode,
+    verifySecondFactor,
+    signMfaPendingToken,
+    verifyMfaPendingToken,
+    signStepUpToken,
+    verifyStepUpToken,
+};
@@ -0,0 +1,229 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const OAuthState = require('../models/OAuthState');
+const AppError = require('../utils/AppError');
+const { getProvider } = require('../config/oauthProviders');
+
+// Public base URL of this API, used to build the provider callback URL.
+const CALLBACK_BASE_URL = (process.env.OAUTH_CALLBACK_BASE_URL || 'http://localhost:5000').replace(/\/$/, '');
+// Client pages the flow may return to (prevents open redirects).
+const ALLOWED_REDIRECT_URIS = (process.env.OAUTH_ALLOWED_REDIRECT_URIS || 'http://localhost:3000/oauth/callback')
+    .split(',')
+    .map(uri => uri.trim())
+    .filter(Boolean);
+
+const STATE_TTL_MINUTES = {
+    authorize: 10,
+    login: 2,
+    link: 10,
+};
+
+const base64Url = (buffer) => buffer.toString('base64url');
+const hashKey = (handle) => crypto.createHash('sha256').update(String(handle)).digest('hex');
+
+/**
+ * Checks whether a client redirect URI is on the allow list.
+ * @param {string} redirectUri
+ * @returns {boolean}
+ */
+const isAllowedRedirectUri = (redirectUri) => ALLOWED_REDIRECT_URIS.includes(redirectUri);
+
+/**
+ * Returns the provider callback URL registered with the OAuth provider.
+ * @param {string} providerName
+ * @returns {string}
+ */
+const callbackUrlFor = (providerName) => `${CALLBACK_BASE_URL}/api/users/oauth/${providerName}/callback`;
+
+/**
+ * Stores a new single-use flow state and returns the random handle for the browser.
+ * @param {string} purpose - 'authorize', 'login' or 'link'.
+ * @param {string} provider - Provider name.
+ * @param {object} [fields] - Purpose specific fields (codeVerifier, redirectUri, userId, profile).
+ * @returns {Promise<string>} The plain handle (only its hash is stored).
+ */
+const createState = async (purpose, provider, fields = {}) => {
+    const handle = base64Url(crypto.randomBytes(32));
+    await OAuthState.create({
+        key: hashKey(handle),
+        purpose,
+        provider,
+        ...fields,
+        expiresAt: new Date(Date.now() + STATE_TTL_MINUTES[purpose] * 60 * 1000),
+    });
+    return handle;
+};
+
+/**
+ * Looks up an unexpired flow state without consuming it.
+ * @param {string} handle - The plain handle from the browser.
+ * @param {string} purpose - Expected purpose.
+ * @returns {Promise<Document|null>}
+ */
+const findState = async (handle, purpose) => {
+    if (!handle) {
+        return null;
+    }
+    return OAuthState.findOne({ key: hashKey(handle), purpose, expiresAt: { $gt: new Date() } });
+};
+
+/**
+ * Deletes a flow state so its handle cannot be used again.
+ * @param {Document} state
+ * @returns {Promise<void>}
+ */
+const consumeState = async (state) => {
+    await OAuthState.deleteOne({ _id: state._id });
+};
+
+/**
+ * Builds the provider authorization URL for the authorization-code + PKCE flow.
+ * @param {string} providerName - Provider name.
+ * @param {string} redirectUri - Allowed client page to return to after the callback.
+ * @returns {Promise<string>} The URL to redirect the browser to.
+ * @throws {AppError} If the provider is not enabled or the redirect URI is not allowed.
+ */
+const buildAuthorizationUrl = async (providerName, redirectUri) => {
+    const provider = getProvider(providerName);
+    if (!provider) {
+        throw new AppError(`Login with '${providerName}' is not available.`, 404);
+    }
+    if (!isAllowedRedirectUri(redirectUri)) {
+        throw new AppError('Redirect URI is not allowed.', 400);
+    }
+
+    const codeVerifier = base64Url(crypto.randomBytes(32));
+    const codeChallenge = base64Url(crypto.createHash('sha256').update(codeVerifier).digest());
+    const state = await createState('authorize', providerName, { codeVerifier, redirectUri });
+
+    const url = new URL(provider.authorizationUrl);
+    url.searchParams.set('response_type', 'code');
+    url.searchParams.set('client_id', provider.clientId);
+    url.searchParams.set('redirect_uri', callbackUrlFor(providerName));
+    url.searchParams.set('scope', provider.scope);
+    url.searchParams.set('state', state);
+    url.searchParams.set('code_challenge', codeChallenge);
+    url.searchParams.set('code_challenge_method', 'S256');
+    return url.toString();
+};
+
+/**
+ * Exchanges an authorization code for a provider access token and fetches the user's profile.
+ * @param {string} providerName - Provider name.
+ * @param {string} code - Authorization code from the callback.
+ * @param {string} codeVerifier - PKCE verifier stored with the state.
+ * @returns {Promise<object>} Normalised profile (see config/oauthProviders.js).
+ * @throws {AppError} If the provider rejects the code or returns no usable profile.
+ */
+const fetchProviderProfile = async (providerName, code, codeVerifier) => {
+    const provider = getProvider(providerName);
+    if (!provider) {
+        throw new AppError(`Login with '${providerName}' is not available.`, 404);
+    }
+
+    const tokenRes = await fetch(provider.tokenUrl, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' },
+        body: new URLSearchParams({
+            grant_type: 'authorization_code',
+            code,
+            redirect_uri: callbackUrlFor(providerName),
+            client_id: provider.clientId,
+            client_secret: provider.clientSecret,
+            code_verifier: codeVerifier,
+        }),
+    });
+    const tokenData = await tokenRes.json().catch(() => ({}));
+    if (!tokenRes.ok || !tokenData.access_token) {
+        throw new AppError(`Could not complete login with '${providerName}'.`, 401);
+    }
+
+    const authHeaders = { Authorization: `Bearer ${tokenData.access_token}`, Accept: 'application/json' };
+    const infoRes = await fetch(provider.userInfoUrl, { headers: authHeaders });
+    if (!infoRes.ok) {
+        throw new AppError(`Could not read your '${providerName}' profile.`, 401);
+    }
+    const info = await infoRes.json();
+
+    // GitHub only includes the public email; look up the primary verified one.
+    if (provider.emailsUrl) {
+        const emailsRes = await fetch(provider.emailsUrl, { headers: authHeaders });
+        const emails = emailsRes.ok ? await emailsRes.json() : [];
+        const primary = Array.isArray(emails) ? emails.find(e => e.primary && e.verified) : null;
+        if (primary) {
+            info.email = primary.email;
+            info.email_verified = true;
+        }
+    }
+
+    const profile = provider.mapProfile(info);
+    if (!profile.providerId || !profile.email) {
+        throw new AppError(`Your '${providerName}' account did not share an email address.`, 400);
+    }
+    profile.email = profile.email.toLowerCase();
+    return profile;
+};
+
+/**
+ * Derives a unique alphanumeric username from an email address.
+ * @param {string} email
+ * @returns {Promise<string>}
+ */
+const generateUniqueUsername = async (email) => {
+    const base = (email.split('@')[0].replace(/[^a-zA-Z0-9]/g, '') || 'user').slice(0, 20);
+    let candidate = base.length >= 3 ? base : `${base}user`;
+    while (await User.exists({ username: candidate })) {
+        candidate = `${base}${crypto.randomInt(1000, 1000000)}`;
+    }
+    return candidate;
+};
+
+/**
+ * Resolves the account for a provider profile.
+ * - Already linked identity: returns that user.
+ * - Email belongs to an existing account: linking requires re-authentication, so `linkRequired` is returned.
+ * - Otherwise: creates a new account linked to the provider.
+ * @param {string} providerName - Provider name.
+ * @param {object} profile - Normalised provider profile.
+ * @returns {Promise<{user: Document, linkRequired?: boolean}>}
+ * @throws {AppError} If the email is taken and the provider did not verify it.
+ */
+const resolveUserForProfile = async (providerName, profile) => {
+    const linkedUser = await User.findOne({ authProvider: providerName, providerId: profile.providerId });
+    if (linkedUser) {
+        return { user: linkedUser };
+    }
+
+    const existingUser = await User.findOne({ email: profile.email });
+    if (existingUser) {
+        if (!profile.emailVerified) {
+            throw new AppError('An account with this email already exists. Please log in with your password.', 409);
+        }
+        return { user: existingUser, linkRequired: true };
+    }
+
+    const newUser = new User({
+        username: await generateUniqueUsername(profile.email),
+        email: profile.email,
+        // Social accounts have no usable password until the user sets one via password reset.
+        password_hash: crypto.randomBytes(32).toString('hex'),
+        firstName: profile.firstName,
+        lastName: profile.lastName,
+        profilePictureUrl: profile.pictureUrl,
+        authProvider: providerName,
+        providerId: profile.providerId,
+        isEmailVerified: profile.emailVerified,
+    });
+    await newUser.save();
+    return { user: newUser };
+};
+
+module.exports = {
+    isAllowedRedirectUri,
+    createState,
+    findState,
+    consumeState,
+    buildAuthorizationUrl,
+    fetchProviderProfile,
+    resolveUserForProfile,
+};
@@ -0,0 +1,120 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const bcrypt = require('bcryptjs');
+const passwordPolicy = require('../config/passwordPolicy');
+
+const PREFIX_LENGTH = 5;
+
+const CHARACTER_CLASSES = [
+    { setting: 'minLowercase', pattern: /[a-z]/g, label: 'lowercase letter' },
+    { setting: 'minUppercase', pattern: /[A-Z]/g, label: 'uppercase letter' },
+    { setting: 'minNumbers', pattern: /[0-9]/g, label: 'number' },
+    { setting: 'minSymbols', pattern: /[^a-zA-Z0-9]/g, label: 'symbol' },
+];
+
+/**
+ * Checks a password against the length and character class rules of the policy.
+ * @param {string} password
+ * @returns {string[]} One message per broken rule; empty if the password complies.
+ */
+const checkPasswordComplexity = (password) => {
+    const errors = [];
+    const value = String(password || '');
+
+    if (value.length < passwordPolicy.minLength) {
+        errors.push(`Password must be at least ${passwordPolicy.minLength} characters long.`);
+    }
+    if (value.length > passwordPolicy.maxLength) {
+        errors.push(`Password must be at most ${passwordPolicy.maxLength} characters long.`);
+    }
+    CHARACTER_CLASSES.forEach(({ setting, pattern, label }) => {
+        const required = passwordPolicy[setting];
+        if (required > 0 && (value.match(pattern) || []).length < required) {
+            errors.push(`Password must include at least ${required} ${label}${required > 1 ? 's' : ''}.`);
+        }
+    });
+
+    return errors;
+};
+
+/**
+ * Looks a password up in the local breached-password list. Only the prefix file for the first
+ * characters of its SHA-1 hash is read, as with the Have I Been Pwned range API.
+ * A missing prefix file means no known breach.
+ * @param {string} password
+ * @returns {Promise<boolean>} True if the password appears in the list.
+ */
+const isBreachedPassword = async (password) => {
+    if (!passwordPolicy.breachCheck) {
+        return false;
+    }
+
+    const hash = crypto.createHash('sha1').update(String(password)).digest('hex').toUpperCase();
+    const prefix = hash.slice(0, PREFIX_LENGTH);
+    const suffix = hash.slice(PREFIX_LENGTH);
+
+    let contents;
+    try {
+        contents = await fs.promises.readFile(path.join(passwordPolicy.breachListDir, `${prefix}.txt`), 'utf8');
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return false;
+        }
+        throw error;
+    }
+
+    return contents.split(/\r?\n/).some(line => line.split(':')[0].trim().toUpperCase() === suffix);
+};
+
+/**
+ * Checks whether a password matches the user's current password or one of the last
+ * `historyCount` passwords. The user must have been loaded with `+password_hash +passwordHistory`.
+ * @param {object} user - The user document.
+ * @param {string} password - The new plain password.
+ * @returns {Promise<boolean>} True if the password was used before.
+ */
+const isReusedPassword = async (user, password) => {
+    const previousHashes = [
+        user.password_hash,
+        ...(user.passwordHistory || []).slice(0, passwordPolicy.historyCount).map(entry => entry.hash),
+    ].filter(Boolean);
+
+    for (const hash of previousHashes) {
+        if (await bcrypt.compare(String(password), hash)) {
+            return true;
+        }
+    }
+    return false;
+};
+
+/**
+ * Applies the full password policy: complexity, breached-password list and, when a user is
+ * given, reuse of the current or recent passwords.
+ * @param {string} password - The new plain password.
+ * @param {object} [user] - The user changing their password (loaded with `+password_hash +passwordHistory`).
+ * @returns {Promise<string[]>} Policy violations; empty if the password is acceptable.
+ */
+const validatePassword = async (password, user) => {
+    const errors = checkPasswordComplexity(password);
+    if (errors.length > 0) {
+        return errors; // Don't hash obviously invalid input
+    }
+
+    if (await isBreachedPassword(password)) {
+        errors.push('This password has appeared in a data breach. Please choose a different one.');
+    }
+    if (user && await isReusedPassword(user, password)) {
+        errors.push(passwordPolicy.historyCount > 0
+            ? `Password must not match your current or last ${passwordPolicy.historyCount} passwords.`
+            : 'Password must not match your current password.');
+    }
+    return errors;
+};
+
+module.exports = {
+    checkPasswordComplexity,
+    isBreachedPassword,
+    isReusedPassword,
+    validatePassword,
+};
@@ -0,0 +1,33 @@
+const { createAndSaveToken } = require('./tokenService');
+const { sendNotification } = require('./notificationService');
+
+// Validity of the login code / magic link
+const PASSWORDLESS_EXPIRY_MINUTES = parseInt(process.env.PASSWORDLESS_EXPIRY_MINUTES || '10', 10);
+// Client page that completes a magic-link login (receives `email` and `code` query parameters)
+const PASSWORDLESS_LINK_URL = process.env.PASSWORDLESS_LINK_URL || 'http://localhost:3000/passwordless';
+
+/**
+ * Generates a one-time login code and emails it, together with a magic link carrying the same code.
+ * Only the latest code is valid; requesting a new one invalidates the previous one.
+ * @param {object} user - The user document (must have an email).
+ * @returns {Promise<boolean>} True if the notification was sent.
+ */
+const sendPasswordlessLogin = async (user) => {
+    const plainOtp = await createAndSaveToken(user._id, 'passwordlessLogin', PASSWORDLESS_EXPIRY_MINUTES);
+
+    const link = new URL(PASSWORDLESS_LINK_URL);
+    link.searchParams.set('email', user.email);
+    link.searchParams.set('code', plainOtp);
+
+    return sendNotification({
+        method: 'email',
+        user: user,
+        subject: 'Your login link',
+        text: `Use this link to log in: ${link.toString()}\nOr enter this code on the login page: ${plainOtp}\nIt is valid for ${PASSWORDLESS_EXPIRY_MINUTES} minutes. If you didn't request it, you can ignore this email.`,
+        html: `<p><a href="${link.toString()}">Click here to log in</a></p><p>Or enter this code on the login page: <b>${plainOtp}</b></p><p>It is valid for ${PASSWORDLESS_EXPIRY_MINUTES} minutes. If you didn't request it, you can ignore this email.</p>`,
+    });
+};
+
+module.exports = {
+    sendPasswordlessLogin,
+};
@@ -0,0 +1,360 @@
+const User = require('../models/User');
+const Plan = require('../models/Plan');
+const Order = require('../models/Order');
+const Payment = require('../models/Payment');
+const Invoice = require('../models/Invoice');
+const { createOrderWithPayment } = require('../utils/order');
+const { recordTrialConversion } = require('./trialService');
+const { revokeAllAccessTokens } = require('./tokenRevocationService');
+const AppError = require('../utils/AppError');
+
+// Billing periods per year, used to compare plans with different cycles
+const PERIODS_PER_YEAR = { monthly: 12, annually: 1, free: 0 };
+
+/**
+ * End of a billing period starting at `startingDate` (simplified).
+ * @param {Date} startingDate
+ * @param {string} billingCycle - Plan billing cycle.
+ * @returns {Date|null} null for 'free', 'lifetime' and unknown cycles (no end date).
+ */
+const calculateNextBillingDate = (startingDate, billingCycle) => {
+    const now = new Date(startingDate);
+    if (billingCycle === 'monthly') {
+        now.setMonth(now.getMonth() + 1);
+    } else if (billingCycle === 'annually') {
+        now.setFullYear(now.getFullYear() + 1);
+    } else {
+        // For 'free', 'lifetime', or unknown cycles, set no specific end date
+        return null;
+    }
+    return now;
+};
+
+const roundAmount = value => Math.round(value * 100) / 100;
+
+/**
+ * Price of a plan per year, so plans with different billing cycles can be compared.
+ * @param {object|null} plan
+ * @returns {number}
+ */
+const annualPrice = plan => (plan ? plan.price * (PERIODS_PER_YEAR[plan.billingCycle] ?? 0) : 0);
+
+/**
+ * The paid period the user is in, if any.
+ * @param {object} user - User document, planId populated.
+ * @param {Date} now
+ * @returns {{start: Date, end: Date}|null}
+ */
+const getPaidPeriod = (user, now) => {
+    const plan = user.planId;
+    const { subscriptionStatus, subscriptionStartDate, subscriptionEndDate } = user;
+    if (!plan || plan.price <= 0 || subscriptionStatus !== 'active' || !subscriptionStartDate || !subscriptionEndDate) {
+        return null;
+    }
+    return subscriptionEndDate > now ? { start: subscriptionStartDate, end: subscriptionEndDate } : null;
+};
+
+/**
+ * What the user paid for the unused part of a period: each paid invoice of the period (the
+ * subscription payment, with any coupon, and earlier prorated changes) prorated over the part it covers.
+ * @param {object} user - User document.
+ * @param {{start: Date, end: Date}} period
+ * @param {Date} now
+ * @returns {Promise<number>}
+ */
+const getUnusedPaidAmount = async (user, period, now) => {
+    const invoices = await Invoice.find({ user: user._id, status: 'paid', subscriptionEndDate: period.end })
+        .select('amount subscriptionStartDate')
+        .lean();
+    return invoices.reduce((total, invoice) => {
+        const start = invoice.subscriptionStartDate || period.start;
+        const covered = period.end - start;
+        return total + (covered > 0 ? invoice.amount * Math.min((period.end - now) / covered, 1) : 0);
+    }, 0);
+};
+
+const summarizePlan = plan => (plan
+    ? { _id: plan._id, name: plan.name, slug: plan.slug, price: plan.price, currency: plan.currency, billingCycle: plan.billingCycle }
+    : null);
+
+/**
+ * Computes what changing to another plan costs and when it takes effect.
+ *
+ * Upgrades (higher annual price) take effect now. The unused part of the current period is
+ * credited at what the user paid for it (at most the current plan's price); with the same billing
+ * cycle the new plan is charged for the rest of the period, otherwise a new period of the new plan
+ * starts now.
+ * Downgrades take effect at the end of the paid period and cost the new plan's full price then.
+ * Without a paid period (free, trial, expired) the change takes effect now at the full price;
+ * this is also how a trial user subscribes to the plan of the trial.
+ *
+ * @param {object} user - User document, planId populated.
+ * @param {object} newPlan - Plan document.
+ * @param {Date} [now]
+ * @returns {Promise<object>} Quote: direction, plans, effectiveAt, the resulting subscription period,
+ * credit, charge and amount (charge - credit, never below 0).
+ * @throws {AppError} If the change is not possible.
+ */
+const quotePlanChange = async (user, newPlan, now = new Date()) => {
+    const currentPlan = user.planId || null;
+    // Subscribing to the plan of a free trial converts the trial
+    const convertsTrial = user.subscriptionStatus === 'trialing' && String(currentPlan?._id) === String(newPlan._id);
+
+    if (currentPlan && String(currentPlan._id) === String(newPlan._id) && !convertsTrial) {
+        throw new AppError('You are already on this plan.', 409);
+    }
+    if (!newPlan.isPublic) {
+        throw new AppError('This plan is not publicly available.', 403);
+    }
+    if (newPlan.billingCycle === 'lifetime' || currentPlan?.billingCycle === 'lifetime') {
+        throw new AppError('Lifetime plans cannot be changed here. Please contact support.', 400);
+    }
+
+    const period = getPaidPeriod(user, now);
+    if (period && newPlan.price > 0 && currentPlan.currency !== newPlan.currency) {
+        throw new AppError(`Cannot change from a ${currentPlan.currency} plan to a ${newPlan.currency} plan.`, 400);
+    }
+
+    const direction = convertsTrial || annualPrice(newPlan) > annualPrice(currentPlan) ? 'upgrade' : 'downgrade';
+    const quote = {
+        direction,
+        currentPlan: summarizePlan(currentPlan),
+        newPlan: summarizePlan(newPlan),
+        currency: newPlan.currency,
+        credit: 0,
+        charge: newPlan.price,
+    };
+
+    if (!period) {
+        Object.assign(quote, {
+            effectiveAt: now,
+            subscriptionStartDate: now,
+            subscriptionEndDate: calculateNextBillingDate(now, newPlan.billingCycle),
+        });
+    } else if (direction === 'downgrade') {
+        Object.assign(quote, {
+            effectiveAt: period.end,
+            subscriptionStartDate: period.end,
+            subscriptionEndDate: calculateNextBillingDate(period.end, newPlan.billingCycle),
+        });
+    } else {
+        const remaining = (period.end - now) / (period.end - period.start);
+        const sameCycle = newPlan.billingCycle === currentPlan.billingCycle;
+        const paid = await getUnusedPaidAmount(user, period, now);
+        Object.assign(quote, {
+            effectiveAt: now,
+            // Same cycle: the period continues, so a later change is prorated over the whole period
+            subscriptionStartDate: sameCycle ? period.start : now,
+            subscriptionEndDate: sameCycle ? period.end : calculateNextBillingDate(now, newPlan.billingCycle),
+            credit: roundAmount(Math.min(paid, currentPlan.price * remaining)),
+            charge: sameCycle ? roundAmount(newPlan.price * remaining) : newPlan.price,
+        });
+    }
+
+    quote.amount = Math.max(roundAmount(quote.charge - quote.credit), 0);
+    quote.scheduled = quote.effectiveAt > now;
+    return quote;
+};
+
+/**
+ * Switches the user to the plan of a plan change order and revokes their access tokens, which
+ * carry the previous plan.
+ * @param {object} order - Order document of the change.
+ * @param {boolean} paid - Whether the change's payment succeeded (or nothing was due).
+ * @returns {Promise<object>} The updated user.
+ */
+const applyPlanChange = async (order, paid) => {
+    const [user, plan] = await Promise.all([User.findById(order.user), Plan.findById(order.plan)]);
+    if (!user || !plan) {
+        throw new AppError(user ? 'The plan no longer exists.' : 'User not found.', 404);
+    }
+
+    user.planId = plan._id;
+    user.subscriptionStatus = plan.price === 0 ? 'free' : (paid ? 'active' : 'past_due');
+    user.subscriptionStartDate = order.startDate;
+    user.subscriptionEndDate = order.endDate || null;
+    user.trialEndsAt = null;
+    if (String(user.scheduledPlanChange?.order) === String(order._id)) {
+        user.scheduledPlanChange = undefined;
+    }
+    await user.save();
+    await revokeAllAccessTokens(user._id); // Access tokens carry the old plan
+
+    order.status = 'active';
+    await order.save();
+
+    if (paid && plan.price > 0) {
+        await recordTrialConversion({ userId: user._id, planId: plan._id, paymentId: order.payment });
+    }
+    return user;
+};
+
+/**
+ * Cancels the plan change the user has scheduled, with its order, payment and invoice.
+ * A payment that already succeeded is kept (refunds are handled manually).
+ * @param {object} user - User document.
+ * @returns {Promise<boolean>} False if nothing was scheduled.
+ */
+const cancelScheduledPlanChange = async (user) => {
+    const orderId = user.scheduledPlanChange?.order;
+    if (!orderId) {
+        return false;
+    }
+
+    const order = await Order.findById(orderId);
+    if (order) {
+        await Promise.all([
+            order.updateOne({ status: 'cancelled' }),
+            Payment.updateOne({ _id: order.payment, status: 'pending' }, { status: 'canceled' }),
+            Invoice.updateOne({ payment: order.payment, status: 'unpaid' }, { status: 'cancelled' }),
+        ]);
+    }
+    user.scheduledPlanChange = undefined;
+    await user.save();
+    return true;
+};
+
+/**
+ * Starts a plan change: records an order and payment (purpose plan_upgrade / plan_downgrade) and
+ * an adjusting invoice (not for free plans, which have no billing period), then
+ * - schedules it for the end of the period (downgrades of a paid period),
+ * - applies it right away if nothing is due, or
+ * - leaves it for the payment: confirmPlanChangePayment() applies it once the payment succeeds.
+ * A new change replaces a previously scheduled one.
+ * @param {object} user - User document, planId populated.
+ * @param {object} newPlan - Plan document.
+ * @param {object} options
+ * @param {string} [options.paymentGateway] - Required if an amount is due.
+ * @returns {Promise<{status: 'scheduled'|'applied'|'payment_required', quote: object, order: object, payment: object, invoice: object|null}>}
+ * @throws {AppError} If the change is not possible.
+ */
+const requestPlanChange = async (user, newPlan, { paymentGateway } = {}) => {
+    const now = new Date();
+    const quote = await quotePlanChange(user, newPlan, now);
+    if (quote.amount > 0 && !paymentGateway) {
+        throw new AppError(`A payment of ${quote.amount} ${quote.currency} is due. Please choose a payment gateway.`, 400);
+    }
+
+    await cancelScheduledPlanChange(user);
+
+    const { order, payment } = await createOrderWithPayment({
+        user: user._id,
+        plan: newPlan._id,
+        amount: quote.amount,
+        currency: quote.currency,
+        status: 'inactive', // Until the change is applied
+        startDate: quote.subscriptionStartDate,
+        endDate: quote.subscriptionEndDate,
+    }, {
+        userId: user._id,
+        planId: newPlan._id,
+        amount: quote.amount,
+        currency: quote.currency,
+        paymentGateway: paymentGateway || 'none',
+        purpose: quote.direction === 'upgrade' ? 'plan_upgrade' : 'plan_downgrade',
+        status: quote.amount === 0 ? 'succeeded' : 'pending',
+        processedAt: now,
+    });
+
+    let invoice = null;
+    if (quote.subscriptionEndDate) {
+        invoice = await Invoice.create({
+            user: user._id,
+            payment: payment._id,
+            plan: newPlan._id,
+            kind: 'plan_change',
+            amount: quote.amount,
+            currency: quote.currency,
+            status: quote.amount === 0 ? 'paid' : 'unpaid',
+            adjustment: { previousPlan: quote.currentPlan?._id, credit: quote.credit, charge: quote.charge },
+            lineItems: [
+                { description: `${newPlan.name} plan (${newPlan.billingCycle})`, amount: quote.charge },
+                ...(quote.credit > 0 ? [{ description: `Unused time on the ${quote.currentPlan.name} plan`, amount: -quote.credit }] : []),
+            ],
+            subscriptionStartDate: quote.effectiveAt, // The billed part of the period
+            subscriptionEndDate: quote.subscriptionEndDate,
+            dueDate: quote.effectiveAt,
+        });
+    }
+
+    let status = 'payment_required';
+    if (quote.scheduled) {
+        user.scheduledPlanChange = { planId: newPlan._id, effectiveAt: quote.effectiveAt, order: order._id };
+        await user.save();
+        status = 'scheduled';
+    } else if (quote.amount === 0) {
+        await applyPlanChange(order, true);
+        status = 'applied';
+    }
+
+    return { status, quote, order, payment, invoice };
+};
+
+/**
+ * The plan change order a payment belongs to. Only orders of requestPlanChange() hold the period
+ * of the change, so a payment that merely has the purpose plan_upgrade / plan_downgrade is no change.
+ * @param {object} payment - Payment document.
+ * @returns {Promise<object|null>} Order document, or null if the payment is not for a plan change.
+ */
+const findPlanChangeOrder = async (payment) => {
+    const order = payment.order ? await Order.findById(payment.order) : null;
+    return order?.startDate ? order : null;
+};
+
+/**
+ * Marks the payment of a plan change as succeeded and its invoice as paid. A change that is due
+ * (upgrades, or a downgrade whose period has started) is applied.
+ * @param {object} payment - Payment document of a plan change (see findPlanChangeOrder).
+ * @returns {Promise<{applied: boolean, user: object|null}>}
+ * @throws {AppError} If the order of the payment no longer exists or was cancelled.
+ */
+const confirmPlanChangePayment = async (payment) => {
+    const order = await findPlanChangeOrder(payment);
+    if (!order || order.status === 'cancelled') {
+        throw new AppError('The plan change of this payment was cancelled.', 409);
+    }
+
+    await payment.updateOne({ status: 'succeeded' });
+    await Invoice.updateOne({ payment: payment._id }, { status: 'paid' });
+
+    if (order.startDate > new Date()) {
+        return { applied: false, user: null }; // Scheduled; applyDuePlanChanges() switches the plan
+    }
+    return { applied: true, user: await applyPlanChange(order, true) };
+};
+
+/**
+ * Applies scheduled plan changes whose date has come (run by jobs/subscriptionJobs.js).
+ * A change whose payment has not succeeded yet is applied as past due.
+ * @param {Date} [now]
+ * @returns {Promise<number>} Number of applied changes.
+ */
+const applyDuePlanChanges = async (now = new Date()) => {
+    let applied = 0;
+    const users = User.find({ 'scheduledPlanChange.effectiveAt': { $lte: now } }).select('scheduledPlanChange').cursor();
+
+    for await (const user of users) {
+        try {
+            const order = await Order.findById(user.scheduledPlanChange.order).populate('payment');
+            if (!order || order.status === 'cancelled') {
+                await User.updateOne({ _id: user._id }, { $unset: { scheduledPlanChange: 1 } });
+                continue;
+            }
+            await applyPlanChange(order, order.amount === 0 || order.payment?.status === 'succeeded');
+            applied++;
+        } catch (error) {
+            console.error(`Could not apply the scheduled plan change of user ${user._id}:`, error.message);
+        }
+    }
+    return applied;
+};
+
+module.exports = {
+    calculateNextBillingDate,
+    quotePlanChange,
+    requestPlanChange,
+    cancelScheduledPlanChange,
+    findPlanChangeOrder,
+    confirmPlanChangePayment,
+    applyDuePlanChanges,
+};
@@ -0,0 +1,163 @@
+const User = require('../models/User');
+const Plan = require('../models/Plan');
+const Project = require('../models/Project');
+const Transaction = require('../models/Transaction');
+const planLimits = require('../config/planLimits');
+const AppError = require('../utils/AppError');
+
+/**
+ * Countable resources, by the name used in `enforceLimit(name)`.
+ * `limitField` is the plan limit (models/Plan.js); monthly meters count from the start of the
+ * calendar month (UTC).
+ */
+const METERS = {
+    projects: {
+        limitField: 'maxProjects',
+        count: (userId) => Project.countDocuments({ user_id: userId }),
+    },
+    transactions: {
+        limitField: 'maxTransactionsPerMonth',
+        period: 'month',
+        count: (userId, since) => Transaction.countDocuments({ user_id: userId, createdAt: { $gte: since } }),
+    },
+};
+
+/**
+ * Start of the current calendar month and of the next one (UTC).
+ * @returns {{start: Date, end: Date}}
+ */
+const currentMonth = () => {
+    const now = new Date();
+    return {
+        start: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1)),
+        end: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1)),
+    };
+};
+
+/**
+ * Reads the limits of a plan document, filling in unlimited (null) for missing values.
+ * @param {object|null} plan
+ * @returns {object} Limit field -> number or null.
+ */
+const readLimits = (plan) => Object.fromEntries(
+    Object.keys(planLimits.fields).map(field => [field, plan?.limits?.[field] ?? null])
+);
+
+/**
+ * Name and slug of a plan, for responses. Users without a plan are on the free tier.
+ * @param {object|null} plan
+ * @returns {{name: string, slug: string}}
+ */
+const summarizePlan = (plan) => (plan ? { name: plan.name, slug: plan.slug } : { name: 'Free', slug: 'free' });
+
+/**
+ * Finds the plan a user's limits come from: their plan, else the 'free' plan.
+ * @param {string} userId
+ * @returns {Promise<{plan: object|null, limits: object}>} plan is null (and limits are the
+ * configured defaults) if the user has no plan and no 'free' plan exists.
+ * @throws {AppError} 404 if the user does not exist.
+ */
+const getPlanLimits = async (userId) => {
+    const user = await User.findById(userId).select('planId').populate('planId');
+    if (!user) {
+        throw new AppError('User not found.', 404);
+    }
+    const plan = user.planId || await Plan.findOne({ slug: 'free' });
+    return {
+        plan,
+        limits: plan ? readLimits(plan) : { ...planLimits.defaultLimits },
+    };
+};
+
+/**
+ * Counts a user's usage of one meter.
+ * @param {string} userId
+ * @param {string} meter - Key of METERS.
+ * @param {object} limits - From getPlanLimits.
+ * @returns {Promise<{used: number, limit: number|null, remaining: number|null, period?: string, resetsAt?: Date}>}
+ */
+const countUsage = async (userId, meter, limits) => {
+    const { limitField, period, count } = METERS[meter];
+    const month = period === 'month' ? currentMonth() : null;
+    const used = await count(userId, month?.start);
+    const limit = limits[limitField];
+
+    return {
+        used,
+        limit,
+        remaining: limit === null ? null : Math.max(limit - used, 0),
+        ...(month && { period: 'month', resetsAt: month.end }),
+    };
+};
+
+/**
+ * Checks whether a user may create one more unit of a meter.
+ * Count-then-create is not atomic, so concurrent requests can overshoot a limit by a few units.
+ * @param {string} userId
+ * @param {string} meter - Key of METERS.
+ * @returns {Promise<{allowed: boolean, plan: object|null, usage: object}>}
+ * @throws {Error} If the meter is unknown (a programming error in the route).
+ */
+const checkLimit = async (userId, meter) => {
+    if (!METERS[meter]) {
+        throw new Error(`No usage meter registered for '${meter}'.`);
+    }
+    const { plan, limits } = await getPlanLimits(userId);
+    const usage = await countUsage(userId, meter, limits);
+    return {
+        allowed: usage.limit === null || usage.used < usage.limit,
+        plan,
+        usage,
+    };
+};
+
+/**
+ * Public plans with a higher limit than the current one, cheapest first.
+ * @param {string} meter - Key of METERS.
+ * @param {object|null} currentPlan
+ * @param {number} currentLimit
+ * @returns {Promise<object[]>}
+ */
+const findUpgradePlans = async (meter, currentPlan, currentLimit) => {
+    const { limitField } = METERS[meter];
+    const plans = await Plan.find({ isPublic: true, _id: { $ne: currentPlan?._id } }).sort({ price: 1, displayOrder: 1 });
+
+    return plans
+        .map(plan => ({ plan, limit: readLimits(plan)[limitField] }))
+        .filter(({ limit }) => limit === null || limit > currentLimit)
+        .map(({ plan, limit }) => ({
+            name: plan.name,
+            slug: plan.slug,
+            price: plan.price,
+            currency: plan.currency,
+            billingCycle: plan.billingCycle,
+            limit,
+        }));
+};
+
+/**
+ * Usage report of a user: every limit of their plan, with the current count of metered ones.
+ * @param {string} userId
+ * @returns {Promise<{plan: {name: string, slug: string}, limits: object, usage: object}>}
+ */
+const getUsageReport = async (userId) => {
+    const { plan, limits } = await getPlanLimits(userId);
+    const usage = {};
+    for (const meter of Object.keys(METERS)) {
+        usage[meter] = await countUsage(userId, meter, limits);
+    }
+    return {
+        plan: summarizePlan(plan),
+        limits,
+        usage,
+    };
+};
+
+module.exports = {
+    METERS,
+    summarizePlan,
+    getPlanLimits,
+    checkLimit,
+    findUpgradePlans,
+    getUsageReport,
+};
@@ -0,0 +1,205 @@
+const { Util } = require('casbin');
+const entitlementConfig = require('../config/entitlements');
+
+const ACTIONS = ['read', 'write', 'update', 'delete'];
+// Placeholder caller ID for simulations that don't name a user
+const SIMULATED_USER_ID = 'simulated-user';
+const OTHER_USER_ID = 'other-user';
+
+/**
+ * Builds the Casbin request authorize() would send (see middleware/casbinAuthorize.js).
+ * @param {object} input
+ * @param {string} input.role - Role from the access token, e.g. 'user'.
+ * @param {string} input.plan - Plan slug (domain).
+ * @param {string} input.resource - Resource type (object).
+ * @param {string} input.action - read | write | update | delete.
+ * @param {string} [input.userId] - Caller ID; a placeholder if omitted.
+ * @param {string} [input.ownerId] - Owner of the target; defaults to the caller (own data).
+ * @returns {{sub: object, dom: string, obj: object, act: string}}
+ */
+const buildRequest = ({ role, plan, resource, action, userId, ownerId }) => {
+    const id = userId ? String(userId) : SIMULATED_USER_ID;
+    return {
+        sub: { id, role, plan },
+        dom: plan,
+        obj: { type: resource, ownerId: ownerId ? String(ownerId) : id },
+        act: action,
+    };
+};
+
+/**
+ * Features a role gets on a plan, the way requireFeature() sees them (services/entitlementService.js):
+ * every feature for FEATURE_BYPASS_ROLES, otherwise the plan's entitlements.
+ * @param {string} role
+ * @param {string} plan - Plan slug.
+ * @param {object} planEntitlements - Plan slug -> feature names (getAllPlanEntitlements()).
+ * @returns {{plan: string, knownPlan: boolean, bypass: boolean, features: string[]}}
+ */
+const describeEntitlements = (role, plan, planEntitlements) => {
+    const bypass = entitlementConfig.bypassRoles.includes(role);
+    return {
+        plan,
+        knownPlan: plan in planEntitlements,
+        bypass,
+        features: bypass ? Object.keys(entitlementConfig.features) : (planEntitlements[plan] || []),
+    };
+};
+
+/**
+ * Decides a request and explains it: the policy that allowed it (Casbin's enforceEx), the caller's
+ * roles, and every policy of those roles with the result of each field match, so a denial shows
+ * which part of the closest rules did not match.
+ * With the plans' entitlements it also lists the features the caller has, and with `input.feature`
+ * whether requireFeature() lets them through and which plans include it. `allowed` then requires both.
+ * Without resource and action only the feature is checked.
+ * @param {Enforcer} enforcer
+ * @param {object} input - See buildRequest; plus optional `feature`.
+ * @param {object} [planEntitlements] - Plan slug -> feature names (getAllPlanEntitlements()).
+ * @returns {Promise<object>}
+ */
+const explainDecision = async (enforcer, input, planEntitlements = null) => {
+    const roles = [input.role, ...(await enforcer.getImplicitRolesForUser(input.role))];
+    const explanation = { request: null, allowed: true, matchedPolicy: null, roles, candidates: [] };
+
+    if (input.resource && input.action) {
+        Object.assign(explanation, await explainPolicies(enforcer, input, roles));
+    }
+
+    if (planEntitlements) {
+        explanation.entitlements = describeEntitlements(input.role, input.plan, planEntitlements);
+        if (input.feature) {
+            const granted = explanation.entitlements.features.includes(input.feature);
+            explanation.feature = {
+                name: input.feature,
+                granted,
+                plans: Object.keys(planEntitlements).filter(slug => planEntitlements[slug].includes(input.feature)).sort(),
+            };
+            explanation.allowed = explanation.allowed && granted;
+        }
+    }
+
+    return explanation;
+};
+
+// Casbin part of explainDecision
+const explainPolicies = async (enforcer, input, roles) => {
+    const request = buildRequest(input);
+    const { sub, dom, obj, act } = request;
+    const fields = enforcer.getModel().model.get('p').get('p').tokens.map(token => token.replace('p_', ''));
+    const toPolicy = rule => Object.fromEntries(fields.map((field, i) => [field, rule[i]]));
+
+    const [allowed, explain] = await enforcer.enforceEx(sub, dom, obj, act);
+
+    const candidates = (await enforcer.getPolicy())
+        .filter(rule => roles.includes(rule[0]))
+        .map((rule) => {
+            const policy = toPolicy(rule);
+            const matches = {
+                dom: Util.keyMatchFunc(dom, policy.dom),
+                obj: Util.keyMatchFunc(obj.type, policy.obj),
+                act: Util.regexMatchFunc(act, policy.act),
+            };
+            const isMatched = explain.length > 0 && Util.arrayEquals(rule, explain);
+            const othersMatch = matches.dom && matches.obj && matches.act;
+            // The condition is only known for the deciding rule, or for a fully matching rule of a denied request
+            matches.cond = isMatched ? true : (othersMatch && !allowed && policy.eft === 'allow' ? false : null);
+            return { policy, matches, matched: isMatched };
+        })
+        // Closest first: the deciding rule, then by number of matching fields
+        .sort((a, b) => Number(b.matched) - Number(a.matched)
+            || Object.values(b.matches).filter(Boolean).length - Object.values(a.matches).filter(Boolean).length);
+
+    return {
+        request,
+        allowed,
+        matchedPolicy: explain.length > 0 ? toPolicy(explain) : null,
+        candidates,
+    };
+};
+
+/**
+ * Lists what each role may do on each plan.
+ * Values: 'allow', 'own' (only records the caller owns, via a condition) or 'deny'.
+ * @param {Enforcer} enforcer
+ * @param {object} [options]
+ * @param {string[]} [options.roles] - Default: every role assigned in the policies ('g' rules, left side).
+ * @param {string[]} [options.plans] - Default: every plan named in the policies or in options.planEntitlements, plus 'free'.
+ * @param {string[]} [options.resources] - Default: every resource named in the policies.
+ * @param {object} [options.planEntitlements] - Plan slug -> feature names (getAllPlanEntitlements());
+ * adds `entitlements[role][plan]`, the features requireFeature() lets through.
+ * @returns {Promise<object>} { roles, plans, resources, actions, matrix[role][plan][resource][action], entitlements? }
+ */
+const buildPermissionMatrix = async (enforcer, options = {}) => {
+    const policies = await enforcer.getPolicy();
+    const named = index => [...new Set(policies.map(rule => rule[index]).filter(value => !value.includes('*')))].sort();
+
+    const roles = options.roles || [...new Set((await enforcer.getGroupingPolicy()).map(rule => rule[0]))].sort();
+    const storedPlans = options.planEntitlements ? Object.keys(options.planEntitlements) : [];
+    const plans = options.plans || [...new Set([...named(1), ...storedPlans, 'free'])].sort();
+    const resources = options.resources || named(2);
+
+    const matrix = {};
+    for (const role of roles) {
+        matrix[role] = {};
+        for (const plan of plans) {
+            matrix[role][plan] = {};
+            for (const resource of resources) {
+                matrix[role][plan][resource] = {};
+                for (const action of ACTIONS) {
+                    const base = { role, plan, resource, action };
+                    const own = buildRequest(base);
+                    const foreign = buildRequest({ ...base, ownerId: OTHER_USER_ID });
+                    const ownAllowed = await enforcer.enforce(own.sub, own.dom, own.obj, own.act);
+                    const anyAllowed = ownAllowed && await enforcer.enforce(foreign.sub, foreign.dom, foreign.obj, foreign.act);
+                    matrix[role][plan][resource][action] = anyAllowed ? 'allow' : (ownAllowed ? 'own' : 'deny');
+                }
+            }
+        }
+    }
+
+    const result = { roles, plans, resources, actions: ACTIONS, matrix };
+    if (options.planEntitlements) {
+        result.entitlements = Object.fromEntries(roles.map(role => [role, Object.fromEntries(plans.map(plan =>
+            [plan, describeEntitlements(role, plan, options.planEntitlements).features]))]));
+    }
+    return result;
+};
+
+/**
+ * Renders a permission matrix as Markdown: one table per role, plans as rows, resources as columns.
+ * Cells list the allowed actions (r/w/u/d); a trailing '(own)' marks owner-only access.
+ * With entitlements, a last column lists the features of the plan.
+ * @param {object} result - Return value of buildPermissionMatrix.
+ * @returns {string}
+ */
+const formatMatrixMarkdown = ({ roles, plans, resources, actions, matrix, entitlements }) => {
+    const columns = entitlements ? [...resources, 'features'] : resources;
+    const features = (role, plan) => (entitlements ? [entitlements[role][plan].join(', ') || '-'] : []);
+
+    const cell = (permissions) => {
+        const letters = (value) => actions.filter(action => permissions[action] === value).map(action => action[0]).join('');
+        const any = letters('allow');
+        const own = letters('own');
+        return [any, own && `${own} (own)`].filter(Boolean).join(' ') || '-';
+    };
+
+    return roles.map(role => [
+        `### Role: ${role}`,
+        '',
+        `| plan | ${columns.join(' | ')} |`,
+        `| --- | ${columns.map(() => '---').join(' | ')} |`,
+        ...plans.map(plan => `| ${plan} | ${[
+            ...resources.map(resource => cell(matrix[role][plan][resource])),
+            ...features(role, plan),
+        ].join(' | ')} |`),
+        '',
+    ].join('\n')).join('\n');
+};
+
+module.exports = {
+    ACTIONS,
+    buildRequest,
+    explainDecision,
+    buildPermissionMatrix,
+    formatMatrixMarkdown,
+};
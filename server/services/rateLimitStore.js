@@ -0,0 +1,117 @@
+const { MemoryStore } = require('express-rate-limit');
+const { getRedis, isRedisReady } = require('../config/redis');
+const { store: configuredStore } = require('../config/rateLimits');
+
+const KEY_PREFIX = process.env.RATE_LIMIT_REDIS_PREFIX || 'rl:';
+
+// Increments the hit counter and starts the window on the first hit, atomically.
+// Returns { totalHits, msUntilReset }.
+const INCREMENT_SCRIPT = `
+local totalHits = redis.call('INCR', KEYS[1])
+local ttl = redis.call('PTTL', KEYS[1])
+if ttl <= 0 then
+    redis.call('PEXPIRE', KEYS[1], ARGV[1])
+    ttl = tonumber(ARGV[1])
+end
+return { totalHits, ttl }
+`;
+
+/**
+ * express-rate-limit / express-slow-down store that keeps counters in Redis, so limits are
+ * shared between server replicas and survive restarts. While Redis is unavailable every call
+ * falls back to a per-process MemoryStore, so requests are still limited (per replica).
+ */
+class RedisRateLimitStore {
+    /**
+     * @param {string} name - Unique name of the limiter, used in the Redis key.
+     */
+    constructor(name) {
+        this.prefix = `${KEY_PREFIX}${name}:`;
+        this.localKeys = false;
+        this.fallback = new MemoryStore();
+        this.usingFallback = false;
+    }
+
+    init(options) {
+        this.windowMs = options.windowMs;
+        this.fallback.init(options);
+    }
+
+    /**
+     * Runs a Redis operation, or the MemoryStore equivalent if Redis is unavailable.
+     * @param {Function} redisOperation - Receives the ioredis client.
+     * @param {Function} fallbackOperation - Called instead when Redis cannot be used.
+     */
+    async run(redisOperation, fallbackOperation) {
+        if (isRedisReady()) {
+            try {
+                const result = await redisOperation(getRedis());
+                if (this.usingFallback) {
+                    console.log(`Rate limiter '${this.prefix}' is using Redis again.`);
+                    this.usingFallback = false;
+                }
+                return result;
+            } catch (error) {
+                console.error(`Rate limiter '${this.prefix}' Redis error: ${error.message}`);
+            }
+        } else {
+            getRedis(); // Make sure a connection attempt is in progress
+        }
+
+        if (!this.usingFallback) {
+            console.warn(`Rate limiter '${this.prefix}' fell back to the in-memory store.`);
+            this.usingFallback = true;
+        }
+        return fallbackOperation();
+    }
+
+    async get(key) {
+        return this.run(async (redis) => {
+            const [[, hits], [, ttl]] = await redis.multi().get(this.prefix + key).pttl(this.prefix + key).exec();
+            if (hits === null || ttl <= 0) {
+                return undefined;
+            }
+            return { totalHits: parseInt(hits, 10), resetTime: new Date(Date.now() + ttl) };
+        }, () => this.fallback.get(key));
+    }
+
+    async increment(key) {
+        return this.run(async (redis) => {
+            const [totalHits, ttl] = await redis.eval(INCREMENT_SCRIPT, 1, this.prefix + key, this.windowMs);
+            return { totalHits, resetTime: new Date(Date.now() + ttl) };
+        }, () => this.fallback.increment(key));
+    }
+
+    async decrement(key) {
+        return this.run((redis) => redis.decr(this.prefix + key), () => this.fallback.decrement(key));
+    }
+
+    async resetKey(key) {
+        return this.run((redis) => redis.del(this.prefix + key), () => this.fallback.resetKey(key));
+    }
+
+    shutdown() {
+        this.fallback.shutdown();
+    }
+}
+
+/**
+ * Creates the store for a limiter according to RATE_LIMIT_STORE.
+ * @param {string} name - Unique name of the limiter (each limiter needs its own store).
+ * @returns {RedisRateLimitStore|undefined} The Redis store, or undefined to use the built-in MemoryStore.
+ */
+const createRateLimitStore = (name) => {
+    if (configuredStore !== 'redis') {
+        return undefined;
+    }
+    if (!process.env.REDIS_URL) {
+        console.warn('RATE_LIMIT_STORE is "redis" but REDIS_URL is not set; using the in-memory store.');
+        return undefined;
+    }
+    return new RedisRateLimitStore(name);
+};
+
+module.exports = {
+    RedisRateLimitStore,
+    createRateLimitStore,
+};
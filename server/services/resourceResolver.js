@@ -0,0 +1,55 @@
+const { isValidObjectId } = require('mongoose');
+const Project = require('../models/Project');
+const Transaction = require('../models/Transaction');
+const Order = require('../models/Order');
+const Invoice = require('../models/Invoice');
+
+/**
+ * Per-user resources that `authorize(resource, { param })` can load from route params.
+ * `ownerField` names the reference to the owning user, exposed to policies as `r.obj.ownerId`.
+ */
+const RESOURCES = {
+    project: { model: Project, ownerField: 'user_id' },
+    transaction: { model: Transaction, ownerField: 'user_id' },
+    order: { model: Order, ownerField: 'user' },
+    invoice: { model: Invoice, ownerField: 'user' },
+};
+
+/**
+ * Loads the target document of a request.
+ * @param {string} type - Key of RESOURCES, e.g. 'project'.
+ * @param {string} id - Document ID from the route.
+ * @returns {Promise<object|null>} The document, or null if the ID is malformed or nothing matches.
+ * @throws {Error} If no resolver is registered for `type` (a programming error in the route).
+ */
+const loadResource = async (type, id) => {
+    const resource = RESOURCES[type];
+    if (!resource) {
+        throw new Error(`No resource resolver registered for '${type}'.`);
+    }
+    if (!isValidObjectId(id)) {
+        return null;
+    }
+    return resource.model.findById(id);
+};
+
+/**
+ * Attributes of a loaded document as seen by Casbin conditions (`r.obj.*`).
+ * @param {string} type - Key of RESOURCES.
+ * @param {object} doc - Document returned by loadResource.
+ * @returns {{type: string, id: string, ownerId: string}}
+ */
+const getResourceAttributes = (type, doc) => {
+    const owner = doc[RESOURCES[type].ownerField];
+    return {
+        type,
+        id: String(doc._id),
+        ownerId: owner ? String(owner._id || owner) : '', // Populated or plain reference
+    };
+};
+
+module.exports = {
+    RESOURCES,
+    loadResource,
+    getResourceAttributes,
+};
@@ -0,0 +1,32 @@
+const SecurityEvent = require('../models/SecurityEvent');
+
+/**
+ * Records a security event for a user.
+ * Failures are logged and swallowed so that auditing never breaks the request that triggered it.
+ * @param {object} options
+ * @param {string} options.userId - The user the event belongs to.
+ * @param {string} options.type - One of the SecurityEvent `type` enum values.
+ * @param {object} [options.req] - Express request, used to capture IP address and user agent.
+ * @param {string} [options.sessionId] - The session involved, if any.
+ * @param {object} [options.metadata] - Additional event specific details.
+ * @returns {Promise<object|null>} The created event, or null if it could not be stored.
+ */
+const recordSecurityEvent = async ({ userId, type, req, sessionId, metadata = {} }) => {
+    try {
+        return await SecurityEvent.create({
+            userId,
+            type,
+            sessionId,
+            ipAddress: req?.ip,
+            userAgent: req?.headers?.['user-agent'],
+            metadata,
+        });
+    } catch (error) {
+        console.error(`Failed to record security event '${type}' for user ${userId}:`, error);
+        return null;
+    }
+};
+
+module.exports = {
+    recordSecurityEvent,
+};
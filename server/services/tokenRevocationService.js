@@ -0,0 +1,146 @@
+const User = require('../models/User');
+const RevokedToken = require('../models/RevokedToken');
+const Session = require('../models/Session');
+
+// How long a user's revocation state is cached per process (TOKEN_REVOCATION_CACHE_TTL_MS).
+// Revocations made on this process take effect immediately; other replicas pick them up within
+// this window, so a revoked token can still pass there for up to this long. 0 disables the cache.
+const CACHE_TTL_MS = parseInt(process.env.TOKEN_REVOCATION_CACHE_TTL_MS || '5000', 10);
+const CACHE_MAX_ENTRIES = 10000;
+
+// userId -> { cachedUntil, exists, isActive, tokensValidAfterMs, revokedJtis: Set, revokedSessionIds: Set }
+const cache = new Map();
+
+/**
+ * Loads the revocation state of a user from the database.
+ * @param {string} userId
+ * @returns {Promise<object>}
+ */
+const loadUserState = async (userId) => {
+    const [user, revokedJtis, revokedSessionIds] = await Promise.all([
+        User.findById(userId).select('isActive tokensValidAfter').lean(),
+        RevokedToken.find({ userId, expiresAt: { $gt: new Date() } }).distinct('jti'),
+        // Sessions are deleted when their refresh token expires, after the access tokens issued for them
+        Session.find({ userId, revokedAt: { $ne: null } }).distinct('_id'),
+    ]);
+
+    return {
+        cachedUntil: Date.now() + CACHE_TTL_MS,
+        exists: Boolean(user),
+        isActive: user?.isActive !== false,
+        tokensValidAfterMs: user?.tokensValidAfter ? user.tokensValidAfter.getTime() : 0,
+        revokedJtis: new Set(revokedJtis),
+        revokedSessionIds: new Set(revokedSessionIds.map(String)),
+    };
+};
+
+/**
+ * Returns the cached revocation state of a user, loading it if missing or stale.
+ * @param {string} userId
+ * @returns {Promise<object>}
+ */
+const getUserState = async (userId) => {
+    const key = String(userId);
+    const cached = cache.get(key);
+    if (cached && cached.cachedUntil > Date.now()) {
+        return cached;
+    }
+
+    if (cache.size >= CACHE_MAX_ENTRIES) {
+        const now = Date.now();
+        cache.forEach((entry, entryKey) => {
+            if (entry.cachedUntil <= now) cache.delete(entryKey);
+        });
+        if (cache.size >= CACHE_MAX_ENTRIES) cache.clear();
+    }
+
+    const state = await loadUserState(key);
+    cache.set(key, state);
+    return state;
+};
+
+/**
+ * Drops the cached state of a user so the next request reloads it.
+ * @param {string} userId
+ */
+const invalidateCachedState = (userId) => {
+    cache.delete(String(userId));
+};
+
+/**
+ * Checks a decoded access token against the user's revocation state.
+ * @param {object} decoded - The verified access token payload (`_id`, `iat`, `iatMs`, `jti`, `sid`).
+ * @returns {Promise<string|null>} Why the token is no longer valid ('user_not_found',
+ * 'account_disabled' or 'revoked'), or null if it is still valid.
+ */
+const getRevocationReason = async (decoded) => {
+    const state = await getUserState(decoded._id);
+
+    if (!state.exists) {
+        return 'user_not_found';
+    }
+    if (!state.isActive) {
+        return 'account_disabled';
+    }
+    // `iatMs` is the issue time in ms; tokens issued before it was added only have `iat` (seconds)
+    if (decoded.iatMs !== undefined
+        ? decoded.iatMs < state.tokensValidAfterMs
+        : decoded.iat < Math.floor(state.tokensValidAfterMs / 1000)) {
+        return 'revoked';
+    }
+    if (decoded.jti && state.revokedJtis.has(decoded.jti)) {
+        return 'revoked';
+    }
+    if (decoded.sid && state.revokedSessionIds.has(String(decoded.sid))) {
+        return 'revoked'; // Issued for a session that has been revoked since
+    }
+    return null;
+};
+
+/**
+ * Revokes a single access token until it expires (e.g. on logout).
+ * @param {object} decoded - The access token payload (`_id`, `jti`, `exp`).
+ * @param {string} [reason] - Why the token was revoked.
+ * @returns {Promise<void>}
+ */
+const revokeAccessToken = async (decoded, reason) => {
+    if (!decoded?.jti) {
+        return; // Tokens issued before `jti` was added can only be revoked per user
+    }
+    await RevokedToken.updateOne(
+        { jti: decoded.jti },
+        { $setOnInsert: { userId: decoded._id, reason, expiresAt: new Date(decoded.exp * 1000) } },
+        { upsert: true }
+    );
+    invalidateCachedState(decoded._id);
+};
+
+/**
+ * Revokes a session and every access token issued for it (`sid` claim), e.g. when its refresh
+ * token family is compromised.
+ * @param {Document} session - Session document.
+ * @param {string} reason - One of the session `revokedReason` values.
+ * @returns {Promise<void>}
+ */
+const revokeSessionAccessTokens = async (session, reason) => {
+    await session.revoke(reason);
+    invalidateCachedState(session.userId);
+};
+
+/**
+ * Invalidates every access token issued to a user so far.
+ * @param {string} userId
+ * @returns {Promise<void>}
+ */
+const revokeAllAccessTokens = async (userId) => {
+    await User.updateOne({ _id: userId }, { $set: { tokensValidAfter: new Date() } });
+    invalidateCachedState(userId);
+};
+
+module.exports = {
+    getRevocationReason,
+    revokeAccessToken,
+    revokeSessionAccessTokens,
+    revokeAllAccessTokens,
+    invalidateCachedState,
+};
@@ -0,0 +1,60 @@
+const Token = require('../models/Token');
+const { generateOtp } = require('../utils/otpUtils');
+
+/**
+ * Creates and saves a new OTP token of the given type for a user.
+ * Previous tokens of the same type are invalidated so only the latest one can be used.
+ * @param {string} userId - The user the token belongs to.
+ * @param {string} type - One of the Token `type` enum values.
+ * @param {number} otpExpiryMinutes - Minutes until the token expires.
+ * @returns {Promise<string>} The plain OTP (only the hash is stored).
+ */
+const createAndSaveToken = async (userId, type, otpExpiryMinutes) => {
+    // --- Best Practice: Handle Resend ---
+    // Invalidate previous tokens of the same type for this user
+    await Token.deleteMany({ userId, type });
+
+    const otp = generateOtp(6); // Generate a 6-digit OTP
+    const expiresAt = new Date(Date.now() + otpExpiryMinutes * 60 * 1000); // Set expiry
+
+    // IMPORTANT: The 'Token' model's pre-save hook handles hashing the 'otp' value automatically
+    const token = new Token({
+        userId,
+        token: otp, // Store the plain OTP here; it gets hashed before saving
+        type,
+        expiresAt,
+    });
+
+    await token.save();
+
+    return otp; // Return the plain OTP for sending
+};
+
+/**
+ * Verifies a submitted OTP against the latest unexpired token of the given type.
+ * @param {string} userId - The user the token belongs to.
+ * @param {string} type - One of the Token `type` enum values.
+ * @param {string} otp - The plain OTP submitted by the user.
+ * @returns {Promise<Document|null>} The matching token document, or null if invalid or expired.
+ */
+const findValidToken = async (userId, type, otp) => {
+    // Find the most recent token for the user
+    const token = await Token.findOne({
+        userId,
+        type,
+        expiresAt: { $gt: Date.now() } // Check if token hasn't expired
+    }).sort({ createdAt: -1 }); // Get the latest one if multiple somehow exist (shouldn't due to deleteMany)
+
+    if (!token) {
+        return null;
+    }
+
+    // Verify the submitted OTP against the hashed token in the DB
+    const isValidOtp = await token.compareToken(otp);
+    return isValidOtp ? token : null;
+};
+
+module.exports = {
+    createAndSaveToken,
+    findValidToken,
+};
@@ -0,0 +1,213 @@
+const Trial = require('../models/Trial');
+const Plan = require('../models/Plan');
+const trials = require('../config/trials');
+const { sendNotification } = require('./notificationService');
+const { revokeAllAccessTokens } = require('./tokenRevocationService');
+const AppError = require('../utils/AppError');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Starts a free trial of a plan: the user moves to the plan with status 'trialing' until
+ * `trialEndsAt`, when the subscription expiry check reverts them (jobs/subscriptionJobs.js).
+ * A user can try each plan once and only while not paying for a subscription.
+ * @param {object} user - User document.
+ * @param {object} plan - Plan document.
+ * @param {Date} [now]
+ * @returns {Promise<object>} The trial.
+ * @throws {AppError} If the trial is not possible.
+ */
+const startTrial = async (user, plan, now = new Date()) => {
+    if (!plan.isPublic) {
+        throw new AppError('This plan is not publicly available.', 403);
+    }
+    if (!(plan.trialDays > 0) || plan.price <= 0) {
+        throw new AppError('This plan has no free trial.', 400);
+    }
+    if (user.subscriptionStatus === 'trialing') {
+        throw new AppError('You are already on a free trial.', 409);
+    }
+    if (['active', 'past_due'].includes(user.subscriptionStatus)) {
+        throw new AppError('Free trials are only available without a paid subscription.', 409);
+    }
+    if (await Trial.exists({ user: user._id, plan: plan._id })) {
+        throw new AppError('You have already used the free trial of this plan.', 409);
+    }
+
+    const endsAt = new Date(now.getTime() + plan.trialDays * DAY_MS);
+    const remindAt = new Date(endsAt.getTime() - trials.reminderDays * DAY_MS);
+
+    let trial;
+    try {
+        trial = await Trial.create({
+            user: user._id,
+            plan: plan._id,
+            previousPlan: user.planId,
+            startedAt: now,
+            endsAt,
+            // No reminder if disabled or if it would be due as the trial starts
+            remindAt: trials.reminderDays > 0 && remindAt > now ? remindAt : null,
+        });
+    } catch (error) {
+        if (error.code === 11000) { // Started concurrently
+            throw new AppError('You have already used the free trial of this plan.', 409);
+        }
+        throw error;
+    }
+
+    user.planId = plan._id;
+    user.subscriptionStatus = 'trialing';
+    user.subscriptionStartDate = now;
+    user.subscriptionEndDate = endsAt;
+    user.trialEndsAt = endsAt;
+    await user.save();
+    await revokeAllAccessTokens(user._id); // Access tokens carry the previous plan
+
+    return trial;
+};
+
+/**
+ * Records that a user paid for a plan as the conversion of their trial: the active trial, or the
+ * last one if it ended within TRIAL_CONVERSION_WINDOW_DAYS.
+ * Call it when a payment for a paid plan succeeds.
+ * @param {object} conversion
+ * @param {string|object} conversion.userId
+ * @param {string|object} conversion.planId - The plan paid for.
+ * @param {string|object} [conversion.paymentId]
+ * @param {Date} [now]
+ * @returns {Promise<object|null>} The converted trial, or null if there was none.
+ */
+const recordTrialConversion = async ({ userId, planId, paymentId }, now = new Date()) => {
+    const windowStart = new Date(now.getTime() - trials.conversionWindowDays * DAY_MS);
+    return Trial.findOneAndUpdate(
+        {
+            user: userId,
+            $or: [
+                { status: 'active' },
+                { status: 'expired', endsAt: { $gte: windowStart } },
+            ],
+        },
+        { status: 'converted', convertedAt: now, convertedPlan: planId, payment: paymentId },
+        { new: true, sort: { endsAt: -1 } }
+    );
+};
+
+/**
+ * Marks trials that ended without a payment as expired (run by jobs/subscriptionJobs.js).
+ * @param {Date} [now]
+ * @returns {Promise<number>} Number of expired trials.
+ */
+const expireTrials = async (now = new Date()) => {
+    const result = await Trial.updateMany({ status: 'active', endsAt: { $lte: now } }, { status: 'expired' });
+    return result.modifiedCount;
+};
+
+/**
+ * Emails users whose trial ends within TRIAL_REMINDER_DAYS (run by jobs/subscriptionJobs.js).
+ * Users who already left the trial are not reminded.
+ * @param {Date} [now]
+ * @returns {Promise<number>} Number of reminders sent.
+ */
+const sendTrialReminders = async (now = new Date()) => {
+    let sent = 0;
+    const dueTrials = Trial.find({ status: 'active', reminderSentAt: null, remindAt: { $ne: null, $lte: now }, endsAt: { $gt: now } })
+        .populate('user', 'email username firstName subscriptionStatus planId')
+        .populate('plan', 'name price currency billingCycle')
+        .cursor();
+
+    for await (const trial of dueTrials) {
+        const { user, plan } = trial;
+        if (!user || !plan || user.subscriptionStatus !== 'trialing' || String(user.planId) !== String(plan._id)) {
+            continue;
+        }
+
+        const daysLeft = Math.ceil((trial.endsAt - now) / DAY_MS);
+        const delivered = await sendNotification({
+            method: 'email',
+            user,
+            subject: `Your ${plan.name} trial ends in ${daysLeft} day${daysLeft === 1 ? '' : 's'}`,
+            text: `Hi ${user.firstName || user.username},\n\n`
+                + `Your free trial of the ${plan.name} plan ends on ${trial.endsAt.toUTCString()}. `
+                + `To keep its features, subscribe for ${plan.price} ${plan.currency} (${plan.billingCycle}) at ${trials.subscribeUrl}.\n\n`
+                + 'If you do nothing, your account moves back to the free plan when the trial ends.',
+        });
+        if (delivered) {
+            trial.reminderSentAt = now;
+            await trial.save();
+            sent++;
+        }
+    }
+    return sent;
+};
+
+const conversionRate = (converted, expired) => (converted + expired > 0
+    ? Math.round((converted / (converted + expired)) * 10000) / 10000
+    : null);
+
+/**
+ * Trial conversion report: trials started in a period, per plan and in total.
+ * The conversion rate only counts decided trials (converted / (converted + expired)).
+ * @param {object} [period]
+ * @param {Date} [period.from]
+ * @param {Date} [period.to] - Exclusive.
+ * @returns {Promise<object>}
+ */
+const getTrialReport = async ({ from, to } = {}) => {
+    const match = {};
+    if (from || to) {
+        match.startedAt = {};
+        if (from) match.startedAt.$gte = from;
+        if (to) match.startedAt.$lt = to;
+    }
+    const countStatus = status => ({ $sum: { $cond: [{ $eq: ['$status', status] }, 1, 0] } });
+
+    const groups = await Trial.aggregate([
+        { $match: match },
+        {
+            $group: {
+                _id: '$plan',
+                started: { $sum: 1 },
+                active: countStatus('active'),
+                converted: countStatus('converted'),
+                expired: countStatus('expired'),
+                reminded: { $sum: { $cond: [{ $ne: ['$reminderSentAt', null] }, 1, 0] } },
+                convertedToOtherPlan: {
+                    $sum: { $cond: [{ $and: [{ $eq: ['$status', 'converted'] }, { $ne: ['$convertedPlan', '$plan'] }] }, 1, 0] },
+                },
+                msToConvert: {
+                    $sum: { $cond: [{ $eq: ['$status', 'converted'] }, { $subtract: ['$convertedAt', '$startedAt'] }, 0] },
+                },
+            },
+        },
+    ]);
+
+    const plans = await Plan.find({ _id: { $in: groups.map(group => group._id) } }).select('name slug').lean();
+    const planById = new Map(plans.map(plan => [String(plan._id), plan]));
+
+    const totals = { started: 0, active: 0, converted: 0, expired: 0, reminded: 0, convertedToOtherPlan: 0 };
+    const rows = groups.map(({ _id, msToConvert, ...counts }) => {
+        Object.keys(totals).forEach(key => { totals[key] += counts[key]; });
+        const plan = planById.get(String(_id));
+        return {
+            plan: plan ? { _id, name: plan.name, slug: plan.slug } : { _id, name: null, slug: null }, // Deleted plan
+            ...counts,
+            conversionRate: conversionRate(counts.converted, counts.expired),
+            averageDaysToConvert: counts.converted > 0 ? Math.round((msToConvert / counts.converted / DAY_MS) * 10) / 10 : null,
+        };
+    }).sort((a, b) => b.started - a.started);
+
+    return {
+        from: from || null,
+        to: to || null,
+        totals: { ...totals, conversionRate: conversionRate(totals.converted, totals.expired) },
+        plans: rows,
+    };
+};
+
+module.exports = {
+    startTrial,
+    recordTrialConversion,
+    expireTrials,
+    sendTrialReminders,
+    getTrialReport,
+};
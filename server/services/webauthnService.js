@@ -0,0 +1,225 @@
+const crypto = require('crypto');
+const {
+    generateRegistrationOptions,
+    verifyRegistrationResponse,
+    generateAuthenticationOptions,
+    verifyAuthenticationResponse,
+} = require('@simplewebauthn/server');
+const PasskeyCredential = require('../models/PasskeyCredential');
+const WebAuthnChallenge = require('../models/WebAuthnChallenge');
+const AppError = require('../utils/AppError');
+
+// Relying party: the site passkeys are bound to. WEBAUTHN_RP_ID must be the client's domain (no scheme or port).
+const RP_NAME = process.env.WEBAUTHN_RP_NAME || process.env.MFA_ISSUER || 'Auth Portal';
+const RP_ID = process.env.WEBAUTHN_RP_ID || 'localhost';
+// Origins the browser ceremonies may run on, e.g. WEBAUTHN_ORIGINS=https://app.example.com
+const EXPECTED_ORIGINS = (process.env.WEBAUTHN_ORIGINS || 'http://localhost:3000')
+    .split(',')
+    .map(origin => origin.trim())
+    .filter(Boolean);
+// Validity of a ceremony challenge
+const CHALLENGE_TTL_MINUTES = parseInt(process.env.WEBAUTHN_CHALLENGE_TTL_MINUTES || '5', 10);
+
+const hashKey = (handle) => crypto.createHash('sha256').update(String(handle)).digest('hex');
+
+/**
+ * Stores the challenge of a new ceremony and returns the random handle for the browser.
+ * @param {string} purpose - 'registration', 'authentication' or 'step_up'.
+ * @param {string} challenge - The base64url challenge from the generated options.
+ * @param {string} [userId] - Account the ceremony belongs to.
+ * @returns {Promise<string>} The plain handle (only its hash is stored).
+ */
+const storeChallenge = async (purpose, challenge, userId) => {
+    const handle = crypto.randomBytes(32).toString('base64url');
+    await WebAuthnChallenge.create({
+        key: hashKey(handle),
+        purpose,
+        challenge,
+        userId,
+        expiresAt: new Date(Date.now() + CHALLENGE_TTL_MINUTES * 60 * 1000),
+    });
+    return handle;
+};
+
+/**
+ * Deletes and returns an unexpired challenge, so every challenge is verified at most once.
+ * @param {string} handle - The plain handle from the browser.
+ * @param {string} purpose - Expected purpose.
+ * @param {string} [userId] - Expected account, for ceremonies of a logged-in user.
+ * @returns {Promise<Document>}
+ * @throws {AppError} If the challenge is unknown, expired or belongs to another user.
+ */
+const consumeChallenge = async (handle, purpose, userId) => {
+    const filter = { key: hashKey(handle), purpose, expiresAt: { $gt: new Date() } };
+    if (userId) {
+        filter.userId = userId;
+    }
+    const stored = await WebAuthnChallenge.findOneAndDelete(filter);
+    if (!stored) {
+        throw new AppError('Passkey request expired. Please try again.', 400);
+    }
+    return stored;
+};
+
+/**
+ * Maps a stored credential to the shape expected by @simplewebauthn/server.
+ * @param {object} credential - PasskeyCredential document.
+ * @returns {{id: string, publicKey: Uint8Array, counter: number, transports: string[]}}
+ */
+const toWebAuthnCredential = (credential) => ({
+    id: credential.credentialId,
+    publicKey: new Uint8Array(credential.publicKey),
+    counter: credential.counter,
+    transports: credential.transports,
+});
+
+/**
+ * Generates the options for registering a new passkey for a user.
+ * Passkeys the user already has are excluded so an authenticator is not registered twice.
+ * @param {object} user - The user document.
+ * @returns {Promise<{options: object, challengeId: string}>}
+ */
+const createRegistrationOptions = async (user) => {
+    const existing = await PasskeyCredential.find({ userId: user._id }).select('credentialId transports');
+
+    const options = await generateRegistrationOptions({
+        rpName: RP_NAME,
+        rpID: RP_ID,
+        userName: user.email || user.username,
+        userDisplayName: user.username,
+        userID: new TextEncoder().encode(user._id.toString()),
+        attestationType: 'none',
+        excludeCredentials: existing.map(credential => ({ id: credential.credentialId, transports: credential.transports })),
+        authenticatorSelection: {
+            residentKey: 'required', // Discoverable credential, so login needs no username
+            userVerification: 'preferred',
+        },
+    });
+
+    const challengeId = await storeChallenge('registration', options.challenge, user._id);
+    return { options, challengeId };
+};
+
+/**
+ * Verifies the authenticator's registration response and stores the new passkey.
+ * @param {object} user - The user document.
+ * @param {string} challengeId - Handle returned with the registration options.
+ * @param {object} response - RegistrationResponseJSON from the browser.
+ * @param {string} [name] - Label for the passkey.
+ * @returns {Promise<Document>} The stored PasskeyCredential.
+ * @throws {AppError} If the challenge or the response is invalid.
+ */
+const verifyRegistration = async (user, challengeId, response, name) => {
+    const { challenge } = await consumeChallenge(challengeId, 'registration', user._id);
+
+    let verification;
+    try {
+        verification = await verifyRegistrationResponse({
+            response,
+            expectedChallenge: challenge,
+            expectedOrigin: EXPECTED_ORIGINS,
+            expectedRPID: RP_ID,
+            requireUserVerification: false,
+        });
+    } catch (error) {
+        throw new AppError(`Passkey registration failed: ${error.message}`, 400);
+    }
+    if (!verification.verified) {
+        throw new AppError('Passkey registration could not be verified.', 400);
+    }
+
+    const { credential, credentialDeviceType, credentialBackedUp } = verification.registrationInfo;
+    if (await PasskeyCredential.exists({ credentialId: credential.id })) {
+        throw new AppError('This passkey is already registered.', 409);
+    }
+
+    return PasskeyCredential.create({
+        userId: user._id,
+        credentialId: credential.id,
+        publicKey: Buffer.from(credential.publicKey),
+        counter: credential.counter,
+        transports: credential.transports || response.response?.transports || [],
+        deviceType: credentialDeviceType,
+        backedUp: credentialBackedUp,
+        name: name || undefined,
+    });
+};
+
+/**
+ * Generates the options for a passkey assertion.
+ * Without a user (login) any discoverable passkey of this site is accepted; with a user
+ * (step-up) only that user's passkeys are allowed and user verification is required.
+ * @param {object} [user] - The logged-in user, for a step-up ceremony.
+ * @returns {Promise<{options: object, challengeId: string}>}
+ * @throws {AppError} If a step-up is requested by a user without passkeys.
+ */
+const createAuthenticationOptions = async (user) => {
+    let allowCredentials;
+    if (user) {
+        const credentials = await PasskeyCredential.find({ userId: user._id }).select('credentialId transports');
+        if (credentials.length === 0) {
+            throw new AppError('No passkey is registered for this account.', 404);
+        }
+        allowCredentials = credentials.map(credential => ({ id: credential.credentialId, transports: credential.transports }));
+    }
+
+    const options = await generateAuthenticationOptions({
+        rpID: RP_ID,
+        allowCredentials,
+        userVerification: user ? 'required' : 'preferred',
+    });
+
+    const challengeId = await storeChallenge(user ? 'step_up' : 'authentication', options.challenge, user?._id);
+    return { options, challengeId };
+};
+
+/**
+ * Verifies a passkey assertion and updates the credential's signature counter.
+ * @param {string} challengeId - Handle returned with the authentication options.
+ * @param {object} response - AuthenticationResponseJSON from the browser.
+ * @param {object} [user] - The logged-in user, for a step-up ceremony.
+ * @returns {Promise<{credential: Document, userVerified: boolean}>} The passkey used (its `userId` identifies the account).
+ * @throws {AppError} If the challenge, the passkey or the signature is invalid.
+ */
+const verifyAuthentication = async (challengeId, response, user) => {
+    const { challenge } = await consumeChallenge(challengeId, user ? 'step_up' : 'authentication', user?._id);
+
+    const filter = { credentialId: response?.id };
+    if (user) {
+        filter.userId = user._id;
+    }
+    const credential = await PasskeyCredential.findOne(filter);
+    if (!credential) {
+        throw new AppError('Unknown passkey.', 401);
+    }
+
+    let verification;
+    try {
+        verification = await verifyAuthenticationResponse({
+            response,
+            expectedChallenge: challenge,
+            expectedOrigin: EXPECTED_ORIGINS,
+            expectedRPID: RP_ID,
+            credential: toWebAuthnCredential(credential),
+            requireUserVerification: Boolean(user),
+        });
+    } catch (error) {
+        throw new AppError(`Passkey verification failed: ${error.message}`, 401);
+    }
+    if (!verification.verified) {
+        throw new AppError('Passkey could not be verified.', 401);
+    }
+
+    credential.counter = verification.authenticationInfo.newCounter;
+    credential.lastUsedAt = new Date();
+    await credential.save();
+
+    return { credential, userVerified: verification.authenticationInfo.userVerified };
+};
+
+module.exports = {
+    createRegistrationOptions,
+    verifyRegistration,
+    createAuthenticationOptions,
+    verifyAuthentication,
+};
@@ -0,0 +1,168 @@
+const mongoose = require('mongoose');
+const sift = require('sift').default;
+
+/**
+ * In-memory stand-in for MongoDB, so tests run without a database server.
+ *
+ * Replaces the query and persistence methods of mongoose.Model with versions backed by one Map
+ * per model. Filters are matched with sift (the query matcher mongoose itself uses), updates
+ * support $set, $unset, $inc and plain fields. Schema validation runs on save; save hooks
+ * (password hashing, counters) do not, so store password hashes ready-made.
+ */
+
+const { BSON } = mongoose.mongo;
+
+const collections = new Map();
+
+// Deep copy that keeps ObjectIds and Dates, as a round trip through the database would
+const clone = value => BSON.deserialize(BSON.serialize(value));
+
+const collectionOf = (Model) => {
+    if (!collections.has(Model.modelName)) {
+        collections.set(Model.modelName, new Map());
+    }
+    return collections.get(Model.modelName);
+};
+
+const matches = filter => sift(filter || {});
+
+const findStored = (Model, filter) => [...collectionOf(Model).values()].filter(matches(filter));
+
+// Chainable, awaitable result of find/findOne/findById
+class MemoryQuery {
+    constructor(Model, run) {
+        this.Model = Model;
+        this.run = run;
+        this.isLean = false;
+    }
+
+    select() { return this; }
+    populate() { return this; }
+    sort() { return this; }
+    limit() { return this; }
+    skip() { return this; }
+
+    lean() {
+        this.isLean = true;
+        return this;
+    }
+
+    async exec() {
+        const result = this.run();
+        const toResult = stored => (this.isLean ? clone(stored) : this.Model.hydrate(clone(stored)));
+        if (Array.isArray(result)) {
+            return result.map(toResult);
+        }
+        return result ? toResult(result) : null;
+    }
+
+    then(resolve, reject) {
+        return this.exec().then(resolve, reject);
+    }
+}
+
+const store = doc => collectionOf(doc.constructor).set(String(doc._id), clone(doc.toObject({ depopulate: true })));
+
+// Applies a MongoDB update document to a hydrated document
+const applyUpdate = (doc, update) => {
+    const { $set = {}, $unset = {}, $inc = {}, ...plain } = update;
+    Object.entries({ ...plain, ...$set }).forEach(([path, value]) => doc.set(path, value));
+    Object.keys($unset).forEach(path => doc.set(path, undefined));
+    Object.entries($inc).forEach(([path, value]) => doc.set(path, (doc.get(path) || 0) + value));
+};
+
+const updateStored = (Model, filter, update, { many = false } = {}) => {
+    const targets = findStored(Model, filter);
+    const updated = many ? targets : targets.slice(0, 1);
+    updated.forEach((stored) => {
+        const doc = Model.hydrate(clone(stored));
+        applyUpdate(doc, update);
+        store(doc);
+    });
+    return { acknowledged: true, matchedCount: updated.length, modifiedCount: updated.length };
+};
+
+const deleteStored = (Model, filter, { many = false } = {}) => {
+    const targets = findStored(Model, filter);
+    (many ? targets : targets.slice(0, 1)).forEach(stored => collectionOf(Model).delete(String(stored._id)));
+    return { acknowledged: true, deletedCount: many ? targets.length : Math.min(targets.length, 1) };
+};
+
+const originals = new Map();
+
+const replace = (target, name, implementation) => {
+    originals.set(`${target === mongoose.Model ? 'static' : 'proto'}.${name}`, [target, name, target[name]]);
+    target[name] = implementation;
+};
+
+/**
+ * Backs every mongoose model with the in-memory store.
+ */
+const install = () => {
+    const Model = mongoose.Model;
+
+    replace(Model, 'find', function (filter) { return new MemoryQuery(this, () => findStored(this, filter)); });
+    replace(Model, 'findOne', function (filter) { return new MemoryQuery(this, () => findStored(this, filter)[0] || null); });
+    replace(Model, 'findById', function (id) { return new MemoryQuery(this, () => collectionOf(this).get(String(id)) || null); });
+    replace(Model, 'exists', async function (filter) {
+        const [found] = findStored(this, filter);
+        return found ? { _id: found._id } : null;
+    });
+    replace(Model, 'countDocuments', async function (filter) { return findStored(this, filter).length; });
+    replace(Model, 'create', async function (data) {
+        if (Array.isArray(data)) {
+            return Promise.all(data.map(item => new this(item).save()));
+        }
+        return new this(data).save();
+    });
+    replace(Model, 'findOneAndUpdate', function (filter, update, options = {}) {
+        return new MemoryQuery(this, () => {
+            const [before] = findStored(this, filter);
+            if (!before) {
+                return null;
+            }
+            updateStored(this, { _id: before._id }, update);
+            return options.new ? collectionOf(this).get(String(before._id)) : before;
+        });
+    });
+    replace(Model, 'findByIdAndUpdate', function (id, update, options) { return this.findOneAndUpdate({ _id: id }, update, options); });
+    replace(Model, 'updateOne', async function (filter, update) { return updateStored(this, filter, update); });
+    replace(Model, 'updateMany', async function (filter, update) { return updateStored(this, filter, update, { many: true }); });
+    replace(Model, 'deleteOne', async function (filter) { return deleteStored(this, filter); });
+    replace(Model, 'deleteMany', async function (filter) { return deleteStored(this, filter, { many: true }); });
+
+    replace(Model.prototype, 'save', async function () {
+        await this.validate();
+        store(this);
+        this.isNew = false;
+        return this;
+    });
+    replace(Model.prototype, 'updateOne', async function (update) {
+        return updateStored(this.constructor, { _id: this._id }, update);
+    });
+    replace(Model.prototype, 'deleteOne', async function () {
+        return deleteStored(this.constructor, { _id: this._id });
+    });
+};
+
+/**
+ * Restores the original mongoose methods.
+ */
+const uninstall = () => {
+    originals.forEach(([target, name, original]) => { target[name] = original; });
+    originals.clear();
+};
+
+/**
+ * Empties every collection.
+ */
+const reset = () => collections.clear();
+
+/**
+ * Stored documents of a model, as plain objects.
+ * @param {object} Model
+ * @returns {object[]}
+ */
+const all = Model => [...collectionOf(Model).values()].map(stored => clone(stored));
+
+module.exports = { install, uninstall, reset, all };
@@ -0,0 +1,109 @@
+const http = require('http');
+const crypto = require('crypto');
+
+/**
+ * Minimal local OpenID Connect provider for the social login tests.
+ *
+ * Implements discovery, an authorization endpoint that signs the configured user in at once
+ * (or denies access), a token endpoint that checks the client credentials, the redirect URI and
+ * the PKCE S256 code verifier, and a userinfo endpoint.
+ *
+ * @param {object} options
+ * @param {string} options.clientId
+ * @param {string} options.clientSecret
+ * @returns {Promise<object>} The provider: `issuer`, `setUser(claims)`, `denyNextLogin()`,
+ * `requests` (received authorization requests) and `close()`.
+ */
+const startMockOidcProvider = ({ clientId, clientSecret }) => {
+    const codes = new Map(); // authorization code -> { challenge, redirectUri, claims }
+    const accessTokens = new Map(); // access token -> claims
+    const requests = [];
+    let currentUser = null;
+    let denyNext = false;
+
+    const sendJson = (res, status, body) => {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(body));
+    };
+
+    const readForm = req => new Promise((resolve) => {
+        let body = '';
+        req.on('data', (chunk) => { body += chunk; });
+        req.on('end', () => resolve(Object.fromEntries(new URLSearchParams(body))));
+    });
+
+    const server = http.createServer(async (req, res) => {
+        const url = new URL(req.url, provider.issuer);
+
+        if (url.pathname === '/.well-known/openid-configuration') {
+            return sendJson(res, 200, {
+                issuer: provider.issuer,
+                authorization_endpoint: `${provider.issuer}/authorize`,
+                token_endpoint: `${provider.issuer}/token`,
+                userinfo_endpoint: `${provider.issuer}/userinfo`,
+                code_challenge_methods_supported: ['S256'],
+            });
+        }
+
+        if (url.pathname === '/authorize') {
+            const params = Object.fromEntries(url.searchParams);
+            requests.push(params);
+            const redirect = new URL(params.redirect_uri);
+            redirect.searchParams.set('state', params.state);
+
+            if (denyNext) {
+                denyNext = false;
+                redirect.searchParams.set('error', 'access_denied');
+            } else if (params.client_id !== clientId || params.code_challenge_method !== 'S256' || !params.code_challenge) {
+                redirect.searchParams.set('error', 'invalid_request');
+            } else {
+                const code = crypto.randomBytes(16).toString('hex');
+                codes.set(code, { challenge: params.code_challenge, redirectUri: params.redirect_uri, claims: currentUser });
+                redirect.searchParams.set('code', code);
+            }
+            res.writeHead(302, { Location: redirect.toString() });
+            return res.end();
+        }
+
+        if (url.pathname === '/token' && req.method === 'POST') {
+            const form = await readForm(req);
+            const grant = codes.get(form.code);
+            codes.delete(form.code); // Single use
+            const verifierHash = crypto.createHash('sha256').update(form.code_verifier || '').digest('base64url');
+
+            if (form.client_id !== clientId || form.client_secret !== clientSecret) {
+                return sendJson(res, 401, { error: 'invalid_client' });
+            }
+            if (form.grant_type !== 'authorization_code' || !grant || grant.redirectUri !== form.redirect_uri || grant.challenge !== verifierHash) {
+                return sendJson(res, 400, { error: 'invalid_grant' });
+            }
+            const accessToken = crypto.randomBytes(16).toString('hex');
+            accessTokens.set(accessToken, grant.claims);
+            return sendJson(res, 200, { access_token: accessToken, token_type: 'Bearer', expires_in: 300 });
+        }
+
+        if (url.pathname === '/userinfo') {
+            const claims = accessTokens.get((req.headers.authorization || '').replace(/^Bearer /, ''));
+            return claims ? sendJson(res, 200, claims) : sendJson(res, 401, { error: 'invalid_token' });
+        }
+
+        sendJson(res, 404, { error: 'not_found' });
+    });
+
+    const provider = {
+        issuer: null,
+        requests,
+        setUser: (claims) => { currentUser = claims; },
+        denyNextLogin: () => { denyNext = true; },
+        close: () => new Promise(resolve => server.close(resolve)),
+    };
+
+    return new Promise((resolve) => {
+        server.listen(0, '127.0.0.1', () => {
+            provider.issuer = `http://127.0.0.1:${server.address().port}`;
+            resolve(provider);
+        });
+    });
+};
+
+module.exports = { startMockOidcProvider };
@@ -0,0 +1,210 @@
+const { describe, test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const { startMockOidcProvider } = require('./helpers/mockOidcProvider');
+const memoryDb = require('./helpers/memoryDb');
+
+const CLIENT_ID = 'test-client';
+const CLIENT_SECRET = 'test-secret';
+const CLIENT_CALLBACK = 'http://localhost:3000/oauth/callback';
+
+const googleUser = {
+    sub: 'google-123',
+    email: 'Ada@Example.com',
+    email_verified: true,
+    given_name: 'Ada',
+    family_name: 'Lovelace',
+};
+
+describe('OAuth social login against a mock OIDC provider', () => {
+    let provider;
+    let server;
+    let apiUrl;
+    let User;
+    let OAuthState;
+
+    before(async () => {
+        provider = await startMockOidcProvider({ clientId: CLIENT_ID, clientSecret: CLIENT_SECRET });
+
+        // The API needs its own URL (the provider callback) before its modules are loaded
+        let app;
+        server = http.createServer((req, res) => app(req, res));
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        apiUrl = `http://127.0.0.1:${server.address().port}`;
+
+        Object.assign(process.env, {
+            OAUTH_GOOGLE_CLIENT_ID: CLIENT_ID,
+            OAUTH_GOOGLE_CLIENT_SECRET: CLIENT_SECRET,
+            OAUTH_GOOGLE_AUTHORIZATION_URL: `${provider.issuer}/authorize`,
+            OAUTH_GOOGLE_TOKEN_URL: `${provider.issuer}/token`,
+            OAUTH_GOOGLE_USERINFO_URL: `${provider.issuer}/userinfo`,
+            OAUTH_CALLBACK_BASE_URL: apiUrl,
+            OAUTH_ALLOWED_REDIRECT_URIS: CLIENT_CALLBACK,
+            ACCESS_TOKEN_SECRET: 'test-access-secret',
+            REFRESH_TOKEN_SECRET: 'test-refresh-secret',
+            JWT_KEYS_DIR: path.join(os.tmpdir(), 'no-jwt-keys'), // HS256 with ACCESS_TOKEN_SECRET
+            RATE_LIMIT_STORE: 'memory',
+            RATE_LIMIT_AUTH_MAX: '1000',
+            SLOW_DOWN_AUTH_DELAY_AFTER: '1000',
+        });
+        delete process.env.REDIS_URL;
+
+        memoryDb.install();
+        User = require('../models/User');
+        OAuthState = require('../models/OAuthState');
+
+        const express = require('express');
+        app = express();
+        app.use(express.json());
+        app.use('/api/users', require('../routes/user'));
+    });
+
+    after(async () => {
+        memoryDb.uninstall();
+        await new Promise(resolve => server.close(resolve));
+        await provider.close();
+    });
+
+    beforeEach(() => {
+        memoryDb.reset();
+        provider.setUser(googleUser);
+    });
+
+    const get = url => fetch(url, { redirect: 'manual' });
+
+    const post = (route, body) => fetch(`${apiUrl}/api/users${route}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+    });
+
+    // Follows start -> provider -> callback and returns the API's callback response
+    const loginAtProvider = async ({ beforeCallback } = {}) => {
+        const start = await get(`${apiUrl}/api/users/oauth/google/start?redirectUri=${encodeURIComponent(CLIENT_CALLBACK)}`);
+        assert.equal(start.status, 302);
+        const authorize = await get(start.headers.get('location'));
+        assert.equal(authorize.status, 302);
+        const callbackUrl = authorize.headers.get('location');
+        if (beforeCallback) {
+            await beforeCallback();
+        }
+        return { callback: await get(callbackUrl), callbackUrl };
+    };
+
+    // Query of the client page the callback redirected to
+    const clientParams = (response) => {
+        assert.equal(response.status, 302);
+        const location = new URL(response.headers.get('location'));
+        assert.equal(`${location.origin}${location.pathname}`, CLIENT_CALLBACK);
+        return Object.fromEntries(location.searchParams);
+    };
+
+    test('redirects to the provider with state and a PKCE S256 challenge', async () => {
+        const start = await get(`${apiUrl}/api/users/oauth/google/start?redirectUri=${encodeURIComponent(CLIENT_CALLBACK)}`);
+        const location = new URL(start.headers.get('location'));
+
+        assert.equal(`${location.origin}${location.pathname}`, `${provider.issuer}/authorize`);
+        assert.equal(location.searchParams.get('client_id'), CLIENT_ID);
+        assert.equal(location.searchParams.get('code_challenge_method'), 'S256');
+        assert.equal(location.searchParams.get('redirect_uri'), `${apiUrl}/api/users/oauth/google/callback`);
+        assert.ok(location.searchParams.get('state'));
+        assert.ok(location.searchParams.get('code_challenge'));
+        // Only hashes of handles are stored
+        const [state] = memoryDb.all(OAuthState);
+        assert.notEqual(state.key, location.searchParams.get('state'));
+    });
+
+    test('refuses redirect URIs that are not on the allow list', async () => {
+        const start = await get(`${apiUrl}/api/users/oauth/google/start?redirectUri=${encodeURIComponent('https://evil.example/cb')}`);
+        assert.equal(start.status, 400);
+    });
+
+    test('creates an account on first login and exchanges the one-time code for tokens', async () => {
+        const { callback } = await loginAtProvider();
+        const { code } = clientParams(callback);
+        assert.ok(code);
+
+        const exchange = await post('/oauth/exchange', { code });
+        assert.equal(exchange.status, 200);
+        const body = await exchange.json();
+        assert.equal(body.user.email, 'ada@example.com');
+        assert.equal(jwt.verify(body.accessToken, process.env.ACCESS_TOKEN_SECRET)._id, body.user._id);
+        assert.ok(body.refreshToken);
+
+        const [user] = memoryDb.all(User);
+        assert.equal(user.authProvider, 'google');
+        assert.equal(user.providerId, 'google-123');
+        assert.equal(user.isEmailVerified, true);
+
+        // The login code is single use
+        assert.equal((await post('/oauth/exchange', { code })).status, 401);
+    });
+
+    test('logs the linked account in again on a later login', async () => {
+        for (let i = 0; i < 2; i++) {
+            const { code } = clientParams((await loginAtProvider()).callback);
+            assert.equal((await post('/oauth/exchange', { code })).status, 200);
+        }
+        assert.equal(memoryDb.all(User).length, 1);
+    });
+
+    test('requires the password to link a verified provider email to an existing account', async () => {
+        await User.create({
+            username: 'ada',
+            email: 'ada@example.com',
+            password_hash: bcrypt.hashSync('Correct-Horse-9', 4),
+            isEmailVerified: false,
+        });
+
+        const params = clientParams((await loginAtProvider()).callback);
+        assert.ok(params.linkToken);
+        assert.equal(params.email, 'ada@example.com');
+
+        assert.equal((await post('/oauth/link', { linkToken: params.linkToken, password: 'wrong-password' })).status, 401);
+        const link = await post('/oauth/link', { linkToken: params.linkToken, password: 'Correct-Horse-9' });
+        assert.equal(link.status, 200);
+
+        const [user] = memoryDb.all(User);
+        assert.equal(user.authProvider, 'google');
+        assert.equal(user.providerId, 'google-123');
+        assert.equal(user.isEmailVerified, true);
+    });
+
+    test('does not link an unverified provider email to an existing account', async () => {
+        await User.create({ username: 'ada', email: 'ada@example.com', password_hash: bcrypt.hashSync('x', 4) });
+        provider.setUser({ ...googleUser, email_verified: false });
+
+        const params = clientParams((await loginAtProvider()).callback);
+        assert.equal(params.error, 'account_exists');
+        assert.equal(params.linkToken, undefined);
+    });
+
+    test('fails when the PKCE code verifier does not match the challenge', async () => {
+        const { callback } = await loginAtProvider({
+            beforeCallback: () => OAuthState.updateOne({ purpose: 'authorize' }, { codeVerifier: 'tampered-verifier' }),
+        });
+        assert.equal(clientParams(callback).error, 'oauth_failed');
+        assert.equal(memoryDb.all(User).length, 0);
+    });
+
+    test('passes a denied consent back to the client', async () => {
+        provider.denyNextLogin();
+        const { callback } = await loginAtProvider();
+        assert.equal(clientParams(callback).error, 'access_denied');
+    });
+
+    test('rejects a callback without state', async () => {
+        const callback = await get(`${apiUrl}/api/users/oauth/google/callback?code=abc`);
+        assert.equal(callback.status, 400);
+    });
+
+    test('rejects a replayed state', async () => {
+        const { callbackUrl } = await loginAtProvider();
+        const replay = await get(callbackUrl);
+        assert.equal(replay.status, 400);
+    });
+});
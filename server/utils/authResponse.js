@@ -0,0 +1,88 @@
+const { getDeviceInfo } = require('./deviceInfo');
+const { recordLoginAttempt, registerSuccessfulLogin } = require('../services/accountLockoutService');
+const { isVerificationRequiredFor } = require('../services/emailVerificationService');
+
+/**
+ * Refuses the login of an unverified email address when REQUIRE_VERIFIED_EMAIL_FOR includes 'login'.
+ * @param {object} req - Express request object.
+ * @param {object} res - Express response object.
+ * @param {object} user - The user document.
+ * @param {string} [method='password'] - Login method recorded in the login history.
+ * @returns {Promise<boolean>} True if the login was refused (the response has been sent).
+ */
+const refuseUnverifiedLogin = async (req, res, user, method = 'password') => {
+    if (!isVerificationRequiredFor('login') || user.isEmailVerified) {
+        return false;
+    }
+    await recordLoginAttempt(req, user, { success: false, method, failureReason: 'email_not_verified' });
+    res.status(403).json({ message: 'Please verify your email address before logging in.', code: 'EMAIL_NOT_VERIFIED' });
+    return true;
+};
+
+/**
+ * Opens a new session for a fully authenticated user and sends the standard login response
+ * (access/refresh token pair plus non-sensitive user info).
+ * Shared by every login method so clients always receive the same response shape.
+ * @param {object} req - Express request object.
+ * @param {object} res - Express response object.
+ * @param {object} user - The user document (planId populated or populatable).
+ * @param {object} [options]
+ * @param {boolean} [options.mfaVerified=false] - Whether the login passed a second factor.
+ * @param {string} [options.method='password'] - Login method recorded in the login history.
+ * @param {string} [options.message='Login successful.'] - Response message.
+ * @returns {Promise<void>}
+ */
+const sendLoginResponse = async (req, res, user, { mfaVerified = false, method = 'password', message = 'Login successful.' } = {}) => {
+    // Checked here as well so every login method (password, MFA, social) refuses deactivated accounts
+    if (user.isActive === false) {
+        await recordLoginAttempt(req, user, { success: false, method, failureReason: 'account_disabled' });
+        return res.status(403).json({ message: 'This account has been disabled.', code: 'ACCOUNT_DISABLED' });
+    }
+    // Likewise the verified-email policy, which social, passkey and passwordless logins reach only here
+    if (await refuseUnverifiedLogin(req, res, user, method)) {
+        return;
+    }
+
+    user.lastLoginAt = new Date();
+    await registerSuccessfulLogin(req, user, method); // Records the login and resets the lockout counters
+
+    // This model method also handles subscription checks and creates a new session for this device.
+    const { accessToken, refreshToken, sessionId } = await user.generateAccessAndRefereshTokens({
+        deviceInfo: getDeviceInfo(req),
+        mfaVerified,
+    });
+
+    res.status(200).json({
+        message,
+        accessToken,
+        refreshToken,
+        sessionId,
+        user: { // Send back non-sensitive user info
+            _id: user._id,
+            username: user.username,
+            email: user.email,
+            role: user.role,
+            plan: user.planId && typeof user.planId === 'object' ? user.planId.slug : (user.subscriptionStatus === 'free' ? 'free' : null),
+            subscriptionStatus: user.subscriptionStatus
+        }
+    });
+};
+
+/**
+ * Sends the response for a login attempt against a locked account.
+ * @param {object} res - Express response object.
+ * @param {Date} [lockedUntil] - When the lock expires on its own.
+ */
+const sendAccountLockedResponse = (res, lockedUntil) => {
+    res.status(423).json({
+        message: 'Account temporarily locked due to too many failed login attempts. Check your email to unlock it or try again later.',
+        code: 'ACCOUNT_LOCKED',
+        lockedUntil,
+    });
+};
+
+module.exports = {
+    refuseUnverifiedLogin,
+    sendLoginResponse,
+    sendAccountLockedResponse,
+};
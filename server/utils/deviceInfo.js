@@ -0,0 +1,50 @@
+/**
+ * Builds a short, human readable device label from a User-Agent string.
+ * This is intentionally simple; it only needs to be good enough for a user
+ * to recognise their own devices in the session list.
+ * @param {string} userAgent The raw User-Agent header.
+ * @returns {string} A label such as "Chrome on Windows".
+ */
+const labelFromUserAgent = (userAgent = '') => {
+    if (!userAgent) {
+        return 'Unknown device';
+    }
+
+    let browser = 'Unknown browser';
+    if (/Edg\//.test(userAgent)) browser = 'Edge';
+    else if (/OPR\//.test(userAgent)) browser = 'Opera';
+    else if (/Chrome\//.test(userAgent)) browser = 'Chrome';
+    else if (/Firefox\//.test(userAgent)) browser = 'Firefox';
+    else if (/Safari\//.test(userAgent)) browser = 'Safari';
+    else if (/node|undici|axios|curl|PostmanRuntime/i.test(userAgent)) browser = 'API client';
+
+    let os = null;
+    if (/Windows/.test(userAgent)) os = 'Windows';
+    else if (/Android/.test(userAgent)) os = 'Android';
+    else if (/iPhone|iPad|iPod/.test(userAgent)) os = 'iOS';
+    else if (/Mac OS X/.test(userAgent)) os = 'macOS';
+    else if (/Linux/.test(userAgent)) os = 'Linux';
+
+    return os ? `${browser} on ${os}` : browser;
+};
+
+/**
+ * Extracts the device information stored on a session from an Express request.
+ * A client supplied `deviceLabel` in the body takes precedence over the derived label.
+ * @param {object} req Express request object.
+ * @returns {{deviceLabel: string, ipAddress: string, userAgent: string}}
+ */
+const getDeviceInfo = (req) => {
+    const userAgent = req.headers['user-agent'] || '';
+    const deviceLabel = req.body?.deviceLabel || labelFromUserAgent(userAgent);
+    return {
+        deviceLabel: deviceLabel.slice(0, 100),
+        ipAddress: req.ip,
+        userAgent: userAgent.slice(0, 500),
+    };
+};
+
+module.exports = {
+    labelFromUserAgent,
+    getDeviceInfo,
+};
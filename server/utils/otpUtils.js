@@ -1,3 +1,4 @@
+const crypto = require('crypto');
 
 /**
  * Generates a random numeric OTP of a specified length.
@@ -10,7 +11,8 @@ const generateOtp = (length = 6) => {
     }
     const min = Math.pow(10, length - 1);
     const max = Math.pow(10, length) - 1;
-    const otp = Math.floor(min + Math.random() * (max - min + 1));
+    // OTPs are login credentials (passwordless login), so use a cryptographically secure source.
+    const otp = crypto.randomInt(min, max + 1);
     return otp.toString();
 };
 
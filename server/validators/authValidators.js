@@ -6,6 +6,10 @@ const {
     isLength,
     isAlphanumericField,
     isNumericField,
+    isObjectField,
+    isArrayOfStringsField,
+    isInValues,
+    isFloatField,
 } = require('./commonValidators');
 
 const registerValidationRules = () => {
@@ -27,6 +31,7 @@ const loginValidationRules = () => {
                 .withMessage('Username identifier must be between 3 and 30 characters.'),
         ], { message: 'Identifier must be a valid email or an alphanumeric username (3-30 characters).' }),
         isNotEmptyString('password'), // For login, a simple non-empty check is usually sufficient
+        isLength('deviceLabel', { max: 100 }).optional(), // Optional label for the session list
     ];
 };
 
@@ -42,10 +47,164 @@ const resetPasswordValidationRules = () => {
         isLength('otp', { min: 6, max: 6 }),
     ];
 };
+const changePasswordValidationRules = () => {
+    return [
+        isNotEmptyString('currentPassword'),
+        isStrongPassword('newPassword'),
+    ];
+};
+const changeEmailValidationRules = () => {
+    return [
+        isEmailField('newEmail'),
+        isNotEmptyString('currentPassword'),
+    ];
+};
+const confirmEmailChangeValidationRules = () => {
+    return [
+        isLength('otp', { min: 6, max: 6 }),
+    ];
+};
+const verifyEmailValidationRules = () => {
+    return [
+        isEmailField('email'),
+        isLength('otp', { min: 6, max: 6 }),
+    ];
+};
+
+const resendVerificationValidationRules = () => {
+    return [
+        isEmailField('email'),
+    ];
+};
+
+const unlockAccountValidationRules = () => {
+    return [
+        isEmailField('email'),
+        isLength('otp', { min: 6, max: 6 }),
+    ];
+};
+
+const requestAccountUnlockValidationRules = () => {
+    return [
+        isEmailField('email'),
+    ];
+};
+
+const passwordlessRequestValidationRules = () => {
+    return [
+        isEmailField('email'),
+    ];
+};
+
+const passwordlessVerifyValidationRules = () => {
+    return [
+        isEmailField('email'),
+        isLength('code', { min: 6, max: 6 }),
+        isNotEmptyString('otp').optional(), // Second factor, if enabled
+        isLength('deviceLabel', { max: 100 }).optional(),
+    ];
+};
+
+const mfaCodeValidationRules = () => {
+    return [
+        isNotEmptyString('code'),
+    ];
+};
+
+const mfaDisableValidationRules = () => {
+    return [
+        isNotEmptyString('password'),
+        isNotEmptyString('code'),
+    ];
+};
+
+const mfaVerifyValidationRules = () => {
+    return [
+        isNotEmptyString('mfaToken'),
+        isNotEmptyString('code'), // TOTP code or one-time recovery code
+        isLength('deviceLabel', { max: 100 }).optional(),
+    ];
+};
+
+const oauthExchangeValidationRules = () => {
+    return [
+        isNotEmptyString('code'),
+        isNotEmptyString('otp').optional(), // Required only when two-factor is enabled
+        isLength('deviceLabel', { max: 100 }).optional(),
+    ];
+};
+
+const oauthLinkValidationRules = () => {
+    return [
+        isNotEmptyString('linkToken'),
+        isNotEmptyString('password'),
+        isNotEmptyString('otp').optional(), // Required only when two-factor is enabled
+        isLength('deviceLabel', { max: 100 }).optional(),
+    ];
+};
+
+const passkeyRegistrationValidationRules = () => {
+    return [
+        isNotEmptyString('challengeId'),
+        isObjectField('response'), // RegistrationResponseJSON from the browser
+        isLength('name', { max: 100 }).optional(),
+    ];
+};
+
+const passkeyLoginValidationRules = () => {
+    return [
+        isNotEmptyString('challengeId'),
+        isObjectField('response'), // AuthenticationResponseJSON from the browser
+        isLength('deviceLabel', { max: 100 }).optional(),
+    ];
+};
+
+const stepUpValidationRules = () => {
+    return [
+        isNotEmptyString('challengeId').optional(), // Passkey assertion...
+        isObjectField('response').optional(),
+        isNotEmptyString('code').optional(), // ...or a TOTP / recovery code
+    ];
+};
+
+const impersonationValidationRules = () => {
+    return [
+        isLength('reason', { max: 200 }).optional(), // e.g. support ticket reference, kept in the audit trail
+    ];
+};
+
+const createApiKeyValidationRules = () => {
+    return [
+        isLength('name', { min: 1, max: 100 }),
+        ...isArrayOfStringsField('scopes', { min: 1 }).map(rule => rule.optional()), // Defaults to ['read']
+        isInValues('scopes.*', ['read', 'write', 'update', 'delete']).optional(),
+        isFloatField('expiresInDays', { min: 1 }).optional(), // Capped at API_KEY_MAX_EXPIRY_DAYS
+        isFloatField('rateLimit', { min: 1, max: 10000 }).optional(), // Requests per minute
+    ];
+};
 
 module.exports = {
     registerValidationRules,
     loginValidationRules,
     requestPasswordResetValidationRules,
     resetPasswordValidationRules,
+    changePasswordValidationRules,
+    changeEmailValidationRules,
+    confirmEmailChangeValidationRules,
+    verifyEmailValidationRules,
+    resendVerificationValidationRules,
+    unlockAccountValidationRules,
+    requestAccountUnlockValidationRules,
+    passwordlessRequestValidationRules,
+    passwordlessVerifyValidationRules,
+    mfaCodeValidationRules,
+    mfaDisableValidationRules,
+    mfaVerifyValidationRules,
+    oauthExchangeValidationRules,
+    oauthLinkValidationRules,
+    passkeyRegistrationValidationRules,
+    passkeyLoginValidationRules,
+    stepUpValidationRules,
+    impersonationValidationRules,
+    createApiKeyValidationRules,
 };
\ No newline at end of file
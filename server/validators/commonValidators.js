@@ -1,4 +1,5 @@
 ﻿const { body, param, query } = require('express-validator');
+const { validatePassword } = require('../services/passwordPolicyService');
 
 /**
  * Validates that a field is a string, trims whitespace, and escapes HTML characters.
@@ -67,7 +68,9 @@ const isEmailField = (fieldName, location = 'body') => {
 };
 
 /**
- * Validates that a field meets password strength requirements.
+ * Validates a new password against the configured password policy (config/passwordPolicy.js):
+ * length, character classes and the local breached-password list.
+ * Reuse of previous passwords needs the user and is checked by the controllers.
  * Passwords are not escaped to preserve their original value for hashing.
  * @param {string} fieldName - The name of the field to validate.
  * @param {string} [location='body'] - The location of the field.
@@ -76,16 +79,15 @@ const isEmailField = (fieldName, location = 'body') => {
 const isStrongPassword = (fieldName, location = 'body') => {
     const field = location === 'param' ? param(fieldName) : location === 'query' ? query(fieldName) : body(fieldName);
     return field
-        .isStrongPassword({
-            minLength: 8,
-            minLowercase: 1,
-            minUppercase: 1,
-            minNumbers: 1,
-            minSymbols: 1,
-        })
-        .withMessage(
-            `${fieldName} must be at least 8 characters long and include at least one lowercase letter, one uppercase letter, one number, and one symbol.`
-        );
+        .isString().withMessage(`${fieldName} must be a string.`)
+        .bail()
+        .custom(async (value) => {
+            const errors = await validatePassword(value);
+            if (errors.length > 0) {
+                throw new Error(errors.join(' '));
+            }
+            return true;
+        });
 };
 
 /**
@@ -224,6 +226,23 @@ const isObjectField = (fieldName, location = 'body') => {
     // Note: Deep sanitization of object properties requires specific rules for each property.
 };
 
+/**
+ * Validates a required string that is kept verbatim, e.g. a pattern such as a Casbin rule value.
+ * Trims but does not escape, since escaping would change what the value matches.
+ * @param {string} fieldName - The name of the field to validate.
+ * @param {object} [options={max:200}] - Maximum length.
+ * @param {string} [location='body'] - The location of the field.
+ * @returns {object} Express-validator chain.
+ */
+const isVerbatimString = (fieldName, options = { max: 200 }, location = 'body') => {
+    const field = location === 'param' ? param(fieldName) : location === 'query' ? query(fieldName) : body(fieldName);
+    return field
+        .isString().withMessage(`${fieldName} must be a string.`)
+        .trim()
+        .notEmpty().withMessage(`${fieldName} cannot be empty.`)
+        .isLength({ max: options.max }).withMessage(`${fieldName} must be at most ${options.max} characters long.`);
+};
+
 module.exports = {
     isStringField,
     isNotEmptyString,
@@ -238,4 +257,5 @@ module.exports = {
     isAlphanumericField,
     isSlugField,
     isObjectField,
+    isVerbatimString,
 };
\ No newline at end of file
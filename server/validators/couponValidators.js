@@ -0,0 +1,81 @@
+﻿const { body, query } = require('express-validator');
+const {
+    isLength,
+    isInValues,
+    isMongoIdField,
+} = require('./commonValidators');
+
+const codeField = (location = 'body') => (location === 'query' ? query('code') : body('code'))
+    .isString().withMessage('code must be a string.')
+    .trim()
+    .toUpperCase()
+    .matches(/^[A-Z0-9_-]{3,40}$/).withMessage('code may only contain letters, digits, "-" and "_" (3-40 characters).');
+
+// null clears a limit or the expiry (unlimited / never expires)
+const nullableInt = (fieldName, options) => body(fieldName)
+    .optional({ values: 'null' })
+    .isInt(options).withMessage(`${fieldName} must be an integer of at least ${options.min}, or null.`)
+    .toInt();
+
+// Optional fields; model validation checks that each discount type has its fields
+const couponFields = () => [
+    isLength('description', { max: 500 }).optional({ checkFalsy: true }),
+    body('percentOff').optional().isFloat({ min: 1, max: 100 }).withMessage('percentOff must be between 1 and 100.').toFloat(),
+    body('amountOff').optional().isFloat({ min: 0.01 }).withMessage('amountOff must be a positive number.').toFloat(),
+    body('currency').optional().isString().trim().toUpperCase()
+        .isLength({ min: 3, max: 3 }).withMessage('currency must be a 3-letter currency code.'),
+    body('plans').optional().isArray({ max: 100 }).withMessage('plans must be an array of plan IDs.'),
+    body('plans.*').isMongoId().withMessage('Each plan must be a valid ID.'),
+    isInValues('duration', ['once', 'repeating', 'forever']).optional(),
+    body('durationInMonths').optional().isInt({ min: 1, max: 120 }).withMessage('durationInMonths must be between 1 and 120.').toInt(),
+    nullableInt('maxRedemptions', { min: 1 }),
+    nullableInt('maxRedemptionsPerUser', { min: 1 }),
+    body('expiresAt').optional({ values: 'null' }).isISO8601().withMessage('expiresAt must be an ISO 8601 date, or null.').toDate(),
+    body('isActive').optional().isBoolean().withMessage('isActive must be a boolean.').toBoolean(),
+];
+
+const createCouponValidationRules = () => {
+    return [
+        codeField(),
+        isInValues('discountType', ['percentage', 'fixed']),
+        ...couponFields(),
+    ];
+};
+
+const updateCouponValidationRules = () => {
+    return [
+        isMongoIdField('couponId', 'param'),
+        codeField().optional(),
+        isInValues('discountType', ['percentage', 'fixed']).optional(),
+        ...couponFields(),
+    ];
+};
+
+const couponIdValidationRules = () => {
+    return [
+        isMongoIdField('couponId', 'param'),
+    ];
+};
+
+const couponPreviewValidationRules = () => {
+    return [
+        codeField('query'),
+        isMongoIdField('planId', 'query'),
+    ];
+};
+
+const couponReportValidationRules = () => {
+    return [
+        query('from').optional().isISO8601().withMessage('from must be an ISO 8601 date.'),
+        query('to').optional().isISO8601().withMessage('to must be an ISO 8601 date.'),
+        isMongoIdField('couponId', 'query').optional(),
+    ];
+};
+
+module.exports = {
+    createCouponValidationRules,
+    updateCouponValidationRules,
+    couponIdValidationRules,
+    couponPreviewValidationRules,
+    couponReportValidationRules,
+};
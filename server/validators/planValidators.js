@@ -1,4 +1,7 @@
-﻿const {
+﻿const { body, query } = require('express-validator');
+const planLimits = require('../config/planLimits');
+const entitlements = require('../config/entitlements');
+const {
     isNotEmptyString,
     isSlugField,
     isStringField,
@@ -7,8 +10,25 @@
     isArrayOfStringsField,
     isMongoIdField,
     isLength,
+    isObjectField,
 } = require('./commonValidators');
 
+// Each limit is a non-negative integer, or null for unlimited (config/planLimits.js)
+const limitsFields = () => [
+    isObjectField('limits').optional(),
+    ...Object.keys(planLimits.fields).map(field => body(`limits.${field}`)
+        .optional({ values: 'null' })
+        .isInt({ min: 0 }).withMessage(`limits.${field} must be a non-negative integer or null.`)
+        .toInt()),
+];
+
+// Entitlements must be features the server knows (config/entitlements.js)
+const entitlementsFields = () => [
+    body('entitlements').optional().isArray({ max: 100 }).withMessage('entitlements must be an array of feature names.'),
+    body('entitlements.*').isIn(Object.keys(entitlements.features))
+        .withMessage(`Unknown feature. Known features: ${Object.keys(entitlements.features).join(', ')}.`),
+];
+
 const planValidationRules = () => {
     return [
         isLength('name', { min: 3, max: 100 }),
@@ -19,6 +39,9 @@ const planValidationRules = () => {
         isNotEmptyString('billingCycle'),
         isInValues('billingCycle', ['monthly', 'yearly', 'one-time']),
         ...isArrayOfStringsField('features', { min: 0 }), // Spread because it returns an array of validators
+        ...limitsFields(),
+        ...entitlementsFields(),
+        body('trialDays').optional().isInt({ min: 0, max: 365 }).withMessage('trialDays must be an integer between 0 and 365.').toInt(),
     ];
 };
 
@@ -30,7 +53,37 @@ const changePlanValidationRules = () => {
     ];
 };
 
+const changeOwnPlanValidationRules = () => {
+    return [
+        isMongoIdField('planId'),
+        isInValues('paymentGateway', ['manual', 'sslcommerz', 'paypal', 'stripe']).optional(),
+    ];
+};
+
+const planChangeQuoteValidationRules = () => {
+    return [
+        isMongoIdField('planId', 'query'),
+    ];
+};
+
+const startTrialValidationRules = () => {
+    return [
+        isMongoIdField('planId'),
+    ];
+};
+
+const trialReportValidationRules = () => {
+    return [
+        query('from').optional().isISO8601().withMessage('from must be an ISO 8601 date.'),
+        query('to').optional().isISO8601().withMessage('to must be an ISO 8601 date.'),
+    ];
+};
+
 module.exports = {
     planValidationRules,
     changePlanValidationRules,
+    changeOwnPlanValidationRules,
+    planChangeQuoteValidationRules,
+    startTrialValidationRules,
+    trialReportValidationRules,
 };
\ No newline at end of file
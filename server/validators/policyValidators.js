@@ -0,0 +1,68 @@
+﻿const { body } = require('express-validator');
+const entitlements = require('../config/entitlements');
+const {
+    isVerbatimString,
+    isInValues,
+    isMongoIdField,
+} = require('./commonValidators');
+
+// Rule values are patterns (keyMatch / regexMatch in config/model.conf), so they are not escaped.
+// The service checks them against the model itself (services/casbin.js).
+const policyFields = (prefix = '') => [
+    isVerbatimString(`${prefix}sub`),
+    isVerbatimString(`${prefix}dom`),
+    isVerbatimString(`${prefix}obj`),
+    isVerbatimString(`${prefix}act`),
+    isInValues(`${prefix}eft`, ['allow', 'deny']).optional(), // Defaults to 'allow'
+    isVerbatimString(`${prefix}cond`, { max: 500 }).optional(), // Attribute condition, defaults to 'true'
+];
+
+const roleFields = (prefix = '') => [
+    isVerbatimString(`${prefix}user`), // A role name, or a user's role as found in the access token
+    isVerbatimString(`${prefix}role`),
+];
+
+const policyRuleValidationRules = () => {
+    return policyFields();
+};
+
+const roleAssignmentValidationRules = () => {
+    return roleFields();
+};
+
+const replacePoliciesValidationRules = () => {
+    return [
+        body('policies').isArray({ min: 1, max: 1000 }).withMessage('policies must be an array of 1 to 1000 rules.'),
+        ...policyFields('policies.*.'),
+        body('roles').isArray({ max: 1000 }).withMessage('roles must be an array of at most 1000 assignments.'),
+        ...roleFields('roles.*.'),
+    ];
+};
+
+const explainPolicyValidationRules = () => {
+    return [
+        // Either resource + action or feature (checked in the controller)
+        isVerbatimString('resource', { max: 200 }, 'query').optional(),
+        isInValues('action', ['read', 'write', 'update', 'delete'], 'query').optional(),
+        isInValues('feature', Object.keys(entitlements.features), 'query').optional(),
+        isVerbatimString('role', { max: 200 }, 'query').optional(),
+        isVerbatimString('plan', { max: 200 }, 'query').optional(),
+        isMongoIdField('userId', 'query').optional(),
+        isVerbatimString('ownerId', { max: 200 }, 'query').optional(),
+        isMongoIdField('resourceId', 'query').optional(),
+    ];
+};
+
+const permissionMatrixValidationRules = () => {
+    return [
+        isInValues('format', ['json', 'markdown'], 'query').optional(),
+    ];
+};
+
+module.exports = {
+    policyRuleValidationRules,
+    roleAssignmentValidationRules,
+    replacePoliciesValidationRules,
+    explainPolicyValidationRules,
+    permissionMatrixValidationRules,
+};
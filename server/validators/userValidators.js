@@ -0,0 +1,33 @@
+﻿const {
+    isLength,
+    isAlphanumericField,
+    isObjectField,
+} = require('./commonValidators');
+
+// Upper bound for the stored preferences object (serialized JSON)
+const MAX_PREFERENCES_BYTES = 4096;
+
+const updateProfileValidationRules = () => {
+    return [
+        isLength('firstName', { max: 50 }).optional(),
+        isLength('lastName', { max: 50 }).optional(),
+        isAlphanumericField('username').optional(),
+        isLength('username', { min: 3, max: 30 }).optional(),
+        isObjectField('preferences')
+            .optional()
+            .custom((value) => {
+                // Stored as-is in a Mixed field: keep it small and free of operator-like keys
+                if (Buffer.byteLength(JSON.stringify(value)) > MAX_PREFERENCES_BYTES) {
+                    throw new Error(`preferences must be at most ${MAX_PREFERENCES_BYTES} bytes.`);
+                }
+                if (Object.keys(value).some(key => key.startsWith('$') || key.includes('.'))) {
+                    throw new Error("preferences keys cannot start with '$' or contain '.'.");
+                }
+                return true;
+            }),
+    ];
+};
+
+module.exports = {
+    updateProfileValidationRules,
+};
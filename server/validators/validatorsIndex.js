@@ -2,6 +2,9 @@
 const authValidators = require('./authValidators');
 const paymentValidators = require('./paymentValidators');
 const planValidators = require('./planValidators');
+const userValidators = require('./userValidators');
+const policyValidators = require('./policyValidators');
+const couponValidators = require('./couponValidators');
 
 /**
  * Middleware to handle validation results.
@@ -47,8 +50,42 @@ module.exports = {
     loginValidationRules: authValidators.loginValidationRules,
     requestPasswordResetValidationRules: authValidators.requestPasswordResetValidationRules,
     resetPasswordValidationRules: authValidators.resetPasswordValidationRules,
+    changePasswordValidationRules: authValidators.changePasswordValidationRules,
+    changeEmailValidationRules: authValidators.changeEmailValidationRules,
+    confirmEmailChangeValidationRules: authValidators.confirmEmailChangeValidationRules,
+    verifyEmailValidationRules: authValidators.verifyEmailValidationRules,
+    resendVerificationValidationRules: authValidators.resendVerificationValidationRules,
+    unlockAccountValidationRules: authValidators.unlockAccountValidationRules,
+    requestAccountUnlockValidationRules: authValidators.requestAccountUnlockValidationRules,
+    passwordlessRequestValidationRules: authValidators.passwordlessRequestValidationRules,
+    passwordlessVerifyValidationRules: authValidators.passwordlessVerifyValidationRules,
+    mfaCodeValidationRules: authValidators.mfaCodeValidationRules,
+    mfaDisableValidationRules: authValidators.mfaDisableValidationRules,
+    mfaVerifyValidationRules: authValidators.mfaVerifyValidationRules,
+    oauthExchangeValidationRules: authValidators.oauthExchangeValidationRules,
+    oauthLinkValidationRules: authValidators.oauthLinkValidationRules,
+    passkeyRegistrationValidationRules: authValidators.passkeyRegistrationValidationRules,
+    passkeyLoginValidationRules: authValidators.passkeyLoginValidationRules,
+    stepUpValidationRules: authValidators.stepUpValidationRules,
+    impersonationValidationRules: authValidators.impersonationValidationRules,
+    createApiKeyValidationRules: authValidators.createApiKeyValidationRules,
     paymentValidationRules: paymentValidators.paymentValidationRules,
     planValidationRules: planValidators.planValidationRules,
     changePlanValidationRules: planValidators.changePlanValidationRules,
+    changeOwnPlanValidationRules: planValidators.changeOwnPlanValidationRules,
+    planChangeQuoteValidationRules: planValidators.planChangeQuoteValidationRules,
+    startTrialValidationRules: planValidators.startTrialValidationRules,
+    trialReportValidationRules: planValidators.trialReportValidationRules,
+    createCouponValidationRules: couponValidators.createCouponValidationRules,
+    updateCouponValidationRules: couponValidators.updateCouponValidationRules,
+    couponIdValidationRules: couponValidators.couponIdValidationRules,
+    couponPreviewValidationRules: couponValidators.couponPreviewValidationRules,
+    couponReportValidationRules: couponValidators.couponReportValidationRules,
+    updateProfileValidationRules: userValidators.updateProfileValidationRules,
+    policyRuleValidationRules: policyValidators.policyRuleValidationRules,
+    roleAssignmentValidationRules: policyValidators.roleAssignmentValidationRules,
+    replacePoliciesValidationRules: policyValidators.replacePoliciesValidationRules,
+    explainPolicyValidationRules: policyValidators.explainPolicyValidationRules,
+    permissionMatrixValidationRules: policyValidators.permissionMatrixValidationRules,
     handleValidationErrors,
 };
\ No newline at end of file